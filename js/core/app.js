@@ -76,9 +76,6 @@ export class VIB34DApp {
                         
                         console.log(`✅ Switched to ${system} system successfully`);
                         return; // Success - exit early
-                    } else if (system === 'polychora') {
-                        console.log(`🔮 Polychora system not implemented yet`);
-                        return; // Expected for polychora
                     } else {
                         console.error(`❌ ${system} engine failed to create`);
                     }
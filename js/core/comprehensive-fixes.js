@@ -6,6 +6,8 @@
  * 3. Gallery save functionality
  */
 
+import { getGeometryCount } from '../../src/geometry/GeometryCatalogue.js';
+
 console.log('🔧 Comprehensive Fixes Module: Loading...');
 
 // ========================================
@@ -201,8 +203,8 @@ window.randomizeEverything = function() {
         window.switchSystem(randomSystem);
     }
 
-    // Random geometry (0-23)
-    const randomGeometry = Math.floor(Math.random() * 24);
+    // Random catalogue geometry
+    const randomGeometry = Math.floor(Math.random() * getGeometryCount());
     setTimeout(() => {
         if (window.loadGeometryFromIndex) {
             window.loadGeometryFromIndex(randomGeometry);
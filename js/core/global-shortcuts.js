@@ -11,6 +11,8 @@
  * - UI toggles
  */
 
+import { getGeometryCount } from '../../src/geometry/GeometryCatalogue.js';
+
 console.log('⌨️ Global Shortcuts Module: Loading...');
 
 // Shortcut state
@@ -248,8 +250,9 @@ function navigateGeometry(direction) {
     let newGeometry = currentGeometry + direction;
 
     // Wrap around
-    if (newGeometry < 0) newGeometry = 23;
-    if (newGeometry > 23) newGeometry = 0;
+    const lastGeometry = getGeometryCount() - 1;
+    if (newGeometry < 0) newGeometry = lastGeometry;
+    if (newGeometry > lastGeometry) newGeometry = 0;
 
     console.log(`➡️ Navigating from geometry ${currentGeometry} to ${newGeometry}`);
 
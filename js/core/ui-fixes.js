@@ -9,6 +9,8 @@
  * 6. Better canvas/bezel coordination
  */
 
+import { getGeometry, getGeometryCores, getGeometryCount } from '../../src/geometry/GeometryCatalogue.js';
+
 // Global state
 let persistentGeometryIndex = 0;
 let lastCanvasBottom = '52px';
@@ -140,18 +142,17 @@ function fixGeometryPersistence() {
  * Update geometry button highlighting
  */
 function updateGeometryButtonHighlight(geometryIndex) {
-    // Decode geometry index to core and base
-    const coreIndex = Math.floor(geometryIndex / 8);
-    const baseIndex = geometryIndex % 8;
+    // Look up the catalogue core and base
+    const geometry = getGeometry(geometryIndex);
+    if (!geometry) return;
+    const coreIndex = geometry.core;
+    const baseIndex = geometry.base;
 
     console.log(`🎨 Highlighting button: core=${coreIndex}, base=${baseIndex}`);
 
     // Update core tab active state
     document.querySelectorAll('.core-tab').forEach(tab => {
-        const tabCore = tab.dataset.core;
-        const tabCoreIndex = { 'base': 0, 'hypersphere': 1, 'hypertetra': 2 }[tabCore];
-
-        if (tabCoreIndex === coreIndex) {
+        if (tab.dataset.core === getGeometryCores()[coreIndex].key) {
             tab.classList.add('active');
         } else {
             tab.classList.remove('active');
@@ -172,8 +173,7 @@ function updateGeometryButtonHighlight(geometryIndex) {
     // Update geometry container data attribute
     const geometryContainer = document.querySelector('.geometry-container');
     if (geometryContainer) {
-        const coreKey = ['base', 'hypersphere', 'hypertetra'][coreIndex];
-        geometryContainer.dataset.activeCore = coreKey;
+        geometryContainer.dataset.activeCore = getGeometryCores()[coreIndex].key;
     }
 }
 
@@ -375,7 +375,7 @@ function randomizeCurrentTab(tabId) {
 
         case 'geometry-content':
             // Randomize geometry selection
-            const randomGeometry = Math.floor(random(0, 24));
+            const randomGeometry = Math.floor(random(0, getGeometryCount()));
             if (window.loadGeometryFromIndex) {
                 window.loadGeometryFromIndex(randomGeometry);
             } else if (window.selectGeometry) {
@@ -4,6 +4,8 @@
  * Extracted from monolithic index.html for clean architecture
  */
 
+import { migrateLegacyGeometry } from '../../src/geometry/GeometryCatalogue.js';
+
 // Global variables for export managers
 let unifiedSaveManager = null;
 
@@ -55,8 +57,8 @@ window.saveToGallery = async function() {
     preserveCriticalFunctions();
     
     try {
-        // Check if any system engine is initialized (flexible check for all 3 working systems)
-        const hasAnyEngine = !!(window.engine || window.quantumEngine || window.holographicSystem);
+        // Check if any system engine is initialized (flexible check for all 4 systems)
+        const hasAnyEngine = !!(window.engine || window.quantumEngine || window.holographicSystem || window.polychoraSystem);
         if (!hasAnyEngine) {
             throw new Error('No engine system initialized yet - please wait a moment');
         }
@@ -65,6 +67,7 @@ window.saveToGallery = async function() {
             faceted: !!window.engine,
             quantum: !!window.quantumEngine,
             holographic: !!window.holographicSystem,
+            polychora: !!window.polychoraSystem,
             currentSystem: window.currentSystem
         });
         
@@ -82,6 +85,8 @@ window.saveToGallery = async function() {
                 currentEngine = window.quantumEngine;
             } else if (window.currentSystem === 'holographic' && window.holographicSystem) {
                 currentEngine = window.holographicSystem;
+            } else if (window.currentSystem === 'polychora' && window.polychoraSystem) {
+                currentEngine = window.polychoraSystem;
             }
             
             console.log('🔧 Initializing UnifiedSaveManager with engine for:', window.currentSystem, !!currentEngine);
@@ -397,11 +402,22 @@ function checkGalleryParameters() {
 
 /**
  * Load parameters from gallery data
+ * data is a collection entry; entries without a version (before collection format 1.1) hold
+ * 9-per-core geometry IDs, which are mapped to catalogue IDs here
  */
 function loadGalleryParameters(data) {
-    const { system, parameters, globalId } = data;
+    const { system, globalId } = data;
+    const parameters = { ...data.parameters };
     console.log(`🎯 Loading ${system} variation #${globalId} from gallery`);
     
+    if (!(parseFloat(data.version) >= 1.1)) {
+        ['geometry', 'geometryType'].forEach(param => {
+            if (typeof parameters[param] === 'number') {
+                parameters[param] = migrateLegacyGeometry(parameters[param]);
+            }
+        });
+    }
+    
     if (system === 'faceted' && window.engine) {
         // Load VIB34D parameters
         Object.entries(parameters).forEach(([param, value]) => {
@@ -426,6 +442,15 @@ function loadGalleryParameters(data) {
                 window.updateParameter(param, value);
             }
         });
+    } else if (system === 'polychora' && window.polychoraSystem) {
+        // Polychora-only parameters (lineThickness, glassBlur, ...) have no sliders - apply them directly
+        window.polychoraSystem.updateParameters(parameters);
+        Object.entries(parameters).forEach(([param, value]) => {
+            const slider = document.getElementById(param);
+            if (slider) {
+                slider.value = value;
+            }
+        });
     }
     // Add other system parameter loading as needed
 }
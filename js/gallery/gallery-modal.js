@@ -4,6 +4,8 @@
  * No separate HTML page needed - all inline
  */
 
+import { getGeometryNames } from '../../src/geometry/GeometryCatalogue.js';
+
 /**
  * Open inline gallery modal
  */
@@ -253,22 +255,16 @@ function createGalleryCard(item) {
  */
 function getGeometryName(system, geometryIndex) {
     const geometries = {
-        faceted: [
-            'Tetrahedron', 'Hypercube', 'Sphere', 'Torus', 'Klein Bottle', 'Fractal', 'Wave', 'Crystal',
-            '🌀 Tetrahedron', '🌀 Hypercube', '🌀 Sphere', '🌀 Torus', '🌀 Klein', '🌀 Fractal', '🌀 Wave', '🌀 Crystal',
-            '🔺 Tetrahedron', '🔺 Hypercube', '🔺 Sphere', '🔺 Torus', '🔺 Klein', '🔺 Fractal', '🔺 Wave', '🔺 Crystal'
-        ],
-        quantum: [
-            'Tetrahedron', 'Hypercube', 'Sphere', 'Torus', 'Klein Bottle', 'Fractal', 'Wave', 'Crystal',
-            '🌀 Tetrahedron', '🌀 Hypercube', '🌀 Sphere', '🌀 Torus', '🌀 Klein', '🌀 Fractal', '🌀 Wave', '🌀 Crystal',
-            '🔺 Tetrahedron', '🔺 Hypercube', '🔺 Sphere', '🔺 Torus', '🔺 Klein', '🔺 Fractal', '🔺 Wave', '🔺 Crystal'
-        ],
+        faceted: getGeometryNames(),
+        quantum: getGeometryNames(),
         holographic: ['Holographic'],
         polychora: ['5-Cell', 'Tesseract', '16-Cell', '24-Cell', '600-Cell', '120-Cell']
     };
 
     const geoList = geometries[system] || geometries.faceted;
-    return geoList[geometryIndex] || `Geometry #${geometryIndex}`;
+    // Polychora wraps the geometry index around its six polytopes
+    const index = system === 'polychora' ? geometryIndex % geoList.length : geometryIndex;
+    return geoList[index] || `Geometry #${geometryIndex}`;
 }
 
 /**
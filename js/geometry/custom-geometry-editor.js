@@ -0,0 +1,135 @@
+/**
+ * VIB34D Custom Geometry Editor
+ * Text area for a `float customGeometry(vec4 p)` GLSL snippet (negative inside the shape)
+ *
+ * Compile validates and test-compiles the snippet (src/geometry/CustomGeometry.js) and lists
+ * errors by snippet line. A snippet that compiles joins the catalogue as a base geometry, gets a
+ * button in the geometry grid and is selected. Systems without custom geometry support, or that
+ * reject the snippet, draw its fallback base.
+ */
+
+import {
+    compileCustomGeometry,
+    getCustomGeometry,
+    registerCustomGeometry
+} from '../../src/geometry/CustomGeometry.js';
+
+const EXAMPLE_SNIPPET = `// Duocylinder ring: a circle in XY times a circle in ZW
+float ring(vec2 q, float radius) {
+    return length(q) - radius;
+}
+
+float customGeometry(vec4 p) {
+    return length(vec2(ring(p.xy, 0.8), ring(p.zw, 0.4))) - 0.15;
+}`;
+
+/**
+ * Build the editor into #customGeometryEditor
+ */
+window.initCustomGeometryEditor = function() {
+    const container = document.getElementById('customGeometryEditor');
+    if (!container) {
+        console.warn('⚠️ Custom geometry editor container not found');
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="custom-geometry-title">✏️ Custom Geometry (GLSL)</div>
+        <textarea class="custom-geometry-source" id="customGeometrySource" spellcheck="false" rows="9"></textarea>
+        <div class="custom-geometry-actions">
+            <input class="custom-geometry-name" id="customGeometryName" type="text" placeholder="Name (optional)">
+            <button class="custom-geometry-compile" onclick="compileCustomGeometrySnippet()">Compile</button>
+        </div>
+        <ul class="custom-geometry-errors" id="customGeometryErrors"></ul>
+    `;
+    document.getElementById('customGeometrySource').value = EXAMPLE_SNIPPET;
+
+    console.log('✅ Custom Geometry Editor initialized');
+};
+
+/**
+ * Compile the snippet in the editor and select it
+ */
+window.compileCustomGeometrySnippet = function() {
+    const source = document.getElementById('customGeometrySource').value;
+    const name = document.getElementById('customGeometryName').value.trim() || undefined;
+
+    const compiled = compileCustomGeometry(source);
+    if (!compiled.ok) {
+        showErrors(compiled.errors);
+        console.warn(`⚠️ Custom geometry rejected: ${compiled.errors.length} error(s)`);
+        return;
+    }
+
+    const custom = registerCustomGeometry(source, { name });
+    showErrors([]);
+    console.log(`✏️ Custom geometry ${custom.hash} registered as geometry ${custom.id}`);
+
+    if (window.refreshGeometryTabs) {
+        window.refreshGeometryTabs();
+    }
+    if (window.loadGeometryFromIndex) {
+        window.loadGeometryFromIndex(custom.id);
+    } else if (window.selectGeometry) {
+        window.selectGeometry(custom.id);
+        window.syncCustomGeometry(custom.id);
+    }
+};
+
+/**
+ * Hand the running system the snippet of a custom geometry, or null for any other geometry
+ * VIB3Engine hosts sync on their own; per-system engines compile it through setCustomGeometry()
+ */
+window.syncCustomGeometry = function(geometryIndex) {
+    const engine = window.engine;
+    if (!engine || engine.syncCustomGeometry) {
+        return;
+    }
+
+    const custom = getCustomGeometry(geometryIndex);
+    if (!engine.setCustomGeometry) {
+        if (custom) {
+            console.warn(`⚠️ ${window.currentSystem} does not compile custom geometry; drawing ${custom.fallback}`);
+        }
+        return;
+    }
+
+    const result = engine.setCustomGeometry(custom?.valid ? custom.source : null);
+    if (result && !result.ok) {
+        showErrors(result.errors);
+        console.warn(`⚠️ ${custom.name} did not compile in ${window.currentSystem}; drawing ${custom.fallback}`);
+    }
+};
+
+/**
+ * List errors by snippet line (line null: not on a line of the snippet)
+ */
+function showErrors(errors) {
+    const list = document.getElementById('customGeometryErrors');
+    if (!list) return;
+
+    list.innerHTML = errors.map(error => `
+        <li class="custom-geometry-error">
+            <span class="custom-geometry-error-line">${error.line ? `Line ${error.line}` : 'Snippet'}</span>
+            ${escapeHTML(error.message)}
+        </li>
+    `).join('');
+}
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Initialize on load
+ */
+window.addEventListener('DOMContentLoaded', () => {
+    // After geometry-tabs.js has built the grid
+    setTimeout(() => {
+        if (typeof initCustomGeometryEditor === 'function') {
+            initCustomGeometryEditor();
+        }
+    }, 150);
+});
+
+console.log('✏️ Custom Geometry Editor Module: Loaded');
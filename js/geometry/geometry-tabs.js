@@ -1,68 +1,46 @@
 /**
  * VIB34D Geometry Tab System
- * 9 Base Geometries + 3 Core Types = 27 Total Geometries
+ * Core tabs × base geometry buttons, both built from the geometry catalogue
+ * (src/geometry/GeometryCatalogue.js)
  *
- * Formula: geometry = coreIndex * 9 + baseIndex
- *
- * Core Types:
- * - Base (coreIndex = 0): Geometries 0-8
- * - Hypersphere Core (coreIndex = 1): Geometries 9-17
- * - Hypertetrahedron Core (coreIndex = 2): Geometries 18-26
- *
- * Base Geometries (baseIndex 0-8):
- * 0: Tetrahedron
- * 1: Hypercube
- * 2: Sphere
- * 3: Torus
- * 4: Klein Bottle
- * 5: Fractal
- * 6: Wave
- * 7: Crystal
- * 8: Hexacosichoron 🌟 (600-cell - Golden Ratio 4D Polytope)
+ * The engine's geometry parameter is the catalogue ID of the selected {core, base} pair.
+ * Built-in IDs are core × 8 + base:
+ * - Base (core 0): Geometries 0-7
+ * - Hypersphere Core (core 1): Geometries 8-15
+ * - Hypertetrahedron Core (core 2): Geometries 16-23
+ * - Hypercube, 24-Cell and Duoprism Cores (cores 3-5): Geometries 24-47
+ * Bases and cores registered later get the IDs after those, including custom geometry
+ * snippets from custom-geometry-editor.js (refreshGeometryTabs() adds their buttons).
  */
 
+import {
+    getGeometry,
+    getGeometryBases,
+    getGeometryCores,
+    getGeometryCount,
+    getGeometryId,
+    getGeometryNames
+} from '../../src/geometry/GeometryCatalogue.js';
+
 // State
-let activeCoreIndex = 0; // 0 = base, 1 = hypersphere, 2 = hypertetra
-let activeBaseIndex = 0; // 0-8
-let activeGeometry = 0; // Combined index 0-26
-
-// Core type definitions
-const CORE_TYPES = {
-    base: {
-        index: 0,
-        name: 'Base',
-        icon: '🔷',
-        color: '#00ffff',
-        range: '0-8'
-    },
-    hypersphere: {
-        index: 1,
-        name: 'Hypersphere',
-        icon: '🌀',
-        color: '#ff00ff',
-        range: '9-17'
-    },
-    hypertetra: {
-        index: 2,
-        name: 'Hypertetra',
-        icon: '🔺',
-        color: '#ff8800',
-        range: '18-26'
-    }
-};
+let activeCoreIndex = 0; // Catalogue core index
+let activeBaseIndex = 0; // Catalogue base index
+let activeGeometry = 0; // Catalogue ID
 
-// Base geometry definitions
-const BASE_GEOMETRIES = [
-    { name: 'Tetrahedron', icon: '🔺' },
-    { name: 'Hypercube', icon: '🟦' },
-    { name: 'Sphere', icon: '🔮' },
-    { name: 'Torus', icon: '🍩' },
-    { name: 'Klein Bottle', icon: '🫙' },
-    { name: 'Fractal', icon: '❄️' },
-    { name: 'Wave', icon: '🌊' },
-    { name: 'Crystal', icon: '💎' },
-    { name: 'Hexacosichoron', icon: '🌟' } // 600-cell
-];
+// The geometry lists the other UI modules read follow the catalogue too
+window.geometries = window.geometries || {};
+window.geometries.faceted = getGeometryNames();
+window.geometries.quantum = getGeometryNames();
+
+/**
+ * ID range label for a core tab, e.g. '8-15'
+ */
+function getCoreRange(coreIndex) {
+    const ids = getGeometryBases().map(base => getGeometryId(coreIndex, base.index));
+    const first = Math.min(...ids);
+    const last = Math.max(...ids);
+    return last - first === ids.length - 1 ? `${first}-${last}` : `${ids.length} geometries`;
+}
 
 /**
  * Initialize geometry tab system
@@ -70,6 +48,10 @@ const BASE_GEOMETRIES = [
 window.initGeometryTabs = function() {
     console.log('🎨 Initializing Geometry Tab System...');
 
+    // Catalogue systems may have registered geometries since this module loaded
+    window.geometries.faceted = getGeometryNames();
+    window.geometries.quantum = getGeometryNames();
+
     // Build UI
     buildCoreTabsUI();
     buildGeometryGridUI();
@@ -79,7 +61,26 @@ window.initGeometryTabs = function() {
     selectGeometryButton(0);
 
     console.log('✅ Geometry Tab System initialized');
-    console.log(`📐 27 geometries available: 9 base × 3 core types (includes Hexacosichoron!)`);
+    console.log(`📐 ${getGeometryCount()} geometries available: ${getGeometryBases().length} bases × ${getGeometryCores().length} core types`);
+};
+
+/**
+ * Rebuild the tabs and buttons after geometries were registered, keeping the current selection
+ */
+window.refreshGeometryTabs = function() {
+    window.geometries.faceted = getGeometryNames();
+    window.geometries.quantum = getGeometryNames();
+
+    buildCoreTabsUI();
+    buildGeometryGridUI();
+
+    const coreKey = getGeometryCores()[activeCoreIndex].key;
+    document.querySelectorAll('.core-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.core === coreKey);
+    });
+    document.querySelectorAll('.geom-btn').forEach(btn => {
+        btn.classList.toggle('active', parseInt(btn.dataset.baseIndex) === activeBaseIndex);
+    });
 };
 
 /**
@@ -93,16 +94,16 @@ function buildCoreTabsUI() {
     }
 
     container.className = 'core-tabs';
-    container.innerHTML = Object.entries(CORE_TYPES).map(([key, core]) => `
+    container.innerHTML = getGeometryCores().map(core => `
         <button
             class="core-tab"
-            data-core="${key}"
-            onclick="switchCoreType('${key}')"
-            title="${core.name} Core (Geometries ${core.range})"
+            data-core="${core.key}"
+            onclick="switchCoreType('${core.key}')"
+            title="${core.name} Core (Geometries ${getCoreRange(core.index)})"
         >
             <div class="core-tab-icon">${core.icon}</div>
             <div class="core-tab-name">${core.name}</div>
-            <div class="core-tab-range">${core.range}</div>
+            <div class="core-tab-range">${getCoreRange(core.index)}</div>
         </button>
     `).join('');
 }
@@ -118,26 +119,26 @@ function buildGeometryGridUI() {
     }
 
     container.className = 'geometry-grid';
-    container.innerHTML = BASE_GEOMETRIES.map((geom, index) => `
+    container.innerHTML = getGeometryBases().map(base => `
         <button
             class="geom-btn"
-            data-base-index="${index}"
-            onclick="selectGeometryButton(${index})"
-            title="${geom.name}"
+            data-base-index="${base.index}"
+            onclick="selectGeometryButton(${base.index})"
+            title="${base.name}"
         >
-            <div class="geom-icon">${geom.icon}</div>
-            <div class="geom-name">${geom.name}</div>
+            <div class="geom-icon">${base.icon}</div>
+            <div class="geom-name">${base.name}</div>
         </button>
     `).join('');
 }
 
 /**
- * Switch between core types (Base, Hypersphere, Hypertetra)
+ * Switch between core types (Base, Hypersphere, Hypertetrahedron, Hypercube, 24-Cell, Duoprism or a registered core)
  */
 window.switchCoreType = function(coreKey) {
     console.log(`🔄 Switching core type to: ${coreKey}`);
 
-    const coreData = CORE_TYPES[coreKey];
+    const coreData = getGeometryCores().find(core => core.key === coreKey);
     if (!coreData) {
         console.error(`❌ Unknown core type: ${coreKey}`);
         return;
@@ -164,19 +165,20 @@ window.switchCoreType = function(coreKey) {
     calculateAndApplyGeometry();
 
     console.log(`✅ Core type: ${coreData.name} (index ${activeCoreIndex})`);
-    console.log(`📐 Geometry range: ${coreData.range}`);
+    console.log(`📐 Geometry range: ${getCoreRange(activeCoreIndex)}`);
 };
 
 /**
- * Select a geometry button (base geometry 0-7)
+ * Select a geometry button (catalogue base index)
  */
 window.selectGeometryButton = function(baseIndex) {
-    if (baseIndex < 0 || baseIndex > 8) {
-        console.error(`❌ Invalid base index: ${baseIndex} (must be 0-8)`);
+    const bases = getGeometryBases();
+    if (!bases[baseIndex]) {
+        console.error(`❌ Invalid base index: ${baseIndex} (must be 0-${bases.length - 1})`);
         return;
     }
 
-    console.log(`🎯 Selected base geometry: ${BASE_GEOMETRIES[baseIndex].name} (index ${baseIndex})`);
+    console.log(`🎯 Selected base geometry: ${bases[baseIndex].name} (index ${baseIndex})`);
 
     activeBaseIndex = baseIndex;
 
@@ -194,19 +196,12 @@ window.selectGeometryButton = function(baseIndex) {
 };
 
 /**
- * Calculate combined geometry index and apply to engine
- * Formula: geometry = coreIndex * 9 + baseIndex
+ * Look up the catalogue ID of the active core and base and apply it to the engine
  */
 function calculateAndApplyGeometry() {
-    // Calculate combined index
-    activeGeometry = activeCoreIndex * 9 + activeBaseIndex;
-
-    const coreName = Object.values(CORE_TYPES).find(c => c.index === activeCoreIndex)?.name;
-    const baseName = BASE_GEOMETRIES[activeBaseIndex]?.name;
+    activeGeometry = getGeometryId(activeCoreIndex, activeBaseIndex);
 
-    console.log(`🧮 Calculated geometry index: ${activeGeometry}`);
-    console.log(`   = ${coreName} (${activeCoreIndex}) × 9 + ${baseName} (${activeBaseIndex})`);
-    console.log(`   = ${activeCoreIndex * 9} + ${activeBaseIndex} = ${activeGeometry}`);
+    console.log(`🧮 Geometry ${activeGeometry}: ${getGeometry(activeGeometry).key}`);
 
     // Apply to engine
     if (window.selectGeometry) {
@@ -216,6 +211,11 @@ function calculateAndApplyGeometry() {
         console.warn('⚠️ window.selectGeometry() not available yet');
     }
 
+    // Custom geometries need their snippet compiled into the running system
+    if (window.syncCustomGeometry) {
+        window.syncCustomGeometry(activeGeometry);
+    }
+
     // Update any geometry display elements
     updateGeometryDisplay();
 }
@@ -224,9 +224,7 @@ function calculateAndApplyGeometry() {
  * Update geometry display elements in UI
  */
 function updateGeometryDisplay() {
-    const coreName = Object.values(CORE_TYPES).find(c => c.index === activeCoreIndex)?.name;
-    const baseName = BASE_GEOMETRIES[activeBaseIndex]?.name;
-    const fullName = activeCoreIndex === 0 ? baseName : `${baseName} + ${coreName} Core`;
+    const fullName = getGeometry(activeGeometry).name;
 
     // Update any display elements that show current geometry
     const displays = document.querySelectorAll('[data-geometry-display]');
@@ -237,54 +235,40 @@ function updateGeometryDisplay() {
 }
 
 /**
- * Load geometry from index (0-23)
+ * Load geometry from its catalogue ID
  * Used when loading from gallery or external sources
  */
 window.loadGeometryFromIndex = function(geometryIndex) {
-    if (geometryIndex < 0 || geometryIndex > 26) {
-        console.error(`❌ Invalid geometry index: ${geometryIndex} (must be 0-26)`);
+    const geometry = getGeometry(geometryIndex);
+    if (!geometry) {
+        console.error(`❌ Invalid geometry index: ${geometryIndex} (must be 0-${getGeometryCount() - 1})`);
         return;
     }
 
     console.log(`📂 Loading geometry from index: ${geometryIndex}`);
+    console.log(`   Decoded: core=${geometry.core}, base=${geometry.base}`);
 
-    // Decode: coreIndex = floor(geometryIndex / 9), baseIndex = geometryIndex % 9
-    const coreIndex = Math.floor(geometryIndex / 9);
-    const baseIndex = geometryIndex % 9;
+    // Switch to core type, then select base geometry
+    switchCoreType(getGeometryCores()[geometry.core].key);
+    selectGeometryButton(geometry.base);
 
-    console.log(`   Decoded: core=${coreIndex}, base=${baseIndex}`);
-
-    // Find core type key
-    const coreKey = Object.entries(CORE_TYPES).find(([_, core]) => core.index === coreIndex)?.[0];
-
-    if (!coreKey) {
-        console.error(`❌ Failed to decode core index: ${coreIndex}`);
-        return;
-    }
-
-    // Switch to core type
-    switchCoreType(coreKey);
-
-    // Select base geometry
-    selectGeometryButton(baseIndex);
-
-    console.log(`✅ Loaded geometry ${geometryIndex}: ${BASE_GEOMETRIES[baseIndex].name} + ${CORE_TYPES[coreKey].name}`);
+    console.log(`✅ Loaded geometry ${geometryIndex}: ${geometry.name}`);
 };
 
 /**
  * Get current geometry info
  */
 window.getGeometryInfo = function() {
-    const coreName = Object.values(CORE_TYPES).find(c => c.index === activeCoreIndex)?.name;
-    const baseName = BASE_GEOMETRIES[activeBaseIndex]?.name;
+    const geometry = getGeometry(activeGeometry);
 
     return {
         index: activeGeometry,
+        key: geometry.key,
         coreIndex: activeCoreIndex,
         baseIndex: activeBaseIndex,
-        coreName: coreName,
-        baseName: baseName,
-        fullName: activeCoreIndex === 0 ? baseName : `${baseName} + ${coreName} Core`
+        coreName: getGeometryCores()[activeCoreIndex].name,
+        baseName: getGeometryBases()[activeBaseIndex].name,
+        fullName: geometry.name
     };
 };
 
@@ -292,21 +276,20 @@ window.getGeometryInfo = function() {
  * Keyboard shortcuts for geometry selection
  */
 document.addEventListener('keydown', (e) => {
-    // Alt + 1-3: Switch core types
-    if (e.altKey && e.key >= '1' && e.key <= '3') {
-        e.preventDefault();
-        const coreKeys = ['base', 'hypersphere', 'hypertetra'];
-        const coreKey = coreKeys[parseInt(e.key) - 1];
-        if (coreKey) {
-            switchCoreType(coreKey);
+    // Alt + 1-9: Switch core types
+    if (e.altKey && e.key >= '1' && e.key <= '9') {
+        const core = getGeometryCores()[parseInt(e.key) - 1];
+        if (core) {
+            e.preventDefault();
+            switchCoreType(core.key);
         }
     }
 
-    // Alt + Q,W,E,R,T,A,S,D,F: Select base geometries 0-8
+    // Alt + Q,W,E,R,T,A,S,D: Select base geometries 0-7
     if (e.altKey) {
         const keyMap = {
-            'q': 0, 'w': 1, 'e': 2, 'r': 3, 't': 4,
-            'a': 5, 's': 6, 'd': 7, 'f': 8
+            'q': 0, 'w': 1, 'e': 2, 'r': 3,
+            't': 4, 'a': 5, 's': 6, 'd': 7
         };
         const baseIndex = keyMap[e.key.toLowerCase()];
         if (baseIndex !== undefined) {
@@ -330,5 +313,5 @@ window.addEventListener('DOMContentLoaded', () => {
 
 console.log('📐 Geometry Tabs Module: Loaded');
 console.log('⌨️ Keyboard Shortcuts:');
-console.log('  - Alt + 1-3: Switch core types');
-console.log('  - Alt + Q,W,E,R,T,A,S,D,F: Select geometries 0-8 (F = Hexacosichoron!)');
+console.log(`  - Alt + 1-${Math.min(getGeometryCores().length, 9)}: Switch core types`);
+console.log('  - Alt + Q,W,E,R,T,A,S,D: Select base geometries 0-7');
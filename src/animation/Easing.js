@@ -0,0 +1,69 @@
+/**
+ * Easing curves for parameter animation
+ * Every curve maps normalized progress 0..1 to eased progress (0 → 0, 1 → 1)
+ */
+
+export const Easing = {
+    linear: t => t,
+    step: t => (t < 1 ? 0 : 1),
+
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+
+    easeInSine: t => 1 - Math.cos((t * Math.PI) / 2),
+    easeOutSine: t => Math.sin((t * Math.PI) / 2),
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+
+    easeInExpo: t => (t === 0 ? 0 : Math.pow(2, 10 * t - 10)),
+    easeOutExpo: t => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+
+    easeOutBack: t => {
+        const c1 = 1.70158;
+        const c3 = c1 + 1;
+        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+    },
+    easeOutElastic: t => {
+        if (t === 0 || t === 1) return t;
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * ((2 * Math.PI) / 3)) + 1;
+    }
+};
+
+/**
+ * CSS-style cubic-bezier(x1, y1, x2, y2) solved with Newton iterations
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+    const bezier = (t, p1, p2) => 3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t;
+    const derivative = (t, p1, p2) => 3 * (1 - t) * (1 - t) * p1 + 6 * (1 - t) * t * (p2 - p1) + 3 * t * t * (1 - p2);
+
+    return x => {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+
+        let t = x;
+        for (let i = 0; i < 8; i++) {
+            const slope = derivative(t, x1, x2);
+            if (Math.abs(slope) < 1e-6) break;
+            t -= (bezier(t, x1, x2) - x) / slope;
+        }
+        return bezier(Math.max(0, Math.min(1, t)), y1, y2);
+    };
+}
+
+/**
+ * Resolve a serializable easing spec: a curve name or a [x1, y1, x2, y2] bezier
+ * Unknown names fall back to linear
+ */
+export function getEasing(spec = 'linear') {
+    if (typeof spec === 'function') {
+        return spec;
+    }
+    if (Array.isArray(spec) && spec.length === 4) {
+        return cubicBezier(...spec);
+    }
+    return Easing[spec] || Easing.linear;
+}
@@ -0,0 +1,260 @@
+/**
+ * Parameter Timeline - keyframe animation for ParameterManager parameters
+ * Tracks hold keyframes per parameter; the engine calls update(time) every frame
+ * and applies the sampled values. Serializes to plain JSON for save/share.
+ * Float parameters interpolate between keyframes; int parameters (geometry, projection,
+ * rotation mode, hue, ...) hold each keyframe's value and step at the next keyframe.
+ */
+
+import { getEasing } from './Easing.js';
+import { resolveParameterName, clampParameter, getParameterDefinition } from '../core/ParameterSchema.js';
+
+export const LOOP_MODES = ['once', 'loop', 'pingpong'];
+
+export class ParameterTimeline {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.duration] - Timeline length in ms; defaults to the last keyframe
+     * @param {'once'|'loop'|'pingpong'} [options.loopMode='once']
+     * @param {number} [options.playbackRate=1]
+     */
+    constructor(options = {}) {
+        this.tracks = new Map();
+        this.duration = options.duration || 0;
+        this.loopMode = LOOP_MODES.includes(options.loopMode) ? options.loopMode : 'once';
+        this.playbackRate = options.playbackRate ?? 1;
+
+        this.position = 0;
+        this.playing = false;
+        this.lastTime = null;
+        this.dirty = false;
+    }
+
+    /**
+     * Add (or replace) a keyframe. The easing shapes the segment leading INTO this keyframe.
+     * @param {string} parameter - Parameter name or legacy alias
+     * @param {number} time - Position in ms
+     * @param {number} value
+     * @param {string|number[]} [easing='linear'] - Easing name or cubic-bezier control points
+     */
+    addKeyframe(parameter, time, value, easing = 'linear') {
+        const name = resolveParameterName(parameter);
+        if (!name) {
+            console.warn(`⚠️ Timeline: unknown parameter ${parameter}`);
+            return false;
+        }
+        if (!Number.isFinite(time) || time < 0) {
+            console.warn(`⚠️ Timeline: invalid keyframe time ${time}`);
+            return false;
+        }
+
+        const track = this.tracks.get(name) || [];
+        const keyframe = { time, value: clampParameter(name, value), easing };
+        const existing = track.findIndex(k => k.time === time);
+        if (existing >= 0) {
+            track[existing] = keyframe;
+        } else {
+            track.push(keyframe);
+            track.sort((a, b) => a.time - b.time);
+        }
+
+        this.tracks.set(name, track);
+        this.dirty = true;
+        return true;
+    }
+
+    removeKeyframe(parameter, time) {
+        const name = resolveParameterName(parameter);
+        const track = this.tracks.get(name);
+        if (!track) return false;
+
+        const index = track.findIndex(k => k.time === time);
+        if (index < 0) return false;
+
+        track.splice(index, 1);
+        if (track.length === 0) {
+            this.tracks.delete(name);
+        }
+        this.dirty = true;
+        return true;
+    }
+
+    getKeyframes(parameter) {
+        return (this.tracks.get(resolveParameterName(parameter)) || []).map(k => ({ ...k }));
+    }
+
+    clearTrack(parameter) {
+        if (!this.tracks.delete(resolveParameterName(parameter))) return false;
+
+        this.dirty = true;
+        return true;
+    }
+
+    clear() {
+        this.tracks.clear();
+        this.stop();
+    }
+
+    hasKeyframes() {
+        return this.tracks.size > 0;
+    }
+
+    /**
+     * Effective length: explicit duration, otherwise the latest keyframe
+     */
+    getDuration() {
+        if (this.duration > 0) return this.duration;
+
+        let last = 0;
+        this.tracks.forEach(track => {
+            last = Math.max(last, track[track.length - 1].time);
+        });
+        return last;
+    }
+
+    setLoopMode(mode) {
+        if (LOOP_MODES.includes(mode)) {
+            this.loopMode = mode;
+        }
+    }
+
+    play() {
+        if (this.loopMode === 'once' && this.position >= this.getDuration()) {
+            this.position = 0;
+        }
+        this.playing = true;
+        this.lastTime = null;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    stop() {
+        this.playing = false;
+        this.position = 0;
+        this.lastTime = null;
+        this.dirty = true;
+    }
+
+    /**
+     * Scrub to a position (ms on the unwrapped playhead); values apply on the next update
+     */
+    seek(position) {
+        this.position = Math.max(0, position);
+        this.dirty = true;
+        return this.sample(this.position);
+    }
+
+    /**
+     * Advance the playhead to host time and return the values to apply
+     * @param {number} time - Host/engine time in ms
+     * @returns {Object|null} Sampled parameter values, or null when nothing changed
+     */
+    update(time) {
+        const delta = this.lastTime === null ? 0 : time - this.lastTime;
+        this.lastTime = time;
+
+        if (!this.hasKeyframes() || (!this.playing && !this.dirty)) {
+            return null;
+        }
+
+        if (this.playing) {
+            this.position += delta * this.playbackRate;
+
+            const duration = this.getDuration();
+            if (this.loopMode === 'once' && this.position >= duration) {
+                this.position = duration;
+                this.playing = false;
+            }
+        }
+
+        this.dirty = false;
+        return this.sample(this.position);
+    }
+
+    /**
+     * Map an unwrapped playhead position to a time inside the timeline
+     */
+    resolvePosition(position) {
+        const duration = this.getDuration();
+        if (duration <= 0) return 0;
+
+        switch (this.loopMode) {
+            case 'loop':
+                return ((position % duration) + duration) % duration;
+            case 'pingpong': {
+                const cycle = ((position % (duration * 2)) + duration * 2) % (duration * 2);
+                return cycle <= duration ? cycle : duration * 2 - cycle;
+            }
+            default:
+                return Math.max(0, Math.min(duration, position));
+        }
+    }
+
+    /**
+     * Evaluate every track at a playhead position
+     */
+    sample(position) {
+        const local = this.resolvePosition(position);
+        const values = {};
+
+        this.tracks.forEach((track, name) => {
+            values[name] = this.evaluateTrack(name, track, local);
+        });
+
+        return values;
+    }
+
+    evaluateTrack(name, track, time) {
+        if (time <= track[0].time) return track[0].value;
+
+        const last = track[track.length - 1];
+        if (time >= last.time) return last.value;
+
+        let next = 1;
+        while (track[next].time < time) {
+            next++;
+        }
+
+        const from = track[next - 1];
+        const to = track[next];
+        if (getParameterDefinition(name).type === 'int') {
+            return time < to.time ? from.value : to.value;
+        }
+
+        const progress = getEasing(to.easing)((time - from.time) / (to.time - from.time));
+        return clampParameter(name, from.value + (to.value - from.value) * progress);
+    }
+
+    toJSON() {
+        const tracks = {};
+        this.tracks.forEach((track, name) => {
+            tracks[name] = track.map(k => ({ ...k }));
+        });
+
+        return {
+            version: 1,
+            duration: this.duration,
+            loopMode: this.loopMode,
+            playbackRate: this.playbackRate,
+            position: this.position,
+            playing: this.playing,
+            tracks
+        };
+    }
+
+    static fromJSON(data) {
+        const timeline = new ParameterTimeline(data || {});
+        if (!data || !data.tracks) {
+            return timeline;
+        }
+
+        Object.entries(data.tracks).forEach(([parameter, keyframes]) => {
+            keyframes.forEach(k => timeline.addKeyframe(parameter, k.time, k.value, k.easing));
+        });
+        timeline.position = data.position || 0;
+        timeline.playing = data.playing === true;
+        return timeline;
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * State Transition - eased interpolation from one parameter set to another
+ * - float parameters lerp
+ * - hue takes the short way round the colour wheel
+ * - the six rot4d* angles slerp as one 4D rotation (Rotor4D), so the path has no gimbal wobble
+ * - int parameters (geometry, projection, modes, ...) are discrete: they switch at the midpoint,
+ *   where `fade` reaches 0 so the host can hide the cut by fading the layers out and back in
+ */
+
+import { getEasing } from './Easing.js';
+import { PARAMETER_SCHEMA } from '../core/ParameterSchema.js';
+import { Rotor4D, PLANES } from '../math/Rotor4D.js';
+
+const ROTATION_PARAMETERS = PLANES.map(plane => `rot4d${plane}`);
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Rotor for rot4d* angles as the SDF shaders apply them (see RotationModes.getRotationAngles)
+ */
+function rotorFromParameters(params) {
+    return Rotor4D.fromAngles(ROTATION_PARAMETERS.map(name => -(params[name] || 0)));
+}
+
+export class StateTransition {
+    /**
+     * @param {Object} from - Complete starting parameter set
+     * @param {Object} to - Complete target parameter set
+     * @param {Object} [options]
+     * @param {number} [options.duration=1000] - Length in ms
+     * @param {string|number[]} [options.easing='easeInOutCubic'] - Easing name or cubic-bezier control points
+     * @param {boolean} [options.crossFade] - Fade through the midpoint; defaults to whether anything discrete changes
+     */
+    constructor(from, to, options = {}) {
+        this.from = { ...from };
+        this.to = { ...to };
+        this.duration = Math.max(0, options.duration ?? 1000);
+        this.easing = getEasing(options.easing || 'easeInOutCubic');
+        this.startTime = null;
+
+        this.floats = [];
+        this.discrete = [];
+        Object.keys(this.to).forEach(name => {
+            const definition = PARAMETER_SCHEMA[name];
+            if (!definition || ROTATION_PARAMETERS.includes(name) || name === 'hue' || this.from[name] === this.to[name]) {
+                return;
+            }
+            (definition.type === 'int' ? this.discrete : this.floats).push(name);
+        });
+
+        this.rotates = ROTATION_PARAMETERS.some(name => (this.from[name] || 0) !== (this.to[name] || 0));
+        if (this.rotates) {
+            this.fromRotation = rotorFromParameters(this.from);
+            this.toRotation = rotorFromParameters(this.to);
+            this.previousAngles = ROTATION_PARAMETERS.map(name => this.from[name] || 0);
+        }
+
+        this.crossFade = options.crossFade ?? this.discrete.length > 0;
+    }
+
+    /**
+     * Advance to a clock time; the first call starts the transition
+     * @param {number} time - Engine time in ms
+     * @returns {{values: Object, progress: number, fade: number, done: boolean}}
+     */
+    update(time) {
+        if (this.startTime === null) {
+            this.startTime = time;
+        }
+        const progress = this.duration > 0 ? Math.min(1, Math.max(0, (time - this.startTime) / this.duration)) : 1;
+        return { ...this.sample(progress), progress, done: progress >= 1 };
+    }
+
+    /**
+     * Parameter values and layer fade at a progress (0..1)
+     * @returns {{values: Object, fade: number}}
+     */
+    sample(progress) {
+        if (progress >= 1) {
+            return { values: { ...this.to }, fade: 1 };
+        }
+
+        const eased = this.easing(progress);
+        const values = {};
+
+        this.floats.forEach(name => {
+            values[name] = this.from[name] + (this.to[name] - this.from[name]) * eased;
+        });
+
+        if (this.from.hue !== this.to.hue && this.to.hue !== undefined) {
+            const delta = ((((this.to.hue - this.from.hue) % 360) + 540) % 360) - 180;
+            values.hue = (((this.from.hue + delta * eased) % 360) + 360) % 360;
+        }
+
+        if (this.rotates) {
+            const angles = Rotor4D.slerp(this.fromRotation, this.toRotation, eased).toAngles();
+            ROTATION_PARAMETERS.forEach((name, i) => {
+                // Each plane angle is 2π-periodic: take the turn nearest the previous sample so sliders
+                // move continuously, wrapping back only at the edge of the parameter range
+                const angle = -angles[PLANES[i]];
+                let value = angle + Math.round((this.previousAngles[i] - angle) / TWO_PI) * TWO_PI;
+                if (Math.abs(value) > PARAMETER_SCHEMA[name].max) {
+                    value -= Math.sign(value) * TWO_PI;
+                }
+                this.previousAngles[i] = value;
+                values[name] = value;
+            });
+        }
+
+        const source = progress < 0.5 ? this.from : this.to;
+        this.discrete.forEach(name => {
+            values[name] = source[name];
+        });
+
+        return {
+            values,
+            fade: this.crossFade ? Math.abs(Math.cos(Math.PI * progress)) : 1
+        };
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * Switch Transitions - how the outgoing and incoming systems' layers composite while
+ * VIB3Engine.switchSystem keeps both alive
+ *
+ * - cut      - no overlap (the old system is destroyed first)
+ * - dissolve - cross-fade
+ * - wipe     - the incoming system sweeps in from the left
+ * - rotate4d - the outgoing system turns out of 3-space through W while it fades
+ */
+
+import { getEasing } from './Easing.js';
+
+export const SWITCH_TRANSITIONS = ['cut', 'dissolve', 'wipe', 'rotate4d'];
+
+export const DEFAULT_SWITCH_DURATION = 800;
+
+/**
+ * Normalize a transition spec: a type name, { type, duration, easing }, or false/null for a cut
+ * @returns {{type: string, duration: number, easing: Function}|null} null when the switch should cut
+ */
+export function resolveSwitchTransition(spec) {
+    if (!spec) return null;
+
+    const options = typeof spec === 'string' ? { type: spec } : spec;
+    const type = options.type || 'dissolve';
+    if (!SWITCH_TRANSITIONS.includes(type)) {
+        throw new RangeError(`Unknown switch transition: ${type} (expected one of ${SWITCH_TRANSITIONS.join(', ')})`);
+    }
+
+    const duration = options.duration ?? DEFAULT_SWITCH_DURATION;
+    if (type === 'cut' || duration <= 0) return null;
+
+    return { type, duration, easing: getEasing(options.easing || 'easeInOutSine') };
+}
+
+/**
+ * Layer styles for both systems at a progress (0..1)
+ * @param {string} type - One of SWITCH_TRANSITIONS
+ * @param {number} progress - Eased progress
+ * @returns {{outgoing: {opacity: number, clipPath: string, rotation: number}, incoming: {opacity: number, clipPath: string}}}
+ *   rotation is the extra XW/YW turn (radians) for the outgoing system
+ */
+export function sampleSwitchTransition(type, progress) {
+    const t = Math.min(1, Math.max(0, progress));
+
+    if (type === 'wipe') {
+        const edge = (t * 100).toFixed(2);
+        return {
+            outgoing: { opacity: 1, clipPath: `inset(0 0 0 ${edge}%)`, rotation: 0 },
+            incoming: { opacity: 1, clipPath: `inset(0 ${(100 - t * 100).toFixed(2)}% 0 0)` }
+        };
+    }
+
+    return {
+        outgoing: { opacity: 1 - t, clipPath: '', rotation: type === 'rotate4d' ? t * Math.PI / 2 : 0 },
+        incoming: { opacity: t, clipPath: '' }
+    };
+}
@@ -3,10 +3,263 @@
  * No canvas destruction - HTML canvases stay put, just switch visibility
  */
 
+import { LayerCompositor, normalizeLayerSettings } from './LayerCompositor.js';
+
+/**
+ * Layer roles in stacking order - every system renders into these five canvases
+ */
+export const LAYER_ROLES = ['background', 'shadow', 'content', 'highlight', 'accent'];
+
 export class CanvasManager {
-  constructor() {
+  /**
+   * @param {string} [containerId] - Fallback container when the per-system layer container is missing
+   * @param {Object} [options]
+   * @param {string} [options.namespace] - Engine instance ID; namespaced managers prefix canvas/container IDs
+   *   and only ever touch their own canvases, so several engines can share a page
+   * @param {Element} [options.root] - Instance container (defaults to the containerId element)
+   * @param {boolean|Object} [options.compositor] - Render every layer through one WebGL context on one canvas
+   *   (see LayerCompositor); an object gives initial per-role settings: { layers: { content: { blendMode, opacity } } }
+   */
+  constructor(containerId = null, options = {}) {
+    this.currentSystem = null;
+    this.currentManifest = null;
+    this.currentEngine = null;
+    this.containerId = containerId;
+    this.namespace = options.namespace || null;
+    this.root = options.root || null;
+    this.ownedCanvases = [];
+    this.currentCanvases = [];
+    this.contexts = new Map();
+    this.layerOpacity = 1;
+    this.compositing = Boolean(options.compositor);
+    this.compositor = null;
+    this.layerSettings = {};
+    Object.entries((options.compositor && options.compositor.layers) || {}).forEach(([role, settings]) => {
+      this.layerSettings[role] = normalizeLayerSettings(settings);
+    });
+    this.postProcessing = { parameters: {}, order: undefined };
+  }
+
+  /**
+   * Prefix an element ID with this manager's namespace
+   */
+  namespaced(id) {
+    return this.namespace ? `${this.namespace}-${id}` : id;
+  }
+
+  /**
+   * Create fresh layer canvases for a system (VIB3Engine entry point)
+   * @param {string} systemName
+   * @param {Object} [manifest] - Registered system manifest (layers, canvasPrefix, container)
+   * @returns {Object<string, HTMLCanvasElement>|null} Canvases keyed by layer role
+   */
+  createSystemCanvases(systemName, manifest = null) {
+    this.releaseContexts();
+
+    const created = this.destroyAllCanvasesAndCreateFresh(systemName, manifest);
+    if (!created) {
+      return null;
+    }
+
+    const layers = manifest ? manifest.layers : LAYER_ROLES;
+    if (this.compositing) {
+      return this.createCompositor(created[0], layers, systemName, manifest);
+    }
+
+    const canvases = {};
+    created.forEach((canvas, index) => {
+      canvases[layers[index]] = canvas;
+    });
+    return canvases;
+  }
+
+  /**
+   * Wrap the system's single canvas in a LayerCompositor and hand out its virtual layer canvases
+   */
+  createCompositor(canvas, layers, systemName, manifest) {
+    try {
+      this.compositor = new LayerCompositor(canvas, {
+        layers,
+        canvasPrefix: this.namespaced(this.getCanvasPrefix(systemName, manifest)),
+        settings: this.layerSettings,
+        postProcessing: this.postProcessing
+      });
+    } catch (error) {
+      console.error('❌ Layer compositor failed:', error);
+      return null;
+    }
+
+    const canvases = {};
+    layers.forEach(role => {
+      canvases[role] = this.compositor.getLayerCanvas(role);
+    });
+    return canvases;
+  }
+
+  /**
+   * Blend the layers onto the canvas after a frame (no-op without the compositor)
+   * @param {Object} [retired] - An outgoing system's retireSystemCanvases() handle instead of the current system
+   */
+  present(retired = null) {
+    const compositor = retired ? retired.compositor : this.compositor;
+    if (compositor) {
+      compositor.composite();
+    }
+  }
+
+  /**
+   * Blend mode, opacity and visibility of one compositor layer; kept for later systems
+   * @param {string} role
+   * @param {{blendMode?: string, opacity?: number, visible?: boolean}} settings
+   * @returns {{blendMode: string, opacity: number, visible: boolean}}
+   */
+  configureLayer(role, settings) {
+    if (!this.compositing) {
+      throw new Error('Layer blending needs the compositor (create the engine with { compositor: true })');
+    }
+    this.layerSettings[role] = normalizeLayerSettings(settings, this.layerSettings[role]);
+    if (this.compositor && this.compositor.getLayer(role)) {
+      this.compositor.configureLayer(role, settings);
+    }
+    return { ...this.layerSettings[role] };
+  }
+
+  /**
+   * Compositor settings keyed by role for the current system's layers
+   */
+  getLayerSettings() {
+    return this.compositor ? this.compositor.getLayerSettings() : {};
+  }
+
+  /**
+   * Post-processing parameters and/or pass order for the current compositor; kept for later systems
+   * @param {{parameters?: Object, order?: string[]}} settings
+   */
+  setPostProcessing({ parameters, order } = {}) {
+    if (parameters) this.postProcessing.parameters = { ...this.postProcessing.parameters, ...parameters };
+    if (order) this.postProcessing.order = order;
+    if (this.compositor) {
+      this.compositor.setPostProcessing({ parameters, order });
+    }
+  }
+
+  /**
+   * Track a WebGL context so it can be released on the next switch or destroy
+   */
+  registerContext(canvasId, gl) {
+    this.contexts.set(canvasId, gl);
+  }
+
+  /**
+   * Fade every layer canvas of the current system - transitions dip through 0 to hide cuts
+   * Canvases created later start at the same opacity.
+   * @param {number} opacity - 0..1
+   */
+  setLayerOpacity(opacity) {
+    this.layerOpacity = Math.max(0, Math.min(1, opacity));
+    this.getLayerCanvases().forEach(canvas => {
+      canvas.style.opacity = String(this.layerOpacity);
+    });
+  }
+
+  /**
+   * The current system's layer canvases in stacking order
+   */
+  getLayerCanvases() {
+    return [...this.currentCanvases];
+  }
+
+  /**
+   * Style a set of layer canvases (defaults to the current system's) - switch transitions composite through this
+   * @param {HTMLCanvasElement[]|null} canvases
+   * @param {{opacity?: number, clipPath?: string}} style
+   */
+  styleLayers(canvases, { opacity, clipPath }) {
+    (canvases || this.currentCanvases).forEach(canvas => {
+      if (opacity !== undefined) {
+        canvas.style.opacity = String(opacity);
+      }
+      if (clipPath !== undefined) {
+        canvas.style.clipPath = clipPath;
+      }
+    });
+  }
+
+  /**
+   * Hand the current system's canvases and contexts over to an outgoing switch transition
+   * The next createSystemCanvases leaves them alone until releaseRetiredCanvases is called.
+   * @returns {{canvases: HTMLCanvasElement[], contexts: Map, compositor: LayerCompositor|null}}
+   */
+  retireSystemCanvases() {
+    const retired = { canvases: this.currentCanvases, contexts: this.contexts, compositor: this.compositor };
+    retired.canvases.forEach(canvas => {
+      canvas.dataset.vib3Retiring = 'true';
+    });
+
+    this.currentCanvases = [];
+    this.ownedCanvases = this.ownedCanvases.filter(canvas => !retired.canvases.includes(canvas));
+    this.contexts = new Map();
+    this.compositor = null;
+    return retired;
+  }
+
+  /**
+   * Lose the contexts and remove the canvases of a finished outgoing system
+   */
+  releaseRetiredCanvases(retired) {
+    retired.contexts.forEach(gl => {
+      const loseContextExt = gl.getExtension && gl.getExtension('WEBGL_lose_context');
+      if (loseContextExt && !gl.isContextLost()) {
+        loseContextExt.loseContext();
+      }
+    });
+    retired.contexts.clear();
+    if (retired.compositor) {
+      retired.compositor.destroy();
+    }
+
+    retired.canvases.forEach(canvas => {
+      const container = canvas.parentElement;
+      canvas.remove();
+      // Hide the outgoing system's container once it is empty, unless the new system lives there too
+      if (container && !container.querySelector('canvas') && !this.currentCanvases.some(current => current.parentElement === container)) {
+        container.style.display = 'none';
+      }
+    });
+  }
+
+  /**
+   * Whether an outgoing switch transition still owns canvases in this container
+   */
+  holdsRetiring(container) {
+    return Boolean(container && container.querySelector('canvas[data-vib3-retiring]'));
+  }
+
+  releaseContexts() {
+    this.contexts.forEach(gl => {
+      const loseContextExt = gl.getExtension && gl.getExtension('WEBGL_lose_context');
+      if (loseContextExt && !gl.isContextLost()) {
+        loseContextExt.loseContext();
+      }
+    });
+    this.contexts.clear();
+    if (this.compositor) {
+      this.compositor.destroy();
+      this.compositor = null;
+    }
+  }
+
+  destroy() {
+    this.releaseContexts();
+    if (this.namespace) {
+      this.removeOwnedCanvases();
+    } else if (this.currentSystem) {
+      this.getCanvasIdsForSystem(this.currentSystem, this.currentManifest).forEach(id => document.getElementById(id)?.remove());
+    }
     this.currentSystem = null;
+    this.currentManifest = null;
     this.currentEngine = null;
+    this.currentCanvases = [];
   }
 
   async switchToSystem(systemName, engineClasses) {
@@ -47,7 +300,7 @@ export class CanvasManager {
     console.log('💥 COMPLETE DESTRUCTION: WebGL contexts + old system cleanup...');
     
     // STEP 1: Kill all WebGL contexts first
-    const allCanvases = document.querySelectorAll('canvas');
+    const allCanvases = document.querySelectorAll('canvas:not([data-vib3-instance])');
     let destroyedCount = 0;
     
     allCanvases.forEach(canvas => {
@@ -84,38 +337,61 @@ export class CanvasManager {
     console.log(`💥 DESTRUCTION COMPLETE: ${destroyedCount} WebGL contexts destroyed, all engine refs cleared`);
   }
 
-  destroyAllCanvasesAndCreateFresh(systemName) {
-    console.log('💥 DESTROYING ALL CANVASES + CREATING 5 FRESH ONES');
+  destroyAllCanvasesAndCreateFresh(systemName, manifest = null) {
+    console.log('💥 DESTROYING ALL CANVASES + CREATING FRESH ONES');
     
-    // STEP 1: DESTROY all existing canvases completely
-    const allCanvases = document.querySelectorAll('canvas');
-    allCanvases.forEach(canvas => canvas.remove());
-    console.log(`💥 Destroyed ${allCanvases.length} old canvases`);
-    
-    // STEP 2: Clear all containers
-    const containers = ['vib34dLayers', 'quantumLayers', 'holographicLayers', 'polychoraLayers'];
-    containers.forEach(containerId => {
-      const container = document.getElementById(containerId);
-      if (container) {
-        container.innerHTML = '';
-        container.style.display = 'none';
+    if (this.namespace) {
+      // Namespaced instance: only our own canvases go, other engines on the page are untouched
+      this.removeOwnedCanvases();
+      if (this.currentManifest) {
+        const previous = document.getElementById(this.namespaced(this.currentManifest.container));
+        if (previous && !this.holdsRetiring(previous)) {
+          previous.style.display = 'none';
+        }
       }
-    });
+    } else {
+      // STEP 1: DESTROY all existing canvases completely (except those owned by namespaced engines)
+      // Canvases retired to a running switch transition stay until it finishes
+      const allCanvases = document.querySelectorAll('canvas:not([data-vib3-instance]):not([data-vib3-retiring])');
+      allCanvases.forEach(canvas => canvas.remove());
+      console.log(`💥 Destroyed ${allCanvases.length} old canvases`);
+      
+      // STEP 2: Clear all containers
+      const containers = ['vib34dLayers', 'quantumLayers', 'holographicLayers', 'polychoraLayers'];
+      if (this.currentManifest && !containers.includes(this.currentManifest.container)) {
+        containers.push(this.currentManifest.container);
+      }
+      containers.forEach(containerId => {
+        const container = document.getElementById(containerId);
+        if (container && this.holdsRetiring(container)) {
+          Array.from(container.children).forEach(child => {
+            if (!child.dataset || !child.dataset.vib3Retiring) {
+              child.remove();
+            }
+          });
+        } else if (container) {
+          container.innerHTML = '';
+          container.style.display = 'none';
+        }
+      });
+    }
     
-    // STEP 3: CREATE 5 fresh canvases for the new system
-    const targetId = systemName === 'faceted' ? 'vib34dLayers' : `${systemName}Layers`;
-    const targetContainer = document.getElementById(targetId);
+    // STEP 3: CREATE fresh canvases for the new system
+    const targetId = this.namespaced(manifest ? manifest.container : (systemName === 'faceted' ? 'vib34dLayers' : `${systemName}Layers`));
+    const targetContainer = document.getElementById(targetId) ||
+      this.root ||
+      (this.containerId && document.getElementById(this.containerId));
     
     if (!targetContainer) {
       console.error(`❌ Container ${targetId} not found`);
-      return;
+      return null;
     }
     
     // Create canvas IDs for this system
-    const canvasIds = this.getCanvasIdsForSystem(systemName);
+    const canvasIds = this.getCanvasIdsForSystem(systemName, manifest).map(id => this.namespaced(id));
     
-    // Create 5 fresh canvases
-    canvasIds.forEach((canvasId, index) => {
+    // Create one fresh canvas per layer
+    const created = canvasIds.map((canvasId, index) => {
       const canvas = document.createElement('canvas');
       canvas.id = canvasId;
       canvas.className = 'visualization-canvas';
@@ -125,15 +401,22 @@ export class CanvasManager {
       canvas.style.width = '100%';
       canvas.style.height = '100%';
       canvas.style.zIndex = index + 1;
+      canvas.style.opacity = String(this.layerOpacity);
       
-      // Set canvas dimensions
-      const viewWidth = window.innerWidth;
-      const viewHeight = window.innerHeight;
+      // Set canvas dimensions - namespaced instances size to their own card, not the viewport
+      const viewWidth = (this.namespace && targetContainer.clientWidth) || window.innerWidth;
+      const viewHeight = (this.namespace && targetContainer.clientHeight) || window.innerHeight;
       const dpr = Math.min(window.devicePixelRatio || 1, 2);
       canvas.width = viewWidth * dpr;
       canvas.height = viewHeight * dpr;
       
+      if (this.namespace) {
+        canvas.dataset.vib3Instance = this.namespace;
+        this.ownedCanvases.push(canvas);
+      }
+      
       targetContainer.appendChild(canvas);
+      return canvas;
     });
     
     // Show the target container
@@ -141,23 +424,44 @@ export class CanvasManager {
     targetContainer.style.visibility = 'visible';
     targetContainer.style.opacity = '1';
     
-    console.log(`✅ Created 5 fresh canvases for ${systemName}: ${canvasIds.join(', ')}`);
+    this.currentSystem = systemName;
+    this.currentManifest = manifest;
+    this.currentCanvases = created;
+    console.log(`✅ Created ${created.length} fresh canvases for ${systemName}: ${canvasIds.join(', ')}`);
+    return created;
   }
   
-  getCanvasIdsForSystem(systemName) {
-    const baseIds = ['background-canvas', 'shadow-canvas', 'content-canvas', 'highlight-canvas', 'accent-canvas'];
-    
+  removeOwnedCanvases() {
+    this.ownedCanvases.forEach(canvas => canvas.remove());
+    this.ownedCanvases = [];
+  }
+  
+  /**
+   * Canvas IDs in layer order - from the registered manifest when given, else the legacy naming
+   * With the compositor a system gets one canvas, `${prefix}composite-canvas`
+   */
+  getCanvasIdsForSystem(systemName, manifest = null) {
+    const prefix = this.getCanvasPrefix(systemName, manifest);
+    if (this.compositing) {
+      return [`${prefix}composite-canvas`];
+    }
+    return (manifest ? manifest.layers : LAYER_ROLES).map(role => `${prefix}${role}-canvas`);
+  }
+
+  getCanvasPrefix(systemName, manifest = null) {
+    if (manifest) {
+      return manifest.canvasPrefix;
+    }
+
     switch (systemName) {
-      case 'faceted':
-        return baseIds;
       case 'quantum':
-        return baseIds.map(id => `quantum-${id}`);
+        return 'quantum-';
       case 'holographic':
-        return baseIds.map(id => `holo-${id}`);
+        return 'holo-';
       case 'polychora':
-        return baseIds.map(id => `polychora-${id}`);
+        return 'polychora-';
       default:
-        return baseIds;
+        return '';
     }
   }
   
@@ -193,10 +497,10 @@ export class CanvasManager {
           break;
           
         case 'polychora':
-          if (engineClasses.NewPolychoraEngine) {
-            engine = new engineClasses.NewPolychoraEngine();
-            window.newPolychoraEngine = engine;
-            console.log('✅ Fresh TRUE 4D Polychora Engine with VIB34D DNA');
+          if (engineClasses.PolychoraMeshSystem) {
+            engine = new engineClasses.PolychoraMeshSystem();
+            window.polychoraSystem = engine;
+            console.log('✅ Fresh Polychora mesh engine');
           }
           break;
           
@@ -0,0 +1,132 @@
+/**
+ * Engine Clock - the single time source for every render loop
+ * Supports pause/resume, single-stepping, seeking, time scaling and a fixed timestep
+ * so frame N of a given state renders identically on any machine or refresh rate.
+ * The owner of the render loop calls tick(); systems only ever receive the resulting time.
+ */
+
+export class EngineClock {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.now] - Host time source in ms (defaults to performance.now / Date.now)
+     * @param {number} [options.timeScale=1] - Multiplier applied to elapsed time
+     * @param {number} [options.fixedTimestep=0] - When > 0, each tick advances exactly this many ms
+     * @param {number} [options.maxDelta=250] - Clamp for host hitches (tab switches, breakpoints)
+     */
+    constructor(options = {}) {
+        this.now = options.now || (typeof performance !== 'undefined' ? () => performance.now() : () => Date.now());
+        this.timeScale = options.timeScale ?? 1;
+        this.fixedTimestep = options.fixedTimestep || 0;
+        this.maxDelta = options.maxDelta ?? 250;
+
+        this.time = 0;
+        this.frame = 0;
+        this.paused = false;
+        this.lastHostTime = null;
+    }
+
+    /**
+     * Advance one frame and return engine time in ms
+     * @param {number} [hostTime] - Host timestamp (e.g. the rAF argument); ignored in fixed-timestep mode
+     */
+    tick(hostTime = this.now()) {
+        const hostDelta = this.lastHostTime === null ? 0 : hostTime - this.lastHostTime;
+        this.lastHostTime = hostTime;
+
+        if (this.paused) {
+            return this.time;
+        }
+
+        const delta = this.fixedTimestep > 0
+            ? this.fixedTimestep
+            : Math.min(Math.max(0, hostDelta), this.maxDelta);
+
+        this.time += delta * this.timeScale;
+        this.frame++;
+        return this.time;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        // Don't count the paused interval as elapsed time
+        this.lastHostTime = null;
+    }
+
+    /**
+     * Advance by one frame while paused (or by an explicit amount of ms)
+     */
+    step(delta = this.fixedTimestep || 1000 / 60) {
+        this.time += delta * this.timeScale;
+        this.frame++;
+        return this.time;
+    }
+
+    /**
+     * Jump to an absolute engine time; in fixed-timestep mode the frame counter follows
+     */
+    seek(time) {
+        this.time = Math.max(0, time);
+        if (this.fixedTimestep > 0 && this.timeScale > 0) {
+            this.frame = Math.round(this.time / (this.fixedTimestep * this.timeScale));
+        }
+        return this.time;
+    }
+
+    /**
+     * Jump to frame N of a fixed-timestep clock
+     */
+    seekFrame(frame) {
+        const step = (this.fixedTimestep || 1000 / 60) * this.timeScale;
+        this.frame = Math.max(0, Math.floor(frame));
+        this.time = this.frame * step;
+        return this.time;
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+
+    setFixedTimestep(ms) {
+        this.fixedTimestep = Math.max(0, ms || 0);
+    }
+
+    reset() {
+        this.time = 0;
+        this.frame = 0;
+        this.lastHostTime = null;
+    }
+
+    getTime() {
+        return this.time;
+    }
+
+    getFrame() {
+        return this.frame;
+    }
+
+    toJSON() {
+        return {
+            time: this.time,
+            frame: this.frame,
+            timeScale: this.timeScale,
+            fixedTimestep: this.fixedTimestep,
+            paused: this.paused
+        };
+    }
+
+    /**
+     * Restore time and mode from toJSON() output (host time source is kept)
+     */
+    restore(data = {}) {
+        this.timeScale = data.timeScale ?? this.timeScale;
+        this.fixedTimestep = data.fixedTimestep ?? this.fixedTimestep;
+        this.time = data.time || 0;
+        this.frame = data.frame || 0;
+        this.paused = data.paused === true;
+        this.lastHostTime = null;
+    }
+}
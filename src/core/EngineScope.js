@@ -0,0 +1,112 @@
+/**
+ * Engine Scope - per-engine replacement for the window.* singletons
+ * Systems and visualizers read audio levels, reactivity settings and DOM lookups through
+ * their scope and push interaction-driven parameter changes back through it.
+ *
+ * The global scope mirrors the legacy page globals (window.audioEnabled, window.audioReactive,
+ * window.reactivityManager, window.updateParameter, fixed element IDs) so the single-engine
+ * demo keeps working. Isolated scopes own that state, which lets several engines share a page.
+ */
+
+export class EngineScope {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.id] - Namespace for element IDs; omitted = legacy global scope
+     * @param {Element} [options.root] - Element that owns this instance's DOM (defaults to document)
+     * @param {Function} [options.onParameter] - (name, value) sink for interaction-driven parameter changes
+     */
+    constructor(options = {}) {
+        this.id = options.id || null;
+        this.global = !this.id;
+        this.root = options.root || null;
+        this.onParameter = options.onParameter || null;
+
+        // Isolated state (unused by the global scope, which reads window.*)
+        this.audioEnabled = false;
+        this.audioLevels = null;
+        this.audioReactivitySettings = null;
+        this.reactivityManager = null;
+    }
+
+    /**
+     * Whether state lives on window (legacy page) rather than on this object
+     */
+    usesWindow() {
+        return this.global && typeof window !== 'undefined';
+    }
+
+    /**
+     * Audio toggle: true/false, or undefined when a global page never set it
+     */
+    getAudioEnabled() {
+        return this.usesWindow() ? window.audioEnabled : this.audioEnabled;
+    }
+
+    setAudioEnabled(enabled) {
+        if (this.usesWindow()) {
+            window.audioEnabled = enabled;
+        } else {
+            this.audioEnabled = enabled;
+        }
+    }
+
+    /**
+     * Current audio bands ({bass, mid, high, energy}) or null when audio is off
+     */
+    getAudioLevels() {
+        const levels = this.usesWindow() ? window.audioReactive : this.audioLevels;
+        return this.getAudioEnabled() && levels ? levels : null;
+    }
+
+    setAudioLevels(levels) {
+        if (this.usesWindow()) {
+            window.audioReactive = levels;
+        } else {
+            this.audioLevels = levels;
+        }
+    }
+
+    getAudioReactivitySettings() {
+        return (this.usesWindow() ? window.audioReactivitySettings : this.audioReactivitySettings) || null;
+    }
+
+    getReactivityManager() {
+        return (this.usesWindow() ? window.reactivityManager : this.reactivityManager) || null;
+    }
+
+    /**
+     * Route an interaction-driven parameter change (mouse, audio, click effects)
+     */
+    updateParameter(name, value) {
+        if (this.onParameter) {
+            this.onParameter(name, typeof value === 'string' ? parseFloat(value) : value);
+        } else if (this.usesWindow() && window.updateParameter) {
+            window.updateParameter(name, value);
+        }
+    }
+
+    /**
+     * Namespaced element ID ('quantum-content-canvas' → 'cardA-quantum-content-canvas')
+     */
+    elementId(baseId) {
+        return this.id ? `${this.id}-${baseId}` : baseId;
+    }
+
+    /**
+     * Look up one of this instance's elements by its un-namespaced ID
+     */
+    getElementById(baseId) {
+        if (typeof document === 'undefined') {
+            return null;
+        }
+
+        const id = this.elementId(baseId);
+        if (this.root && this.root.querySelector) {
+            return this.root.querySelector(`#${CSS.escape(id)}`);
+        }
+        return document.getElementById(id);
+    }
+}
+
+// Shared legacy scope for systems constructed without one
+export const globalScope = new EngineScope();
@@ -1,5 +1,8 @@
 // src/core/EnhancedPolychoraSystem.js
 import { Hexacosichoron } from '../geometry/Hexacosichoron.js';
+import { getPolychoron, getPolychoronMesh } from '../geometry/RegularPolychora.js';
+import { PROJECTION, getProjectionIndex, getProjectionUniforms } from '../geometry/Projection.js';
+import { composeShader } from '../shaders/ShaderLibrary.js';
 
 /**
  * A Paul Phillips Manifestation
@@ -13,7 +16,6 @@ class EnhancedPolychoraSystem {
     this.gl = gl;
     this.canvasManager = canvasManager;
     this.rotation4D = this.createIdentityMatrix4D();
-    this.projectionMethod = 'stereographic';
     this.polytopes = new Map();
     
     this.rotationAngles = {
@@ -31,7 +33,8 @@ class EnhancedPolychoraSystem {
       glassRefraction: 1.5,
       holographicIntensity: 0.3,
       quantumParticleSize: 0.2,
-      viewDistance4D: 3.0,
+      projection: PROJECTION.STEREOGRAPHIC,
+      projectionDistance: 3.0,
       complexity: 1.0
     };
     
@@ -50,7 +53,7 @@ class EnhancedPolychoraSystem {
 
   initializeShaders() {
     // Enhanced 4D vertex shader with all rotation planes
-    this.vertexShader = `#version 300 es
+    this.vertexShader = composeShader(`#version 300 es
       precision highp float;
       
       in vec4 a_position4D;
@@ -65,27 +68,12 @@ class EnhancedPolychoraSystem {
       uniform mat4 u_rotationZW;
       uniform mat4 u_modelView;
       uniform mat4 u_projection;
-      uniform float u_viewDistance4D;
-      uniform int u_projectionType;
       
       out vec3 v_position;
       out vec3 v_normal;
       out vec4 v_color;
       out float v_depth4D;
-      
-      vec3 stereographicProject(vec4 p) {
-        return p.xyz / (1.0 + p.w);
-      }
-      
-      vec3 perspectiveProject4D(vec4 p) {
-        float w = p.w + u_viewDistance4D;
-        return (w > 0.0) ? p.xyz / w : vec3(0.0);
-      }
-      
-      vec3 orthographicProject(vec4 p) {
-        return p.xyz;
-      }
-      
+      #include <projection>
       void main() {
         // Apply all 4D rotations in sequence
         vec4 rotated = a_position4D;
@@ -96,15 +84,8 @@ class EnhancedPolychoraSystem {
         rotated = u_rotationYW * rotated;
         rotated = u_rotationZW * rotated;
         
-        // Project from 4D to 3D based on projection type
-        vec3 projected;
-        if (u_projectionType == 0) {
-          projected = stereographicProject(rotated);
-        } else if (u_projectionType == 1) {
-          projected = perspectiveProject4D(rotated);
-        } else {
-          projected = orthographicProject(rotated);
-        }
+        // Project from 4D to 3D with the shared projection modes
+        vec3 projected = project4D(rotated);
         
         v_position = projected;
         v_normal = normalize(mat3(u_modelView) * a_normal);
@@ -114,7 +95,7 @@ class EnhancedPolychoraSystem {
         gl_Position = u_projection * u_modelView * vec4(projected, 1.0);
         gl_PointSize = 3.0 + v_depth4D * 2.0;
       }
-    `;
+    `);
 
     // Fragment shader combining faceted, quantum, and holographic styles
     this.fragmentShader = `#version 300 es
@@ -262,8 +243,8 @@ class EnhancedPolychoraSystem {
       glassRefraction: this.gl.getUniformLocation(this.program, 'u_glassRefraction'),
       holographicIntensity: this.gl.getUniformLocation(this.program, 'u_holographicIntensity'),
       quantumParticleSize: this.gl.getUniformLocation(this.program, 'u_quantumParticleSize'),
-      viewDistance4D: this.gl.getUniformLocation(this.program, 'u_viewDistance4D'),
-      projectionType: this.gl.getUniformLocation(this.program, 'u_projectionType'),
+      projectionMode: this.gl.getUniformLocation(this.program, 'u_projectionMode'),
+      projectionDistance: this.gl.getUniformLocation(this.program, 'u_projectionDistance'),
       noiseTexture: this.gl.getUniformLocation(this.program, 'u_noiseTexture')
     };
   }
@@ -310,213 +291,26 @@ class EnhancedPolychoraSystem {
   }
 
   initializePolytopes() {
-    this.polytopes.set('tesseract', this.createTesseract());
-    this.polytopes.set('16-cell', this.create16Cell());
-    this.polytopes.set('24-cell', this.create24Cell());
-    this.polytopes.set('120-cell', this.create120Cell());
+    this.polytopes.set('tesseract', this.createRegularPolychoron(1));
+    this.polytopes.set('16-cell', this.createRegularPolychoron(2));
+    this.polytopes.set('24-cell', this.createRegularPolychoron(3));
+    this.polytopes.set('120-cell', this.createRegularPolychoron(5));
     this.polytopes.set('600-cell', this.create600Cell());
-    this.polytopes.set('5-cell', this.create5Cell());
-  }
-
-  createTesseract() {
-    const vertices = [];
-    const colors = [];
-    const indices = [];
-    
-    // Generate tesseract vertices (16 vertices)
-    for (let i = 0; i < 16; i++) {
-      vertices.push(
-        (i & 1) ? 1 : -1,    // x
-        (i & 2) ? 1 : -1,    // y
-        (i & 4) ? 1 : -1,    // z
-        (i & 8) ? 1 : -1     // w
-      );
-      
-      // Color based on 4D position
-      colors.push(
-        (i & 1) ? 1 : 0.5,
-        (i & 2) ? 1 : 0.5,
-        (i & 4) ? 1 : 0.5,
-        0.8
-      );
-    }
-    
-    // Generate edges (32 edges)
-    for (let i = 0; i < 16; i++) {
-      for (let j = i + 1; j < 16; j++) {
-        const diff = i ^ j;
-        // Connected if they differ in exactly one bit
-        if ((diff & (diff - 1)) === 0) {
-          indices.push(i, j);
-        }
-      }
-    }
-    
-    return {
-      vertices: new Float32Array(vertices),
-      colors: new Float32Array(colors),
-      indices: new Uint16Array(indices),
-      vertexCount: vertices.length / 4
-    };
-  }
-
-  create5Cell() {
-    // Regular 5-cell (4D simplex) - 5 vertices
-    const vertices = new Float32Array([
-      1, 1, 1, 1,
-      1, -1, -1, 1,
-      -1, 1, -1, 1,
-      -1, -1, 1, 1,
-      0, 0, 0, -1
-    ]);
-    
-    const colors = new Float32Array([
-      1, 0, 0, 0.9,
-      0, 1, 0, 0.9,
-      0, 0, 1, 0.9,
-      1, 1, 0, 0.9,
-      1, 0, 1, 0.9
-    ]);
-    
-    // Connect all pairs (complete graph)
-    const indices = [];
-    for (let i = 0; i < 5; i++) {
-      for (let j = i + 1; j < 5; j++) {
-        indices.push(i, j);
-      }
-    }
-    
-    return {
-      vertices,
-      colors,
-      indices: new Uint16Array(indices),
-      vertexCount: 5
-    };
-  }
-
-  create16Cell() {
-    // 16-cell (regular cross-polytope in 4D)
-    const vertices = [];
-    const colors = [];
-    
-    // 8 vertices: ±(1,0,0,0), ±(0,1,0,0), ±(0,0,1,0), ±(0,0,0,1)
-    const coords = [[1,0,0,0], [0,1,0,0], [0,0,1,0], [0,0,0,1]];
-    
-    for (const coord of coords) {
-      // Positive vertex
-      vertices.push(...coord);
-      colors.push(0.8, 0.4, 1.0, 0.9);
-      
-      // Negative vertex
-      vertices.push(...coord.map(x => -x));
-      colors.push(0.4, 0.8, 1.0, 0.9);
-    }
-    
-    const indices = [];
-    // Connect vertices that are perpendicular
-    for (let i = 0; i < 8; i++) {
-      for (let j = i + 1; j < 8; j++) {
-        // Skip opposite vertices (they're antipodal)
-        if (Math.floor(i/2) !== Math.floor(j/2)) {
-          indices.push(i, j);
-        }
-      }
-    }
-    
-    return {
-      vertices: new Float32Array(vertices),
-      colors: new Float32Array(colors),
-      indices: new Uint16Array(indices),
-      vertexCount: vertices.length / 4
-    };
+    this.polytopes.set('5-cell', this.createRegularPolychoron(0));
   }
 
-  create24Cell() {
-    // 24-cell vertices (simplified version)
-    const vertices = [];
-    const colors = [];
-    
-    // Generate permutations of (±1, ±1, 0, 0)
-    const signs = [1, -1];
-    const positions = [0, 1, 2, 3];
-    
-    for (let i = 0; i < 4; i++) {
-      for (let j = i + 1; j < 4; j++) {
-        for (const s1 of signs) {
-          for (const s2 of signs) {
-            const vertex = [0, 0, 0, 0];
-            vertex[i] = s1;
-            vertex[j] = s2;
-            vertices.push(...vertex);
-            
-            colors.push(
-              Math.abs(vertex[0]),
-              Math.abs(vertex[1]) + Math.abs(vertex[2]),
-              Math.abs(vertex[3]),
-              0.8
-            );
-          }
-        }
-      }
-    }
-    
-    // Simplified connectivity
-    const indices = [];
-    const vertexCount = vertices.length / 4;
-    for (let i = 0; i < vertexCount; i++) {
-      for (let j = i + 1; j < Math.min(i + 8, vertexCount); j++) {
-        indices.push(i, j);
-      }
-    }
-    
-    return {
-      vertices: new Float32Array(vertices),
-      colors: new Float32Array(colors),
-      indices: new Uint16Array(indices),
-      vertexCount
-    };
-  }
+  /**
+   * Exact mesh from the shared generator (see RegularPolychora.js for the index order)
+   */
+  createRegularPolychoron(index) {
+    const geometry = getPolychoronMesh(index);
 
-  create120Cell() {
-    // Simplified 120-cell (too complex for full implementation)
-    // Using golden ratio-based vertices
-    const phi = (1 + Math.sqrt(5)) / 2;
-    const vertices = [];
-    const colors = [];
-    
-    // Simplified set of vertices using golden ratio
-    const baseVertices = [
-      [1, 1, 1, 1],
-      [1, 1, -1, -1],
-      [1, -1, 1, -1],
-      [-1, 1, 1, -1],
-      [phi, 1/phi, 0, 0],
-      [1/phi, 0, 0, phi],
-      [0, phi, 1/phi, 0],
-      [0, 0, phi, 1/phi]
-    ];
-    
-    for (const vertex of baseVertices) {
-      vertices.push(...vertex);
-      colors.push(
-        0.9, 0.7 + 0.3 * Math.sin(vertex[3]),
-        0.5 + 0.5 * Math.cos(vertex[0] + vertex[1]),
-        0.9
-      );
-    }
-    
-    const indices = [];
-    for (let i = 0; i < 8; i++) {
-      for (let j = i + 1; j < 8; j++) {
-        indices.push(i, j);
-      }
-    }
-    
     return {
-      vertices: new Float32Array(vertices),
-      colors: new Float32Array(colors),
-      indices: new Uint16Array(indices),
-      vertexCount: 8
+      vertices: geometry.vertices,
+      colors: geometry.colors,
+      indices: geometry.indices,
+      vertexCount: geometry.vertexCount,
+      metadata: getPolychoron(index).getStatistics()
     };
   }
 
@@ -608,8 +402,9 @@ class EnhancedPolychoraSystem {
     this.gl.uniform1f(this.uniforms.glassRefraction, this.parameters.glassRefraction);
     this.gl.uniform1f(this.uniforms.holographicIntensity, this.parameters.holographicIntensity);
     this.gl.uniform1f(this.uniforms.quantumParticleSize, this.parameters.quantumParticleSize);
-    this.gl.uniform1f(this.uniforms.viewDistance4D, this.parameters.viewDistance4D);
-    this.gl.uniform1i(this.uniforms.projectionType, this.projectionMethod === 'stereographic' ? 0 : 1);
+    const projection = getProjectionUniforms(this.parameters);
+    this.gl.uniform1f(this.uniforms.projectionMode, projection.u_projectionMode);
+    this.gl.uniform1f(this.uniforms.projectionDistance, projection.u_projectionDistance);
     
     // Bind noise texture
     this.gl.activeTexture(this.gl.TEXTURE0);
@@ -664,6 +459,11 @@ class EnhancedPolychoraSystem {
   }
 
   updateParameter(name, value) {
+    // Projection also accepts a mode name ('stereographic', 'schlegel', ...)
+    if (name === 'projection' && typeof value === 'string') {
+      value = Math.max(0, getProjectionIndex(value));
+    }
+
     if (name in this.parameters) {
       this.parameters[name] = value;
     }
@@ -0,0 +1,80 @@
+/**
+ * Minimal event emitter for engine integrations
+ * Listener errors are caught and logged so one bad subscriber can't break the render loop
+ */
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, listener) {
+        if (typeof listener !== 'function') {
+            throw new TypeError(`Listener for "${event}" must be a function`);
+        }
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Subscribe for a single emission
+     */
+    once(event, listener) {
+        const wrapper = (payload) => {
+            this.off(event, wrapper);
+            listener(payload);
+        };
+        wrapper.listener = listener;
+        return this.on(event, wrapper);
+    }
+
+    off(event, listener) {
+        const set = this.listeners.get(event);
+        if (!set) return;
+
+        set.forEach(registered => {
+            if (registered === listener || registered.listener === listener) {
+                set.delete(registered);
+            }
+        });
+        if (set.size === 0) {
+            this.listeners.delete(event);
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether any listener was called
+     */
+    emit(event, payload) {
+        const set = this.listeners.get(event);
+        if (!set) return false;
+
+        [...set].forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`❌ "${event}" listener failed:`, error);
+            }
+        });
+        return true;
+    }
+
+    hasListeners(event) {
+        return this.listeners.has(event);
+    }
+
+    removeAllListeners(event) {
+        if (event === undefined) {
+            this.listeners.clear();
+        } else {
+            this.listeners.delete(event);
+        }
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * Headless Canvas Provider - CanvasManager stand-in for DOM-free rendering
+ * Serves injected canvases, OffscreenCanvas (Worker) or bare WebGL contexts to VIB3Engine
+ */
+
+import { LAYER_ROLES } from './CanvasManager.js';
+import { LayerCompositor, normalizeLayerSettings } from './LayerCompositor.js';
+
+export class HeadlessCanvasProvider {
+    /**
+     * @param {Object} [options]
+     * @param {Object|Function} [options.canvases] - Role→canvas map, per-system map
+     *   (`{ quantum: { content: canvas, ... } }`) or factory `(systemName, role) => canvas`
+     * @param {Object|Function} [options.contexts] - Same shapes, resolving to WebGL contexts instead of canvases
+     * @param {number} [options.width=800] - Size of canvases the provider creates itself
+     * @param {number} [options.height=600]
+     * @param {boolean|Object} [options.compositor] - Composite every layer into one canvas (role 'composite'
+     *   in the canvases/contexts maps or factory) through a single context; see LayerCompositor
+     */
+    constructor(options = {}) {
+        this.canvases = options.canvases || null;
+        this.contexts = options.contexts || null;
+        this.width = options.width || 800;
+        this.height = options.height || 600;
+        this.currentSystem = null;
+        this.registeredContexts = new Map();
+        this.ownedCanvases = new Set();
+        this.currentCanvases = {};
+        this.layerOpacity = 1;
+        this.compositing = Boolean(options.compositor);
+        this.compositor = null;
+        this.layerSettings = {};
+        Object.entries((options.compositor && options.compositor.layers) || {}).forEach(([role, settings]) => {
+            this.layerSettings[role] = normalizeLayerSettings(settings);
+        });
+        this.postProcessing = { parameters: {}, order: undefined };
+    }
+
+    /**
+     * Resolve the layer canvases for a system
+     * @param {string} systemName
+     * @param {Object} [manifest] - Registered system manifest; its layers select the roles to resolve
+     * @returns {Object<string, HTMLCanvasElement|OffscreenCanvas|Object>} Canvases keyed by layer role
+     */
+    createSystemCanvases(systemName, manifest = null) {
+        this.releaseContexts();
+
+        if (this.compositing) {
+            return this.createCompositor(systemName, manifest);
+        }
+
+        const canvases = {};
+        (manifest ? manifest.layers : LAYER_ROLES).forEach(role => {
+            const canvas = this.resolveCanvas(systemName, role);
+            if (canvas) {
+                canvases[role] = canvas;
+            } else {
+                console.warn(`⚠️ No headless canvas for ${systemName}/${role}`);
+            }
+        });
+
+        this.currentSystem = systemName;
+        this.currentCanvases = canvases;
+        this.setLayerOpacity(this.layerOpacity);
+        return canvases;
+    }
+
+    /**
+     * One composite canvas for the system, with a virtual canvas per layer role
+     */
+    createCompositor(systemName, manifest) {
+        const canvas = this.resolveCanvas(systemName, 'composite');
+        if (!canvas) {
+            console.warn(`⚠️ No headless composite canvas for ${systemName}`);
+            return {};
+        }
+
+        const layers = manifest ? manifest.layers : LAYER_ROLES;
+        this.compositor = new LayerCompositor(canvas, {
+            layers,
+            canvasPrefix: `${systemName}-`,
+            settings: this.layerSettings,
+            postProcessing: this.postProcessing,
+            ownsContext: this.ownedCanvases.has(canvas)
+        });
+        this.compositor.setOpacity(this.layerOpacity);
+
+        const canvases = {};
+        layers.forEach(role => {
+            canvases[role] = this.compositor.getLayerCanvas(role);
+        });
+
+        this.currentSystem = systemName;
+        this.currentCanvases = { composite: canvas };
+        this.setLayerOpacity(this.layerOpacity);
+        return canvases;
+    }
+
+    /**
+     * Blend the compositor's layers into the composite canvas (no-op without the compositor)
+     */
+    present() {
+        if (this.compositor) {
+            this.compositor.composite();
+        }
+    }
+
+    /**
+     * Blend mode, opacity and visibility of one compositor layer; kept for later systems
+     * @returns {{blendMode: string, opacity: number, visible: boolean}}
+     */
+    configureLayer(role, settings) {
+        if (!this.compositing) {
+            throw new Error('Layer blending needs the compositor (create the engine with { compositor: true })');
+        }
+        this.layerSettings[role] = normalizeLayerSettings(settings, this.layerSettings[role]);
+        if (this.compositor && this.compositor.getLayer(role)) {
+            this.compositor.configureLayer(role, settings);
+        }
+        return { ...this.layerSettings[role] };
+    }
+
+    getLayerSettings() {
+        return this.compositor ? this.compositor.getLayerSettings() : {};
+    }
+
+    /**
+     * Post-processing parameters and/or pass order for the current compositor; kept for later systems
+     * @param {{parameters?: Object, order?: string[]}} settings
+     */
+    setPostProcessing({ parameters, order } = {}) {
+        if (parameters) this.postProcessing.parameters = { ...this.postProcessing.parameters, ...parameters };
+        if (order) this.postProcessing.order = order;
+        if (this.compositor) {
+            this.compositor.setPostProcessing({ parameters, order });
+        }
+    }
+
+    /**
+     * Layer fade requested by transitions; applied to injected DOM canvases and baked into the
+     * compositor's output, otherwise left for the host to read (layerOpacity) when it composites the frames
+     * @param {number} opacity - 0..1
+     */
+    setLayerOpacity(opacity) {
+        this.layerOpacity = Math.max(0, Math.min(1, opacity));
+        if (this.compositor) {
+            this.compositor.setOpacity(this.layerOpacity);
+        }
+        Object.values(this.currentCanvases).forEach(canvas => {
+            if (canvas.style) {
+                canvas.style.opacity = String(this.layerOpacity);
+            }
+        });
+    }
+
+    resolveCanvas(systemName, role) {
+        const canvas = this.lookup(this.canvases, systemName, role);
+        if (canvas) {
+            return canvas;
+        }
+
+        const gl = this.lookup(this.contexts, systemName, role);
+        if (gl) {
+            return this.createContextCanvas(gl, `${systemName}-${role}-canvas`);
+        }
+
+        if (typeof OffscreenCanvas !== 'undefined') {
+            const offscreen = new OffscreenCanvas(this.width, this.height);
+            this.ownedCanvases.add(offscreen);
+            return offscreen;
+        }
+
+        return null;
+    }
+
+    lookup(source, systemName, role) {
+        if (!source) {
+            return null;
+        }
+        if (typeof source === 'function') {
+            return source(systemName, role) || null;
+        }
+        const set = source[systemName] || source;
+        return set[role] || null;
+    }
+
+    /**
+     * Minimal canvas shim around an injected context so visualizers can call getContext()
+     */
+    createContextCanvas(gl, id) {
+        return {
+            id,
+            width: gl.drawingBufferWidth || this.width,
+            height: gl.drawingBufferHeight || this.height,
+            getContext: (type) => (type === '2d' || type === 'webgpu' ? null : gl)
+        };
+    }
+
+    /**
+     * Track a WebGL context so it can be released on the next switch or destroy
+     */
+    registerContext(canvasId, gl) {
+        this.registeredContexts.set(canvasId, gl);
+    }
+
+    /**
+     * Lose contexts on canvases this provider created; injected ones belong to the host
+     */
+    releaseContexts() {
+        if (this.compositor) {
+            this.compositor.destroy();
+            this.compositor = null;
+        }
+        this.ownedCanvases.forEach(canvas => {
+            const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+            const loseContextExt = gl && gl.getExtension('WEBGL_lose_context');
+            if (loseContextExt && !gl.isContextLost()) {
+                loseContextExt.loseContext();
+            }
+        });
+        this.ownedCanvases.clear();
+        this.registeredContexts.clear();
+    }
+
+    destroy() {
+        this.releaseContexts();
+        this.currentSystem = null;
+        this.currentCanvases = {};
+    }
+}
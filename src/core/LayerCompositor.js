@@ -0,0 +1,693 @@
+/**
+ * Layer Compositor - every layer role of a system rendered through ONE WebGL context
+ *
+ * Systems still receive one canvas per role, but each is a virtual canvas whose getContext()
+ * returns a view of the shared context that draws into that layer's framebuffer. composite()
+ * then blends the layer textures onto the real canvas in stacking order with per-layer blend
+ * mode and opacity. One context per system instead of five keeps GPU memory down and stays
+ * well under mobile context limits (see OptimizedCanvasPool.detectMaxContexts).
+ *
+ * While a post-processing pass is on (see PostProcessChain), the layers blend into a scene
+ * texture and the chain draws the result to the canvas.
+ *
+ * Layers share the context's global state, so each layer view:
+ * - binds its own framebuffer (bindFramebuffer(null) means "this layer")
+ * - owns a vertex array object, so attribute setup done once at init survives other layers
+ * - records the fixed-function state it sets (blend, viewport, program, bound buffers/textures, ...)
+ *   and the compositor replays it, resetting anything the previous layer left behind,
+ *   whenever a different layer starts issuing calls
+ */
+
+import { PostProcessChain } from './PostProcessChain.js';
+
+export const BLEND_MODES = ['normal', 'additive', 'screen', 'multiply'];
+
+// Layer textures hold premultiplied colour (what the browser assumes of an alpha canvas)
+const BLEND_FUNCTIONS = {
+    normal: gl => [gl.ONE, gl.ONE_MINUS_SRC_ALPHA],
+    additive: gl => [gl.ONE, gl.ONE],
+    screen: gl => [gl.ONE, gl.ONE_MINUS_SRC_COLOR],
+    multiply: gl => [gl.DST_COLOR, gl.ONE_MINUS_SRC_ALPHA]
+};
+
+const DEFAULT_LAYER_SETTINGS = { blendMode: 'normal', opacity: 1, visible: true };
+
+const CONTEXT_OPTIONS = {
+    alpha: true,
+    depth: false,
+    stencil: false,
+    antialias: false,
+    premultipliedAlpha: true,
+    preserveDrawingBuffer: false,
+    powerPreference: 'high-performance',
+    failIfMajorPerformanceCaveat: false
+};
+
+// Calls that change global context state - recorded per layer and replayed on layer switches
+const TRACKED_CALLS = new Set([
+    'enable', 'disable', 'blendFunc', 'blendFuncSeparate', 'blendEquation', 'blendEquationSeparate',
+    'blendColor', 'clearColor', 'clearDepth', 'clearStencil', 'depthFunc', 'depthMask', 'depthRange',
+    'colorMask', 'lineWidth', 'viewport', 'scissor', 'cullFace', 'frontFace', 'polygonOffset',
+    'useProgram', 'bindBuffer', 'bindTexture', 'pixelStorei'
+]);
+
+const COMPOSITE_VERTEX_SHADER = `
+attribute vec2 a_position;
+varying vec2 v_uv;
+void main() {
+    v_uv = a_position * 0.5 + 0.5;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+const COMPOSITE_FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D u_layer;
+uniform float u_opacity;
+varying vec2 v_uv;
+void main() {
+    gl_FragColor = texture2D(u_layer, v_uv) * u_opacity;
+}`;
+
+/**
+ * Validate and merge layer settings
+ * @param {{blendMode?: string, opacity?: number, visible?: boolean}} settings
+ * @param {Object} [base] - Settings being updated
+ * @returns {{blendMode: string, opacity: number, visible: boolean}}
+ */
+export function normalizeLayerSettings(settings = {}, base = DEFAULT_LAYER_SETTINGS) {
+    const merged = { ...base };
+    if (settings.blendMode !== undefined) {
+        if (!BLEND_MODES.includes(settings.blendMode)) {
+            throw new RangeError(`Unknown blend mode: ${settings.blendMode} (expected one of ${BLEND_MODES.join(', ')})`);
+        }
+        merged.blendMode = settings.blendMode;
+    }
+    if (settings.opacity !== undefined) {
+        if (typeof settings.opacity !== 'number' || Number.isNaN(settings.opacity)) {
+            throw new TypeError(`Layer opacity must be a number, got ${settings.opacity}`);
+        }
+        merged.opacity = Math.max(0, Math.min(1, settings.opacity));
+    }
+    if (settings.visible !== undefined) {
+        merged.visible = Boolean(settings.visible);
+    }
+    return merged;
+}
+
+export class LayerCompositor {
+    /**
+     * @param {HTMLCanvasElement|OffscreenCanvas|Object} canvas - The one real canvas the layers composite onto
+     * @param {Object} [options]
+     * @param {string[]} [options.layers] - Layer roles in stacking order (bottom first)
+     * @param {string} [options.canvasPrefix=''] - Virtual canvas IDs are `${canvasPrefix}${role}-canvas`
+     * @param {Object<string, Object>} [options.settings] - Initial { blendMode, opacity, visible } per role
+     * @param {boolean} [options.ownsContext=true] - Lose the context on destroy (false for host-injected contexts)
+     * @param {{parameters?: Object, order?: string[]}} [options.postProcessing] - Initial post-processing state
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.gl = canvas.getContext('webgl2', CONTEXT_OPTIONS) || canvas.getContext('webgl', CONTEXT_OPTIONS);
+        if (!this.gl) {
+            throw new Error('LayerCompositor: WebGL is not available');
+        }
+
+        this.ownsContext = options.ownsContext !== false;
+        this.opacity = 1;
+        this.vertexArrays = this.resolveVertexArrays();
+        if (!this.vertexArrays) {
+            console.warn('⚠️ LayerCompositor: no vertex array objects - layers must rebind attributes every frame');
+        }
+
+        // State currently set on the real context that differs from the defaults
+        this.applied = new Map();
+        this.activeLayer = null;
+
+        const prefix = options.canvasPrefix || '';
+        const settings = options.settings || {};
+        this.layers = (options.layers || []).map(role => this.createLayer(role, `${prefix}${role}-canvas`, settings[role]));
+
+        this.compositeLayer = this.createLayer('composite', canvas.id, null, null);
+        this.initCompositeProgram();
+        this.postProcess = new PostProcessChain(this.compositeLayer.context, { quad: this.quad });
+        this.setPostProcessing(options.postProcessing || {});
+
+        // Registered before any system's listeners, so render targets exist again when layers rebuild
+        this.onContextLost = event => event.preventDefault();
+        this.onContextRestored = () => this.restore();
+        if (typeof canvas.addEventListener === 'function') {
+            canvas.addEventListener('webglcontextlost', this.onContextLost);
+            canvas.addEventListener('webglcontextrestored', this.onContextRestored);
+        }
+    }
+
+    /**
+     * Vertex array functions of WebGL2 or OES_vertex_array_object, or null when neither exists
+     */
+    resolveVertexArrays() {
+        const gl = this.gl;
+        if (typeof gl.createVertexArray === 'function') {
+            return {
+                create: () => gl.createVertexArray(),
+                bind: vertexArray => gl.bindVertexArray(vertexArray),
+                delete: vertexArray => gl.deleteVertexArray(vertexArray)
+            };
+        }
+        const ext = gl.getExtension('OES_vertex_array_object');
+        return ext ? {
+            create: () => ext.createVertexArrayOES(),
+            bind: vertexArray => ext.bindVertexArrayOES(vertexArray),
+            delete: vertexArray => ext.deleteVertexArrayOES(vertexArray)
+        } : null;
+    }
+
+    createLayer(role, id, settings, framebuffer = undefined) {
+        const layer = {
+            role,
+            id,
+            settings: normalizeLayerSettings(settings || {}),
+            // undefined = allocate a render target on first use; null = the real canvas
+            framebuffer,
+            texture: null,
+            depthBuffer: null,
+            width: 0,
+            height: 0,
+            vertexArray: null,
+            boundFramebuffer: null,
+            boundVertexArray: null,
+            activeTexture: this.gl.TEXTURE0,
+            state: new Map(),
+            extensions: new Map()
+        };
+        layer.context = this.createLayerContext(layer);
+        layer.canvas = this.createLayerCanvas(layer);
+        return layer;
+    }
+
+    /**
+     * Virtual canvas for a layer: the real canvas with its own ID and getContext()
+     */
+    createLayerCanvas(layer) {
+        return new Proxy(this.canvas, {
+            get: (target, prop) => {
+                if (prop === 'id') return layer.id;
+                if (prop === 'getContext') {
+                    // Only WebGL shares the compositor's context - WebGPU callers fall back to it
+                    return type => (type === '2d' || type === 'bitmaprenderer' || type === 'webgpu' ? null : layer.context);
+                }
+                const value = target[prop];
+                return typeof value === 'function' ? value.bind(target) : value;
+            },
+            set: (target, prop, value) => {
+                if (prop === 'id') return true;
+                target[prop] = value;
+                if (prop === 'width' || prop === 'height') {
+                    // Render targets are resized when the next layer activates
+                    this.activeLayer = null;
+                }
+                return true;
+            }
+        });
+    }
+
+    /**
+     * A layer's view of the shared context - every call first makes the layer current
+     */
+    createLayerContext(layer) {
+        const gl = this.gl;
+        const functions = new Map();
+        const intercepted = {
+            bindFramebuffer: (target, framebuffer) => {
+                this.activate(layer);
+                layer.boundFramebuffer = framebuffer;
+                gl.bindFramebuffer(target, framebuffer || this.getLayerFramebuffer(layer));
+            },
+            bindVertexArray: (vertexArray) => {
+                this.activate(layer);
+                layer.boundVertexArray = vertexArray;
+                gl.bindVertexArray(vertexArray || layer.vertexArray);
+            },
+            activeTexture: (unit) => {
+                this.activate(layer);
+                layer.activeTexture = unit;
+                gl.activeTexture(unit);
+            },
+            getExtension: name => this.getLayerExtension(layer, name)
+        };
+
+        return new Proxy(gl, {
+            get: (target, prop) => {
+                if (prop === 'canvas') return layer.canvas;
+                if (functions.has(prop)) return functions.get(prop);
+
+                const value = target[prop];
+                if (typeof value !== 'function') return value;
+
+                let fn;
+                if (intercepted[prop]) {
+                    fn = intercepted[prop];
+                } else if (TRACKED_CALLS.has(prop)) {
+                    fn = (...args) => {
+                        this.activate(layer);
+                        value.apply(target, args);
+                        this.record(layer, prop, args);
+                    };
+                } else {
+                    fn = (...args) => {
+                        this.activate(layer);
+                        return value.apply(target, args);
+                    };
+                }
+                functions.set(prop, fn);
+                return fn;
+            }
+        });
+    }
+
+    /**
+     * Extensions as a layer sees them - WEBGL_lose_context only releases the layer,
+     * OES_vertex_array_object's null binding means the layer's own VAO
+     */
+    getLayerExtension(layer, name) {
+        if (layer.extensions.has(name)) {
+            return layer.extensions.get(name);
+        }
+
+        let ext = null;
+        if (name === 'WEBGL_lose_context') {
+            ext = {
+                loseContext: () => this.releaseLayer(layer),
+                restoreContext: () => {}
+            };
+        } else {
+            const real = this.gl.getExtension(name);
+            ext = real && new Proxy(real, {
+                get: (target, prop) => {
+                    const value = target[prop];
+                    if (typeof value !== 'function') return value;
+                    if (prop === 'bindVertexArrayOES') {
+                        return (vertexArray) => {
+                            this.activate(layer);
+                            layer.boundVertexArray = vertexArray;
+                            value.call(target, vertexArray || layer.vertexArray);
+                        };
+                    }
+                    return (...args) => {
+                        this.activate(layer);
+                        return value.apply(target, args);
+                    };
+                }
+            });
+        }
+
+        layer.extensions.set(name, ext);
+        return ext;
+    }
+
+    /**
+     * Remember a state-setting call so it can be replayed when the layer becomes current again
+     */
+    record(layer, name, args) {
+        const key = this.stateKey(layer, name, args);
+        if (!key) return;
+        const entry = { name, args, unit: layer.activeTexture };
+        layer.state.set(key, entry);
+        this.applied.set(key, entry);
+    }
+
+    stateKey(layer, name, args) {
+        const gl = this.gl;
+        switch (name) {
+            case 'enable':
+            case 'disable':
+                return `cap:${args[0]}`;
+            case 'blendFunc':
+            case 'blendFuncSeparate':
+                return 'blendFunc';
+            case 'blendEquation':
+            case 'blendEquationSeparate':
+                return 'blendEquation';
+            case 'bindBuffer':
+                // Element array bindings live in the layer's VAO
+                return args[0] === gl.ARRAY_BUFFER || !this.vertexArrays ? `buffer:${args[0]}` : null;
+            case 'bindTexture':
+                return `texture:${layer.activeTexture}:${args[0]}`;
+            case 'pixelStorei':
+                return `pixelStore:${args[0]}`;
+            default:
+                return name;
+        }
+    }
+
+    /**
+     * The call that puts a piece of state back to its WebGL default
+     */
+    defaultEntry(key, entry) {
+        const gl = this.gl;
+        switch (entry.name) {
+            case 'enable':
+            case 'disable':
+                return { name: entry.args[0] === gl.DITHER ? 'enable' : 'disable', args: [entry.args[0]] };
+            case 'blendFunc':
+            case 'blendFuncSeparate':
+                return { name: 'blendFunc', args: [gl.ONE, gl.ZERO] };
+            case 'blendEquation':
+            case 'blendEquationSeparate':
+                return { name: 'blendEquation', args: [gl.FUNC_ADD] };
+            case 'blendColor':
+            case 'clearColor':
+                return { name: entry.name, args: [0, 0, 0, 0] };
+            case 'clearDepth':
+                return { name: 'clearDepth', args: [1] };
+            case 'clearStencil':
+                return { name: 'clearStencil', args: [0] };
+            case 'depthFunc':
+                return { name: 'depthFunc', args: [gl.LESS] };
+            case 'depthMask':
+                return { name: 'depthMask', args: [true] };
+            case 'depthRange':
+                return { name: 'depthRange', args: [0, 1] };
+            case 'colorMask':
+                return { name: 'colorMask', args: [true, true, true, true] };
+            case 'lineWidth':
+                return { name: 'lineWidth', args: [1] };
+            case 'viewport':
+            case 'scissor':
+                return { name: entry.name, args: [0, 0, this.canvas.width, this.canvas.height] };
+            case 'cullFace':
+                return { name: 'cullFace', args: [gl.BACK] };
+            case 'frontFace':
+                return { name: 'frontFace', args: [gl.CCW] };
+            case 'polygonOffset':
+                return { name: 'polygonOffset', args: [0, 0] };
+            case 'useProgram':
+                return { name: 'useProgram', args: [null] };
+            case 'bindBuffer':
+            case 'bindTexture':
+                return { name: entry.name, args: [entry.args[0], null], unit: entry.unit };
+            case 'pixelStorei': {
+                const alignment = entry.args[0] === gl.PACK_ALIGNMENT || entry.args[0] === gl.UNPACK_ALIGNMENT;
+                const colorspace = entry.args[0] === gl.UNPACK_COLORSPACE_CONVERSION_WEBGL;
+                return { name: 'pixelStorei', args: [entry.args[0], alignment ? 4 : (colorspace ? gl.BROWSER_DEFAULT_WEBGL : 0)] };
+            }
+            default:
+                console.warn(`⚠️ LayerCompositor: no default for ${key}`);
+                return null;
+        }
+    }
+
+    applyEntry(entry) {
+        if (entry.name === 'bindTexture') {
+            this.gl.activeTexture(entry.unit);
+        }
+        this.gl[entry.name](...entry.args);
+    }
+
+    /**
+     * Make a layer current: its render target, VAO and recorded state
+     */
+    activate(layer) {
+        if (this.activeLayer === layer || !this.gl) return;
+        this.activeLayer = layer;
+
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, layer.boundFramebuffer || this.getLayerFramebuffer(layer));
+        if (this.vertexArrays) {
+            if (!layer.vertexArray) {
+                layer.vertexArray = this.vertexArrays.create();
+            }
+            this.vertexArrays.bind(layer.boundVertexArray || layer.vertexArray);
+        }
+
+        this.applied.forEach((entry, key) => {
+            if (!layer.state.has(key)) {
+                const reset = this.defaultEntry(key, entry);
+                if (reset) this.applyEntry(reset);
+                this.applied.delete(key);
+            }
+        });
+        layer.state.forEach((entry, key) => {
+            if (this.applied.get(key) !== entry) {
+                this.applyEntry(entry);
+                this.applied.set(key, entry);
+            }
+        });
+        gl.activeTexture(layer.activeTexture);
+    }
+
+    /**
+     * A layer's framebuffer, (re)allocating its texture and depth buffer at the canvas size
+     */
+    getLayerFramebuffer(layer) {
+        if (layer.framebuffer === null) {
+            return null;
+        }
+
+        const gl = this.gl;
+        const width = Math.max(1, this.canvas.width | 0);
+        const height = Math.max(1, this.canvas.height | 0);
+        if (layer.texture && layer.width === width && layer.height === height) {
+            return layer.framebuffer;
+        }
+
+        if (!layer.texture) {
+            layer.texture = gl.createTexture();
+            layer.depthBuffer = gl.createRenderbuffer();
+            layer.framebuffer = gl.createFramebuffer();
+        }
+
+        // Allocation binds on unit 0; note it as applied state so the replay puts the layer's binding back
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, layer.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        const textureKey = `texture:${gl.TEXTURE0}:${gl.TEXTURE_2D}`;
+        this.applied.set(textureKey, { name: 'bindTexture', args: [gl.TEXTURE_2D, layer.texture], unit: gl.TEXTURE0 });
+
+        gl.bindRenderbuffer(gl.RENDERBUFFER, layer.depthBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, layer.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, layer.texture, 0);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, layer.depthBuffer);
+
+        layer.width = width;
+        layer.height = height;
+        return layer.framebuffer;
+    }
+
+    initCompositeProgram() {
+        const gl = this.compositeLayer.context;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(`LayerCompositor shader failed: ${gl.getShaderInfoLog(shader)}`);
+            }
+            return shader;
+        };
+
+        const vertexShader = compile(gl.VERTEX_SHADER, COMPOSITE_VERTEX_SHADER);
+        const fragmentShader = compile(gl.FRAGMENT_SHADER, COMPOSITE_FRAGMENT_SHADER);
+        this.program = gl.createProgram();
+        gl.attachShader(this.program, vertexShader);
+        gl.attachShader(this.program, fragmentShader);
+        gl.linkProgram(this.program);
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+        if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
+            throw new Error(`LayerCompositor program failed: ${gl.getProgramInfoLog(this.program)}`);
+        }
+
+        this.uniforms = {
+            layer: gl.getUniformLocation(this.program, 'u_layer'),
+            opacity: gl.getUniformLocation(this.program, 'u_opacity')
+        };
+
+        this.quad = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        const position = gl.getAttribLocation(this.program, 'a_position');
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+    }
+
+    /**
+     * Blend every visible layer onto the real canvas - call once per frame after the system rendered
+     */
+    composite() {
+        if (!this.program || this.gl.isContextLost()) return;
+
+        const gl = this.compositeLayer.context;
+        const postProcessing = this.postProcess.isActive();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, postProcessing ? this.postProcess.beginScene(this.canvas.width, this.canvas.height) : null);
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+
+        gl.useProgram(this.program);
+        if (!this.vertexArrays) {
+            // Without VAOs another layer may have repointed attribute 0
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+            gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+        }
+        gl.uniform1i(this.uniforms.layer, 0);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.enable(gl.BLEND);
+
+        this.layers.forEach(layer => {
+            const { blendMode, opacity, visible } = layer.settings;
+            if (!visible || !layer.texture || opacity * this.opacity <= 0) return;
+
+            gl.bindTexture(gl.TEXTURE_2D, layer.texture);
+            gl.blendFunc(...BLEND_FUNCTIONS[blendMode](gl));
+            gl.uniform1f(this.uniforms.opacity, opacity * this.opacity);
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        });
+        gl.bindTexture(gl.TEXTURE_2D, null);
+
+        if (postProcessing) {
+            this.postProcess.render();
+        }
+    }
+
+    /**
+     * Update the post-processing chain
+     * @param {{parameters?: Object, order?: string[]}} settings - Pass parameters (see POST_PROCESS_PARAMETERS)
+     *   and/or a new pass order
+     */
+    setPostProcessing({ parameters, order } = {}) {
+        if (order) this.postProcess.setOrder(order);
+        if (parameters) this.postProcess.setParameters(parameters);
+    }
+
+    /**
+     * Virtual canvas for a role (pass to the system in place of a real layer canvas)
+     */
+    getLayerCanvas(role) {
+        const layer = this.getLayer(role);
+        return layer ? layer.canvas : null;
+    }
+
+    getLayer(role) {
+        return this.layers.find(layer => layer.role === role) || null;
+    }
+
+    /**
+     * Change a layer's blend mode, opacity or visibility
+     * @param {string} role
+     * @param {{blendMode?: string, opacity?: number, visible?: boolean}} settings
+     * @returns {{blendMode: string, opacity: number, visible: boolean}} The layer's settings
+     */
+    configureLayer(role, settings) {
+        const layer = this.getLayer(role);
+        if (!layer) {
+            throw new RangeError(`Unknown layer: ${role} (expected one of ${this.layers.map(candidate => candidate.role).join(', ')})`);
+        }
+        layer.settings = normalizeLayerSettings(settings, layer.settings);
+        return { ...layer.settings };
+    }
+
+    /**
+     * Settings of every layer keyed by role
+     */
+    getLayerSettings() {
+        const settings = {};
+        this.layers.forEach(layer => {
+            settings[layer.role] = { ...layer.settings };
+        });
+        return settings;
+    }
+
+    /**
+     * Opacity applied to the whole composite on top of the per-layer opacities
+     */
+    setOpacity(opacity) {
+        this.opacity = Math.max(0, Math.min(1, opacity));
+    }
+
+    /**
+     * Free a layer's render target and VAO; both are recreated if the layer draws again
+     */
+    releaseLayer(layer) {
+        const gl = this.gl;
+        if (layer.texture) {
+            gl.deleteTexture(layer.texture);
+            gl.deleteRenderbuffer(layer.depthBuffer);
+            gl.deleteFramebuffer(layer.framebuffer);
+            layer.texture = null;
+            layer.depthBuffer = null;
+            layer.framebuffer = undefined;
+            layer.width = 0;
+            layer.height = 0;
+        }
+        if (layer.vertexArray) {
+            this.vertexArrays.delete(layer.vertexArray);
+            layer.vertexArray = null;
+            layer.boundVertexArray = null;
+        }
+        if (this.activeLayer === layer) {
+            this.activeLayer = null;
+        }
+    }
+
+    /**
+     * Forget every handle of the lost context and rebuild the composite pass; layer targets,
+     * VAOs and recorded state are recreated as the systems rebuild their layers
+     */
+    restore() {
+        if (!this.gl) return;
+
+        this.vertexArrays = this.resolveVertexArrays();
+        this.applied.clear();
+        this.activeLayer = null;
+        [...this.layers, this.compositeLayer].forEach(layer => {
+            Object.assign(layer, {
+                framebuffer: layer.framebuffer === null ? null : undefined,
+                texture: null,
+                depthBuffer: null,
+                width: 0,
+                height: 0,
+                vertexArray: null,
+                boundFramebuffer: null,
+                boundVertexArray: null,
+                activeTexture: this.gl.TEXTURE0
+            });
+            layer.state.clear();
+            layer.extensions.clear();
+        });
+        this.initCompositeProgram();
+        this.postProcess.restore(this.quad);
+        console.log(`🔄 LayerCompositor restored ${this.canvas.id || 'canvas'}`);
+    }
+
+    destroy() {
+        const gl = this.gl;
+        if (!gl) return;
+
+        if (typeof this.canvas.removeEventListener === 'function') {
+            this.canvas.removeEventListener('webglcontextlost', this.onContextLost);
+            this.canvas.removeEventListener('webglcontextrestored', this.onContextRestored);
+        }
+
+        if (!gl.isContextLost()) {
+            this.postProcess.destroy();
+            [...this.layers, this.compositeLayer].forEach(layer => this.releaseLayer(layer));
+            gl.deleteProgram(this.program);
+            gl.deleteBuffer(this.quad);
+            const loseContextExt = this.ownsContext && gl.getExtension('WEBGL_lose_context');
+            if (loseContextExt) {
+                loseContextExt.loseContext();
+            }
+        }
+        this.program = null;
+        this.layers = [];
+        this.activeLayer = null;
+        this.applied.clear();
+        this.gl = null;
+    }
+}
@@ -3,6 +3,28 @@
  * Solves the parameter format chaos between VIB34D, Holographic, and Polychora systems
  */
 
+import { PARAMETER_SCHEMA, sanitizeParameters } from './ParameterSchema.js';
+
+/**
+ * Mapper view of the shared schema: canonical names plus their legacy aliases
+ */
+function buildUnifiedSchema() {
+    const schema = {};
+    Object.entries(PARAMETER_SCHEMA).forEach(([name, def]) => {
+        const entry = {
+            min: def.min,
+            max: def.max,
+            default: def.default,
+            type: def.type === 'int' ? 'integer' : 'float'
+        };
+        schema[name] = entry;
+        (def.aliases || []).forEach(alias => {
+            schema[alias] = entry;
+        });
+    });
+    return schema;
+}
+
 export class ParameterMapper {
     constructor() {
         // Define parameter mappings between systems
@@ -17,6 +39,11 @@ export class ParameterMapper {
                     rot4dYW: 'rot4dYW',
                     rot4dZW: 'rot4dZW',
                     dimension: 'dimension',
+                    projection: 'projection',
+                    projectionDistance: 'projectionDistance',
+                    rotationMode: 'rotationMode',
+                    rotationPlane: 'rotationPlane',
+                    rotationRatio: 'rotationRatio',
                     chaos: 'chaos',
                     speed: 'speed',
                     hue: 'hue'
@@ -29,6 +56,11 @@ export class ParameterMapper {
                     rot4dYW: 'rot4dYW',
                     rot4dZW: 'rot4dZW',
                     dimension: 'dimension',
+                    projection: 'projection',
+                    projectionDistance: 'projectionDistance',
+                    rotationMode: 'rotationMode',
+                    rotationPlane: 'rotationPlane',
+                    rotationRatio: 'rotationRatio',
                     chaos: 'chaos',
                     speed: 'speed',
                     hue: 'hue'
@@ -45,7 +77,12 @@ export class ParameterMapper {
                     morph: 'morph',
                     hue: 'hue',
                     saturation: 'saturation',
-                    intensity: 'intensity'
+                    intensity: 'intensity',
+                    projection: 'projection',
+                    projectionDistance: 'projectionDistance',
+                    rotationMode: 'rotationMode',
+                    rotationPlane: 'rotationPlane',
+                    rotationRatio: 'rotationRatio'
                 },
                 from: {
                     geometryType: 'geometryType',
@@ -55,14 +92,20 @@ export class ParameterMapper {
                     morph: 'morph',
                     hue: 'hue',
                     saturation: 'saturation',
-                    intensity: 'intensity'
+                    intensity: 'intensity',
+                    projection: 'projection',
+                    projectionDistance: 'projectionDistance',
+                    rotationMode: 'rotationMode',
+                    rotationPlane: 'rotationPlane',
+                    rotationRatio: 'rotationRatio'
                 }
             },
             
             // Polychora system mappings
             polychora: {
                 to: {
-                    polytope: 'polytope',
+                    geometry: 'geometry',
+                    polytope: 'geometry', // Legacy name; the geometry index picks the polytope
                     lineThickness: 'lineThickness',
                     coreSize: 'coreSize',
                     outlineWidth: 'outlineWidth',
@@ -70,10 +113,18 @@ export class ParameterMapper {
                     colorMagnetism: 'colorMagnetism',
                     layerScale: 'layerScale',
                     translucency: 'translucency',
+                    renderMode: 'renderMode',
+                    slicePosition: 'slicePosition',
+                    sliceSweep: 'sliceSweep',
                     rot4dXW: 'rot4dXW',
                     rot4dYW: 'rot4dYW',
                     rot4dZW: 'rot4dZW',
                     dimension: 'dimension',
+                    projection: 'projection',
+                    projectionDistance: 'projectionDistance',
+                    rotationMode: 'rotationMode',
+                    rotationPlane: 'rotationPlane',
+                    rotationRatio: 'rotationRatio',
                     speed: 'speed',
                     hue: 'hue',
                     // Future 4D rotations
@@ -82,7 +133,7 @@ export class ParameterMapper {
                     rot4dYZ: 'rot4dYZ'
                 },
                 from: {
-                    polytope: 'polytope',
+                    geometry: 'geometry',
                     lineThickness: 'lineThickness',
                     coreSize: 'coreSize',
                     outlineWidth: 'outlineWidth',
@@ -90,10 +141,18 @@ export class ParameterMapper {
                     colorMagnetism: 'colorMagnetism',
                     layerScale: 'layerScale',
                     translucency: 'translucency',
+                    renderMode: 'renderMode',
+                    slicePosition: 'slicePosition',
+                    sliceSweep: 'sliceSweep',
                     rot4dXW: 'rot4dXW',
                     rot4dYW: 'rot4dYW',
                     rot4dZW: 'rot4dZW',
                     dimension: 'dimension',
+                    projection: 'projection',
+                    projectionDistance: 'projectionDistance',
+                    rotationMode: 'rotationMode',
+                    rotationPlane: 'rotationPlane',
+                    rotationRatio: 'rotationRatio',
                     speed: 'speed',
                     hue: 'hue',
                     rot4dXY: 'rot4dXY',
@@ -103,51 +162,8 @@ export class ParameterMapper {
             }
         };
         
-        // Unified parameter schema (canonical format)
-        this.unifiedSchema = {
-            // Geometry parameters
-            geometryType: { min: 0, max: 7, default: 0, type: 'integer' },
-            polytope: { min: 0, max: 5, default: 0, type: 'integer' },
-            
-            // Density and detail
-            density: { min: 1, max: 30, default: 10, type: 'float' },
-            gridDensity: { min: 4, max: 30, default: 10, type: 'float' },
-            
-            // Morphing and transformation
-            morph: { min: 0, max: 2, default: 0, type: 'float' },
-            morphFactor: { min: 0, max: 2, default: 0, type: 'float' },
-            
-            // 4D rotation parameters (existing)
-            rot4dXW: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            rot4dYW: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            rot4dZW: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            
-            // 4D rotation parameters (new for Polychora)
-            rot4dXY: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            rot4dXZ: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            rot4dYZ: { min: -Math.PI, max: Math.PI, default: 0, type: 'float' },
-            
-            // Dimension and physics
-            dimension: { min: 3.0, max: 4.5, default: 3.8, type: 'float' },
-            
-            // Animation and chaos
-            speed: { min: 0.1, max: 3.0, default: 1.0, type: 'float' },
-            chaos: { min: 0, max: 1, default: 0, type: 'float' },
-            
-            // Color parameters
-            hue: { min: 0, max: 360, default: 200, type: 'float' },
-            saturation: { min: 0, max: 1, default: 0.8, type: 'float' },
-            intensity: { min: 0, max: 1, default: 0.5, type: 'float' },
-            
-            // Polychora glass effects
-            lineThickness: { min: 0.5, max: 5.0, default: 2.5, type: 'float' },
-            coreSize: { min: 0.5, max: 2.0, default: 1.2, type: 'float' },
-            outlineWidth: { min: 0.5, max: 3.0, default: 1.8, type: 'float' },
-            glassBlur: { min: 0, max: 5.0, default: 3.0, type: 'float' },
-            colorMagnetism: { min: 0, max: 1, default: 0.7, type: 'float' },
-            layerScale: { min: 0.5, max: 2.0, default: 1.0, type: 'float' },
-            translucency: { min: 0, max: 1, default: 0.8, type: 'float' }
-        };
+        // Unified parameter schema (canonical format) - derived from the shared ParameterSchema
+        this.unifiedSchema = buildUnifiedSchema();
     }
     
     /**
@@ -198,37 +214,7 @@ export class ParameterMapper {
      * Validate parameters against schema
      */
     validate(params) {
-        const errors = [];
-        const validated = {};
-        
-        Object.entries(params).forEach(([key, value]) => {
-            const schema = this.unifiedSchema[key];
-            
-            if (!schema) {
-                errors.push(`Unknown parameter: ${key}`);
-                return;
-            }
-            
-            // Type validation
-            if (schema.type === 'integer') {
-                value = Math.round(value);
-            } else if (schema.type === 'float') {
-                value = parseFloat(value);
-            }
-            
-            // Range validation
-            if (value < schema.min) {
-                value = schema.min;
-                errors.push(`${key} clamped to minimum: ${schema.min}`);
-            } else if (value > schema.max) {
-                value = schema.max;
-                errors.push(`${key} clamped to maximum: ${schema.max}`);
-            }
-            
-            validated[key] = value;
-        });
-        
-        return { params: validated, errors };
+        return sanitizeParameters(params);
     }
     
     /**
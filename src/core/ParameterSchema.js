@@ -0,0 +1,238 @@
+/**
+ * VIB3+ Parameter Schema - single source of truth for every tunable parameter
+ * Ranges, defaults, units, UI labels and per-system applicability live here;
+ * ParameterManager, ParameterMapper, UnifiedSaveManager and the LLM interface derive from it
+ */
+
+export const ALL_SYSTEMS = ['quantum', 'faceted', 'holographic', 'polychora'];
+
+/**
+ * Pseudo-system selecting only the parameters every system shares (ParameterManager's set)
+ */
+export const SHARED_PARAMETERS = 'shared';
+
+const SHARED = ALL_SYSTEMS;
+// Systems whose shaders combine a base (or lattice) with its core through the coreOperators chunk
+const CORE_SYSTEMS = ['quantum', 'faceted', 'holographic'];
+const POLYCHORA = ['polychora'];
+
+/**
+ * @typedef {Object} ParameterDefinition
+ * @property {'int'|'float'} type
+ * @property {number} min
+ * @property {number} max
+ * @property {number} step
+ * @property {number} default
+ * @property {string} unit - Display unit ('' when dimensionless)
+ * @property {string} label - Human readable UI label
+ * @property {string[]} systems - Systems that consume the parameter
+ * @property {string[]} [aliases] - Legacy names accepted on input (saves, mapper formats)
+ */
+
+/** @type {Object<string, ParameterDefinition>} */
+export const PARAMETER_SCHEMA = {
+    variation: { type: 'int', min: 0, max: 99, step: 1, default: 0, unit: '', label: 'Variation', systems: SHARED },
+    geometry: { type: 'int', min: 0, max: 47, step: 1, default: 0, unit: '', label: 'Geometry', systems: SHARED, aliases: ['geometryType', 'polytope'] },
+
+    // How a base shape meets its core (0 = intersection, 1 = union, 2 = smooth union, 3 = subtraction, 4 = shell;
+    // see CORE_OPERATORS in geometry/GeometryCatalogue.js). coreBlend is the smooth-union radius and shell thickness.
+    coreOperator: { type: 'int', min: 0, max: 4, step: 1, default: 0, unit: '', label: 'Core Operator', systems: CORE_SYSTEMS },
+    coreBlend: { type: 'float', min: 0, max: 1, step: 0.01, default: 0.1, unit: '', label: 'Core Blend Radius', systems: CORE_SYSTEMS },
+
+    // 3D space rotations
+    rot4dXY: { type: 'float', min: -6.28, max: 6.28, step: 0.01, default: 0, unit: 'rad', label: 'XY Rotation', systems: SHARED },
+    rot4dXZ: { type: 'float', min: -6.28, max: 6.28, step: 0.01, default: 0, unit: 'rad', label: 'XZ Rotation', systems: SHARED },
+    rot4dYZ: { type: 'float', min: -6.28, max: 6.28, step: 0.01, default: 0, unit: 'rad', label: 'YZ Rotation', systems: SHARED },
+    // 4D hyperspace rotations
+    rot4dXW: { type: 'float', min: -6.28, max: 6.28, step: 0.01, default: 0, unit: 'rad', label: 'XW Rotation', systems: SHARED },
+    rot4dYW: { type: 'float', min: -6.28, max: 6.28, step: 0.01, default: 0, unit: 'rad', label: 'YW Rotation', systems: SHARED },
+    rot4dZW: { type: 'float', min: -6.28, max: 6.28, step: 0.01, default: 0, unit: 'rad', label: 'ZW Rotation', systems: SHARED },
+    dimension: { type: 'float', min: 3.0, max: 4.5, step: 0.01, default: 3.5, unit: 'D', label: 'Dimension', systems: SHARED },
+
+    // 4D → 3D projection (0 = perspective, 1 = orthographic, 2 = stereographic, 3 = Schlegel; see geometry/Projection.js)
+    projection: { type: 'int', min: 0, max: 3, step: 1, default: 0, unit: '', label: 'Projection', systems: SHARED },
+    projectionDistance: { type: 'float', min: 1, max: 10, step: 0.1, default: 2.5, unit: '', label: 'Projection Distance', systems: SHARED },
+
+    // Rotation presets (0 = free planes, 1 = simple, 2 = double, 3 = left isoclinic, 4 = right isoclinic; see math/RotationModes.js)
+    rotationMode: { type: 'int', min: 0, max: 4, step: 1, default: 0, unit: '', label: 'Rotation Mode', systems: SHARED },
+    rotationPlane: { type: 'int', min: 0, max: 5, step: 1, default: 3, unit: '', label: 'Rotation Plane', systems: SHARED },
+    rotationRatio: { type: 'float', min: -4, max: 4, step: 0.01, default: 0.5, unit: '×', label: 'Rotation Ratio', systems: SHARED },
+
+    // Pattern and motion
+    gridDensity: { type: 'float', min: 4, max: 100, step: 0.1, default: 15, unit: '', label: 'Grid Density', systems: SHARED, aliases: ['density'] },
+    morphFactor: { type: 'float', min: 0, max: 2, step: 0.01, default: 1.0, unit: '', label: 'Morph Factor', systems: SHARED, aliases: ['morph'] },
+    chaos: { type: 'float', min: 0, max: 1, step: 0.01, default: 0.2, unit: '', label: 'Chaos', systems: SHARED },
+    speed: { type: 'float', min: 0.1, max: 3, step: 0.01, default: 1.0, unit: '×', label: 'Speed', systems: SHARED },
+
+    // Color
+    hue: { type: 'int', min: 0, max: 360, step: 1, default: 200, unit: '°', label: 'Hue', systems: SHARED },
+    intensity: { type: 'float', min: 0, max: 1, step: 0.01, default: 0.5, unit: '', label: 'Intensity', systems: SHARED },
+    saturation: { type: 'float', min: 0, max: 1, step: 0.01, default: 0.8, unit: '', label: 'Saturation', systems: SHARED },
+
+    // Post-processing after layer compositing (see core/PostProcessChain.js); each pass is off at 0
+    trails: { type: 'float', min: 0, max: 0.98, step: 0.01, default: 0, unit: '', label: 'Feedback Trails', systems: SHARED },
+    trailZoom: { type: 'float', min: 0.9, max: 1.1, step: 0.001, default: 1.0, unit: '×', label: 'Trail Zoom', systems: SHARED },
+    kaleidoscope: { type: 'int', min: 0, max: 16, step: 1, default: 0, unit: '', label: 'Kaleidoscope Segments', systems: SHARED },
+    kaleidoscopeRotation: { type: 'float', min: -6.28, max: 6.28, step: 0.01, default: 0, unit: 'rad', label: 'Kaleidoscope Rotation', systems: SHARED },
+    bloomIntensity: { type: 'float', min: 0, max: 3, step: 0.01, default: 0, unit: '', label: 'Bloom', systems: SHARED },
+    bloomThreshold: { type: 'float', min: 0, max: 1, step: 0.01, default: 0.5, unit: '', label: 'Bloom Threshold', systems: SHARED },
+    bloomRadius: { type: 'float', min: 0.5, max: 8, step: 0.1, default: 2, unit: 'px', label: 'Bloom Radius', systems: SHARED },
+    chromaticAberration: { type: 'float', min: 0, max: 0.1, step: 0.001, default: 0, unit: '', label: 'Chromatic Aberration', systems: SHARED },
+    vignette: { type: 'float', min: 0, max: 1, step: 0.01, default: 0, unit: '', label: 'Vignette', systems: SHARED },
+    vignetteSoftness: { type: 'float', min: 0, max: 1, step: 0.01, default: 0.5, unit: '', label: 'Vignette Softness', systems: SHARED },
+    grain: { type: 'float', min: 0, max: 0.5, step: 0.01, default: 0, unit: '', label: 'Film Grain', systems: SHARED },
+
+    // Polychora glass rendering
+    lineThickness: { type: 'float', min: 0.5, max: 5.0, step: 0.1, default: 2.5, unit: 'px', label: 'Line Thickness', systems: POLYCHORA },
+    coreSize: { type: 'float', min: 0.5, max: 2.0, step: 0.01, default: 1.2, unit: '', label: 'Core Size', systems: POLYCHORA },
+    outlineWidth: { type: 'float', min: 0.5, max: 3.0, step: 0.01, default: 1.8, unit: 'px', label: 'Outline Width', systems: POLYCHORA },
+    glassBlur: { type: 'float', min: 0, max: 5.0, step: 0.1, default: 3.0, unit: 'px', label: 'Glass Blur', systems: POLYCHORA },
+    colorMagnetism: { type: 'float', min: 0, max: 1, step: 0.01, default: 0.7, unit: '', label: 'Color Magnetism', systems: POLYCHORA },
+    layerScale: { type: 'float', min: 0.5, max: 2.0, step: 0.01, default: 1.0, unit: '×', label: 'Layer Scale', systems: POLYCHORA },
+    translucency: { type: 'float', min: 0, max: 1, step: 0.01, default: 0.8, unit: '', label: 'Translucency', systems: POLYCHORA },
+
+    // Polychora cross-section (0 = projection, 1 = slice, 2 = projection + slice)
+    renderMode: { type: 'int', min: 0, max: 2, step: 1, default: 0, unit: '', label: 'Render Mode', systems: POLYCHORA },
+    slicePosition: { type: 'float', min: -1, max: 1, step: 0.01, default: 0, unit: '', label: 'Slice Position', systems: POLYCHORA },
+    sliceSweep: { type: 'float', min: 0, max: 2, step: 0.01, default: 0, unit: '×', label: 'Slice Sweep', systems: POLYCHORA }
+};
+
+const ALIAS_TO_NAME = Object.entries(PARAMETER_SCHEMA).reduce((map, [name, def]) => {
+    (def.aliases || []).forEach(alias => {
+        map[alias] = name;
+    });
+    return map;
+}, {});
+
+/**
+ * Whether a canonical parameter is consumed by a system (null accepts every parameter)
+ */
+export function isParameterForSystem(name, system = null) {
+    return Boolean(PARAMETER_SCHEMA[name]) && appliesTo(name, system);
+}
+
+/**
+ * Resolve a legacy alias (geometryType, density, morph) to its canonical name
+ */
+export function resolveParameterName(name) {
+    return PARAMETER_SCHEMA[name] ? name : (ALIAS_TO_NAME[name] || null);
+}
+
+/**
+ * Definition for a canonical name or alias, or null when unknown
+ * @returns {ParameterDefinition|null}
+ */
+export function getParameterDefinition(name) {
+    const canonical = resolveParameterName(name);
+    return canonical ? PARAMETER_SCHEMA[canonical] : null;
+}
+
+function appliesTo(name, system) {
+    const systems = PARAMETER_SCHEMA[name].systems;
+    if (!system) {
+        return true;
+    }
+    return system === SHARED_PARAMETERS ? systems.length === ALL_SYSTEMS.length : systems.includes(system);
+}
+
+/**
+ * Canonical parameter names, optionally restricted to one system (or SHARED_PARAMETERS)
+ */
+export function getParameterNames(system = null) {
+    return Object.keys(PARAMETER_SCHEMA).filter(name => appliesTo(name, system));
+}
+
+/**
+ * Default values keyed by canonical name, optionally restricted to one system
+ */
+export function getDefaultParameters(system = null) {
+    const defaults = {};
+    getParameterNames(system).forEach(name => {
+        defaults[name] = PARAMETER_SCHEMA[name].default;
+    });
+    return defaults;
+}
+
+/**
+ * Coerce a value into a parameter's range and type
+ * Returns the default for non-numeric input and null for unknown parameters
+ */
+export function clampParameter(name, value) {
+    const def = getParameterDefinition(name);
+    if (!def) {
+        return null;
+    }
+
+    let number = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(number)) {
+        return def.default;
+    }
+
+    number = Math.max(def.min, Math.min(def.max, number));
+    return def.type === 'int' ? Math.round(number) : number;
+}
+
+/**
+ * Clamp every known parameter, reporting each adjustment
+ * @returns {{params: Object, errors: string[]}}
+ */
+export function sanitizeParameters(params, system = null) {
+    const sanitized = {};
+    const errors = [];
+
+    Object.entries(params || {}).forEach(([key, value]) => {
+        const name = resolveParameterName(key);
+        if (!name || !appliesTo(name, system)) {
+            errors.push(`Unknown parameter: ${key}`);
+            return;
+        }
+
+        const clamped = clampParameter(name, value);
+        if (clamped !== value) {
+            errors.push(`${key} coerced from ${value} to ${clamped}`);
+        }
+        sanitized[key] = clamped;
+    });
+
+    return { params: sanitized, errors };
+}
+
+/**
+ * JSON Schema (draft-07) for a parameter object - consumed by ParameterValidator/ajv
+ * Aliases are accepted as properties with the same constraints as their canonical parameter
+ */
+export function buildJSONSchema(system = null, { allowUnknown = true } = {}) {
+    const properties = {};
+
+    getParameterNames(system).forEach(name => {
+        const def = PARAMETER_SCHEMA[name];
+        const property = {
+            type: def.type === 'int' ? 'integer' : 'number',
+            minimum: def.min,
+            maximum: def.max,
+            default: def.default,
+            title: def.label
+        };
+        properties[name] = property;
+        (def.aliases || []).forEach(alias => {
+            properties[alias] = property;
+        });
+    });
+
+    return {
+        type: 'object',
+        properties,
+        additionalProperties: allowUnknown
+    };
+}
+
+/**
+ * One-line human readable range, e.g. "hue (0 to 360°)"
+ */
+export function describeParameter(name) {
+    const def = getParameterDefinition(name);
+    if (!def) {
+        return name;
+    }
+    return `${name} (${def.min} to ${def.max}${def.unit && def.unit !== 'rad' ? def.unit : ''})`;
+}
@@ -0,0 +1,109 @@
+/**
+ * ParameterValidator - ajv-backed validation against the shared ParameterSchema
+ * ajv is loaded lazily so static pages without a bundler keep working; until it is
+ * available the validator applies the same schema with built-in range checks
+ */
+
+import { buildJSONSchema, getParameterDefinition, resolveParameterName, isParameterForSystem } from './ParameterSchema.js';
+
+export class ParameterValidator {
+    constructor() {
+        this.ajv = null;
+        this.compiled = new Map();
+        this.loading = null;
+    }
+
+    /**
+     * Load ajv (resolves false when the module cannot be resolved, e.g. unbundled browser builds)
+     */
+    async initialize() {
+        if (!this.loading) {
+            this.loading = import('ajv')
+                .then(module => {
+                    const Ajv = module.default?.default || module.default;
+                    this.ajv = new Ajv({ allErrors: true, strict: false });
+                    this.compiled.clear();
+                    return true;
+                })
+                .catch(error => {
+                    console.warn('⚠️ ajv unavailable - using built-in parameter range checks:', error.message);
+                    return false;
+                });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Validate a parameter object without modifying it
+     * @param {Object} params
+     * @param {Object} [options]
+     * @param {string} [options.system] - Only accept parameters this system consumes
+     * @param {boolean} [options.strict=false] - Reject unknown parameter names
+     * @returns {{valid: boolean, errors: Array<{parameter: string, message: string}>}}
+     */
+    validate(params, { system = null, strict = false } = {}) {
+        if (!params || typeof params !== 'object') {
+            return { valid: false, errors: [{ parameter: '', message: 'Parameters must be an object' }] };
+        }
+
+        const errors = this.ajv
+            ? this.validateWithAjv(params, system, strict)
+            : this.validateWithSchema(params, system, strict);
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Drop the compiled ajv schemas; call after a schema range changes (e.g. a geometry is registered)
+     */
+    invalidate() {
+        this.compiled.clear();
+    }
+
+    validateWithAjv(params, system, strict) {
+        const key = `${system || '*'}:${strict}`;
+        if (!this.compiled.has(key)) {
+            this.compiled.set(key, this.ajv.compile(buildJSONSchema(system, { allowUnknown: !strict })));
+        }
+
+        const validateFn = this.compiled.get(key);
+        if (validateFn(params)) {
+            return [];
+        }
+
+        return validateFn.errors.map(error => ({
+            parameter: error.instancePath.replace(/^\//, '') || error.params?.additionalProperty || '',
+            message: error.message
+        }));
+    }
+
+    validateWithSchema(params, system, strict) {
+        const errors = [];
+
+        Object.entries(params).forEach(([key, value]) => {
+            const name = resolveParameterName(key);
+            if (!name || !isParameterForSystem(name, system)) {
+                if (strict) {
+                    errors.push({ parameter: key, message: 'must NOT have additional properties' });
+                }
+                return;
+            }
+
+            const def = getParameterDefinition(name);
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                errors.push({ parameter: key, message: def.type === 'int' ? 'must be integer' : 'must be number' });
+            } else if (def.type === 'int' && !Number.isInteger(value)) {
+                errors.push({ parameter: key, message: 'must be integer' });
+            } else if (value < def.min) {
+                errors.push({ parameter: key, message: `must be >= ${def.min}` });
+            } else if (value > def.max) {
+                errors.push({ parameter: key, message: `must be <= ${def.max}` });
+            }
+        });
+
+        return errors;
+    }
+}
+
+// Shared instance - consumers call validate(); hosts with a bundler may await initialize()
+export const parameterValidator = new ParameterValidator();
@@ -3,57 +3,27 @@
  * Unified parameter control for both holographic and polytopal systems
  */
 
+import { PARAMETER_SCHEMA, SHARED_PARAMETERS, getDefaultParameters, clampParameter } from './ParameterSchema.js';
+import { parameterValidator } from './ParameterValidator.js';
+import { getProjectionIndex } from '../geometry/Projection.js';
+import { getCoreOperatorIndex, getGeometry, getGeometryCount } from '../geometry/GeometryCatalogue.js';
+import { getRotationModeIndex } from '../math/RotationModes.js';
+import { PLANES } from '../math/Rotor4D.js';
+
 export class ParameterManager {
-    constructor() {
-        // Default parameter set combining both systems
-        this.params = {
-            // Current variation
-            variation: 0,
-            
-            // 6D Rotation - 3D space rotations
-            rot4dXY: 0.0,      // X-Y plane rotation (-6.28 to 6.28)
-            rot4dXZ: 0.0,      // X-Z plane rotation (-6.28 to 6.28)
-            rot4dYZ: 0.0,      // Y-Z plane rotation (-6.28 to 6.28)
-            // 4D hyperspace rotations
-            rot4dXW: 0.0,      // X-W plane rotation (-6.28 to 6.28)
-            rot4dYW: 0.0,      // Y-W plane rotation (-6.28 to 6.28)
-            rot4dZW: 0.0,      // Z-W plane rotation (-6.28 to 6.28)
-            dimension: 3.5,    // Dimensional level (3.0 to 4.5)
-            
-            // Holographic Visualization
-            gridDensity: 15,   // Geometric detail (4 to 30)
-            morphFactor: 1.0,  // Shape transformation (0 to 2)
-            chaos: 0.2,        // Randomization level (0 to 1)
-            speed: 1.0,        // Animation speed (0.1 to 3)
-            hue: 200,          // Color rotation (0 to 360)
-            intensity: 0.5,    // Visual intensity (0 to 1)
-            saturation: 0.8,   // Color saturation (0 to 1)
-            
-            // Geometry selection
-            geometry: 0        // Current geometry type (0-7)
-        };
+    /**
+     * @param {string|null} [system=SHARED_PARAMETERS] - Schema subset to manage: a system name,
+     *   SHARED_PARAMETERS, or null for every parameter (the engine's cross-system store)
+     */
+    constructor(system = SHARED_PARAMETERS) {
+        // Default parameter set combining both systems (ranges, units and labels live in ParameterSchema)
+        this.params = getDefaultParameters(system);
         
         // Parameter definitions for validation and UI
-        this.parameterDefs = {
-            variation: { min: 0, max: 99, step: 1, type: 'int' },
-            // 3D Space Rotations
-            rot4dXY: { min: -6.28, max: 6.28, step: 0.01, type: 'float' },
-            rot4dXZ: { min: -6.28, max: 6.28, step: 0.01, type: 'float' },
-            rot4dYZ: { min: -6.28, max: 6.28, step: 0.01, type: 'float' },
-            // 4D Hyperspace Rotations
-            rot4dXW: { min: -2, max: 2, step: 0.01, type: 'float' },
-            rot4dYW: { min: -2, max: 2, step: 0.01, type: 'float' },
-            rot4dZW: { min: -2, max: 2, step: 0.01, type: 'float' },
-            dimension: { min: 3.0, max: 4.5, step: 0.01, type: 'float' },
-            gridDensity: { min: 4, max: 100, step: 0.1, type: 'float' },
-            morphFactor: { min: 0, max: 2, step: 0.01, type: 'float' },
-            chaos: { min: 0, max: 1, step: 0.01, type: 'float' },
-            speed: { min: 0.1, max: 3, step: 0.01, type: 'float' },
-            hue: { min: 0, max: 360, step: 1, type: 'int' },
-            intensity: { min: 0, max: 1, step: 0.01, type: 'float' },
-            saturation: { min: 0, max: 1, step: 0.01, type: 'float' },
-            geometry: { min: 0, max: 23, step: 1, type: 'int' }
-        };
+        this.parameterDefs = {};
+        Object.keys(this.params).forEach(name => {
+            this.parameterDefs[name] = PARAMETER_SCHEMA[name];
+        });
         
         // Default parameter backup for reset
         this.defaults = { ...this.params };
@@ -71,17 +41,8 @@ export class ParameterManager {
      */
     setParameter(name, value) {
         if (this.parameterDefs[name]) {
-            const def = this.parameterDefs[name];
-            
-            // Clamp value to valid range
-            value = Math.max(def.min, Math.min(def.max, value));
-            
-            // Apply type conversion
-            if (def.type === 'int') {
-                value = Math.round(value);
-            }
-            
-            this.params[name] = value;
+            // Clamp value to valid range and apply type conversion
+            this.params[name] = clampParameter(name, value);
             return true;
         }
         
@@ -106,10 +67,69 @@ export class ParameterManager {
     }
     
     /**
-     * Set geometry type with validation
+     * Set the geometry by catalogue ID, key ('hypersphere:torus') or { core, base } (indices or keys)
      */
-    setGeometry(geometryType) {
-        this.setParameter('geometry', geometryType);
+    setGeometry(geometry) {
+        if (typeof geometry === 'number') {
+            return this.setParameter('geometry', geometry);
+        }
+        const entry = getGeometry(geometry);
+        if (!entry) {
+            console.warn(`Unknown geometry: ${JSON.stringify(geometry)}`);
+            return false;
+        }
+        return this.setParameter('geometry', entry.id);
+    }
+    
+    /**
+     * Set the core operator by index or name ('intersection', 'union', 'smooth-union', 'subtraction', 'shell')
+     * @param {number|string} operator
+     * @param {number} [blend] - coreBlend radius; unchanged when omitted
+     */
+    setCoreOperator(operator, blend) {
+        const index = getCoreOperatorIndex(operator);
+        if (index < 0) {
+            console.warn(`Unknown core operator: ${operator}`);
+            return false;
+        }
+        if (blend !== undefined) {
+            this.setParameter('coreBlend', blend);
+        }
+        return this.setParameter('coreOperator', index);
+    }
+    
+    /**
+     * Set the 4D→3D projection by index or name ('perspective', 'orthographic', 'stereographic', 'schlegel')
+     */
+    setProjection(projection) {
+        const index = getProjectionIndex(projection);
+        if (index < 0) {
+            console.warn(`Unknown projection: ${projection}`);
+            return false;
+        }
+        return this.setParameter('projection', index);
+    }
+    
+    /**
+     * Set the rotation preset by index or name ('free planes', 'simple', 'double', 'left isoclinic', 'right isoclinic')
+     * @param {number|string} mode
+     * @param {number|string} [plane] - Plane the preset turns ('XW' or its index); unchanged when omitted
+     */
+    setRotationMode(mode, plane) {
+        const index = getRotationModeIndex(mode);
+        if (index < 0) {
+            console.warn(`Unknown rotation mode: ${mode}`);
+            return false;
+        }
+        if (plane !== undefined) {
+            const planeIndex = typeof plane === 'number' ? plane : PLANES.indexOf(String(plane).toUpperCase());
+            if (!PLANES[planeIndex]) {
+                console.warn(`Unknown rotation plane: ${plane}`);
+                return false;
+            }
+            this.setParameter('rotationPlane', planeIndex);
+        }
+        return this.setParameter('rotationMode', index);
     }
     
     /**
@@ -213,8 +233,9 @@ export class ParameterManager {
     
     /**
      * Randomize all parameters
+     * @param {number} [geometryCount] - Geometries the active system offers (default: the whole catalogue)
      */
-    randomizeAll() {
+    randomizeAll(geometryCount = getGeometryCount()) {
         // 3D Space Rotations
         this.params.rot4dXY = Math.random() * 12.56 - 6.28;
         this.params.rot4dXZ = Math.random() * 12.56 - 6.28;
@@ -230,7 +251,7 @@ export class ParameterManager {
         this.params.chaos = Math.random();
         this.params.speed = 0.1 + Math.random() * 2.9;
         this.params.hue = Math.random() * 360;
-        this.params.geometry = Math.floor(Math.random() * 24);
+        this.params.geometry = Math.floor(Math.random() * geometryCount);
     }
     
     /**
@@ -371,14 +392,11 @@ export class ParameterManager {
             return { valid: false, error: 'Missing parameters object' };
         }
         
-        // Validate individual parameters
-        for (const [key, value] of Object.entries(config.parameters)) {
-            if (this.parameterDefs[key]) {
-                const def = this.parameterDefs[key];
-                if (typeof value !== 'number' || value < def.min || value > def.max) {
-                    return { valid: false, error: `Invalid value for parameter ${key}: ${value}` };
-                }
-            }
+        // Validate individual parameters against the shared schema
+        const result = parameterValidator.validate(config.parameters);
+        if (!result.valid) {
+            const { parameter, message } = result.errors[0];
+            return { valid: false, error: `Invalid value for parameter ${parameter}: ${message}` };
         }
         
         return { valid: true };
@@ -0,0 +1,433 @@
+/**
+ * Post-Processing Chain - screen-space effects applied once to the composited layers
+ *
+ * LayerCompositor blends the layers into a scene texture instead of the canvas while any pass is
+ * on, then the chain runs the passes in order, ping-ponging between two render targets, and the
+ * last one draws to the canvas. Every pass reads its settings from engine parameters (see
+ * ParameterSchema), so effects save, load, transition and mix across systems like anything else.
+ * A pass whose strength is 0 is skipped; with every pass off the chain costs nothing.
+ *
+ * - feedback     - previous output (zoomed by trailZoom) fades under the new frame: trails
+ * - kaleidoscope - mirrors the image into `kaleidoscope` wedges
+ * - bloom        - bright pixels bleed light into their neighbourhood
+ * - chromatic    - red and blue sampled apart radially
+ * - vignette     - darkens towards the corners
+ * - grain        - per-frame film noise
+ */
+
+export const POST_PROCESS_PASSES = ['feedback', 'kaleidoscope', 'bloom', 'chromatic', 'vignette', 'grain'];
+
+const VERTEX_SHADER = `
+attribute vec2 a_position;
+varying vec2 v_uv;
+void main() {
+    v_uv = a_position * 0.5 + 0.5;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+// Every pass samples u_source (premultiplied colour) and writes premultiplied colour
+const FRAGMENT_HEADER = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+uniform sampler2D u_source;
+uniform vec2 u_resolution;
+varying vec2 v_uv;
+`;
+
+const PASSES = {
+    feedback: {
+        parameters: ['trails', 'trailZoom'],
+        isActive: params => params.trails > 0,
+        feedback: true,
+        uniforms: params => ({ u_amount: params.trails, u_zoom: params.trailZoom }),
+        fragment: `
+uniform sampler2D u_history;
+uniform float u_amount;
+uniform float u_zoom;
+void main() {
+    vec4 current = texture2D(u_source, v_uv);
+    vec4 history = texture2D(u_history, (v_uv - 0.5) / u_zoom + 0.5) * u_amount;
+    gl_FragColor = current + history * (1.0 - current.a);
+}`
+    },
+    kaleidoscope: {
+        parameters: ['kaleidoscope', 'kaleidoscopeRotation'],
+        isActive: params => params.kaleidoscope >= 2,
+        uniforms: params => ({ u_segments: params.kaleidoscope, u_rotation: params.kaleidoscopeRotation }),
+        fragment: `
+uniform float u_segments;
+uniform float u_rotation;
+void main() {
+    float aspect = u_resolution.x / u_resolution.y;
+    vec2 p = (v_uv - 0.5) * vec2(aspect, 1.0);
+    float wedge = 6.28318530718 / u_segments;
+    float angle = mod(atan(p.y, p.x) + u_rotation, wedge);
+    angle = min(angle, wedge - angle);
+    p = vec2(cos(angle), sin(angle)) * length(p);
+    gl_FragColor = texture2D(u_source, p / vec2(aspect, 1.0) + 0.5);
+}`
+    },
+    bloom: {
+        parameters: ['bloomIntensity', 'bloomThreshold', 'bloomRadius'],
+        isActive: params => params.bloomIntensity > 0,
+        uniforms: params => ({ u_intensity: params.bloomIntensity, u_threshold: params.bloomThreshold, u_radius: params.bloomRadius }),
+        fragment: `
+uniform float u_intensity;
+uniform float u_threshold;
+uniform float u_radius;
+void main() {
+    vec4 base = texture2D(u_source, v_uv);
+    vec3 glow = vec3(0.0);
+    float total = 0.0;
+    // Three rings of eight taps, each ring offset half a step so the kernel looks round
+    for (int ring = 1; ring <= 3; ring++) {
+        for (int tap = 0; tap < 8; tap++) {
+            float angle = float(tap) * 0.785398 + float(ring) * 0.392699;
+            vec2 offset = vec2(cos(angle), sin(angle)) * float(ring) * u_radius / u_resolution;
+            vec4 sampled = texture2D(u_source, v_uv + offset);
+            float weight = 1.0 / float(ring);
+            glow += max(sampled.rgb - u_threshold, 0.0) * weight;
+            total += weight;
+        }
+    }
+    vec3 color = base.rgb + glow / total * u_intensity;
+    gl_FragColor = vec4(color, max(base.a, min(1.0, max(color.r, max(color.g, color.b)))));
+}`
+    },
+    chromatic: {
+        parameters: ['chromaticAberration'],
+        isActive: params => params.chromaticAberration > 0,
+        uniforms: params => ({ u_amount: params.chromaticAberration }),
+        fragment: `
+uniform float u_amount;
+void main() {
+    vec2 offset = (v_uv - 0.5) * u_amount;
+    vec4 red = texture2D(u_source, v_uv + offset);
+    vec4 green = texture2D(u_source, v_uv);
+    vec4 blue = texture2D(u_source, v_uv - offset);
+    gl_FragColor = vec4(red.r, green.g, blue.b, max(green.a, max(red.a, blue.a)));
+}`
+    },
+    vignette: {
+        parameters: ['vignette', 'vignetteSoftness'],
+        isActive: params => params.vignette > 0,
+        uniforms: params => ({ u_amount: params.vignette, u_softness: params.vignetteSoftness }),
+        fragment: `
+uniform float u_amount;
+uniform float u_softness;
+void main() {
+    float distanceToCenter = length(v_uv - 0.5) * 1.41421356;
+    float shade = 1.0 - u_amount * smoothstep(1.0 - max(u_softness, 0.01), 1.0, distanceToCenter);
+    vec4 color = texture2D(u_source, v_uv);
+    gl_FragColor = vec4(color.rgb * shade, color.a);
+}`
+    },
+    grain: {
+        parameters: ['grain'],
+        isActive: params => params.grain > 0,
+        uniforms: (params, frame) => ({ u_amount: params.grain, u_seed: frame % 1000 }),
+        fragment: `
+uniform float u_amount;
+uniform float u_seed;
+void main() {
+    vec4 color = texture2D(u_source, v_uv);
+    float noise = fract(sin(dot(v_uv * u_resolution + u_seed, vec2(12.9898, 78.233))) * 43758.5453) - 0.5;
+    // Grain only where there is content, and never beyond the pixel's alpha (premultiplied)
+    gl_FragColor = vec4(clamp(color.rgb + noise * u_amount * color.a, 0.0, color.a), color.a);
+}`
+    }
+};
+
+const COPY_FRAGMENT = `
+void main() {
+    gl_FragColor = texture2D(u_source, v_uv);
+}`;
+
+export const POST_PROCESS_PARAMETERS = POST_PROCESS_PASSES.flatMap(name => PASSES[name].parameters);
+
+/**
+ * The post-processing parameters out of a full parameter set
+ */
+export function getPostProcessParameters(params) {
+    const selected = {};
+    POST_PROCESS_PARAMETERS.forEach(name => {
+        if (name in params) {
+            selected[name] = params[name];
+        }
+    });
+    return selected;
+}
+
+/**
+ * Passes of an order that a parameter set turns on
+ * @returns {string[]}
+ */
+export function getActivePostProcessPasses(params, order = POST_PROCESS_PASSES) {
+    return order.filter(name => PASSES[name].isActive(params));
+}
+
+/**
+ * Validate a pass order - any subset of POST_PROCESS_PASSES, each at most once; omitted passes never run
+ * @returns {string[]}
+ */
+export function resolvePostProcessOrder(order) {
+    if (!Array.isArray(order)) {
+        throw new TypeError(`Post-processing order must be an array of pass names, got ${order}`);
+    }
+    order.forEach((name, index) => {
+        if (!PASSES[name]) {
+            throw new RangeError(`Unknown post-processing pass: ${name} (expected one of ${POST_PROCESS_PASSES.join(', ')})`);
+        }
+        if (order.indexOf(name) !== index) {
+            throw new RangeError(`Post-processing pass listed twice: ${name}`);
+        }
+    });
+    return [...order];
+}
+
+export class PostProcessChain {
+    /**
+     * @param {WebGLRenderingContext} gl - Context to render with (LayerCompositor passes its composite view)
+     * @param {Object} [options]
+     * @param {WebGLBuffer} [options.quad] - Fullscreen TRIANGLE_STRIP quad, bound to attribute 0 before each draw
+     * @param {string[]} [options.order=POST_PROCESS_PASSES]
+     */
+    constructor(gl, options = {}) {
+        this.gl = gl;
+        this.quad = options.quad || null;
+        this.order = resolvePostProcessOrder(options.order || POST_PROCESS_PASSES);
+        this.parameters = {};
+        this.programs = new Map();
+        this.targets = [];
+        this.history = [];
+        this.historyValid = false;
+        this.width = 0;
+        this.height = 0;
+        this.frame = 0;
+    }
+
+    setOrder(order) {
+        this.order = resolvePostProcessOrder(order);
+    }
+
+    setParameters(parameters) {
+        this.parameters = { ...this.parameters, ...parameters };
+    }
+
+    /**
+     * Passes that will run this frame, in order
+     */
+    getActivePasses() {
+        return getActivePostProcessPasses(this.parameters, this.order);
+    }
+
+    isActive() {
+        return this.getActivePasses().length > 0;
+    }
+
+    /**
+     * Framebuffer the compositor blends the layers into (scene target, sized to the canvas)
+     */
+    beginScene(width, height) {
+        this.resize(width, height);
+        return this.targets[0].framebuffer;
+    }
+
+    /**
+     * Run the active passes over the scene target and draw the result to the default framebuffer
+     */
+    render() {
+        const gl = this.gl;
+        const passes = this.getActivePasses();
+        if (passes.length === 0) return;
+
+        const feedback = passes.includes('feedback');
+        if (feedback && !this.historyValid) {
+            // Trails start from empty, not from whatever was left when they were last on
+            this.history.forEach(target => this.clearTarget(target));
+            this.historyValid = true;
+        } else if (!feedback) {
+            this.historyValid = false;
+        }
+
+        gl.disable(gl.BLEND);
+        gl.viewport(0, 0, this.width, this.height);
+
+        // targets[0] holds the scene; passes alternate between the two targets (feedback writes history)
+        let source = this.targets[0];
+        passes.forEach((name, index) => {
+            const pass = PASSES[name];
+            let output = null;
+            if (pass.feedback) {
+                output = this.history[1];
+            } else if (index < passes.length - 1) {
+                output = source === this.targets[0] ? this.targets[1] : this.targets[0];
+            }
+
+            this.draw(name, pass.fragment, source, output, pass.uniforms(this.parameters, this.frame));
+
+            if (pass.feedback) {
+                this.history.reverse();
+                source = this.history[0];
+            } else if (output) {
+                source = output;
+            }
+        });
+
+        // Feedback writes its own history target, so a trailing feedback pass still needs presenting
+        if (PASSES[passes[passes.length - 1]].feedback) {
+            this.draw('copy', COPY_FRAGMENT, source, null, {});
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        this.frame += 1;
+    }
+
+    draw(name, fragment, source, output, uniforms) {
+        const gl = this.gl;
+        const program = this.getProgram(name, fragment);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, output ? output.framebuffer : null);
+        gl.useProgram(program.program);
+        if (this.quad) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+            gl.enableVertexAttribArray(0);
+            gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+        }
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, source.texture);
+        gl.uniform1i(program.location('u_source'), 0);
+        gl.uniform2f(program.location('u_resolution'), this.width, this.height);
+        if (name === 'feedback') {
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, this.history[0].texture);
+            gl.uniform1i(program.location('u_history'), 1);
+            gl.activeTexture(gl.TEXTURE0);
+        }
+        Object.entries(uniforms).forEach(([uniform, value]) => {
+            gl.uniform1f(program.location(uniform), value);
+        });
+
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    getProgram(name, fragment) {
+        if (this.programs.has(name)) {
+            return this.programs.get(name);
+        }
+
+        const gl = this.gl;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(`PostProcessChain ${name} shader failed: ${gl.getShaderInfoLog(shader)}`);
+            }
+            return shader;
+        };
+
+        const vertexShader = compile(gl.VERTEX_SHADER, VERTEX_SHADER);
+        const fragmentShader = compile(gl.FRAGMENT_SHADER, FRAGMENT_HEADER + fragment);
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        // Attribute 0 so the compositor's quad setup applies unchanged
+        gl.bindAttribLocation(program, 0, 'a_position');
+        gl.linkProgram(program);
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`PostProcessChain ${name} program failed: ${gl.getProgramInfoLog(program)}`);
+        }
+
+        const locations = new Map();
+        const entry = {
+            program,
+            location: uniform => {
+                if (!locations.has(uniform)) {
+                    locations.set(uniform, gl.getUniformLocation(program, uniform));
+                }
+                return locations.get(uniform);
+            }
+        };
+        this.programs.set(name, entry);
+        return entry;
+    }
+
+    /**
+     * (Re)allocate the scene/ping-pong and history targets at the canvas size
+     */
+    resize(width, height) {
+        width = Math.max(1, width | 0);
+        height = Math.max(1, height | 0);
+        if (this.targets.length && this.width === width && this.height === height) return;
+
+        this.releaseTargets();
+        this.width = width;
+        this.height = height;
+        this.targets = [this.createTarget(), this.createTarget()];
+        this.history = [this.createTarget(), this.createTarget()];
+        this.historyValid = false;
+    }
+
+    createTarget() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.width, this.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        return { texture, framebuffer };
+    }
+
+    clearTarget(target) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+
+    releaseTargets() {
+        const gl = this.gl;
+        [...this.targets, ...this.history].forEach(target => {
+            gl.deleteTexture(target.texture);
+            gl.deleteFramebuffer(target.framebuffer);
+        });
+        this.targets = [];
+        this.history = [];
+    }
+
+    /**
+     * Forget the handles of a lost context; programs and targets are recreated on the next frame
+     */
+    restore(quad = this.quad) {
+        this.quad = quad;
+        this.programs.clear();
+        this.targets = [];
+        this.history = [];
+        this.historyValid = false;
+        this.width = 0;
+        this.height = 0;
+    }
+
+    destroy() {
+        const gl = this.gl;
+        if (!gl.isContextLost()) {
+            this.programs.forEach(entry => gl.deleteProgram(entry.program));
+            this.releaseTargets();
+        }
+        this.programs.clear();
+    }
+}
@@ -4,9 +4,18 @@
  */
 
 export class ReactivityManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Element|Document} [options.root=document] - Only input inside this element is routed
+     * @param {EngineScope} [options.scope] - Owning engine's scope; parameter changes go to it instead of window.updateParameter
+     */
+    constructor(options = {}) {
         console.log('⚡ Initializing Modular Reactivity Manager');
         
+        this.root = options.root || document;
+        this.scope = options.scope || null;
+        this.listeners = [];
+        
         // Global reactivity state
         this.enabled = true; // Master toggle (controlled by existing global toggle)
         
@@ -117,12 +126,28 @@ export class ReactivityManager {
             'polychora-background-canvas', 'polychora-shadow-canvas', 'polychora-content-canvas', 'polychora-highlight-canvas', 'polychora-accent-canvas'
         ];
         
-        // Add event listeners using event delegation (more efficient)
-        document.addEventListener('mousemove', (e) => this.handleGlobalMouseMove(e));
-        document.addEventListener('click', (e) => this.handleGlobalClick(e));
-        document.addEventListener('touchmove', (e) => this.handleGlobalTouchMove(e));
-        document.addEventListener('touchend', (e) => this.handleGlobalTouchEnd(e));
-        document.addEventListener('wheel', (e) => this.handleGlobalWheel(e));
+        // Add event listeners using event delegation (more efficient), scoped to this manager's root
+        const handlers = {
+            mousemove: (e) => this.handleGlobalMouseMove(e),
+            click: (e) => this.handleGlobalClick(e),
+            touchmove: (e) => this.handleGlobalTouchMove(e),
+            touchend: (e) => this.handleGlobalTouchEnd(e),
+            wheel: (e) => this.handleGlobalWheel(e)
+        };
+        
+        Object.entries(handlers).forEach(([type, handler]) => {
+            this.root.addEventListener(type, handler);
+            this.listeners.push([type, handler]);
+        });
+    }
+    
+    /**
+     * Detach input listeners (per-instance managers are destroyed with their engine)
+     */
+    destroy() {
+        this.listeners.forEach(([type, handler]) => this.root.removeEventListener(type, handler));
+        this.listeners = [];
+        this.activeSystem = null;
     }
     
     /**
@@ -235,7 +260,9 @@ export class ReactivityManager {
      */
     updateParameter(param, value) {
         // Active system takes control - simple conflict resolution
-        if (window.updateParameter) {
+        if (this.scope) {
+            this.scope.updateParameter(param, value);
+        } else if (window.updateParameter) {
             window.updateParameter(param, value);
         }
         
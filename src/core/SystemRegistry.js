@@ -0,0 +1,121 @@
+/**
+ * System Registry - pluggable visualization systems for VIB3Engine
+ * A system is a factory plus a manifest describing its layers, parameters, geometries and capabilities.
+ * Built-in systems register through the same route as third-party ones (see VIB3Engine.registerSystem).
+ */
+
+import { LAYER_ROLES } from './CanvasManager.js';
+import { getParameterNames, SHARED_PARAMETERS } from './ParameterSchema.js';
+import { getGeometryNames } from '../geometry/GeometryCatalogue.js';
+
+/**
+ * Default geometry names - the built-in entries of the geometry catalogue (8 bases × 6 cores, 48 entries)
+ */
+export const DEFAULT_GEOMETRY_NAMES = Object.freeze(getGeometryNames());
+
+/**
+ * @typedef {Object} SystemManifest
+ * @property {string} [label] - Display name
+ * @property {string[]} [layers] - Layer roles the system renders into, in stacking order (default: LAYER_ROLES)
+ * @property {string} [canvasPrefix] - Canvas ID prefix; IDs are `${canvasPrefix}${role}-canvas` (default: `${name}-`)
+ * @property {string} [container] - DOM container ID for the layer canvases (default: `${name}Layers`)
+ * @property {string[]} [parameters] - Parameters the system consumes (default: the shared set)
+ * @property {string[]} [geometries] - Names indexed by the geometry parameter (default: the live geometry catalogue,
+ *   see geometry/GeometryCatalogue.js; a system that lists its own does not take catalogue IDs)
+ * @property {Object<string, boolean>} [capabilities] - e.g. { audio, interaction, headless }
+ */
+
+/**
+ * @callback SystemFactory
+ * @param {Object} options - { canvases, clock, autoRender, interactive }
+ * @returns {Object|Promise<Object>} System implementing updateParameters, setActive, renderFrame and destroy,
+ *   optionally restoreContext(role) → boolean to rebuild a layer after WebGL context loss (else it is recreated)
+ */
+
+const DEFAULT_CAPABILITIES = {
+    audio: false,
+    interaction: false,
+    headless: true
+};
+
+export class SystemRegistry {
+    constructor() {
+        this.systems = new Map();
+    }
+
+    /**
+     * Register (or replace) a system
+     * @param {string} name
+     * @param {SystemFactory} factory
+     * @param {SystemManifest} [manifest]
+     * @returns {SystemManifest} The normalized manifest
+     */
+    register(name, factory, manifest = {}) {
+        if (typeof name !== 'string' || !name) {
+            throw new TypeError('System name must be a non-empty string');
+        }
+        if (typeof factory !== 'function') {
+            throw new TypeError(`Factory for system "${name}" must be a function`);
+        }
+        if (this.systems.has(name)) {
+            console.warn(`⚠️ Replacing registered system: ${name}`);
+        }
+
+        const normalized = this.normalizeManifest(name, manifest);
+        this.systems.set(name, { factory, manifest: normalized });
+        return normalized;
+    }
+
+    unregister(name) {
+        return this.systems.delete(name);
+    }
+
+    has(name) {
+        return this.systems.has(name);
+    }
+
+    getFactory(name) {
+        return this.systems.get(name)?.factory || null;
+    }
+
+    getManifest(name) {
+        return this.systems.get(name)?.manifest || null;
+    }
+
+    /**
+     * Registered system names in registration order
+     */
+    list() {
+        return [...this.systems.keys()];
+    }
+
+    normalizeManifest(name, manifest) {
+        const layers = (manifest.layers || LAYER_ROLES).filter(role => {
+            if (!LAYER_ROLES.includes(role)) {
+                console.warn(`⚠️ ${name}: ignoring unknown layer role ${role}`);
+                return false;
+            }
+            return true;
+        });
+
+        const geometries = manifest.geometries ? Object.freeze([...manifest.geometries]) : null;
+
+        return Object.freeze({
+            name,
+            label: manifest.label || name,
+            layers: Object.freeze(layers),
+            canvasPrefix: manifest.canvasPrefix ?? `${name}-`,
+            container: manifest.container || `${name}Layers`,
+            parameters: Object.freeze([...(manifest.parameters || getParameterNames(SHARED_PARAMETERS))]),
+            // Catalogue systems see geometries registered after them
+            get geometries() {
+                return geometries || Object.freeze(getGeometryNames());
+            },
+            geometryCatalogue: !geometries,
+            capabilities: Object.freeze({ ...DEFAULT_CAPABILITIES, ...manifest.capabilities })
+        });
+    }
+}
+
+// Shared registry - VIB3Engine.registerSystem() writes here
+export const systemRegistry = new SystemRegistry();
@@ -3,6 +3,16 @@
  * Replaces multiple conflicting save systems with one unified approach
  */
 
+import { PARAMETER_SCHEMA, ALL_SYSTEMS, SHARED_PARAMETERS, getParameterNames, clampParameter } from './ParameterSchema.js';
+import { parameterValidator } from './ParameterValidator.js';
+import { systemRegistry } from './SystemRegistry.js';
+import { migrateLegacyGeometry } from '../geometry/GeometryCatalogue.js';
+
+// Formats whose geometry values are catalogue IDs; older saves (variations 3.0, collections 1.0) use 9 IDs per core.
+// Collection entries carry the version too, so a variation handed to the app on its own can be told apart.
+const VARIATION_VERSION = '3.1';
+const COLLECTION_VERSION = '1.1';
+
 export class UnifiedSaveManager {
     constructor(engine) {
         this.engine = engine;
@@ -81,10 +91,10 @@ export class UnifiedSaveManager {
         // Validate that we got some parameters
         if (!state.parameters || Object.keys(state.parameters).length === 0) {
             console.warn('⚠️ No parameters captured via system methods, using manual fallback');
-            state.parameters = this.captureManualParameters();
+            state.parameters = this.captureManualParameters(currentSys);
         } else {
             // Even if we got some parameters, ensure we have all the core ones
-            const manualParams = this.captureManualParameters();
+            const manualParams = this.captureManualParameters(currentSys);
             const coreParams = ['geometry', 'rot4dXW', 'rot4dYW', 'rot4dZW', 'gridDensity', 'morphFactor', 'chaos', 'speed', 'hue', 'intensity', 'saturation'];
             
             let missingCount = 0;
@@ -104,7 +114,7 @@ export class UnifiedSaveManager {
         state.metadata = {
             timestamp: Date.now(),
             engine: 'VIB34D Unified',
-            version: '3.0',
+            version: VARIATION_VERSION,
             author: 'VIB34D User',
             device: navigator.userAgent,
             
@@ -165,8 +175,11 @@ export class UnifiedSaveManager {
                     break;
                     
                 case 'polychora':
-                    // NEW: True 4D Polychora system parameter capture
-                    if (window.newPolychoraEngine?.getParameters) {
+                    // Polychora mesh system (falls back to the legacy NewPolychoraEngine)
+                    if (window.polychoraSystem?.getParameters) {
+                        parameters = window.polychoraSystem.getParameters();
+                        captureMethod = 'window.polychoraSystem.getParameters()';
+                    } else if (window.newPolychoraEngine?.getParameters) {
                         parameters = window.newPolychoraEngine.getParameters();
                         captureMethod = 'window.newPolychoraEngine.getParameters()';
                     } else if (window.newPolychoraEngine?.parameters?.getAllParameters) {
@@ -205,8 +218,9 @@ export class UnifiedSaveManager {
     
     /**
      * ENHANCED: Robust manual parameter capture with multiple fallback methods
+     * @param {string} [system] - System being captured; its own parameters fall back to their defaults too
      */
-    captureManualParameters() {
+    captureManualParameters(system) {
         const params = {};
         let captureMethod = 'unknown';
         
@@ -265,21 +279,8 @@ export class UnifiedSaveManager {
                 captureMethod = captureMethod === 'unknown' ? 'DOM-sliders' : `${captureMethod}+DOM-sliders`;
             }
             
-            // THIRD PRIORITY: Apply reasonable defaults for missing critical parameters
-            const defaults = {
-                geometry: 0,
-                geometryType: 0,
-                rot4dXW: 0,
-                rot4dYW: 0,
-                rot4dZW: 0,
-                gridDensity: 20,
-                morphFactor: 1,
-                chaos: 0.2,
-                speed: 1,
-                hue: 200,
-                intensity: 0.7,
-                saturation: 0.8
-            };
+            // THIRD PRIORITY: Apply schema defaults for missing critical parameters
+            const defaults = this.getCaptureDefaults(system);
             
             let defaultsApplied = 0;
             Object.entries(defaults).forEach(([key, defaultValue]) => {
@@ -298,20 +299,7 @@ export class UnifiedSaveManager {
             captureMethod = 'error-fallback';
             
             // Emergency fallback with minimal viable parameters
-            Object.assign(params, {
-                geometry: 0,
-                geometryType: 0,
-                rot4dXW: 0,
-                rot4dYW: 0,
-                rot4dZW: 0,
-                gridDensity: 20,
-                morphFactor: 1,
-                chaos: 0.2,
-                speed: 1,
-                hue: 200,
-                intensity: 0.7,
-                saturation: 0.8
-            });
+            Object.assign(params, this.getCaptureDefaults(system));
         }
         
         const paramCount = Object.keys(params).length;
@@ -344,7 +332,7 @@ export class UnifiedSaveManager {
             // 3. Update geometry selection if specified
             if (parameters.geometry !== undefined) {
                 const geometryValue = parseInt(parameters.geometry);
-                if (!isNaN(geometryValue) && geometryValue >= 0 && geometryValue <= 7) {
+                if (!isNaN(geometryValue) && geometryValue >= 0 && geometryValue <= PARAMETER_SCHEMA.geometry.max) {
                     setTimeout(() => {
                         if (window.selectGeometry) {
                             window.selectGeometry(geometryValue);
@@ -398,8 +386,7 @@ export class UnifiedSaveManager {
                 case 'holographic':
                     return window.holographicSystem || window.holographicEngine;
                 case 'polychora':
-                    console.warn('⚠️ Polychora system excluded - no engine available');
-                    return null;
+                    return window.polychoraSystem || window.newPolychoraEngine;
                 default:
                     return null;
             }
@@ -457,7 +444,7 @@ export class UnifiedSaveManager {
             todaysCollection = {
                 name: `Custom Saves - ${todayFormatted}`,
                 description: `Custom variations saved on ${todayFormatted}`,
-                version: '1.0',
+                version: COLLECTION_VERSION,
                 type: 'holographic-collection',
                 profileName: 'VIB34D User',
                 totalVariations: 0,
@@ -476,7 +463,8 @@ export class UnifiedSaveManager {
             isCustom: true,
             globalId: variation.id,
             system: variation.system,
-            parameters: this.normalizeParameters(variation.parameters)
+            version: COLLECTION_VERSION,
+            parameters: this.normalizeParameters(variation.parameters, variation.system)
         };
         
         todaysCollection.variations.push(variationInCollection);
@@ -563,7 +551,8 @@ export class UnifiedSaveManager {
             isCustom: true,
             globalId: variation.id,
             system: variation.system,
-            parameters: this.normalizeParameters(variation.parameters)
+            version: COLLECTION_VERSION,
+            parameters: this.normalizeParameters(variation.parameters, variation.system)
         });
         
         collection.totalVariations = collection.variations.length;
@@ -615,30 +604,26 @@ export class UnifiedSaveManager {
     
     /**
      * ✅ FIXED: Keep original parameter names for gallery/viewer compatibility
+     * @param {Object} params
+     * @param {string} [system] - System the variation was saved from; its own parameters are kept too
      */
-    normalizeParameters(params) {
+    normalizeParameters(params, system) {
         const normalized = {};
         
+        // Flag out-of-range saves before they are clamped into the shared schema
+        const validation = parameterValidator.validate(params);
+        if (!validation.valid) {
+            console.warn('⚠️ Normalizing out-of-range parameters:', validation.errors);
+        }
+        
         // ✅ CRITICAL FIX: Don't rename parameters - keep original names for viewer compatibility
-        normalized.geometry = params.geometry || params.geometryType || 0;
-        normalized.gridDensity = params.gridDensity || params.density || 10;
-        normalized.morphFactor = params.morphFactor || params.morph || 0;
-        normalized.speed = params.speed || 1.0;
-        normalized.chaos = params.chaos || 0;
-        normalized.hue = params.hue || 200;
-        normalized.saturation = params.saturation || 0.8;
-        normalized.intensity = params.intensity || 0.5;
-        
-        // 4D rotation parameters (keep original names)
-        normalized.rot4dXW = params.rot4dXW || 0;
-        normalized.rot4dYW = params.rot4dYW || 0;
-        normalized.rot4dZW = params.rot4dZW || 0;
-        normalized.dimension = params.dimension || 3.8;
-        
-        // Future 4D rotations (for Polychora enhancement)
-        normalized.rot4dXY = params.rot4dXY || 0;
-        normalized.rot4dXZ = params.rot4dXZ || 0;
-        normalized.rot4dYZ = params.rot4dYZ || 0;
+        // Variation is UI navigation state, not part of a saved look
+        this.getSavedParameterNames(system).forEach(name => {
+            const def = PARAMETER_SCHEMA[name];
+            const sources = [name, ...(def.aliases || [])];
+            const key = sources.find(source => params[source] !== undefined && params[source] !== null);
+            normalized[name] = key ? clampParameter(name, params[key]) : def.default;
+        });
         
         // ✅ ALSO ADD: Both normalized AND original names for compatibility
         normalized.geometryType = normalized.geometry;
@@ -648,6 +633,31 @@ export class UnifiedSaveManager {
         return normalized;
     }
     
+    /**
+     * Parameters a saved variation of a system keeps: the system's manifest parameters when it is
+     * registered, its schema parameters otherwise, the shared set for unknown systems
+     */
+    getSavedParameterNames(system) {
+        const manifest = system ? systemRegistry.getManifest(system) : null;
+        const names = manifest?.parameters
+            || getParameterNames(ALL_SYSTEMS.includes(system) ? system : SHARED_PARAMETERS);
+        // Manifests may list parameters outside the schema; there is nothing to clamp them against
+        return names.filter(name => name !== 'variation' && PARAMETER_SCHEMA[name]);
+    }
+    
+    /**
+     * Schema defaults used when a capture cannot read a parameter, e.g. coreOperator and coreBlend
+     * for Faceted engines whose parameter store only holds the shared set
+     */
+    getCaptureDefaults(system) {
+        const defaults = {};
+        this.getSavedParameterNames(system).forEach(name => {
+            defaults[name] = PARAMETER_SCHEMA[name].default;
+        });
+        defaults.geometryType = defaults.geometry;
+        return defaults;
+    }
+    
     /**
      * Create collection format
      */
@@ -655,7 +665,7 @@ export class UnifiedSaveManager {
         return {
             name,
             description: 'VIB34D Unified Collection',
-            version: '1.0',
+            version: COLLECTION_VERSION,
             type: 'holographic-collection',
             profileName: 'VIB34D System',
             totalVariations: variations.length,
@@ -667,7 +677,8 @@ export class UnifiedSaveManager {
                 isCustom: true,
                 globalId: v.id || this.generateUniqueId(),
                 system: v.system,
-                parameters: this.normalizeParameters(v.parameters || {})
+                version: COLLECTION_VERSION,
+                parameters: this.normalizeParameters(v.parameters || {}, v.system)
             }))
         };
     }
@@ -691,11 +702,56 @@ export class UnifiedSaveManager {
                 this.collections = new Map(collectionsArray);
                 console.log(`📁 Loaded ${this.collections.size} collections from storage`);
             }
+            
+            this.migrateStoredGeometry();
         } catch (error) {
             console.error('Failed to load from storage:', error);
         }
     }
     
+    /**
+     * Rewrite pre-catalogue geometry IDs in stored variations and collections and store them
+     * in the current formats, so the gallery reads catalogue IDs too
+     */
+    migrateStoredGeometry() {
+        const legacyVariations = this.variations.filter(variation => !(parseFloat(variation.metadata?.version) >= parseFloat(VARIATION_VERSION)));
+        legacyVariations.forEach(variation => {
+            this.migrateLegacyParameters(variation.parameters);
+            variation.metadata = { ...variation.metadata, version: VARIATION_VERSION };
+        });
+        
+        const legacyCollections = this.getAllCollections().filter(collection => !(parseFloat(collection.version) >= parseFloat(COLLECTION_VERSION)));
+        legacyCollections.forEach(collection => {
+            (collection.variations || []).forEach(variation => {
+                this.migrateLegacyParameters(variation.parameters);
+                variation.version = COLLECTION_VERSION;
+            });
+            collection.version = COLLECTION_VERSION;
+        });
+        
+        if (legacyVariations.length > 0) {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.variations));
+        }
+        if (legacyCollections.length > 0) {
+            this.saveCollectionsToStorage();
+        }
+        if (legacyVariations.length + legacyCollections.length > 0) {
+            console.log(`🔄 Migrated geometry IDs in ${legacyVariations.length} variations and ${legacyCollections.length} collections`);
+        }
+    }
+    
+    /**
+     * Map a saved parameter set's legacy geometry (and its geometryType alias) to catalogue IDs in place
+     */
+    migrateLegacyParameters(params) {
+        if (!params) return;
+        ['geometry', 'geometryType'].forEach(key => {
+            if (params[key] !== undefined && params[key] !== null) {
+                params[key] = migrateLegacyGeometry(params[key]);
+            }
+        });
+    }
+    
     /**
      * Save collections to localStorage
      */
@@ -1,41 +1,218 @@
 /**
  * VIB3+ Engine - Unified Visualization System
- * Coordinates Quantum, Faceted, and Holographic systems
- * Supports 24 geometries per system with full 6D rotation
+ * Coordinates Quantum, Faceted, Holographic and Polychora systems (plus any registered via VIB3Engine.registerSystem)
+ * Supports 48 geometries per system with full 6D rotation
  */
 
 import { ParameterManager } from './Parameters.js';
+import { parameterValidator } from './ParameterValidator.js';
 import { CanvasManager } from './CanvasManager.js';
+import { HeadlessCanvasProvider } from './HeadlessCanvasProvider.js';
+import { BLEND_MODES } from './LayerCompositor.js';
+import { POST_PROCESS_PASSES, getPostProcessParameters, getActivePostProcessPasses, resolvePostProcessOrder } from './PostProcessChain.js';
 import { QuantumEngine } from '../quantum/QuantumEngine.js';
 import { FacetedSystem } from '../faceted/FacetedSystem.js';
 import { RealHolographicSystem } from '../holograms/RealHolographicSystem.js';
+import { PolychoraMeshSystem } from '../polychora/PolychoraMeshSystem.js';
+import { POLYCHORA_NAMES } from '../geometry/RegularPolychora.js';
+import { PROJECTION_MODES } from '../geometry/Projection.js';
+import { CORE_OPERATORS, getGeometry, migrateLegacyGeometry } from '../geometry/GeometryCatalogue.js';
+import { compileCustomGeometry, getCustomGeometry, hashGeometrySource, registerCustomGeometry } from '../geometry/CustomGeometry.js';
+import { ROTATION_MODES } from '../math/RotationModes.js';
+import { getParameterNames, resolveParameterName, clampParameter } from './ParameterSchema.js';
+import { ParameterTimeline } from '../animation/ParameterTimeline.js';
+import { StateTransition } from '../animation/StateTransition.js';
+import { resolveSwitchTransition, sampleSwitchTransition, SWITCH_TRANSITIONS } from '../animation/SwitchTransition.js';
+import { EngineClock } from './EngineClock.js';
+import { EventEmitter } from './EventEmitter.js';
+import { systemRegistry } from './SystemRegistry.js';
+import { EngineScope } from './EngineScope.js';
+import { ReactivityManager } from './ReactivityManager.js';
 
-export class VIB3Engine {
-    constructor() {
+/**
+ * Engine events (subscribe with engine.on(name, listener), which returns an unsubscribe function)
+ * @typedef {Object} VIB3EngineEvents
+ * @property {{changes: Object, previous: Object, source: string}} parameterchange - Only changed parameters;
+ *   source is 'api' | 'timeline' | 'transition' | 'randomize' | 'reset' | 'import' | 'interaction'
+ * @property {{from: ?string, to: string, system: Object}} systemchange
+ * @property {{time: number, frame: number, system: string}} frame - After each rendered frame
+ * @property {{system: string, role: string, event: Event}} contextlost - A layer's WebGL context was lost
+ * @property {{system: string, role: ?string, rebuilt: boolean}} contextrestored - Rendering resumed: the layer's
+ *   context came back and the system rebuilt its resources, or (rebuilt: true, role: null) the whole system was
+ *   recreated on fresh canvases because restoring failed or took longer than contextRestoreTimeout
+ * @property {{state: Object}} save - exportState() captured a state for save/share
+ * @property {{hash: string, system: ?string, errors: Array<{line: ?number, message: string}>}} geometryerror - A custom
+ *   geometry snippet was rejected or failed to compile in the active system (line is within the snippet)
+ * @property {{error: Error, phase: string, system: ?string}} error
+ */
+
+/**
+ * switchSystem hooks (engine.addHook(name, fn)); hooks may be async
+ * - beforeSwitchSystem({from, to}) - return false to cancel the switch
+ * - afterSwitchSystem({from, to, system})
+ */
+const HOOK_NAMES = ['beforeSwitchSystem', 'afterSwitchSystem'];
+
+export class VIB3Engine extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.headless=false] - Render into injected canvases/contexts and only on renderFrame()
+     * @param {Object|Function} [options.canvases] - Headless layer canvases (see HeadlessCanvasProvider)
+     * @param {Object|Function} [options.contexts] - Headless WebGL contexts (see HeadlessCanvasProvider)
+     * @param {number} [options.width] - Size of OffscreenCanvases created in headless mode
+     * @param {number} [options.height]
+     * @param {EngineClock} [options.clock] - Shared clock; defaults to a new EngineClock(options.clockOptions)
+     * @param {Object} [options.clockOptions] - e.g. { fixedTimestep: 1000 / 60 } for reproducible frames
+     * @param {string} [options.instanceId] - Isolates this engine for multi-instance pages: canvas and container IDs
+     *   are prefixed with it and audio, reactivity and input stay on this instance instead of window globals
+     * @param {boolean} [options.reactivity=false] - Give an isolated instance its own ReactivityManager
+     * @param {string|Object} [options.switchTransition] - Default switchSystem transition, e.g.
+     *   { type: 'dissolve', duration: 800 } (see setSwitchTransition); omitted = hard cut
+     * @param {boolean|Object} [options.compositor=false] - Render all layers through one WebGL context and blend
+     *   them onto one canvas (see LayerCompositor); { layers: { content: { blendMode: 'screen', opacity: 0.8 } } }
+     *   sets initial per-layer settings. Headless engines resolve the canvas/context for the 'composite' role.
+     * @param {string[]} [options.postProcessOrder] - Post-processing pass order (see setPostProcessOrder); the
+     *   passes themselves are driven by parameters such as bloomIntensity and only run with the compositor
+     * @param {number} [options.contextRestoreTimeout=3000] - ms to wait for webglcontextrestored before the system
+     *   is recreated on fresh canvases; 0 waits indefinitely
+     * @param {string} [options.backend='webgl'] - Render backend for systems that support more than WebGL
+     *   (Faceted: 'webgpu', falling back to WebGL when unavailable or when compositing)
+     * @param {GPUDevice} [options.gpuDevice] - WebGPU device to use instead of requesting one from navigator.gpu
+     */
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.headless = options.headless === true;
         this.activeSystem = null; // Only one system active at a time
         this.currentSystemName = 'quantum';
-        this.parameters = new ParameterManager();
+        // Holds every system's parameters; each system only receives what its manifest declares
+        this.parameters = new ParameterManager(null);
         this.initialized = false;
         this.canvasManager = null;
+        this.clock = options.clock || new EngineClock(options.clockOptions);
+        this.timeline = new ParameterTimeline();
+        this.transition = null;
+        this.switchTransition = options.switchTransition || null;
+        this.postProcessOrder = resolvePostProcessOrder(options.postProcessOrder || POST_PROCESS_PASSES);
+        this.postProcessWarned = false;
+        this.outgoing = null;
+        this.animationId = null;
+        this.contextWatchers = [];
+        this.lostContexts = new Set();
+        this.contextRestoreTimeout = options.contextRestoreTimeout ?? 3000;
+        this.contextRestoreTimer = null;
+        this.rebuilding = null;
+        this.instanceId = options.instanceId || null;
+        this.reactivityManager = null;
+
+        // Per-instance audio/reactivity state; the un-namespaced scope keeps the legacy window globals
+        this.scope = new EngineScope({
+            id: this.instanceId,
+            onParameter: this.instanceId
+                ? (name, value) => this.commitParameters(() => this.parameters.setParameter(name, value), 'interaction')
+                : null
+        });
+
+        this.hooks = {};
+        HOOK_NAMES.forEach(name => {
+            this.hooks[name] = new Set();
+        });
+    }
+
+    /**
+     * Register a switchSystem hook
+     * @returns {Function} Removes the hook
+     */
+    addHook(name, fn) {
+        if (!this.hooks[name]) {
+            throw new Error(`Unknown hook: ${name} (expected one of ${HOOK_NAMES.join(', ')})`);
+        }
+        this.hooks[name].add(fn);
+        return () => this.hooks[name].delete(fn);
+    }
+
+    /**
+     * Run hooks in registration order; resolves false as soon as one returns false
+     */
+    async runHooks(name, context) {
+        for (const fn of this.hooks[name]) {
+            if (await fn(context) === false) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Register a visualization system for every engine instance
+     * @param {string} name - System name passed to switchSystem()
+     * @param {import('./SystemRegistry.js').SystemFactory} factory - (options) => system, may be async
+     * @param {import('./SystemRegistry.js').SystemManifest} [manifest] - Layers, parameters, geometries, capabilities
+     * @returns {Object} The normalized manifest
+     */
+    static registerSystem(name, factory, manifest = {}) {
+        return systemRegistry.register(name, factory, manifest);
+    }
+
+    static unregisterSystem(name) {
+        return systemRegistry.unregister(name);
+    }
+
+    /**
+     * Names of every registered system
+     */
+    static getRegisteredSystems() {
+        return systemRegistry.list();
+    }
+
+    /**
+     * Manifest of a registered system (defaults to the current one)
+     */
+    getSystemManifest(systemName = this.currentSystemName) {
+        return systemRegistry.getManifest(systemName);
     }
 
     /**
      * Initialize the VIB3+ engine
      */
     async initialize(containerId = 'vib3-container') {
-        console.log('🌟 Initializing VIB3+ Engine');
+        console.log(`🌟 Initializing VIB3+ Engine${this.headless ? ' (headless)' : ''}`);
 
-        // Create CanvasManager
+        // Schema validation upgrades to ajv where the module resolves (bundled builds, Node)
+        await parameterValidator.initialize();
+
+        // Create CanvasManager (or its DOM-free counterpart)
         try {
-            this.canvasManager = new CanvasManager(containerId);
+            if (this.headless) {
+                this.canvasManager = new HeadlessCanvasProvider(this.options);
+            } else {
+                const root = this.instanceId ? document.getElementById(containerId) : null;
+                this.scope.root = root;
+                this.canvasManager = new CanvasManager(containerId, {
+                    namespace: this.instanceId,
+                    root,
+                    compositor: this.options.compositor
+                });
+
+                if (this.instanceId && this.options.reactivity) {
+                    this.reactivityManager = new ReactivityManager({ root: root || document, scope: this.scope });
+                    this.scope.reactivityManager = this.reactivityManager;
+                }
+            }
         } catch (error) {
             console.error('❌ CanvasManager initialization failed:', error);
             return false;
         }
+        this.canvasManager.setPostProcessing({ order: this.postProcessOrder });
 
         // Initialize starting system
         await this.switchSystem(this.currentSystemName);
 
+        // One engine-owned loop drives every system from the shared clock
+        if (!this.headless) {
+            this.startLoop();
+        }
+
         this.initialized = true;
         console.log('✅ VIB3+ Engine initialized');
         return true;
@@ -43,55 +220,46 @@ export class VIB3Engine {
 
     /**
      * Create and initialize a specific system
-     * CRITICAL: Engines find canvases by ID in DOM, not passed as parameters!
+     * Canvases are handed to the system; without them engines fall back to finding them by ID in DOM
      */
     async createSystem(systemName) {
         console.log(`🔧 Creating ${systemName} system...`);
 
-        // Create canvases with correct IDs in DOM
-        // CanvasManager returns array of canvas IDs created
-        const canvasIds = this.canvasManager.createSystemCanvases(systemName);
+        const manifest = systemRegistry.getManifest(systemName);
+        if (!manifest) {
+            throw new Error(`Unknown system: ${systemName}`);
+        }
+
+        // Create canvases with the manifest's IDs in DOM (or resolve injected ones when headless)
+        // Returns canvases keyed by layer role
+        const canvases = this.canvasManager.createSystemCanvases(systemName, manifest);
+
+        // Systems never start their own rAF loops - the engine renders them from its clock.
+        // Headless systems don't attach input listeners either.
+        const systemOptions = {
+            canvases,
+            clock: this.clock,
+            scope: this.scope,
+            autoRender: false,
+            interactive: !this.headless,
+            backend: this.options.backend,
+            gpuDevice: this.options.gpuDevice
+        };
 
-        // Create system instance - engines find canvases by ID in DOM
-        let system = null;
         try {
-            switch (systemName) {
-                case 'quantum':
-                    // QuantumEngine finds canvases by ID and initializes in constructor
-                    system = new QuantumEngine();
-                    break;
-
-                case 'faceted':
-                    // FacetedSystem needs explicit initialization after construction
-                    system = new FacetedSystem();
-                    const facetedSuccess = system.initialize();
-                    if (!facetedSuccess) {
-                        throw new Error('Faceted system initialization failed');
-                    }
-                    break;
-
-                case 'holographic':
-                    // RealHolographicSystem finds canvases and initializes in constructor
-                    system = new RealHolographicSystem();
-                    break;
-
-                default:
-                    throw new Error(`Unknown system: ${systemName}`);
-            }
+            const system = await systemRegistry.getFactory(systemName)(systemOptions);
 
             // Register WebGL contexts with CanvasManager for cleanup
-            canvasIds.forEach(canvasId => {
-                const canvas = document.getElementById(canvasId);
-                if (canvas) {
-                    const gl = canvas.getContext('webgl') || canvas.getContext('webgl2');
-                    if (gl) {
-                        this.canvasManager.registerContext(canvasId, gl);
-                    }
+            Object.entries(canvases || {}).forEach(([role, canvas]) => {
+                const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+                if (gl) {
+                    this.canvasManager.registerContext(canvas.id || `${systemName}-${role}`, gl);
                 }
             });
+            this.watchContexts(systemName, canvases);
 
             // Apply current parameters
-            system.updateParameters(this.parameters.getAllParameters());
+            system.updateParameters(this.getSystemParameters(manifest));
             system.setActive(true);
 
             console.log(`✅ ${systemName} system created and activated`);
@@ -105,18 +273,61 @@ export class VIB3Engine {
 
     /**
      * Switch between visualization systems
-     * DESTROYS old system and CREATES new system (proper WebGL cleanup)
+     * DESTROYS old system and CREATES new system (proper WebGL cleanup). With a transition the old
+     * system keeps rendering on its own canvases while the effect plays, and is destroyed afterwards.
+     * Headless engines always cut - their host composites the frames.
+     * @param {string} systemName
+     * @param {Object} [options]
+     * @param {string|Object|boolean} [options.transition] - 'dissolve' | 'wipe' | 'rotate4d' | 'cut', or
+     *   { type, duration, easing }; false forces a cut. Defaults to the engine's switchTransition.
      */
-    async switchSystem(systemName) {
-        if (!['quantum', 'faceted', 'holographic'].includes(systemName)) {
+    async switchSystem(systemName, options = {}) {
+        const manifest = systemRegistry.getManifest(systemName);
+        if (!manifest) {
             console.error('❌ Unknown system:', systemName);
+            this.emit('error', { error: new Error(`Unknown system: ${systemName}`), phase: 'switchSystem', system: systemName });
+            return false;
+        }
+        if (this.headless && !manifest.capabilities.headless) {
+            console.error(`❌ ${systemName} does not support headless rendering`);
+            this.emit('error', { error: new Error(`System ${systemName} does not support headless rendering`), phase: 'switchSystem', system: systemName });
+            return false;
+        }
+
+        const from = this.activeSystem ? this.currentSystemName : null;
+        try {
+            if (!(await this.runHooks('beforeSwitchSystem', { from, to: systemName }))) {
+                console.log(`⏸️ Switch to ${systemName} cancelled by beforeSwitchSystem hook`);
+                return false;
+            }
+        } catch (error) {
+            console.error('❌ beforeSwitchSystem hook failed:', error);
+            this.emit('error', { error, phase: 'beforeSwitchSystem', system: systemName });
             return false;
         }
 
         console.log(`🔄 Switching from ${this.currentSystemName} to ${systemName}`);
 
-        // Destroy active system if exists
-        if (this.activeSystem) {
+        // A switch during a running transition ends it first
+        this.finishSwitchTransition();
+
+        const effect = this.activeSystem && !this.headless && this.canvasManager.retireSystemCanvases
+            ? resolveSwitchTransition(options.transition ?? this.switchTransition)
+            : null;
+
+        if (effect) {
+            // Keep the outgoing system alive on its own canvases for the effect
+            this.outgoing = {
+                system: this.activeSystem,
+                name: this.currentSystemName,
+                layers: this.canvasManager.retireSystemCanvases(),
+                effect,
+                startTime: null
+            };
+            this.unwatchContexts();
+            this.activeSystem = null;
+        } else if (this.activeSystem) {
+            // Destroy active system if exists
             console.log(`  🗑️ Destroying ${this.currentSystemName} system...`);
 
             // Deactivate system
@@ -130,6 +341,7 @@ export class VIB3Engine {
             }
 
             // CanvasManager will destroy canvases when creating new ones
+            this.unwatchContexts();
             this.activeSystem = null;
         }
 
@@ -137,22 +349,334 @@ export class VIB3Engine {
         try {
             this.activeSystem = await this.createSystem(systemName);
             this.currentSystemName = systemName;
+            if (this.reactivityManager) {
+                this.reactivityManager.setActiveSystem(systemName, this.activeSystem);
+            }
             console.log(`✅ Switched to ${systemName} system`);
-            return true;
         } catch (error) {
             console.error(`❌ Failed to switch to ${systemName}:`, error);
+            this.emit('error', { error, phase: 'createSystem', system: systemName });
+            this.finishSwitchTransition();
             return false;
         }
+
+        if (this.outgoing) {
+            // Incoming layers start fully hidden so nothing flashes before the first composited frame
+            this.applySwitchStyles(sampleSwitchTransition(this.outgoing.effect.type, 0));
+            console.log(`🎞️ ${this.outgoing.effect.type} transition from ${this.outgoing.name} (${this.outgoing.effect.duration}ms)`);
+        }
+
+        const change = { from, to: systemName, system: this.activeSystem };
+        try {
+            await this.runHooks('afterSwitchSystem', change);
+        } catch (error) {
+            console.error('❌ afterSwitchSystem hook failed:', error);
+            this.emit('error', { error, phase: 'afterSwitchSystem', system: systemName });
+        }
+        this.emit('systemchange', change);
+        return true;
+    }
+
+    /**
+     * Default transition for switchSystem
+     * @param {string|Object|null} transition - 'dissolve' | 'wipe' | 'rotate4d' | 'cut' or { type, duration, easing }; null = cut
+     */
+    setSwitchTransition(transition) {
+        resolveSwitchTransition(transition); // Throws on unknown types
+        this.switchTransition = transition || null;
+    }
+
+    /**
+     * Switch transition type names accepted by switchSystem and setSwitchTransition
+     */
+    getSwitchTransitionNames() {
+        return [...SWITCH_TRANSITIONS];
+    }
+
+    /**
+     * Render the outgoing system and composite both systems' layers for the running switch transition
+     */
+    updateSwitchTransition(time) {
+        const outgoing = this.outgoing;
+        if (outgoing.startTime === null) {
+            outgoing.startTime = time;
+        }
+
+        const progress = Math.min(1, Math.max(0, (time - outgoing.startTime) / outgoing.effect.duration));
+        if (progress >= 1) {
+            this.finishSwitchTransition();
+            return;
+        }
+
+        const styles = sampleSwitchTransition(outgoing.effect.type, outgoing.effect.easing(progress));
+        this.applySwitchStyles(styles);
+
+        if (styles.outgoing.rotation && outgoing.system.updateParameters) {
+            const params = this.getSystemParameters(this.getSystemManifest(outgoing.name));
+            outgoing.system.updateParameters({
+                ...params,
+                rot4dXW: (params.rot4dXW || 0) + styles.outgoing.rotation,
+                rot4dYW: (params.rot4dYW || 0) + styles.outgoing.rotation * 0.5
+            });
+        }
+        if (outgoing.system.renderFrame) {
+            outgoing.system.renderFrame(time);
+            this.canvasManager.present(outgoing.layers);
+        }
+    }
+
+    applySwitchStyles(styles) {
+        this.canvasManager.styleLayers(this.outgoing.layers.canvases, styles.outgoing);
+        this.canvasManager.styleLayers(null, {
+            opacity: styles.incoming.opacity * this.canvasManager.layerOpacity,
+            clipPath: styles.incoming.clipPath
+        });
+    }
+
+    /**
+     * End a running switch transition now: destroy the outgoing system and restore the incoming layers
+     */
+    finishSwitchTransition() {
+        const outgoing = this.outgoing;
+        if (!outgoing) return;
+        this.outgoing = null;
+
+        if (outgoing.system.setActive) {
+            outgoing.system.setActive(false);
+        }
+        if (outgoing.system.destroy) {
+            outgoing.system.destroy();
+        }
+        this.canvasManager.releaseRetiredCanvases(outgoing.layers);
+        this.canvasManager.styleLayers(null, { opacity: this.canvasManager.layerOpacity, clipPath: '' });
+        console.log(`✅ ${outgoing.effect.type} transition from ${outgoing.name} complete`);
+    }
+
+    /**
+     * Recover from context loss on every layer canvas: webglcontextlost is forwarded as 'contextlost'
+     * and webglcontextrestored has the system rebuild that layer from its current parameters
+     * Contexts the engine releases itself (switches, destroy) are unwatched first.
+     */
+    watchContexts(systemName, canvases) {
+        Object.entries(canvases || {}).forEach(([role, canvas]) => {
+            if (typeof canvas.addEventListener !== 'function') return;
+
+            const onLost = (event) => {
+                // Without preventDefault the browser never restores the context
+                event.preventDefault();
+                console.warn(`⚠️ WebGL context lost: ${systemName}/${role}`);
+                this.lostContexts.add(role);
+                this.scheduleContextRebuild();
+                this.emit('contextlost', { system: systemName, role, event });
+            };
+            const onRestored = () => {
+                if (this.lostContexts.delete(role)) {
+                    this.restoreContext(systemName, role);
+                }
+            };
+            canvas.addEventListener('webglcontextlost', onLost);
+            canvas.addEventListener('webglcontextrestored', onRestored);
+            this.contextWatchers.push(() => {
+                canvas.removeEventListener('webglcontextlost', onLost);
+                canvas.removeEventListener('webglcontextrestored', onRestored);
+            });
+        });
+    }
+
+    unwatchContexts() {
+        this.contextWatchers.forEach(unwatch => unwatch());
+        this.contextWatchers = [];
+        this.lostContexts.clear();
+        this.clearContextRebuild();
+    }
+
+    /**
+     * Rebuild one layer of the active system on its restored context; falls back to recreating the system
+     */
+    restoreContext(systemName, role) {
+        let restored = false;
+        try {
+            restored = Boolean(this.activeSystem && this.activeSystem.restoreContext && this.activeSystem.restoreContext(role));
+        } catch (error) {
+            console.error(`❌ ${systemName}/${role} context restore failed:`, error);
+        }
+        if (!restored) {
+            this.rebuildSystem();
+            return;
+        }
+
+        if (this.lostContexts.size === 0) {
+            this.clearContextRebuild();
+        }
+        this.updateCurrentSystemParameters();
+        console.log(`✅ WebGL context restored: ${systemName}/${role}`);
+        this.emit('contextrestored', { system: systemName, role, rebuilt: false });
+    }
+
+    /**
+     * Give lost contexts contextRestoreTimeout ms to come back before recreating the system
+     */
+    scheduleContextRebuild() {
+        if (this.contextRestoreTimer || !this.contextRestoreTimeout) return;
+        this.contextRestoreTimer = setTimeout(() => {
+            this.contextRestoreTimer = null;
+            if (this.lostContexts.size > 0) {
+                this.rebuildSystem();
+            }
+        }, this.contextRestoreTimeout);
+    }
+
+    clearContextRebuild() {
+        if (this.contextRestoreTimer) {
+            clearTimeout(this.contextRestoreTimer);
+            this.contextRestoreTimer = null;
+        }
+    }
+
+    /**
+     * Recreate the current system on fresh canvases and contexts (no hooks or systemchange - it is the same system)
+     * @returns {Promise<boolean>}
+     */
+    rebuildSystem() {
+        if (!this.rebuilding) {
+            this.rebuilding = this.recreateActiveSystem().finally(() => {
+                this.rebuilding = null;
+            });
+        }
+        return this.rebuilding;
+    }
+
+    async recreateActiveSystem() {
+        const systemName = this.currentSystemName;
+        console.warn(`♻️ Recreating ${systemName} on fresh WebGL contexts`);
+
+        this.finishSwitchTransition();
+        this.unwatchContexts();
+        if (this.activeSystem) {
+            if (this.activeSystem.setActive) {
+                this.activeSystem.setActive(false);
+            }
+            if (this.activeSystem.destroy) {
+                this.activeSystem.destroy();
+            }
+            this.activeSystem = null;
+        }
+
+        try {
+            this.activeSystem = await this.createSystem(systemName);
+            if (this.reactivityManager) {
+                this.reactivityManager.setActiveSystem(systemName, this.activeSystem);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to recreate ${systemName}:`, error);
+            this.emit('error', { error, phase: 'restoreContext', system: systemName });
+            return false;
+        }
+
+        this.emit('contextrestored', { system: systemName, role: null, rebuilt: true });
+        return true;
+    }
+
+    /**
+     * Turn audio reactivity on/off for this instance (the page-wide flag for un-namespaced engines)
+     */
+    setAudioEnabled(enabled) {
+        this.scope.setAudioEnabled(enabled === true);
+    }
+
+    /**
+     * Feed this instance's audio bands, e.g. from its own AnalyserNode
+     * @param {{bass: number, mid: number, high: number, energy: number}} levels
+     */
+    setAudioLevels(levels) {
+        this.scope.setAudioLevels(levels);
     }
 
     /**
      * Update parameters for active system
      */
     updateCurrentSystemParameters() {
+        this.syncCustomGeometry();
+        if (this.activeSystem && this.activeSystem.updateParameters) {
+            this.activeSystem.updateParameters(this.getSystemParameters(this.getSystemManifest()));
+        }
+        this.updatePostProcessing();
+    }
+
+    /**
+     * Give the active system the snippet of the selected custom geometry, or null for any other geometry
+     * Systems only recompile when the snippet changes; a rejected snippet is emitted as 'geometryerror'
+     * @returns {?{ok: boolean, errors: Array<{line: ?number, message: string}>}} The system's compile
+     *   result, or null when nothing was compiled (unchanged snippet, or no catalogue system active)
+     */
+    syncCustomGeometry() {
+        if (!this.activeSystem?.setCustomGeometry || !this.getSystemManifest()?.geometryCatalogue) {
+            return null;
+        }
+        const custom = getCustomGeometry(this.parameters.getParameter('geometry'));
+        const result = this.activeSystem.setCustomGeometry(custom?.valid ? custom.source : null);
+        if (result && !result.ok) {
+            console.warn(`⚠️ ${custom.name} did not compile in ${this.currentSystemName}; drawing ${custom.fallback} instead`);
+            this.emit('geometryerror', { hash: custom.hash, system: this.currentSystemName, errors: result.errors });
+        }
+        return result;
+    }
+
+    /**
+     * Hand the post-processing parameters to the compositor; warns once when they can't apply
+     */
+    updatePostProcessing() {
+        if (!this.canvasManager) {
+            return;
+        }
+        const parameters = getPostProcessParameters(this.parameters.getAllParameters());
+        this.canvasManager.setPostProcessing({ parameters });
+
+        if (!this.canvasManager.compositing && !this.postProcessWarned
+            && getActivePostProcessPasses(parameters, this.postProcessOrder).length > 0) {
+            this.postProcessWarned = true;
+            console.warn('⚠️ Post-processing needs the compositor (create the engine with { compositor: true }); passes are saved but not rendered');
+        }
+    }
+
+    /**
+     * Current parameters restricted to what a system's manifest declares
+     */
+    getSystemParameters(manifest) {
         const params = this.parameters.getAllParameters();
+        if (!manifest) {
+            return params;
+        }
 
-        if (this.activeSystem && this.activeSystem.updateParameters) {
-            this.activeSystem.updateParameters(params);
+        const supported = {};
+        manifest.parameters.forEach(name => {
+            if (name in params) {
+                supported[name] = params[name];
+            }
+        });
+        return supported;
+    }
+
+    /**
+     * Apply a ParameterManager mutation, sync the active system and emit what changed
+     */
+    commitParameters(mutate, source) {
+        const previous = this.parameters.getAllParameters();
+        mutate();
+        this.updateCurrentSystemParameters();
+
+        const current = this.parameters.getAllParameters();
+        const changes = {};
+        const before = {};
+        Object.keys(current).forEach(name => {
+            if (current[name] !== previous[name]) {
+                changes[name] = current[name];
+                before[name] = previous[name];
+            }
+        });
+
+        if (Object.keys(changes).length > 0) {
+            this.emit('parameterchange', { changes, previous: before, source });
         }
     }
 
@@ -160,16 +684,222 @@ export class VIB3Engine {
      * Update a single parameter
      */
     setParameter(name, value) {
-        this.parameters.setParameter(name, value);
-        this.updateCurrentSystemParameters();
+        this.commitParameters(() => this.parameters.setParameter(name, value), 'api');
     }
 
     /**
      * Update multiple parameters
      */
     setParameters(params) {
-        this.parameters.setParameters(params);
-        this.updateCurrentSystemParameters();
+        this.commitParameters(() => this.parameters.setParameters(params), 'api');
+    }
+
+    /**
+     * Select a geometry by catalogue ID, key ('hypersphere:torus') or { core, base }
+     */
+    setGeometry(geometry) {
+        this.commitParameters(() => this.parameters.setGeometry(geometry), 'api');
+    }
+
+    /**
+     * Compile a GLSL snippet defining `float customGeometry(vec4 p)` (negative inside) and select it
+     * The snippet is validated and test-compiled first; on failure nothing changes and the errors, with
+     * lines counted within the snippet, are returned and emitted as 'geometryerror'. A snippet that
+     * compiles joins the catalogue as a base under every core and is saved with states by its hash.
+     * @param {string} source
+     * @param {Object} [options]
+     * @param {string} [options.name] - Display name (default 'Custom <hash>')
+     * @param {number|string} [options.fallback='sphere'] - Built-in base drawn wherever the snippet can't be compiled
+     * @param {number|string} [options.core=0] - Core to select it in
+     * @returns {{ok: boolean, hash: string, id: ?number, key: ?string, errors: Array<{line: ?number, message: string}>}}
+     */
+    setCustomGeometry(source, options = {}) {
+        const hash = hashGeometrySource(source);
+        const compiled = compileCustomGeometry(source);
+        if (!compiled.ok) {
+            this.emit('geometryerror', { hash, system: this.currentSystemName, errors: compiled.errors });
+            return { ok: false, hash, id: null, key: null, errors: compiled.errors };
+        }
+
+        const custom = registerCustomGeometry(source, options);
+        let result = null;
+        // Sync inside the mutation so the compile result is ours; the commit's own sync then finds the snippet unchanged
+        this.commitParameters(() => {
+            this.parameters.setGeometry({ core: options.core ?? 0, base: getGeometry(custom.id).base });
+            result = this.syncCustomGeometry();
+        }, 'api');
+
+        const id = this.parameters.getParameter('geometry');
+        const errors = result?.errors ?? [];
+        return { ok: errors.length === 0, hash, id, key: getGeometry(id).key, errors };
+    }
+
+    /**
+     * Select how a base shape meets its core, by index or name ('intersection', 'union', 'smooth-union',
+     * 'subtraction', 'shell'), optionally with the blend radius. Systems that consume coreOperator apply it.
+     * @param {number|string} operator
+     * @param {number} [blend] - Smooth-union radius and shell thickness; unchanged when omitted
+     */
+    setCoreOperator(operator, blend) {
+        this.commitParameters(() => this.parameters.setCoreOperator(operator, blend), 'api');
+    }
+
+    /**
+     * Select the 4D→3D projection by index or name ('perspective', 'orthographic', 'stereographic', 'schlegel')
+     */
+    setProjection(projection) {
+        this.commitParameters(() => this.parameters.setProjection(projection), 'api');
+    }
+
+    /**
+     * Select the rotation preset by index or name, optionally with the plane it turns
+     * @param {number|string} mode - 'free planes', 'simple', 'double', 'left isoclinic' or 'right isoclinic'
+     * @param {number|string} [plane] - 'XY' … 'ZW' or its index
+     */
+    setRotationMode(mode, plane) {
+        this.commitParameters(() => this.parameters.setRotationMode(mode, plane), 'api');
+    }
+
+    /**
+     * Animate from the current state to another over time
+     * Floats lerp, hue wraps the short way, the six rotations slerp as one 4D rotation. Geometry, other
+     * discrete parameters and the system switch at the midpoint while the layers fade out and back in.
+     * Starting a new transition cancels the running one.
+     * @param {Object|number} state - Parameter set, exportState() snapshot ({system, parameters}) or variation index
+     * @param {Object} [options]
+     * @param {number} [options.duration=1000] - Length in ms of engine clock time
+     * @param {string|number[]} [options.easing='easeInOutCubic'] - Easing name or cubic-bezier control points
+     * @param {boolean} [options.crossFade] - Force the layer fade on or off (default: only when something discrete changes)
+     * @returns {Promise<boolean>} Resolves true when the target is reached, false when cancelled or the switch failed
+     */
+    transitionTo(state, options = {}) {
+        let target = state;
+        if (typeof state === 'number') {
+            target = { ...this.parameters.generateVariationParameters(state), variation: state };
+        } else if (state && state.parameters) {
+            this.registerSavedGeometries(state);
+            target = this.getSavedParameters(state);
+        }
+
+        const system = state && state.system && state.system !== this.currentSystemName ? state.system : null;
+        if (system && !systemRegistry.getManifest(system)) {
+            console.error('❌ Unknown system:', system);
+            return Promise.resolve(false);
+        }
+
+        const from = this.parameters.getAllParameters();
+        const to = { ...from };
+        Object.entries(target || {}).forEach(([parameter, value]) => {
+            const name = resolveParameterName(parameter);
+            if (name && name in from) {
+                to[name] = clampParameter(name, value);
+            }
+        });
+
+        this.cancelTransition();
+        return new Promise(resolve => {
+            this.transition = {
+                animation: new StateTransition(from, to, {
+                    duration: options.duration,
+                    easing: options.easing,
+                    crossFade: options.crossFade ?? (system ? true : undefined)
+                }),
+                system,
+                switching: null,
+                resolve
+            };
+        });
+    }
+
+    /**
+     * Stop a running transition where it is; its promise resolves false
+     */
+    cancelTransition() {
+        if (!this.transition) return;
+
+        const { resolve } = this.transition;
+        this.transition = null;
+        this.setLayerOpacity(1);
+        resolve(false);
+    }
+
+    isTransitioning() {
+        return this.transition !== null;
+    }
+
+    setLayerOpacity(opacity) {
+        if (this.canvasManager && this.canvasManager.setLayerOpacity) {
+            this.canvasManager.setLayerOpacity(opacity);
+        }
+    }
+
+    /**
+     * Blend mode, opacity and visibility of one layer role (needs the compositor option)
+     * Settings persist across system switches.
+     * @param {string} role - e.g. 'content'
+     * @param {{blendMode?: string, opacity?: number, visible?: boolean}} settings - blendMode is one of getBlendModes()
+     * @returns {{blendMode: string, opacity: number, visible: boolean}} The layer's settings
+     */
+    configureLayer(role, settings) {
+        if (!this.canvasManager) {
+            throw new Error('Engine not initialized');
+        }
+        return this.canvasManager.configureLayer(role, settings);
+    }
+
+    /**
+     * Compositor settings of the current system's layers keyed by role ({} without the compositor)
+     */
+    getLayerSettings() {
+        return this.canvasManager ? this.canvasManager.getLayerSettings() : {};
+    }
+
+    getBlendModes() {
+        return [...BLEND_MODES];
+    }
+
+    /**
+     * Order of the post-processing passes; passes left out never run
+     * @param {string[]} order - Pass names from getPostProcessPasses(), e.g. ['kaleidoscope', 'bloom', 'vignette']
+     */
+    setPostProcessOrder(order) {
+        this.postProcessOrder = resolvePostProcessOrder(order);
+        if (this.canvasManager) {
+            this.canvasManager.setPostProcessing({ order: this.postProcessOrder });
+        }
+    }
+
+    getPostProcessOrder() {
+        return [...this.postProcessOrder];
+    }
+
+    /**
+     * Every post-processing pass name, in the default order
+     */
+    getPostProcessPasses() {
+        return [...POST_PROCESS_PASSES];
+    }
+
+    /**
+     * Advance the running transition to a clock time
+     */
+    updateTransition(time) {
+        const transition = this.transition;
+        const { values, progress, fade, done } = transition.animation.update(time);
+
+        this.commitParameters(() => this.parameters.setParameters(values), 'transition');
+        if (transition.animation.crossFade) {
+            this.setLayerOpacity(fade);
+        }
+
+        if (transition.system && progress >= 0.5 && !transition.switching) {
+            transition.switching = this.switchSystem(transition.system, { transition: false });
+        }
+
+        if (done) {
+            this.transition = null;
+            Promise.resolve(transition.switching ?? true).then(ok => transition.resolve(ok !== false));
+        }
     }
 
     /**
@@ -187,19 +917,18 @@ export class VIB3Engine {
     }
 
     /**
-     * Randomize all parameters
+     * Randomize all parameters, picking the geometry among those the active system draws
      */
     randomizeAll() {
-        this.parameters.randomizeAll();
-        this.updateCurrentSystemParameters();
+        const geometries = this.getSystemManifest()?.geometries;
+        this.commitParameters(() => this.parameters.randomizeAll(geometries?.length), 'randomize');
     }
 
     /**
      * Reset to defaults
      */
     resetAll() {
-        this.parameters.resetToDefaults();
-        this.updateCurrentSystemParameters();
+        this.commitParameters(() => this.parameters.resetToDefaults(), 'reset');
     }
 
     /**
@@ -220,48 +949,117 @@ export class VIB3Engine {
      * Get geometry names for current system
      */
     getGeometryNames() {
-        // All systems support 24 geometries
-        return [
-            // Base geometries (0-7)
-            'Tetrahedron',
-            'Hypercube',
-            'Sphere',
-            'Torus',
-            'Klein Bottle',
-            'Fractal',
-            'Wave',
-            'Crystal',
-            // Hypersphere Core (8-15)
-            '🌀 Hypersphere Core (Tetrahedron)',
-            '🌀 Hypersphere Core (Hypercube)',
-            '🌀 Hypersphere Core (Sphere)',
-            '🌀 Hypersphere Core (Torus)',
-            '🌀 Hypersphere Core (Klein)',
-            '🌀 Hypersphere Core (Fractal)',
-            '🌀 Hypersphere Core (Wave)',
-            '🌀 Hypersphere Core (Crystal)',
-            // Hypertetrahedron Core (16-23)
-            '🔺 Hypertetrahedron Core (Tetrahedron)',
-            '🔺 Hypertetrahedron Core (Hypercube)',
-            '🔺 Hypertetrahedron Core (Sphere)',
-            '🔺 Hypertetrahedron Core (Torus)',
-            '🔺 Hypertetrahedron Core (Klein)',
-            '🔺 Hypertetrahedron Core (Fractal)',
-            '🔺 Hypertetrahedron Core (Wave)',
-            '🔺 Hypertetrahedron Core (Crystal)'
-        ];
+        const manifest = this.getSystemManifest();
+        return manifest ? [...manifest.geometries] : [];
+    }
+
+    /**
+     * Projection mode names, indexed by the projection parameter
+     */
+    getProjectionNames() {
+        return [...PROJECTION_MODES];
+    }
+
+    /**
+     * Core operator names, indexed by the coreOperator parameter
+     */
+    getCoreOperatorNames() {
+        return [...CORE_OPERATORS];
+    }
+
+    /**
+     * Rotation preset names, indexed by the rotationMode parameter
+     */
+    getRotationModeNames() {
+        return [...ROTATION_MODES];
+    }
+
+    /**
+     * Render one frame of the active system
+     * Headless hosts (Workers, batch jobs, tests) drive the engine through this call
+     * @param {number} [time] - Engine time in ms; the clock seeks there. Omitted ticks the clock.
+     */
+    renderFrame(time) {
+        return this.drawFrame(typeof time === 'number' ? this.clock.seek(time) : this.clock.tick());
+    }
+
+    /**
+     * Animate and draw the active system at a time the clock has already advanced to
+     * @param {number} frameTime - Engine time in ms
+     * @returns {boolean} Whether a system drew
+     */
+    drawFrame(frameTime) {
+        this.tick(frameTime);
+
+        if (this.outgoing) {
+            this.updateSwitchTransition(frameTime);
+        }
+
+        if (!this.activeSystem || !this.activeSystem.renderFrame) {
+            return false;
+        }
+
+        this.activeSystem.renderFrame(frameTime);
+        this.canvasManager.present();
+
+        if (this.hasListeners('frame')) {
+            this.emit('frame', { time: frameTime, frame: this.clock.getFrame(), system: this.currentSystemName });
+        }
+        return true;
+    }
+
+    /**
+     * Advance engine-driven animation (timeline, transition) to the given clock time
+     */
+    tick(time) {
+        const values = this.timeline.update(time);
+        if (values) {
+            this.commitParameters(() => this.parameters.setParameters(values), 'timeline');
+        }
+        if (this.transition) {
+            this.updateTransition(time);
+        }
+    }
+
+    startLoop() {
+        const loop = (hostTime) => {
+            this.drawFrame(this.clock.tick(hostTime));
+            this.animationId = requestAnimationFrame(loop);
+        };
+        this.animationId = requestAnimationFrame(loop);
+    }
+
+    stopLoop() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
     }
 
     /**
      * Export current state
      */
     exportState() {
-        return {
+        const state = {
             system: this.currentSystemName,
             parameters: this.parameters.getAllParameters(),
+            timeline: this.timeline.toJSON(),
+            clock: this.clock.toJSON(),
+            postProcessOrder: this.getPostProcessOrder(),
             timestamp: new Date().toISOString(),
-            version: '1.0.0'
+            version: '1.1.0'
         };
+        // Catalogue key next to the ID, so the geometry survives registrations in another order
+        if (this.getSystemManifest()?.geometryCatalogue) {
+            state.geometry = getGeometry(state.parameters.geometry)?.key;
+            const customGeometries = getSavedCustomGeometries(state);
+            if (Object.keys(customGeometries).length > 0) {
+                state.customGeometries = customGeometries;
+            }
+        }
+
+        this.emit('save', { state });
+        return state;
     }
 
     /**
@@ -271,16 +1069,81 @@ export class VIB3Engine {
         if (state.system) {
             await this.switchSystem(state.system);
         }
+        if (state.postProcessOrder) {
+            this.setPostProcessOrder(state.postProcessOrder);
+        }
+        this.registerSavedGeometries(state);
         if (state.parameters) {
-            this.parameters.setParameters(state.parameters);
-            this.updateCurrentSystemParameters();
+            this.commitParameters(() => this.parameters.setParameters(this.getSavedParameters(state)), 'import');
+        }
+        if (state.timeline) {
+            this.timeline = ParameterTimeline.fromJSON(this.getSavedTimeline(state));
+        }
+        if (state.clock) {
+            this.clock.restore(state.clock);
         }
     }
 
+    /**
+     * Register the custom geometries a snapshot carries, so its geometry keys resolve
+     * Snippets that no longer compile still register (their fallback is drawn) and emit 'geometryerror'
+     */
+    registerSavedGeometries(state) {
+        Object.entries(state.customGeometries || {}).forEach(([hash, { name, source, fallback }]) => {
+            const custom = registerCustomGeometry(source, { name, fallback });
+            if (custom.hash !== hash) {
+                console.warn(`⚠️ Custom geometry ${hash} was saved with a different source (hash ${custom.hash})`);
+            }
+            if (!custom.ok) {
+                this.emit('geometryerror', { hash: custom.hash, system: state.system || this.currentSystemName, errors: custom.errors });
+            }
+        });
+    }
+
+    /**
+     * Parameters of an exportState() snapshot with the geometry in catalogue IDs
+     * The saved key wins over the ID; 1.0.0 states use the 9-per-core layout
+     */
+    getSavedParameters(state) {
+        const parameters = { ...state.parameters };
+        if (parameters.geometry === undefined || !this.getSystemManifest(state.system || this.currentSystemName)?.geometryCatalogue) {
+            return parameters;
+        }
+
+        const saved = state.geometry ? getGeometry(state.geometry) : null;
+        if (saved) {
+            parameters.geometry = saved.id;
+        } else if (state.geometry) {
+            console.warn(`⚠️ Saved geometry ${state.geometry} is not registered; using geometry ${parameters.geometry}`);
+        } else if (isLegacyState(state)) {
+            parameters.geometry = migrateLegacyGeometry(parameters.geometry);
+        }
+        return parameters;
+    }
+
+    getSavedTimeline(state) {
+        const geometry = state.timeline.tracks?.geometry;
+        if (!geometry || !isLegacyState(state) || !this.getSystemManifest(state.system || this.currentSystemName)?.geometryCatalogue) {
+            return state.timeline;
+        }
+        return {
+            ...state.timeline,
+            tracks: {
+                ...state.timeline.tracks,
+                geometry: geometry.map(keyframe => ({ ...keyframe, value: migrateLegacyGeometry(keyframe.value) }))
+            }
+        };
+    }
+
     /**
      * Destroy engine and clean up
      */
     destroy() {
+        this.stopLoop();
+        this.cancelTransition();
+        this.finishSwitchTransition();
+        this.unwatchContexts();
+
         // Destroy active system
         if (this.activeSystem && this.activeSystem.destroy) {
             this.activeSystem.destroy();
@@ -293,7 +1156,72 @@ export class VIB3Engine {
         }
         this.canvasManager = null;
 
+        if (this.reactivityManager) {
+            this.reactivityManager.destroy();
+            this.reactivityManager = null;
+            this.scope.reactivityManager = null;
+        }
+
         this.initialized = false;
+        this.removeAllListeners();
         console.log('🗑️ VIB3+ Engine destroyed');
     }
 }
+
+// Snippets of the custom geometries a state uses, in its parameters or on its timeline, by source hash
+function getSavedCustomGeometries(state) {
+    const ids = [state.parameters.geometry, ...(state.timeline?.tracks?.geometry || []).map(keyframe => keyframe.value)];
+    const saved = {};
+    ids.forEach(id => {
+        const custom = getCustomGeometry(id);
+        if (custom) {
+            saved[custom.hash] = { name: custom.name, source: custom.source, fallback: custom.fallback };
+        }
+    });
+    return saved;
+}
+
+// exportState() wrote 1.0.0 before the geometry catalogue; hand-written snapshots without a version use catalogue IDs
+function isLegacyState(state) {
+    return !state.geometry && state.version === '1.0.0';
+}
+
+// Built-in systems register through the same route as third-party ones. Quantum, Faceted and
+// Holographic consume the shared set plus coreOperator / coreBlend.
+VIB3Engine.registerSystem('quantum', options => new QuantumEngine(options), {
+    label: 'Quantum',
+    canvasPrefix: 'quantum-',
+    parameters: getParameterNames('quantum'),
+    capabilities: { audio: true, interaction: true }
+});
+
+VIB3Engine.registerSystem('faceted', async options => {
+    // FacetedSystem needs explicit initialization after construction
+    const system = new FacetedSystem(options);
+    if (!(await system.initializeBackend())) {
+        throw new Error('Faceted system initialization failed');
+    }
+    return system;
+}, {
+    label: 'Faceted',
+    canvasPrefix: '',
+    container: 'vib34dLayers',
+    parameters: getParameterNames('faceted')
+});
+
+VIB3Engine.registerSystem('holographic', options => new RealHolographicSystem(options), {
+    label: 'Holographic',
+    canvasPrefix: 'holo-',
+    container: 'holographicLayers',
+    parameters: getParameterNames('holographic'),
+    capabilities: { audio: true, interaction: true }
+});
+
+VIB3Engine.registerSystem('polychora', options => new PolychoraMeshSystem(options), {
+    label: 'Polychora',
+    canvasPrefix: 'polychora-',
+    container: 'polychoraLayers',
+    parameters: getParameterNames('polychora'),
+    geometries: POLYCHORA_NAMES,
+    capabilities: { audio: true }
+});
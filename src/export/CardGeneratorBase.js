@@ -2,6 +2,9 @@
  * Base class for all VIB34D trading card generators
  * Provides shared utilities while allowing system-specific implementations
  */
+
+import { getGeometry, getGeometryUniform } from '../geometry/GeometryCatalogue.js';
+
 export class CardGeneratorBase {
     constructor(systemName) {
         this.systemName = systemName;
@@ -94,7 +97,7 @@ export class CardGeneratorBase {
         // Start visualization
         window.addEventListener('load', () => {
             try {
-                initializeCard(${JSON.stringify(parameters)});
+                initializeCard(${JSON.stringify(this.getCardParameters(parameters))});
             } catch (error) {
                 console.error('Card initialization failed:', error);
                 document.querySelector('.visualization-area').innerHTML = 
@@ -272,8 +275,14 @@ export class CardGeneratorBase {
     
     getGeometryName(parameters) {
         // Default implementation - systems can override
-        const geometryNames = ['TETRAHEDRON', 'HYPERCUBE', 'SPHERE', 'TORUS', 'KLEIN BOTTLE', 'FRACTAL', 'WAVE', 'CRYSTAL'];
-        const geomIndex = parameters.geometry || parameters.geometryType || 0;
-        return geometryNames[geomIndex] || 'GEOMETRY';
+        const geometry = getGeometry(Number(parameters.geometry ?? parameters.geometryType) || 0);
+        return geometry ? geometry.name.toUpperCase() : 'GEOMETRY';
+    }
+    
+    /**
+     * Parameters passed to initializeCard(); geometry becomes the u_geometry value
+     */
+    getCardParameters(parameters) {
+        return { ...parameters, geometry: getGeometryUniform(parameters.geometry ?? parameters.geometryType) };
     }
 }
\ No newline at end of file
@@ -3,6 +3,8 @@
  * Handles all export and import functionality for configurations and media
  */
 
+import { getGeometry } from '../geometry/GeometryCatalogue.js';
+
 export class ExportManager {
     constructor(engine) {
         this.engine = engine;
@@ -574,7 +576,6 @@ window.addEventListener('load', () => {
      * Get geometry name helper
      */
     getGeometryName(index) {
-        const names = ['Tetrahedron', 'Hypercube', 'Sphere', 'Torus', 'Klein Bottle', 'Fractal', 'Wave', 'Crystal'];
-        return names[index] || 'Unknown';
+        return getGeometry(Number(index))?.name || 'Unknown';
     }
 }
\ No newline at end of file
@@ -3,18 +3,18 @@
  * Uses the exact same shader code from src/core/Visualizer.js lines 64-222
  */
 
+import { getProjectionUniforms } from '../geometry/Projection.js';
+import { composeShader } from '../shaders/ShaderLibrary.js';
+import { getGeometry, getGeometryUniform } from '../geometry/GeometryCatalogue.js';
+
 export class FacetedCardGeneratorExact {
     static generateCard(params, canvasId = 'trading-card-canvas') {
-        const geometryNames = {
-            0: 'tetrahedron', 1: 'hypercube', 2: 'sphere', 3: 'torus',
-            4: 'klein', 5: 'fractal', 6: 'wave', 7: 'crystal'
-        };
-        
-        const geometryName = geometryNames[params.geometry] || 'hypercube';
+        const geometryName = getGeometry(Number(params.geometry) || 0)?.slug || 'hypercube';
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const projection = getProjectionUniforms(params);
         
         // Use EXACT shader from IntegratedHolographicVisualizer (lines 64-222)
-        const fragmentShader = `precision highp float;
+        const fragmentShader = composeShader(`precision highp float;
 
 uniform vec2 u_resolution;
 uniform float u_time;
@@ -34,29 +34,12 @@ uniform float u_rot4dZW;
 uniform float u_mouseIntensity;
 uniform float u_clickIntensity;
 uniform float u_roleIntensity;
-
+#include <projection>
 // 4D rotation matrices
-mat4 rotateXW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
-}
-
-mat4 rotateYW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
-}
-
-mat4 rotateZW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-}
+#include <rotation4d>
 
 vec3 project4Dto3D(vec4 p) {
-    float w = 2.5 / (2.5 + p.w);
-    return vec3(p.x * w, p.y * w, p.z * w);
+    return project4D(p);
 }
 
 // Simplified geometry functions for WebGL 1.0 compatibility (ORIGINAL FACETED)
@@ -172,7 +155,7 @@ void main() {
     vec3 color = mix(vec3(gray), baseColor, u_saturation) * finalIntensity;
     
     gl_FragColor = vec4(color, finalIntensity * u_roleIntensity);
-}`;
+}`);
 
         // Generate complete HTML with exact parameter values
         const html = `<!DOCTYPE html>
@@ -295,6 +278,8 @@ void main() {
             rot4dXW: gl.getUniformLocation(program, 'u_rot4dXW'),
             rot4dYW: gl.getUniformLocation(program, 'u_rot4dYW'),
             rot4dZW: gl.getUniformLocation(program, 'u_rot4dZW'),
+            projectionMode: gl.getUniformLocation(program, 'u_projectionMode'),
+            projectionDistance: gl.getUniformLocation(program, 'u_projectionDistance'),
             mouseIntensity: gl.getUniformLocation(program, 'u_mouseIntensity'),
             clickIntensity: gl.getUniformLocation(program, 'u_clickIntensity'),
             roleIntensity: gl.getUniformLocation(program, 'u_roleIntensity')
@@ -302,7 +287,7 @@ void main() {
         
         // EXACT parameters from function call
         const parameters = {
-            geometry: ${params.geometry || 0},
+            geometry: ${getGeometryUniform(params.geometry)},
             gridDensity: ${params.gridDensity || 15},
             morphFactor: ${params.morphFactor || 1.0},
             chaos: ${params.chaos || 0.2},
@@ -313,7 +298,9 @@ void main() {
             dimension: ${params.dimension || 3.5},
             rot4dXW: ${params.rot4dXW || 0.0},
             rot4dYW: ${params.rot4dYW || 0.0},
-            rot4dZW: ${params.rot4dZW || 0.0}
+            rot4dZW: ${params.rot4dZW || 0.0},
+            projection: ${projection.u_projectionMode},
+            projectionDistance: ${projection.u_projectionDistance}
         };
         
         const startTime = Date.now();
@@ -340,6 +327,8 @@ void main() {
             gl.uniform1f(uniforms.rot4dXW, parameters.rot4dXW);
             gl.uniform1f(uniforms.rot4dYW, parameters.rot4dYW);
             gl.uniform1f(uniforms.rot4dZW, parameters.rot4dZW);
+            gl.uniform1f(uniforms.projectionMode, parameters.projection);
+            gl.uniform1f(uniforms.projectionDistance, parameters.projectionDistance);
             gl.uniform1f(uniforms.mouseIntensity, 0.0);
             gl.uniform1f(uniforms.clickIntensity, 0.0);
             gl.uniform1f(uniforms.roleIntensity, 0.8); // Content layer intensity
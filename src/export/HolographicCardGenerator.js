@@ -3,6 +3,7 @@
  * Matches the actual holographic engine parameters and look exactly
  */
 import { CardGeneratorBase } from './CardGeneratorBase.js';
+import { composeShader } from '../shaders/ShaderLibrary.js';
 
 export class HolographicCardGenerator extends CardGeneratorBase {
     constructor() {
@@ -18,7 +19,7 @@ export class HolographicCardGenerator extends CardGeneratorBase {
                     gl_Position = vec4(a_position, 0.0, 1.0);
                 }
             `,
-            fragment: `
+            fragment: composeShader(`
                 precision highp float;
                 
                 uniform vec2 u_resolution;
@@ -54,23 +55,7 @@ export class HolographicCardGenerator extends CardGeneratorBase {
                 uniform float u_rot4dZW;
                 
                 // 4D rotation matrices
-                mat4 rotateXW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
-                }
-                
-                mat4 rotateYW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
-                }
-                
-                mat4 rotateZW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-                }
+                #include <rotation4d>
                 
                 // 4D to 3D projection
                 vec3 project4Dto3D(vec4 p) {
@@ -200,11 +185,7 @@ export class HolographicCardGenerator extends CardGeneratorBase {
                     else return crystalLattice(p, variedGridSize);
                 }
                 
-                vec3 hsv2rgb(vec3 c) {
-                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-                }
+                #include <color>
                 
                 vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
                     vec2 offset = vec2(intensity * 0.005, 0.0);
@@ -318,7 +299,7 @@ export class HolographicCardGenerator extends CardGeneratorBase {
                     
                     gl_FragColor = vec4(color, 0.95);
                 }
-            `
+            `)
         };
     }
     
@@ -3,18 +3,18 @@
  * Uses the exact same shader code from src/holograms/HolographicVisualizer.js lines 151-451
  */
 
+import { getProjectionUniforms } from '../geometry/Projection.js';
+import { composeShader } from '../shaders/ShaderLibrary.js';
+import { getGeometry, getGeometryUniform } from '../geometry/GeometryCatalogue.js';
+
 export class HolographicCardGeneratorExact {
     static generateCard(params, canvasId = 'trading-card-canvas') {
-        const geometryNames = {
-            0: 'tetrahedron', 1: 'hypercube', 2: 'sphere', 3: 'torus',
-            4: 'klein', 5: 'fractal', 6: 'wave', 7: 'crystal'
-        };
-        
-        const geometryName = geometryNames[params.geometry] || 'hypercube';
+        const geometryName = getGeometry(Number(params.geometry) || 0)?.slug || 'hypercube';
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const projection = getProjectionUniforms(params);
         
         // Use EXACT shader from HolographicVisualizer (lines 151-451)
-        const fragmentShader = `precision highp float;
+        const fragmentShader = composeShader(`precision highp float;
             
             uniform vec2 u_resolution;
             uniform float u_time;
@@ -47,30 +47,13 @@ export class HolographicCardGeneratorExact {
             uniform float u_rot4dXW;
             uniform float u_rot4dYW;
             uniform float u_rot4dZW;
-            
+            #include <projection>
             // 4D rotation matrices
-            mat4 rotateXW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
-            }
-            
-            mat4 rotateYW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
-            }
-            
-            mat4 rotateZW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-            }
+            #include <rotation4d>
             
             // 4D to 3D projection
             vec3 project4Dto3D(vec4 p) {
-                float w = 2.5 / (2.5 + p.w);
-                return vec3(p.x * w, p.y * w, p.z * w);
+                return project4D(p);
             }
             
             // Enhanced VIB3 Geometry Library - Higher Fidelity
@@ -199,11 +182,7 @@ export class HolographicCardGeneratorExact {
                 else return crystalLattice(p, variedGridSize);
             }
             
-            vec3 hsv2rgb(vec3 c) {
-                vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-            }
+            #include <color>
             
             vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
                 vec2 offset = vec2(intensity * 0.005, 0.0);
@@ -316,7 +295,7 @@ export class HolographicCardGeneratorExact {
                 color += vec3(interference) * baseColor;
                 
                 gl_FragColor = vec4(color, 0.95);
-            }`;
+            }`);
 
         // Generate complete HTML with exact parameter values
         const html = `<!DOCTYPE html>
@@ -455,7 +434,9 @@ export class HolographicCardGeneratorExact {
             audioColorShift: gl.getUniformLocation(program, 'u_audioColorShift'),
             rot4dXW: gl.getUniformLocation(program, 'u_rot4dXW'),
             rot4dYW: gl.getUniformLocation(program, 'u_rot4dYW'),
-            rot4dZW: gl.getUniformLocation(program, 'u_rot4dZW')
+            rot4dZW: gl.getUniformLocation(program, 'u_rot4dZW'),
+            projectionMode: gl.getUniformLocation(program, 'u_projectionMode'),
+            projectionDistance: gl.getUniformLocation(program, 'u_projectionDistance')
         };
         
         // EXACT parameters from function call (mapped like HolographicVisualizer)
@@ -483,7 +464,7 @@ export class HolographicCardGeneratorExact {
         const [r, g, b] = hsvToRgb(hue, ${params.saturation || 0.8}, ${params.intensity || 0.6});
         
         const parameters = {
-            geometry: ${params.geometry || 0},
+            geometry: ${getGeometryUniform(params.geometry)},
             density: mappedGridDensity,
             speed: ${params.speed || 1.0},
             color: [r, g, b],
@@ -492,12 +473,14 @@ export class HolographicCardGeneratorExact {
             roleSpeed: 1.0,
             colorShift: ${params.hue || 320},
             chaosIntensity: ${params.chaos || 0.2},
-            geometryType: ${params.geometry || 0},
+            geometryType: ${getGeometryUniform(params.geometry)},
             chaos: ${params.chaos || 0.2},
             morph: ${params.morphFactor || 1.0},
             rot4dXW: ${params.rot4dXW || 0.0},
             rot4dYW: ${params.rot4dYW || 0.0},
-            rot4dZW: ${params.rot4dZW || 0.0}
+            rot4dZW: ${params.rot4dZW || 0.0},
+            projection: ${projection.u_projectionMode},
+            projectionDistance: ${projection.u_projectionDistance}
         };
         
         const startTime = Date.now();
@@ -540,6 +523,8 @@ export class HolographicCardGeneratorExact {
             gl.uniform1f(uniforms.rot4dXW, parameters.rot4dXW);
             gl.uniform1f(uniforms.rot4dYW, parameters.rot4dYW);
             gl.uniform1f(uniforms.rot4dZW, parameters.rot4dZW);
+            gl.uniform1f(uniforms.projectionMode, parameters.projection);
+            gl.uniform1f(uniforms.projectionDistance, parameters.projectionDistance);
             
             gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
             
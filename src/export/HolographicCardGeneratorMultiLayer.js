@@ -3,16 +3,14 @@
  * Creates 5 separate canvas layers and composites them like the real engine
  */
 
+import { composeShader } from '../shaders/ShaderLibrary.js';
+import { getGeometry, getGeometryUniform } from '../geometry/GeometryCatalogue.js';
+
 export class HolographicCardGeneratorMultiLayer {
     static generateCard(params, canvasId = 'trading-card-canvas') {
         console.log('🌌 HolographicCardGeneratorMultiLayer received parameters:', params);
         
-        const geometryNames = {
-            0: 'tetrahedron', 1: 'hypercube', 2: 'sphere', 3: 'torus',
-            4: 'klein', 5: 'fractal', 6: 'wave', 7: 'crystal'
-        };
-        
-        const geometryName = geometryNames[params.geometry] || 'hypercube';
+        const geometryName = getGeometry(Number(params.geometry) || 0)?.slug || 'hypercube';
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         
         console.log('🌌 Using geometry:', params.geometry, '→', geometryName);
@@ -30,7 +28,7 @@ export class HolographicCardGeneratorMultiLayer {
         console.log('   rot4dZW:', params.rot4dZW || 0.0);
         
         // Use EXACT shader from HolographicVisualizer (WebGL 1.0 compatible)
-        const fragmentShader = `precision highp float;
+        const fragmentShader = composeShader(`precision highp float;
             
             uniform vec2 u_resolution;
             uniform float u_time;
@@ -65,23 +63,7 @@ export class HolographicCardGeneratorMultiLayer {
             uniform float u_rot4dZW;
             
             // 4D rotation matrices
-            mat4 rotateXW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
-            }
-            
-            mat4 rotateYW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
-            }
-            
-            mat4 rotateZW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-            }
+            #include <rotation4d>
             
             // 4D to 3D projection
             vec3 project4Dto3D(vec4 p) {
@@ -215,11 +197,7 @@ export class HolographicCardGeneratorMultiLayer {
                 else return crystalLattice(p, variedGridSize);
             }
             
-            vec3 hsv2rgb(vec3 c) {
-                vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-            }
+            #include <color>
             
             vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
                 vec2 offset = vec2(intensity * 0.005, 0.0);
@@ -332,7 +310,7 @@ export class HolographicCardGeneratorMultiLayer {
                 color += vec3(interference) * baseColor;
                 
                 gl_FragColor = vec4(color, 0.95);
-            }`;
+            }`);
 
         // Generate complete HTML with EXACT 5-layer system like the engine
         const html = `<!DOCTYPE html>
@@ -577,7 +555,7 @@ export class HolographicCardGeneratorMultiLayer {
                 gl.uniform2f(uniforms.resolution, gl.canvas.width, gl.canvas.height);
                 gl.uniform1f(uniforms.time, time);
                 gl.uniform2f(uniforms.mouse, 0.5, 0.5);
-                gl.uniform1f(uniforms.geometry, ${params.geometry || 0});
+                gl.uniform1f(uniforms.geometry, ${getGeometryUniform(params.geometry)});
                 gl.uniform1f(uniforms.density, mappedBaseDensity);
                 gl.uniform1f(uniforms.speed, ${params.speed || 1.0});
                 gl.uniform3fv(uniforms.color, color);
@@ -589,7 +567,7 @@ export class HolographicCardGeneratorMultiLayer {
                 gl.uniform1f(uniforms.mouseIntensity, 0.0);
                 gl.uniform1f(uniforms.clickIntensity, 0.0);
                 gl.uniform1f(uniforms.densityVariation, 0.0);
-                gl.uniform1f(uniforms.geometryType, ${params.geometry || 0});
+                gl.uniform1f(uniforms.geometryType, ${getGeometryUniform(params.geometry)});
                 gl.uniform1f(uniforms.chaos, ${params.chaos || 0.2});
                 gl.uniform1f(uniforms.morph, ${params.morphFactor || 1.0});
                 gl.uniform1f(uniforms.touchMorph, 0.0);
@@ -3,6 +3,7 @@
  * Specializes in 4D polytope mathematics with glassmorphic rendering
  */
 import { CardGeneratorBase } from './CardGeneratorBase.js';
+import { composeShader } from '../shaders/ShaderLibrary.js';
 
 export class PolychoraCardGenerator extends CardGeneratorBase {
     constructor() {
@@ -17,7 +18,7 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                     gl_Position = vec4(a_position, 0.0, 1.0);
                 }
             `,
-            fragment: `
+            fragment: composeShader(`
                 precision highp float;
                 
                 uniform vec2 u_resolution;
@@ -33,23 +34,7 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                 uniform float u_rot4dZW;
                 
                 // 4D rotation matrices for polytopes
-                mat4 rotateXW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
-                }
-                
-                mat4 rotateYW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
-                }
-                
-                mat4 rotateZW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-                }
+                #include <rotation4d>
                 
                 // 4D to 3D projection with perspective
                 vec3 project4Dto3D(vec4 p) {
@@ -97,11 +82,7 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                     else return polytopeTesseract(p * 0.6); // 120-cell approximation
                 }
                 
-                vec3 hsv2rgb(vec3 c) {
-                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-                }
+                #include <color>
                 
                 void main() {
                     vec2 uv = gl_FragCoord.xy / u_resolution.xy;
@@ -157,7 +138,7 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                     
                     gl_FragColor = vec4(color, 0.9);
                 }
-            `
+            `)
         };
     }
     
@@ -281,7 +262,7 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
                     // Set uniforms (optimized for 4D polytopes)
                     gl.uniform2f(uniforms.resolution, canvas.width, canvas.height);
                     gl.uniform1f(uniforms.time, time);
-                    gl.uniform1f(uniforms.geometry, parseFloat(params.polytope) || parseFloat(params.geometry) || 0);
+                    gl.uniform1f(uniforms.geometry, (parseFloat(params.geometry) || 0) % 6);
                     gl.uniform1f(uniforms.gridDensity, parseFloat(params.gridDensity) || 15);
                     gl.uniform1f(uniforms.hue, parseFloat(params.hue) || 30); // Default orange
                     gl.uniform1f(uniforms.intensity, parseFloat(params.intensity) || 0.6);
@@ -304,16 +285,21 @@ export class PolychoraCardGenerator extends CardGeneratorBase {
     
     getCardTitle(parameters) {
         const polytopeNames = ['5-CELL', 'TESSERACT', '16-CELL', '24-CELL', '600-CELL', '120-CELL'];
-        const polytopeIndex = parameters.polytope || parameters.geometry || 0;
+        const polytopeIndex = (parameters.geometry || 0) % polytopeNames.length;
         const polytopeName = polytopeNames[polytopeIndex] || '4D-POLYTOPE';
         return `${polytopeName} GLASSMORPHIC`;
     }
     
     getGeometryName(parameters) {
         const polytopeNames = ['5-CELL', 'TESSERACT', '16-CELL', '24-CELL', '600-CELL', '120-CELL'];
-        const polytopeIndex = parameters.polytope || parameters.geometry || 0;
+        const polytopeIndex = (parameters.geometry || 0) % polytopeNames.length;
         return polytopeNames[polytopeIndex] || '4D-POLYTOPE';
     }
+    
+    // The geometry parameter picks the polytope, not a catalogue geometry
+    getCardParameters(parameters) {
+        return parameters;
+    }
 }
 
 export default PolychoraCardGenerator;
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * Exact Polychora Card Generator - MATCHES PolychoraMeshSystem EXACTLY
+ * Embeds the polytope mesh from RegularPolychora and the system's own shaders and rotation code,
+ * drawing all five glass layers into a single card canvas.
+ */
+
+import { getPolychoronMesh, POLYCHORA_NAMES } from '../geometry/RegularPolychora.js';
+import { getDefaultParameters, clampParameter } from '../core/ParameterSchema.js';
+import {
+    VERTEX_SHADER,
+    FRAGMENT_SHADER,
+    LAYER_CONFIGS,
+    ROTATION_RATES,
+    PLANE_AXES,
+    createRotationMatrix,
+    getProjectionDistance,
+    hslToRgb
+} from '../polychora/PolychoraMeshSystem.js';
+
+export class PolychoraCardGeneratorExact {
+    static generateCard(params, canvasId = 'trading-card-canvas') {
+        // Slider state may lack the polychora-only parameters - fill them from the schema
+        const parameters = getDefaultParameters('polychora');
+        Object.keys(parameters).forEach(name => {
+            if (params[name] !== undefined) {
+                parameters[name] = clampParameter(name, params[name]);
+            }
+        });
+
+        const polytope = parameters.geometry % POLYCHORA_NAMES.length;
+        const mesh = getPolychoronMesh(polytope);
+        const polytopeName = POLYCHORA_NAMES[polytope];
+        const fileName = polytopeName.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+        // Mesh data rounded to 6 decimals keeps 120-cell cards compact
+        const vertices = Array.from(mesh.vertices, v => Math.round(v * 1e6) / 1e6);
+        const indices = Array.from(mesh.indices);
+
+        const html = `<!DOCTYPE html>
+<html>
+<head>
+    <title>VIB34D Polychora Trading Card - ${polytopeName}</title>
+    <style>
+        body {
+            margin: 0;
+            padding: 20px;
+            background: #000;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            min-height: 100vh;
+            font-family: 'Orbitron', monospace;
+        }
+        canvas {
+            width: 400px;
+            height: 400px;
+            border: 2px solid #ff9600;
+            border-radius: 8px;
+            box-shadow: 0 0 20px rgba(255, 150, 0, 0.5);
+        }
+        .info {
+            position: absolute;
+            bottom: 20px;
+            left: 20px;
+            color: #ff9600;
+            font-size: 12px;
+        }
+    </style>
+</head>
+<body>
+    <canvas id="${canvasId}" width="800" height="800"></canvas>
+    <div class="info">
+        <div>Polychora System - ${polytopeName}</div>
+        <div>${mesh.vertexCount} vertices | ${mesh.edgeCount} edges</div>
+        <div>Hue: ${parameters.hue}° | Speed: ${parameters.speed}</div>
+        <div>True 4D Polytope Mesh + Glass Layers</div>
+    </div>
+
+    <script>
+        // EXACT WebGL implementation matching PolychoraMeshSystem
+        const canvas = document.getElementById('${canvasId}');
+        const gl = canvas.getContext('webgl');
+
+        if (!gl) {
+            alert('WebGL not supported');
+        }
+
+        const vertexShaderSource = \`${VERTEX_SHADER}\`;
+        const fragmentShaderSource = \`${FRAGMENT_SHADER}\`;
+
+        const PLANE_AXES = ${JSON.stringify(PLANE_AXES)};
+        const ROTATION_RATES = ${JSON.stringify(ROTATION_RATES)};
+        const LAYER_CONFIGS = ${JSON.stringify(LAYER_CONFIGS)};
+        const parameters = ${JSON.stringify(parameters)};
+
+        ${createRotationMatrix.toString()}
+
+        ${getProjectionDistance.toString()}
+
+        ${hslToRgb.toString()}
+
+        function createShader(type, source) {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                console.error('Shader compilation error:', gl.getShaderInfoLog(shader));
+                return null;
+            }
+            return shader;
+        }
+
+        const program = gl.createProgram();
+        gl.attachShader(program, createShader(gl.VERTEX_SHADER, vertexShaderSource));
+        gl.attachShader(program, createShader(gl.FRAGMENT_SHADER, fragmentShaderSource));
+        gl.linkProgram(program);
+        gl.useProgram(program);
+
+        // Polytope mesh: ${mesh.vertexCount} vertices, ${mesh.edgeCount} edges
+        const vertices = new Float32Array(${JSON.stringify(vertices)});
+        const indices = new Uint16Array(${JSON.stringify(indices)});
+
+        const vertexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+        const indexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+
+        const positionLocation = gl.getAttribLocation(program, 'a_position');
+        gl.enableVertexAttribArray(positionLocation);
+        gl.vertexAttribPointer(positionLocation, 4, gl.FLOAT, false, 0, 0);
+
+        const uniforms = {};
+        ['u_rotation', 'u_projectionMode', 'u_projectionDistance', 'u_scale', 'u_aspect', 'u_pointSize', 'u_color', 'u_opacity', 'u_depthFade']
+            .forEach(name => {
+                uniforms[name] = gl.getUniformLocation(program, name);
+            });
+
+        const startTime = Date.now();
+
+        function render() {
+            const time = (Date.now() - startTime) / 1000;
+            const base = {
+                XY: parameters.rot4dXY, XZ: parameters.rot4dXZ, YZ: parameters.rot4dYZ,
+                XW: parameters.rot4dXW, YW: parameters.rot4dYW, ZW: parameters.rot4dZW
+            };
+            const angles = {};
+            Object.keys(ROTATION_RATES).forEach(plane => {
+                angles[plane] = base[plane] + time * parameters.speed * ROTATION_RATES[plane];
+            });
+
+            gl.viewport(0, 0, canvas.width, canvas.height);
+            gl.clearColor(0, 0, 0, 1);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+            gl.enable(gl.BLEND);
+            gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+
+            gl.uniformMatrix4fv(uniforms.u_rotation, false, createRotationMatrix(angles));
+            gl.uniform1f(uniforms.u_projectionMode, parameters.projection);
+            gl.uniform1f(uniforms.u_projectionDistance, getProjectionDistance(parameters.projectionDistance, parameters.dimension));
+            gl.uniform1f(uniforms.u_aspect, canvas.width / canvas.height);
+
+            const hueColor = hslToRgb((parameters.hue % 360) / 360, parameters.saturation, 0.6);
+
+            // Same per-layer passes as PolychoraMeshVisualizer, stacked back to front
+            Object.values(LAYER_CONFIGS).forEach(config => {
+                const color = config.color.map((c, i) => c + (hueColor[i] - c) * parameters.colorMagnetism);
+                const opacity = config.opacity * parameters.translucency * (0.4 + parameters.intensity * 0.6);
+                const lineWidth = config.lineWidth * parameters.lineThickness / 2.5;
+
+                gl.uniform1f(uniforms.u_scale, config.scale * parameters.layerScale);
+                gl.uniform1f(uniforms.u_depthFade, config.blur * parameters.glassBlur / 3.0);
+                gl.uniform3fv(uniforms.u_color, new Float32Array(color));
+
+                gl.lineWidth(lineWidth * parameters.outlineWidth);
+                gl.uniform1f(uniforms.u_opacity, opacity * 0.35);
+                gl.drawElements(gl.LINES, indices.length, gl.UNSIGNED_SHORT, 0);
+
+                gl.lineWidth(lineWidth);
+                gl.uniform1f(uniforms.u_opacity, opacity);
+                gl.drawElements(gl.LINES, indices.length, gl.UNSIGNED_SHORT, 0);
+
+                gl.uniform1f(uniforms.u_pointSize, config.lineWidth * parameters.coreSize * 2.0);
+                gl.drawArrays(gl.POINTS, 0, ${mesh.vertexCount});
+            });
+
+            requestAnimationFrame(render);
+        }
+
+        render();
+    </script>
+</body>
+</html>`;
+
+        return {
+            filename: `vib34d-polychora-exact-${fileName}-${timestamp}.html`,
+            content: html,
+            system: 'polychora'
+        };
+    }
+}
@@ -3,6 +3,7 @@
  * Specializes in enhanced 3D lattice with complex holographic effects
  */
 import { CardGeneratorBase } from './CardGeneratorBase.js';
+import { composeShader } from '../shaders/ShaderLibrary.js';
 
 export class QuantumCardGenerator extends CardGeneratorBase {
     constructor() {
@@ -17,7 +18,7 @@ export class QuantumCardGenerator extends CardGeneratorBase {
                     gl_Position = vec4(a_position, 0.0, 1.0);
                 }
             `,
-            fragment: `
+            fragment: composeShader(`
                 precision highp float;
                 
                 uniform vec2 u_resolution;
@@ -33,23 +34,7 @@ export class QuantumCardGenerator extends CardGeneratorBase {
                 uniform float u_rot4dZW;
                 
                 // Enhanced 4D rotation matrices
-                mat4 rotateXW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
-                }
-                
-                mat4 rotateYW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
-                }
-                
-                mat4 rotateZW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-                }
+                #include <rotation4d>
                 
                 vec3 project4Dto3D(vec4 p) {
                     float w = 2.5 / (2.5 + p.w);
@@ -105,11 +90,7 @@ export class QuantumCardGenerator extends CardGeneratorBase {
                     }
                 }
                 
-                vec3 hsv2rgb(vec3 c) {
-                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-                }
+                #include <color>
                 
                 // RGB glitch effect
                 vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
@@ -169,7 +150,7 @@ export class QuantumCardGenerator extends CardGeneratorBase {
                     
                     gl_FragColor = vec4(color, 1.0);
                 }
-            `
+            `)
         };
     }
     
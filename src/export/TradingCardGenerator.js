@@ -8,6 +8,8 @@
 import { TradingCardSystemFaceted } from './systems/TradingCardSystemFaceted.js';
 import { TradingCardSystemQuantum } from './systems/TradingCardSystemQuantum.js';
 import { TradingCardSystemHolographic } from './systems/TradingCardSystemHolographic.js';
+import { getShaderChunk } from '../shaders/ShaderLibrary.js';
+import { getGeometry, getGeometryUniform } from '../geometry/GeometryCatalogue.js';
 
 export class TradingCardGenerator {
     constructor(engine) {
@@ -72,7 +74,7 @@ export class TradingCardGenerator {
         
         // Generate filename with timestamp
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        const filename = `vib34d-card-${state.geometry.toLowerCase()}-${timestamp}.html`;
+        const filename = `vib34d-card-${state.geometrySlug}-${timestamp}.html`;
         
         // Trigger download
         const link = document.createElement('a');
@@ -251,7 +253,7 @@ export class TradingCardGenerator {
         } else if (this.currentSystem === 'polychora') {
             // Polychora System  
             params = {
-                polytope: this.getActiveGeometryIndex(),
+                geometry: this.getActiveGeometryIndex(),
                 gridDensity: parseFloat(document.getElementById('gridDensity')?.value || 15),
                 morphFactor: parseFloat(document.getElementById('morphFactor')?.value || 1.0),
                 chaos: parseFloat(document.getElementById('chaos')?.value || 0.2),
@@ -263,10 +265,11 @@ export class TradingCardGenerator {
                 rot4dYW: parseFloat(document.getElementById('rot4dYW')?.value || 0),
                 rot4dZW: parseFloat(document.getElementById('rot4dZW')?.value || 0)
             };
-            geometryType = params.polytope;
+            geometryType = params.geometry;
         }
         
-        const geometryNames = ['TETRAHEDRON', 'HYPERCUBE', 'SPHERE', 'TORUS', 'KLEIN BOTTLE', 'FRACTAL', 'WAVE', 'CRYSTAL'];
+        const geometry = getGeometry(Number(geometryType) || 0);
+        const geometryName = geometry?.name.toUpperCase() || 'QUANTUM';
         const systemNames = {
             faceted: 'FACETED',
             holographic: 'HOLOGRAPHIC',
@@ -274,8 +277,9 @@ export class TradingCardGenerator {
         };
         
         const state = {
-            name: `${geometryNames[geometryType] || 'QUANTUM'} ${systemNames[this.currentSystem] || 'SYSTEM'}`,
-            geometry: geometryNames[geometryType] || 'QUANTUM',
+            name: `${geometryName} ${systemNames[this.currentSystem] || 'SYSTEM'}`,
+            geometry: geometryName,
+            geometrySlug: geometry?.slug || 'quantum',
             system: this.currentSystem,
             dimension: (params.dimension || 3.8).toString(),
             hue: params.hue || 200,
@@ -284,7 +288,8 @@ export class TradingCardGenerator {
             speed: (params.speed || 1.0).toFixed(1),
             chaos: ((params.chaos || 0) * 100).toFixed(0),
             rarity: this.calculateRarity(params),
-            parameters: params,
+            // The embedded renderers upload parameters.geometry as u_geometry; Polychora's picks the polytope
+            parameters: this.currentSystem === 'polychora' ? params : { ...params, geometry: getGeometryUniform(geometryType) },
             portalUrl: window.location.origin + '/vib34d-portal.html'
         };
         
@@ -1106,21 +1111,7 @@ uniform float u_clickIntensity;
 uniform float u_roleIntensity;
 
 // 4D rotation matrices
-mat4 rotateXW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
-}
-mat4 rotateYW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
-}
-mat4 rotateZW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-}
+${getShaderChunk('rotation4d')}
 vec3 project4Dto3D(vec4 p) {
     float w = 2.5 / (2.5 + p.w);
     return vec3(p.x * w, p.y * w, p.z * w);
@@ -1549,23 +1540,7 @@ void main() {
                 uniform float u_roleIntensity;
                 
                 // 4D rotation matrices
-                mat4 rotateXW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
-                }
-                
-                mat4 rotateYW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
-                }
-                
-                mat4 rotateZW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-                }
+                ${getShaderChunk('rotation4d')}
                 
                 vec3 project4Dto3D(vec4 p) {
                     float w = 2.5 / (2.5 + p.w);
@@ -1616,11 +1591,7 @@ void main() {
                 }
                 
                 // HSV to RGB conversion
-                vec3 hsv2rgb(vec3 c) {
-                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-                }
+                ${getShaderChunk('color')}
                 
                 // RGB Glitch effect
                 vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
@@ -1942,23 +1913,7 @@ void main() {
             uniform float u_rot4dZW;
             
             // 4D rotation matrices
-            mat4 rotateXW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
-            }
-            
-            mat4 rotateYW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
-            }
-            
-            mat4 rotateZW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-            }
+            ${getShaderChunk('rotation4d')}
             
             vec3 project4Dto3D(vec4 p) {
                 float w = 2.5 / (2.5 + p.w);
@@ -2342,21 +2297,7 @@ uniform float u_mouseIntensity;
 uniform float u_clickIntensity;
 uniform float u_roleIntensity;
 // 4D rotation matrices
-mat4 rotateXW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
-}
-mat4 rotateYW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
-}
-mat4 rotateZW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-}
+${getShaderChunk('rotation4d')}
 vec3 project4Dto3D(vec4 p) {
     float w = 2.5 / (2.5 + p.w);
     return vec3(p.x * w, p.y * w, p.z * w);
@@ -2647,23 +2588,7 @@ void main() {
             uniform float u_rot4dZW;
             
             // 4D rotation matrices
-            mat4 rotateXW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
-            }
-            
-            mat4 rotateYW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
-            }
-            
-            mat4 rotateZW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-            }
+            ${getShaderChunk('rotation4d')}
             
             // 4D to 3D projection
             vec3 project4Dto3D(vec4 p) {
@@ -2754,11 +2679,7 @@ void main() {
                 else return crystalLattice(p, variedGridSize);
             }
             
-            vec3 hsv2rgb(vec3 c) {
-                vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-            }
+            ${getShaderChunk('color')}
             
             vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
                 vec2 offset = vec2(intensity * 0.005, 0.0);
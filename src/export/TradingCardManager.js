@@ -60,7 +60,7 @@ export class TradingCardManager {
             'faceted': () => import('./FacetedCardGeneratorExact.js'),
             'quantum': () => import('./QuantumCardGeneratorExact.js'),
             'holographic': () => import('./HolographicCardGeneratorMultiLayer.js'),
-            'polychora': () => import('./PolychoraCardGenerator.js')
+            'polychora': () => import('./PolychoraCardGeneratorExact.js')
         };
         
         const importFunction = generatorMap[system];
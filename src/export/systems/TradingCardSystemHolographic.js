@@ -10,6 +10,8 @@
  * - Audio reactivity preparation
  */
 
+import { getShaderChunk } from '../../shaders/ShaderLibrary.js';
+
 export class TradingCardSystemHolographic {
     /**
      * Generate the complete HTML/JS code for a live holographic trading card
@@ -140,23 +142,7 @@ export class TradingCardSystemHolographic {
             uniform float u_rot4dZW;
             
             // 4D rotation matrices
-            mat4 rotateXW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
-            }
-            
-            mat4 rotateYW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
-            }
-            
-            mat4 rotateZW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-            }
+            ${getShaderChunk('rotation4d')}
             
             vec3 project4Dto3D(vec4 p) {
                 float w = 2.5 / (2.5 + p.w);
@@ -10,6 +10,8 @@
  * - Advanced holographic shimmer effects
  */
 
+import { getShaderChunk } from '../../shaders/ShaderLibrary.js';
+
 export class TradingCardSystemQuantum {
     /**
      * Generate the complete HTML/JS code for a live quantum trading card
@@ -125,23 +127,7 @@ export class TradingCardSystemQuantum {
                 uniform float u_roleIntensity;
                 
                 // 4D rotation matrices
-                mat4 rotateXW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
-                }
-                
-                mat4 rotateYW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
-                }
-                
-                mat4 rotateZW(float theta) {
-                    float c = cos(theta);
-                    float s = sin(theta);
-                    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-                }
+                ${getShaderChunk('rotation4d')}
                 
                 vec3 project4Dto3D(vec4 p) {
                     float w = 2.5 / (2.5 + p.w);
@@ -192,11 +178,7 @@ export class TradingCardSystemQuantum {
                 }
                 
                 // HSV to RGB conversion
-                vec3 hsv2rgb(vec3 c) {
-                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-                }
+                ${getShaderChunk('color')}
                 
                 // RGB Glitch effect
                 vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
@@ -1,16 +1,55 @@
 /**
  * Faceted System - Clean 2D Geometric Patterns with 4D Rotation
- * Supports 24 geometry variants: 8 base + 8 Hypersphere Core + 8 Hypertetrahedron Core
+ * Supports 48 geometry variants: 8 bases, bare or inside a Hypersphere, Hypertetrahedron, Hypercube,
+ * 24-Cell or Duoprism core, joined to the core by the coreOperator parameter
  * Full 6D rotation mathematics (XY, XZ, YZ, XW, YW, ZW)
+ * Renders through WebGL, or WebGPU (FacetedWebGPURenderer + FACETED_WGSL) with backend: 'webgpu'
  */
 
+import { getProjectionUniforms } from '../geometry/Projection.js';
+import { getGeometryUniform } from '../geometry/GeometryCatalogue.js';
+import { composeShader } from '../shaders/ShaderLibrary.js';
+import { customGeometryShaderOptions, mapCustomGeometryErrors } from '../geometry/CustomGeometry.js';
+import { getRotationAngles } from '../math/RotationModes.js';
+
+export const FACETED_BACKENDS = ['webgl', 'webgpu'];
+
 export class FacetedSystem {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object<string, HTMLCanvasElement|OffscreenCanvas>} [options.canvases] - Injected layer canvases keyed by role
+     * @param {boolean} [options.autoRender=true] - Run the internal rAF loop; false when the host calls renderFrame()
+     * @param {EngineClock} [options.clock] - Shared clock ticked by the internal loop
+     * @param {string} [options.backend='webgl'] - 'webgpu' renders through FacetedWebGPURenderer when the canvas
+     *   and browser support it, otherwise falls back to WebGL (see initializeBackend)
+     * @param {GPUDevice} [options.gpuDevice] - Device to render with instead of requesting one from navigator.gpu
+     */
+    constructor(options = {}) {
+        const backend = options.backend || 'webgl';
+        if (!FACETED_BACKENDS.includes(backend)) {
+            throw new RangeError(`Unknown Faceted backend: ${backend} (expected one of ${FACETED_BACKENDS.join(', ')})`);
+        }
+
+        this.canvases = options.canvases || null;
+        this.autoRender = options.autoRender !== false;
+        this.clock = options.clock || null;
+        this.requestedBackend = backend;
+        this.backend = null; // Backend in use once initialized
+        this.gpuDevice = options.gpuDevice || null;
+        this.device = null;
+        this.webgpu = null;
+        this.animationId = null;
         this.canvas = null;
         this.gl = null;
         this.program = null;
+        this.buffer = null;
         this.isActive = false;
         this.time = 0;
+        // customGeometry(vec4 p) snippet compiled into geometry(); failed snippets stay off until replaced
+        this.customGeometry = null;
+        this.customGeometryFailed = false;
+        this.customGeometryErrors = [];
+        this.shaderInfoLog = '';
         this.parameters = {
             geometry: 0,
             rot4dXY: 0, rot4dXZ: 0, rot4dYZ: 0,
@@ -21,23 +60,35 @@ export class FacetedSystem {
             speed: 1.0,
             hue: 200,
             intensity: 0.7,
-            dimension: 3.5
+            dimension: 3.5,
+            projection: 0,
+            projectionDistance: 2.5,
+            rotationMode: 0,
+            rotationPlane: 3,
+            rotationRatio: 0.5,
+            coreOperator: 0,
+            coreBlend: 0.1
         };
     }
 
+    /**
+     * Initialize with the requested backend
+     * @returns {Promise<boolean>} false only when WebGL is unavailable as well
+     */
+    async initializeBackend() {
+        if (this.requestedBackend === 'webgpu') {
+            if (await this.initializeWebGPU()) return true;
+            console.warn('⚠️ WebGPU not available for Faceted System - falling back to WebGL');
+        }
+        return this.initialize();
+    }
+
     /**
      * Initialize faceted system
-     * Finds canvas by ID in DOM (matches reference architecture)
+     * Uses the injected content canvas, or finds it by ID in DOM (matches reference architecture)
      */
     initialize() {
-        // Faceted system uses 'content-canvas' as main canvas
-        // (Reference system has 5 layers, we're using simplified version for now)
-        this.canvas = document.getElementById('content-canvas');
-        if (!this.canvas) {
-            console.error('❌ Faceted canvas (content-canvas) not found in DOM');
-            console.log('Looking for canvas IDs:', ['background-canvas', 'shadow-canvas', 'content-canvas', 'highlight-canvas', 'accent-canvas']);
-            return false;
-        }
+        if (!this.findCanvas()) return false;
 
         this.gl = this.canvas.getContext('webgl');
         if (!this.gl) {
@@ -50,15 +101,91 @@ export class FacetedSystem {
             return false;
         }
 
+        this.backend = 'webgl';
         this.setupCanvasSize();
         console.log('✅ Faceted System initialized on content-canvas');
         return true;
     }
 
     /**
-     * Create shader program with 6D rotation and 24 geometry support
+     * Initialize the WebGPU backend on the content canvas
+     * The device is requested before the canvas context, so a missing adapter leaves the canvas free for WebGL.
+     * @returns {Promise<boolean>}
+     */
+    async initializeWebGPU() {
+        if (!this.findCanvas()) return false;
+
+        const gpu = globalThis.navigator?.gpu;
+        let device = this.gpuDevice;
+        try {
+            if (!device) {
+                const adapter = gpu ? await gpu.requestAdapter() : null;
+                device = adapter ? await adapter.requestDevice() : null;
+            }
+            if (!device) return false;
+
+            // Compiled by `pnpm build:webgpu` so pages served without a bundler can load it
+            const { FacetedWebGPURenderer } = await import('../ui/adaptive/renderers/webgpu/FacetedWebGPURenderer.js');
+            const context = this.canvas.getContext('webgpu');
+            if (!context) return false;
+
+            this.webgpu = new FacetedWebGPURenderer({
+                device,
+                context,
+                format: gpu?.getPreferredCanvasFormat?.(),
+                label: 'faceted'
+            });
+        } catch (error) {
+            console.error('❌ Faceted WebGPU initialization failed:', error);
+            if (device && device !== this.gpuDevice) device.destroy?.();
+            return false;
+        }
+
+        this.device = device;
+        this.backend = 'webgpu';
+        this.watchDevice(device);
+        this.setupCanvasSize();
+        console.log('✅ Faceted System initialized on content-canvas (WebGPU)');
+        return true;
+    }
+
+    /**
+     * Faceted system uses 'content-canvas' as main canvas
+     * (Reference system has 5 layers, we're using simplified version for now)
+     */
+    findCanvas() {
+        this.canvas = this.canvases ? this.canvases.content : document.getElementById('content-canvas');
+        if (!this.canvas) {
+            console.error('❌ Faceted canvas (content-canvas) not found in DOM');
+            console.log('Looking for canvas IDs:', ['background-canvas', 'shadow-canvas', 'content-canvas', 'highlight-canvas', 'accent-canvas']);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * WebGPU's counterpart of webglcontextlost - request a fresh device and rebuild the pipeline
+     * An injected gpuDevice cannot be replaced, so rendering stops until the host recreates the system.
+     */
+    watchDevice(device) {
+        device.lost?.then(info => {
+            if (this.device !== device || info?.reason === 'destroyed') return;
+
+            console.warn('⚠️ Faceted WebGPU device lost:', info?.message);
+            this.webgpu = null;
+            this.device = null;
+            if (!this.gpuDevice) {
+                this.initializeWebGPU();
+            }
+        });
+    }
+
+    /**
+     * Create shader program with 6D rotation and 48 geometry support (chunks from ShaderLibrary)
+     * A custom geometry snippet that does not compile is dropped and the built-in program created instead
      */
     createShaderProgram() {
+        const customGeometry = this.customGeometryFailed ? null : this.customGeometry;
         const vertexShader = `
             attribute vec2 a_position;
             void main() {
@@ -66,19 +193,12 @@ export class FacetedSystem {
             }
         `;
 
-        const fragmentShader = `
+        const fragmentShader = composeShader(`
             precision highp float;
             uniform float u_time;
             uniform vec2 u_resolution;
-            uniform float u_geometry;  // 0-23
-
-            // 6D Rotation uniforms
-            uniform float u_rot4dXY;
-            uniform float u_rot4dXZ;
-            uniform float u_rot4dYZ;
-            uniform float u_rot4dXW;
-            uniform float u_rot4dYW;
-            uniform float u_rot4dZW;
+            uniform float u_geometry;  // 0-47
+            uniform float u_rotationDrift;  // 1 in Free Planes mode, 0 while a rotation preset drives the angles
 
             uniform float u_dimension;
             uniform float u_gridDensity;
@@ -87,196 +207,16 @@ export class FacetedSystem {
             uniform float u_hue;
             uniform float u_intensity;
 
-            // 6 Rotation matrices for complete 4D rotation
-            mat4 rotateXY(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    c, -s, 0, 0,
-                    s, c, 0, 0,
-                    0, 0, 1, 0,
-                    0, 0, 0, 1
-                );
-            }
-
-            mat4 rotateXZ(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    c, 0, -s, 0,
-                    0, 1, 0, 0,
-                    s, 0, c, 0,
-                    0, 0, 0, 1
-                );
-            }
-
-            mat4 rotateYZ(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    1, 0, 0, 0,
-                    0, c, -s, 0,
-                    0, s, c, 0,
-                    0, 0, 0, 1
-                );
-            }
-
-            mat4 rotateXW(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    c, 0, 0, -s,
-                    0, 1, 0, 0,
-                    0, 0, 1, 0,
-                    s, 0, 0, c
-                );
-            }
-
-            mat4 rotateYW(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    1, 0, 0, 0,
-                    0, c, 0, -s,
-                    0, 0, 1, 0,
-                    0, s, 0, c
-                );
-            }
-
-            mat4 rotateZW(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    1, 0, 0, 0,
-                    0, 1, 0, 0,
-                    0, 0, c, -s,
-                    0, 0, s, c
-                );
-            }
-
-            // Apply all 6 rotations
-            vec4 apply6DRotation(vec4 pos) {
-                pos = rotateXY(u_rot4dXY + u_time * 0.05) * pos;
-                pos = rotateXZ(u_rot4dXZ + u_time * 0.06) * pos;
-                pos = rotateYZ(u_rot4dYZ + u_time * 0.04) * pos;
-                pos = rotateXW(u_rot4dXW + u_time * 0.07) * pos;
-                pos = rotateYW(u_rot4dYW + u_time * 0.08) * pos;
-                pos = rotateZW(u_rot4dZW + u_time * 0.09) * pos;
-                return pos;
-            }
-
-            // Base geometry SDFs (0-8) - ✨ EXPANDED with Hexacosichoron
-            float baseGeometry(vec4 p, float type) {
-                if (type < 0.5) {
-                    // Tetrahedron
-                    return max(max(max(abs(p.x + p.y) - p.z, abs(p.x - p.y) - p.z),
-                                   abs(p.x + p.y) + p.z), abs(p.x - p.y) + p.z) / sqrt(3.0);
-                } else if (type < 1.5) {
-                    // Hypercube
-                    vec4 q = abs(p) - 0.8;
-                    return length(max(q, 0.0)) + min(max(max(max(q.x, q.y), q.z), q.w), 0.0);
-                } else if (type < 2.5) {
-                    // Sphere
-                    return length(p) - 1.0;
-                } else if (type < 3.5) {
-                    // Torus
-                    vec2 t = vec2(length(p.xy) - 0.8, p.z);
-                    return length(t) - 0.3;
-                } else if (type < 4.5) {
-                    // Klein Bottle (simplified)
-                    float r = length(p.xy);
-                    return abs(r - 0.7) - 0.2 + sin(atan(p.y, p.x) * 3.0 + p.z * 5.0) * 0.1;
-                } else if (type < 5.5) {
-                    // Fractal (Mandelbulb approximation)
-                    return length(p) - 0.8 + sin(p.x * 5.0) * sin(p.y * 5.0) * sin(p.z * 5.0) * 0.2;
-                } else if (type < 6.5) {
-                    // Wave
-                    return abs(p.z - sin(p.x * 5.0 + u_time) * cos(p.y * 5.0 + u_time) * 0.3) - 0.1;
-                } else if (type < 7.5) {
-                    // Crystal
-                    vec4 q = abs(p);
-                    return max(max(max(q.x, q.y), q.z), q.w) - 0.8;
-                } else {
-                    // 🌟 HEXACOSICHORON (600-CELL) - Golden Ratio 4D Polytope
-                    // Icosahedral symmetry with golden ratio proportions
-                    float phi = 1.618034;  // Golden ratio
-                    float invPhi = 0.618034;  // 1/φ
-
-                    // Approximate 600-cell using icosahedral symmetry
-                    // The 600-cell has 120 vertices arranged with icosahedral symmetry
-
-                    // Create icosahedral distance field using golden ratio
-                    float ico = 0.0;
-
-                    // Five-fold symmetry around main axes (characteristic of 600-cell)
-                    for(int i = 0; i < 5; i++) {
-                        float angle = float(i) * 1.2566;  // 2π/5
-                        float c = cos(angle);
-                        float s = sin(angle);
-
-                        // Rotate in XY plane with golden ratio scaling
-                        vec4 rotP = vec4(
-                            p.x * c - p.y * s,
-                            p.x * s + p.y * c,
-                            p.z,
-                            p.w
-                        );
-
-                        // Distance to rotated golden ratio planes
-                        float planeDist = abs(dot(rotP, vec4(phi, 1.0, 0.0, invPhi)));
-                        ico = max(ico, 1.0 - planeDist * 0.8);
-                    }
-
-                    // Add tetrahedral cell structure (600-cell is made of 600 tetrahedra)
-                    float tetField = max(max(max(
-                        abs(p.x + p.y) - p.z - p.w,
-                        abs(p.x - p.y) - p.z + p.w),
-                        abs(p.x + p.y) + p.z - p.w),
-                        abs(p.x - p.y) + p.z + p.w) / sqrt(4.0);
-
-                    // Combine icosahedral and tetrahedral structures
-                    return max(length(p) - 1.1, min(ico * 0.4 - 0.3, tetField));
-                }
-            }
-
-            // Hypersphere Core wrapper (8-15)
-            float hypersphereCore(vec4 p, float baseType) {
-                float baseShape = baseGeometry(p, baseType);
-                float sphereField = length(p) - 1.2;
-                return max(baseShape, sphereField);  // Intersection
-            }
-
-            // Hypertetrahedron Core wrapper (16-23)
-            float hypertetrahedronCore(vec4 p, float baseType) {
-                float baseShape = baseGeometry(p, baseType);
-                float tetraField = max(max(max(
-                    abs(p.x + p.y) - p.z - p.w,
-                    abs(p.x - p.y) - p.z + p.w),
-                    abs(p.x + p.y) + p.z - p.w),
-                    abs(p.x - p.y) + p.z + p.w) / sqrt(4.0);
-                return max(baseShape, tetraField);  // Intersection
-            }
-
-            // Main geometry dispatcher (0-26) - ✨ EXPANDED with Hexacosichoron
-            float geometry(vec4 p, float type) {
-                if (type < 9.0) {
-                    // Base geometries (0-8) - includes Hexacosichoron at 8
-                    return baseGeometry(p, type);
-                } else if (type < 18.0) {
-                    // Hypersphere Core (9-17)
-                    return hypersphereCore(p, type - 9.0);
-                } else {
-                    // Hypertetrahedron Core (18-26)
-                    return hypertetrahedronCore(p, type - 18.0);
-                }
-            }
+            #include <projection>
+            #include <rotation6d>
+            #include <geometrySDF>
 
             void main() {
                 vec2 uv = (gl_FragCoord.xy - 0.5 * u_resolution.xy) / min(u_resolution.x, u_resolution.y);
                 uv *= 2.0 / u_gridDensity;
 
-                // Create 4D point
-                vec4 pos = vec4(uv, sin(u_time * 0.3) * 0.5, cos(u_time * 0.2) * 0.5);
+                // Lift the pixel's 3D point back into 4D through the selected projection
+                vec4 pos = unproject4D(vec3(uv, sin(u_time * 0.3) * 0.5), cos(u_time * 0.2) * 0.5);
 
                 // Apply full 6D rotation
                 pos = apply6DRotation(pos);
@@ -303,16 +243,23 @@ export class FacetedSystem {
                 float alpha = (edge + fill) * u_intensity;
                 gl_FragColor = vec4(color * alpha, alpha);
             }
-        `;
+        `, customGeometryShaderOptions(customGeometry, { defines: { ROTATION_DRIFT: true } }));
 
         this.program = this.compileProgram(vertexShader, fragmentShader);
+        if (!this.program && customGeometry) {
+            this.customGeometryErrors = mapCustomGeometryErrors(this.shaderInfoLog, fragmentShader);
+            this.customGeometryFailed = true;
+            return this.createShaderProgram();
+        }
         if (!this.program) return false;
 
-        // Create fullscreen quad
-        const vertices = new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]);
-        const buffer = this.gl.createBuffer();
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
-        this.gl.bufferData(this.gl.ARRAY_BUFFER, vertices, this.gl.STATIC_DRAW);
+        // Create fullscreen quad (kept when only the program is rebuilt)
+        if (!this.buffer) {
+            const vertices = new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]);
+            this.buffer = this.gl.createBuffer();
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
+            this.gl.bufferData(this.gl.ARRAY_BUFFER, vertices, this.gl.STATIC_DRAW);
+        }
 
         return true;
     }
@@ -348,7 +295,8 @@ export class FacetedSystem {
         this.gl.compileShader(shader);
 
         if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-            console.error('Shader compile error:', this.gl.getShaderInfoLog(shader));
+            this.shaderInfoLog = this.gl.getShaderInfoLog(shader);
+            console.error('Shader compile error:', this.shaderInfoLog);
             return null;
         }
 
@@ -359,10 +307,17 @@ export class FacetedSystem {
      * Setup canvas size
      */
     setupCanvasSize() {
-        const rect = this.canvas.parentElement.getBoundingClientRect();
-        this.canvas.width = rect.width || 800;
-        this.canvas.height = rect.height || 600;
-        this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        // Headless canvases (OffscreenCanvas) have no parent - the host owns their size
+        if (this.canvas.parentElement) {
+            const rect = this.canvas.parentElement.getBoundingClientRect();
+            this.canvas.width = rect.width || 800;
+            this.canvas.height = rect.height || 600;
+        }
+
+        // WebGPU's canvas texture follows the canvas size on its own
+        if (this.gl) {
+            this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        }
     }
 
     /**
@@ -370,7 +325,9 @@ export class FacetedSystem {
      */
     start() {
         this.isActive = true;
-        this.render();
+        if (this.autoRender) {
+            this.render();
+        }
         console.log('🔷 Faceted System started');
     }
 
@@ -379,6 +336,10 @@ export class FacetedSystem {
      */
     stop() {
         this.isActive = false;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
         console.log('🔷 Faceted System stopped');
     }
 
@@ -397,36 +358,62 @@ export class FacetedSystem {
      * Render loop
      */
     render() {
-        if (!this.isActive || !this.gl || !this.program) return;
+        if (!this.isActive) return;
 
-        this.time += 0.016 * this.parameters.speed;
+        this.renderFrame(this.clock ? this.clock.tick() : undefined);
+        this.animationId = requestAnimationFrame(() => this.render());
+    }
 
-        this.gl.useProgram(this.program);
-        this.gl.enable(this.gl.BLEND);
-        this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+    /**
+     * Render a single frame
+     * @param {number} [time] - Clock time in milliseconds; omitted advances one 60fps tick
+     */
+    renderFrame(time) {
+        if (!this.webgpu && (!this.gl || !this.program)) return;
 
-        this.gl.clearColor(0, 0, 0, 1);
-        this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+        if (typeof time === 'number') {
+            // Pure function of clock time and parameters - frame N is reproducible
+            this.time = (time / 1000) * this.parameters.speed;
+        } else {
+            this.time += 0.016 * this.parameters.speed;
+        }
 
-        // Set uniforms
+        // Set uniforms - rotation presets move the rot4d* angles over time
+        const rotation = getRotationAngles(this.parameters, this.time);
         const uniforms = {
             u_time: this.time,
             u_resolution: [this.canvas.width, this.canvas.height],
-            u_geometry: this.parameters.geometry,
-            u_rot4dXY: this.parameters.rot4dXY,
-            u_rot4dXZ: this.parameters.rot4dXZ,
-            u_rot4dYZ: this.parameters.rot4dYZ,
-            u_rot4dXW: this.parameters.rot4dXW,
-            u_rot4dYW: this.parameters.rot4dYW,
-            u_rot4dZW: this.parameters.rot4dZW,
+            u_geometry: getGeometryUniform(this.parameters.geometry),
+            u_rot4dXY: rotation.rot4dXY,
+            u_rot4dXZ: rotation.rot4dXZ,
+            u_rot4dYZ: rotation.rot4dYZ,
+            u_rot4dXW: rotation.rot4dXW,
+            u_rot4dYW: rotation.rot4dYW,
+            u_rot4dZW: rotation.rot4dZW,
+            u_rotationDrift: this.parameters.rotationMode ? 0 : 1,
             u_dimension: this.parameters.dimension,
             u_gridDensity: this.parameters.gridDensity * 0.1,
             u_morphFactor: this.parameters.morphFactor,
             u_chaos: this.parameters.chaos,
             u_hue: this.parameters.hue,
-            u_intensity: this.parameters.intensity
+            u_intensity: this.parameters.intensity,
+            u_coreOperator: this.parameters.coreOperator,
+            u_coreBlend: this.parameters.coreBlend,
+            ...getProjectionUniforms(this.parameters)
         };
 
+        if (this.webgpu) {
+            this.webgpu.render(uniforms);
+            return;
+        }
+
+        this.gl.useProgram(this.program);
+        this.gl.enable(this.gl.BLEND);
+        this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+
+        this.gl.clearColor(0, 0, 0, 1);
+        this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+
         Object.entries(uniforms).forEach(([name, value]) => {
             const location = this.gl.getUniformLocation(this.program, name);
             if (location !== null) {
@@ -443,8 +430,6 @@ export class FacetedSystem {
         this.gl.enableVertexAttribArray(posLocation);
         this.gl.vertexAttribPointer(posLocation, 2, this.gl.FLOAT, false, 0, 0);
         this.gl.drawArrays(this.gl.TRIANGLES, 0, 6);
-
-        requestAnimationFrame(() => this.render());
     }
 
     /**
@@ -453,4 +438,83 @@ export class FacetedSystem {
     updateParameters(params) {
         Object.assign(this.parameters, params);
     }
+
+    /**
+     * Compile a customGeometry(vec4 p) snippet in place of the base shapes, or go back to them with null
+     * A snippet this program rejects leaves the built-in program in place, so the fallback base is drawn
+     * @param {?string} source - Snippet validated by geometry/CustomGeometry.js
+     * @returns {?{ok: boolean, errors: Array<{line: ?number, message: string}>}} null when the source is unchanged
+     */
+    setCustomGeometry(source) {
+        const customGeometry = source || null;
+        if (customGeometry === this.customGeometry) return null;
+
+        this.customGeometry = customGeometry;
+        this.customGeometryFailed = false;
+        this.customGeometryErrors = [];
+        if (this.backend === 'webgpu') {
+            if (!customGeometry) return { ok: true, errors: [] };
+            this.customGeometryFailed = true;
+            this.customGeometryErrors = [{ line: null, message: 'The WebGPU backend does not compile custom geometry; drawing the fallback' }];
+            return { ok: false, errors: this.customGeometryErrors };
+        }
+
+        // Not initialized yet: initialize() compiles it
+        if (this.gl && !this.gl.isContextLost()) {
+            const previous = this.program;
+            if (!this.createShaderProgram()) {
+                console.error('❌ Faceted System could not rebuild its shader program');
+            }
+            if (previous && previous !== this.program) this.gl.deleteProgram(previous);
+        }
+        return { ok: !this.customGeometryFailed, errors: this.customGeometryErrors };
+    }
+
+    /**
+     * Recreate the shader program and quad after the content canvas's context was restored
+     * Parameters live on the system, so the next frame renders the same state
+     * @param {string} [role] - Restored layer; only 'content' carries the faceted pattern
+     * @returns {boolean} Whether the layer renders again
+     */
+    restoreContext(role) {
+        if (role && role !== 'content') return true;
+        if (this.backend === 'webgpu') return Boolean(this.webgpu);
+        if (!this.canvas) return false;
+
+        this.program = null;
+        this.buffer = null;
+        this.gl = this.canvas.getContext('webgl');
+        if (!this.gl || this.gl.isContextLost() || !this.createShaderProgram()) {
+            console.error('❌ Faceted System could not rebuild its WebGL resources');
+            return false;
+        }
+
+        this.setupCanvasSize();
+        console.log('🔄 Faceted System restored on content-canvas');
+        return true;
+    }
+
+    /**
+     * Stop rendering and free the GPU resources
+     */
+    destroy() {
+        this.stop();
+        if (this.webgpu) {
+            this.webgpu.destroy();
+            this.webgpu = null;
+        }
+        // Devices requested here are ours to release; an injected gpuDevice belongs to the host
+        if (this.device && this.device !== this.gpuDevice) {
+            this.device.destroy?.();
+        }
+        this.device = null;
+        if (this.gl && !this.gl.isContextLost()) {
+            if (this.program) this.gl.deleteProgram(this.program);
+            if (this.buffer) this.gl.deleteBuffer(this.buffer);
+        }
+        this.program = null;
+        this.buffer = null;
+        this.gl = null;
+        console.log('🧹 Faceted System destroyed');
+    }
 }
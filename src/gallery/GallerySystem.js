@@ -3,6 +3,8 @@
  * Portfolio view with live hover previews and variation browsing
  */
 
+import { getGeometry } from '../geometry/GeometryCatalogue.js';
+
 export class GallerySystem {
     constructor(engine) {
         this.engine = engine;
@@ -429,8 +431,7 @@ export class GallerySystem {
      * Get geometry name by index
      */
     getGeometryName(index) {
-        const names = ['Tetrahedron', 'Hypercube', 'Sphere', 'Torus', 'Klein Bottle', 'Fractal', 'Wave', 'Crystal'];
-        return names[index] || 'Unknown';
+        return getGeometry(index)?.name || 'Unknown';
     }
     
     /**
@@ -0,0 +1,270 @@
+/**
+ * Cross Section - slices a 4D polytope mesh with the hyperplane w = k
+ *
+ * The slice of a convex polytope is a convex 3D polyhedron:
+ * - every edge crossing the hyperplane gives one slice vertex
+ * - every cell crossing it gives one polygonal slice face
+ * - every 2D face crossing it gives one slice edge
+ *
+ * Works with anything exposing vertices, edge indices and cells
+ * (RegularPolychoron, Hexacosichoron), optionally rotated first so the
+ * polytope can tumble through the hyperplane.
+ */
+
+// Vertices closer than this to the hyperplane count as lying on it
+const EPSILON = 1e-6;
+
+function subtract(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function dot3(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function centroid(points) {
+    const sum = [0, 0, 0];
+    points.forEach(p => {
+        sum[0] += p[0];
+        sum[1] += p[1];
+        sum[2] += p[2];
+    });
+    return sum.map(value => value / Math.max(1, points.length));
+}
+
+/**
+ * @typedef {Object} CrossSectionResult
+ * @property {number} level - Hyperplane position k
+ * @property {Float32Array} vertices - Slice vertices, xyz triples
+ * @property {number[][]} faces - Slice vertex indices per face, counter-clockwise seen from outside
+ * @property {number[]} faceCells - Source cell index of each face
+ * @property {Uint16Array} triangles - Faces as triangle fans for TRIANGLES draws
+ * @property {Uint16Array} edges - Unique slice edges as index pairs for LINES draws
+ * @property {number} vertexCount
+ * @property {number} faceCount
+ * @property {number} edgeCount
+ * @property {number[]} extent - [min w, max w] of the (rotated) polytope; levels outside give an empty slice
+ */
+
+export class CrossSection {
+    /**
+     * @param {Object} polytope - { vertices, indices, cells }; vertices are [x, y, z, w] arrays or a flat array
+     */
+    constructor(polytope) {
+        if (!polytope || !polytope.vertices || !polytope.indices || !polytope.cells) {
+            throw new TypeError('CrossSection needs a polytope with vertices, indices and cells');
+        }
+
+        const flat = Array.isArray(polytope.vertices[0]) ? polytope.vertices.flat() : Array.from(polytope.vertices);
+        this.vertices = new Float64Array(flat);
+        this.vertexCount = flat.length / 4;
+        this.indices = Array.from(polytope.indices);
+        this.cells = polytope.cells;
+
+        // Edge lookup per cell - a cell's edges are the polytope edges between its vertices
+        const edgeIndex = new Map();
+        for (let e = 0; e < this.indices.length / 2; e++) {
+            const a = this.indices[e * 2];
+            const b = this.indices[e * 2 + 1];
+            edgeIndex.set(a < b ? `${a},${b}` : `${b},${a}`, e);
+        }
+        this.cellEdges = this.cells.map(cell => {
+            const edges = [];
+            for (let i = 0; i < cell.length; i++) {
+                for (let j = i + 1; j < cell.length; j++) {
+                    const key = cell[i] < cell[j] ? `${cell[i]},${cell[j]}` : `${cell[j]},${cell[i]}`;
+                    if (edgeIndex.has(key)) {
+                        edges.push(edgeIndex.get(key));
+                    }
+                }
+            }
+            return edges;
+        });
+
+        this.rotated = new Float64Array(this.vertices.length);
+    }
+
+    /**
+     * Rotate the mesh into the frame the hyperplane is measured in
+     * @param {Float32Array|number[]} [rotation] - Column-major 4×4 (as from createRotationMatrix); omitted = identity
+     */
+    transform(rotation) {
+        if (!rotation) {
+            this.rotated.set(this.vertices);
+            return this.rotated;
+        }
+
+        for (let v = 0; v < this.vertexCount; v++) {
+            const o = v * 4;
+            const x = this.vertices[o];
+            const y = this.vertices[o + 1];
+            const z = this.vertices[o + 2];
+            const w = this.vertices[o + 3];
+            for (let row = 0; row < 4; row++) {
+                this.rotated[o + row] = rotation[row] * x + rotation[4 + row] * y +
+                    rotation[8 + row] * z + rotation[12 + row] * w;
+            }
+        }
+        return this.rotated;
+    }
+
+    /**
+     * Intersect the polytope with the hyperplane w = level
+     * @param {number} level - Hyperplane position (unit-circumradius polytopes span -1 to 1)
+     * @param {Float32Array|number[]} [rotation] - Optional column-major 4×4 applied before slicing
+     * @returns {CrossSectionResult}
+     */
+    slice(level, rotation) {
+        const points = this.transform(rotation);
+        const distance = new Float64Array(this.vertexCount);
+        let minW = Infinity;
+        let maxW = -Infinity;
+        for (let v = 0; v < this.vertexCount; v++) {
+            const w = points[v * 4 + 3];
+            distance[v] = w - level;
+            minW = Math.min(minW, w);
+            maxW = Math.max(maxW, w);
+        }
+
+        const sliceVertices = [];
+        const vertexSlot = new Map(); // 'v<index>' for vertices on the plane, 'e<index>' for crossing edges
+        const slotFor = (key, create) => {
+            if (!vertexSlot.has(key)) {
+                vertexSlot.set(key, sliceVertices.length);
+                sliceVertices.push(create());
+            }
+            return vertexSlot.get(key);
+        };
+        const onPlane = v => slotFor(`v${v}`, () => [points[v * 4], points[v * 4 + 1], points[v * 4 + 2]]);
+
+        // Slice vertices contributed by each polytope edge (none, one crossing, or on-plane endpoints)
+        const edgeHits = [];
+        for (let e = 0; e < this.indices.length / 2; e++) {
+            const a = this.indices[e * 2];
+            const b = this.indices[e * 2 + 1];
+            const da = distance[a];
+            const db = distance[b];
+            const hits = [];
+
+            if (Math.abs(da) < EPSILON) hits.push(onPlane(a));
+            if (Math.abs(db) < EPSILON) hits.push(onPlane(b));
+            if (hits.length === 0 && da * db < 0) {
+                const t = da / (da - db);
+                hits.push(slotFor(`e${e}`, () => [0, 1, 2].map(axis =>
+                    points[a * 4 + axis] + (points[b * 4 + axis] - points[a * 4 + axis]) * t)));
+            }
+            edgeHits.push(hits);
+        }
+
+        const center = centroid(sliceVertices);
+        const faces = [];
+        const faceCells = [];
+        const seenFaces = new Set();
+
+        this.cellEdges.forEach((edges, cell) => {
+            const members = [...new Set(edges.flatMap(e => edgeHits[e]))];
+            if (members.length < 3) return;
+
+            const face = this.orderFace(members, sliceVertices, center);
+            if (!face) return;
+
+            // A 2D face lying in the hyperplane is reported by both cells that share it
+            const key = [...face].sort((x, y) => x - y).join(',');
+            if (seenFaces.has(key)) return;
+            seenFaces.add(key);
+
+            faces.push(face);
+            faceCells.push(cell);
+        });
+
+        const triangles = [];
+        const edgeSet = new Set();
+        const edges = [];
+        faces.forEach(face => {
+            for (let i = 0; i < face.length; i++) {
+                if (i > 0 && i < face.length - 1) {
+                    triangles.push(face[0], face[i], face[i + 1]);
+                }
+                const a = face[i];
+                const b = face[(i + 1) % face.length];
+                const key = a < b ? `${a},${b}` : `${b},${a}`;
+                if (!edgeSet.has(key)) {
+                    edgeSet.add(key);
+                    edges.push(a, b);
+                }
+            }
+        });
+
+        return {
+            level,
+            vertices: new Float32Array(sliceVertices.flat()),
+            faces,
+            faceCells,
+            triangles: new Uint16Array(triangles),
+            edges: new Uint16Array(edges),
+            vertexCount: sliceVertices.length,
+            faceCount: faces.length,
+            edgeCount: edges.length / 2,
+            extent: [minW, maxW]
+        };
+    }
+
+    /**
+     * Order a cell's slice points into a convex polygon wound outward from the slice centre
+     * Returns null when the points are not coplanar (a whole cell lying in the hyperplane)
+     */
+    orderFace(members, sliceVertices, center) {
+        const points = members.map(i => sliceVertices[i]);
+        const faceCenter = centroid(points);
+        const u = subtract(points[0], faceCenter);
+
+        // Normal from the most stable cross product with the first spoke
+        let normal = null;
+        let best = 1e-15;
+        points.forEach(p => {
+            const candidate = cross(u, subtract(p, faceCenter));
+            const length = Math.sqrt(dot3(candidate, candidate));
+            if (length > best) {
+                best = length;
+                normal = candidate.map(value => value / length);
+            }
+        });
+        if (!normal) return null;
+
+        if (points.some(p => Math.abs(dot3(subtract(p, faceCenter), normal)) > 1e-6)) {
+            return null;
+        }
+
+        if (dot3(normal, subtract(faceCenter, center)) < 0) {
+            normal = normal.map(value => -value);
+        }
+
+        const v = cross(normal, u);
+        const angles = points.map(p => {
+            const offset = subtract(p, faceCenter);
+            return Math.atan2(dot3(offset, v), dot3(offset, u));
+        });
+
+        return members
+            .map((index, i) => ({ index, angle: angles[i] }))
+            .sort((a, b) => a.angle - b.angle)
+            .map(entry => entry.index);
+    }
+}
+
+/**
+ * One-off slice without keeping a CrossSection around
+ * @param {Object} polytope - { vertices, indices, cells }
+ * @param {number} level - Hyperplane position
+ * @param {Float32Array|number[]} [rotation] - Optional column-major 4×4 applied before slicing
+ * @returns {CrossSectionResult}
+ */
+export function slicePolytope(polytope, level, rotation) {
+    return new CrossSection(polytope).slice(level, rotation);
+}
+
+export default CrossSection;
@@ -0,0 +1,334 @@
+/**
+ * Custom Geometry - user-authored 4D distance functions as GLSL snippets
+ *
+ * A snippet defines `float customGeometry(vec4 p)`, negative inside the shape, plus any helper
+ * functions it needs. It only sees p: uniforms, textures, gl_* built-ins, preprocessor lines and
+ * while/do loops are rejected before anything reaches the GPU, and for loops need literal bounds whose
+ * iteration counts, multiplied together, stay within MAX_LOOP_ITERATIONS. So a snippet cannot read
+ * engine state, and its cost per evaluation is bounded by its length times that budget. Valid snippets
+ * join the geometry catalogue as a base (key 'custom-<hash>') under every core, so they are selected,
+ * saved and shared like any other geometry.
+ *
+ * Systems compose their programs with customGeometryShaderOptions(source): the snippet replaces the
+ * customGeometry chunk and CUSTOM_GEOMETRY switches the geometry() dispatcher over to it. Where it
+ * does not compile, the system keeps its built-in program and the entry's fallback base is drawn.
+ *
+ * Errors are {line, message} with line counted within the snippet (null when the error is not on
+ * one of its lines).
+ */
+
+import { composeShader } from '../shaders/ShaderLibrary.js';
+import { getGeometry, getGeometryBases, getGeometryId, registerGeometryBase } from './GeometryCatalogue.js';
+
+const MAX_SOURCE_LENGTH = 8192;
+const BEGIN_MARKER = '// customGeometry:begin';
+const END_MARKER = '// customGeometry:end';
+
+// Loops are multiplied as if nested: a helper called from inside a loop repeats its own loops
+const MAX_LOOP_ITERATIONS = 1024;
+const FOR_HEADER = /\bfor\s*\(([^;)]*);([^;)]*);([^)]*)\)/g;
+const LOOP_INIT = /^\s*(?:(?:high|medium|low)p\s+)?(?:int|float)\s+(\w+)\s*=\s*(-?\d+(?:\.\d*)?)\s*$/;
+const LOOP_CONDITION = /^\s*(\w+)\s*(<=|>=|<|>)\s*(-?\d+(?:\.\d*)?)\s*$/;
+const LOOP_STEP = /^\s*(?:(\+\+|--)\s*(\w+)|(\w+)\s*(\+\+|--)|(\w+)\s*([+-])=\s*(\d+(?:\.\d*)?))\s*$/;
+
+const ENTRY_POINT = /\bfloat\s+customGeometry\s*\(\s*(?:in\s+)?(?:(?:high|medium|low)p\s+)?vec4\s+\w+\s*\)\s*\{/;
+
+const FORBIDDEN = [
+    { pattern: /^\s*#/, message: 'Preprocessor directives are not allowed' },
+    { pattern: /\b(uniform|attribute|varying|precision)\b/, message: word => `'${word}' declarations are not allowed; customGeometry only sees p` },
+    { pattern: /\bgl_\w+/, message: word => `Built-in ${word} is not available` },
+    { pattern: /\bu_\w+/, message: word => `Engine uniform ${word} is not available; customGeometry only sees p` },
+    { pattern: /\bdiscard\b/, message: 'discard is not allowed in a distance function' },
+    { pattern: /\b(sampler\w*|texture\w*)\b/, message: word => `Textures are not available (${word})` },
+    { pattern: /\b(while|do)\b/, message: word => `'${word}' loops are not allowed; use a for loop with a literal bound` }
+];
+
+// hash → { hash, key, name, source, fallback, valid, errors }
+const customGeometries = new Map();
+
+let scratchContext;
+
+/**
+ * Stable 8-digit hex hash of a snippet (FNV-1a over the source with line endings and outer whitespace normalised)
+ */
+export function hashGeometrySource(source) {
+    const text = String(source).replace(/\r\n?/g, '\n').trim();
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Check a snippet against the sandbox rules without compiling it
+ * @param {string} source
+ * @returns {{valid: boolean, errors: Array<{line: ?number, message: string}>}}
+ */
+export function validateCustomGeometry(source) {
+    if (typeof source !== 'string' || !source.trim()) {
+        return invalid([{ line: null, message: 'Custom geometry source is empty' }]);
+    }
+    if (source.length > MAX_SOURCE_LENGTH) {
+        return invalid([{ line: null, message: `Custom geometry source is longer than ${MAX_SOURCE_LENGTH} characters` }]);
+    }
+
+    const code = stripComments(source.replace(/\r\n?/g, '\n'));
+    const errors = [];
+    code.split('\n').forEach((text, index) => {
+        FORBIDDEN.forEach(({ pattern, message }) => {
+            const match = text.match(pattern);
+            if (match) {
+                errors.push({ line: index + 1, message: typeof message === 'function' ? message(match[1] || match[0]) : message });
+            }
+        });
+    });
+    errors.push(...checkBrackets(code));
+    errors.push(...checkLoops(code));
+
+    if (!ENTRY_POINT.test(code)) {
+        errors.push({ line: null, message: 'Define float customGeometry(vec4 p)' });
+    }
+    return errors.length > 0 ? invalid(errors) : { valid: true, errors: [] };
+}
+
+/**
+ * Validate a snippet and test-compile it inside the geometry() dispatcher
+ * Without a WebGL context (headless, workers) only the validation runs.
+ * @param {string} source
+ * @param {WebGLRenderingContext} [gl] - Context to compile with; defaults to a shared scratch canvas
+ * @returns {{ok: boolean, errors: Array<{line: ?number, message: string}>}}
+ */
+export function compileCustomGeometry(source, gl = getScratchContext()) {
+    const validation = validateCustomGeometry(source);
+    if (!validation.valid) {
+        return { ok: false, errors: validation.errors };
+    }
+    if (!gl || gl.isContextLost?.()) {
+        return { ok: true, errors: [] };
+    }
+
+    const composed = composeShader(`
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+uniform float u_time;
+#include <geometrySDF>
+void main() {
+    gl_FragColor = vec4(geometry(vec4(gl_FragCoord.xy, 0.0, 1.0), 0.0));
+}
+`, customGeometryShaderOptions(source));
+
+    const shader = gl.createShader(gl.FRAGMENT_SHADER);
+    gl.shaderSource(shader, composed);
+    gl.compileShader(shader);
+    const compiled = gl.getShaderParameter(shader, gl.COMPILE_STATUS);
+    const log = compiled ? '' : gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+
+    return compiled ? { ok: true, errors: [] } : { ok: false, errors: mapCustomGeometryErrors(log, composed) };
+}
+
+/**
+ * Translate a shader info log into snippet line numbers
+ * @param {string} infoLog - getShaderInfoLog() output ('ERROR: 0:42: ...' lines)
+ * @param {string} composedSource - The shader source that produced it
+ * @returns {Array<{line: ?number, message: string}>}
+ */
+export function mapCustomGeometryErrors(infoLog, composedSource) {
+    const lines = composedSource.split('\n').map(line => line.trim());
+    const begin = lines.indexOf(BEGIN_MARKER) + 1;
+    const end = lines.indexOf(END_MARKER) + 1;
+
+    const errors = [...String(infoLog || '').matchAll(/ERROR:\s*\d+:(\d+):\s*([^\n]*)/g)].map(([, line, message]) => {
+        const number = Number(line);
+        return {
+            line: begin > 0 && number > begin && number < end ? number - begin : null,
+            message: message.trim()
+        };
+    });
+    if (errors.length === 0) {
+        errors.push({ line: null, message: String(infoLog || '').trim() || 'Shader compilation failed' });
+    }
+    return errors;
+}
+
+/**
+ * The customGeometry chunk for a snippet, fenced so compile errors map back to its lines
+ */
+export function getCustomGeometryChunk(source) {
+    return `${BEGIN_MARKER}\n${source.replace(/\r\n?/g, '\n')}\n${END_MARKER}`;
+}
+
+/**
+ * composeShader() options that compile a snippet into the geometry dispatchers; a null source
+ * returns the options unchanged
+ * @param {?string} source
+ * @param {Object} [options] - Options the system composes with anyway (defines, chunks)
+ */
+export function customGeometryShaderOptions(source, options = {}) {
+    if (!source) {
+        return options;
+    }
+    return {
+        ...options,
+        defines: { ...options.defines, CUSTOM_GEOMETRY: true },
+        chunks: { ...options.chunks, customGeometry: getCustomGeometryChunk(source) }
+    };
+}
+
+/**
+ * Add a snippet to the geometry catalogue as a base under every core
+ * Registering the same source again returns the existing entry. Snippets that fail to compile are
+ * registered as well, so saved states that reference them still resolve; systems draw their fallback.
+ * @param {string} source
+ * @param {Object} [options]
+ * @param {string} [options.name] - Display name (default 'Custom <hash>')
+ * @param {number|string} [options.fallback='sphere'] - Built-in base drawn when the snippet can't be compiled
+ * @param {WebGLRenderingContext} [options.gl] - Context for the test compile
+ * @returns {{ok: boolean, hash: string, id: number, key: string, errors: Array<{line: ?number, message: string}>}}
+ *   id and key are the base-core entry ('base:custom-<hash>')
+ */
+export function registerCustomGeometry(source, { name, fallback = 'sphere', gl } = {}) {
+    if (typeof source !== 'string') {
+        throw new TypeError('Custom geometry source must be a GLSL string');
+    }
+
+    const hash = hashGeometrySource(source);
+    if (!customGeometries.has(hash)) {
+        const { ok, errors } = compileCustomGeometry(source, gl);
+        const key = `custom-${hash}`;
+        const [entry] = registerGeometryBase({ key, name: name || `Custom ${hash.slice(0, 6)}`, icon: '✏️', fallback });
+        const bases = getGeometryBases();
+        const base = bases[entry.base];
+        const fallbackKey = bases[base.shaderBase].key;
+        customGeometries.set(hash, { hash, key, name: base.name, source, fallback: fallbackKey, valid: ok, errors });
+        if (!ok) {
+            console.warn(`⚠️ Custom geometry ${base.name} does not compile; drawing ${fallbackKey} instead`);
+        }
+    }
+
+    const record = customGeometries.get(hash);
+    const id = getGeometryId(0, record.key);
+    return { ok: record.valid, hash, id, key: getGeometry(id).key, errors: [...record.errors] };
+}
+
+/**
+ * The custom geometry behind a catalogue entry (ID, key or {core, base}) or a source hash
+ * @returns {?{hash: string, key: string, name: string, source: string, fallback: string, valid: boolean,
+ *   errors: Array<{line: ?number, message: string}>}} null for built-in and other registered geometries
+ */
+export function getCustomGeometry(ref) {
+    if (typeof ref === 'string' && customGeometries.has(ref)) {
+        return { ...customGeometries.get(ref) };
+    }
+    const entry = getGeometry(ref);
+    if (!entry) {
+        return null;
+    }
+    const baseKey = getGeometryBases()[entry.base].key;
+    const record = baseKey.startsWith('custom-') ? customGeometries.get(baseKey.slice('custom-'.length)) : null;
+    return record ? { ...record } : null;
+}
+
+/**
+ * Every registered custom geometry in registration order
+ */
+export function getCustomGeometries() {
+    return [...customGeometries.values()].map(record => ({ ...record }));
+}
+
+function invalid(errors) {
+    return { valid: false, errors };
+}
+
+// Comments out, line breaks kept so error lines still match the snippet
+function stripComments(source) {
+    return source
+        .replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '))
+        .replace(/\/\/[^\n]*/g, '');
+}
+
+/**
+ * Loops with literal bounds, within MAX_LOOP_ITERATIONS all together
+ */
+function checkLoops(code) {
+    const errors = [];
+    let total = 1;
+    for (const match of code.matchAll(FOR_HEADER)) {
+        const line = code.slice(0, match.index).split('\n').length;
+        const iterations = countLoopIterations(match[1], match[2], match[3]);
+        if (iterations === null) {
+            errors.push({ line, message: 'for loops need a literal bound and step, e.g. for (int i = 0; i < 32; i++)' });
+            continue;
+        }
+        total *= Math.max(iterations, 1);
+        if (total > MAX_LOOP_ITERATIONS) {
+            errors.push({ line, message: `Loops run up to ${total} iterations per evaluation; the limit is ${MAX_LOOP_ITERATIONS}` });
+            break;
+        }
+    }
+    return errors;
+}
+
+// Iterations of `for (init; condition; step)`, or null when they are not fixed by literals
+function countLoopIterations(init, condition, step) {
+    const start = init.match(LOOP_INIT);
+    const bound = condition.match(LOOP_CONDITION);
+    const increment = step.match(LOOP_STEP);
+    if (!start || !bound || !increment) {
+        return null;
+    }
+
+    const name = start[1];
+    const stepName = increment[2] || increment[3] || increment[5];
+    if (bound[1] !== name || stepName !== name) {
+        return null;
+    }
+
+    const operator = increment[1] || increment[4] || increment[6];
+    const delta = (operator.startsWith('-') ? -1 : 1) * (increment[7] ? Number(increment[7]) : 1);
+    const from = Number(start[2]);
+    const to = Number(bound[3]);
+    const ascending = bound[2].startsWith('<');
+    if (delta === 0 || ascending !== delta > 0) {
+        return null;
+    }
+
+    const span = (to - from) / delta;
+    const iterations = bound[2].length === 2 ? Math.floor(span) + 1 : Math.ceil(span);
+    return Math.max(iterations, 0);
+}
+
+function checkBrackets(code) {
+    const pairs = { ')': '(', '}': '{', ']': '[' };
+    const open = [];
+    const errors = [];
+    code.split('\n').forEach((text, index) => {
+        for (const char of text) {
+            if ('({['.includes(char)) {
+                open.push({ char, line: index + 1 });
+            } else if (pairs[char]) {
+                if (open.length > 0 && open[open.length - 1].char === pairs[char]) {
+                    open.pop();
+                } else {
+                    errors.push({ line: index + 1, message: `Unmatched '${char}'` });
+                }
+            }
+        }
+    });
+    open.forEach(({ char, line }) => errors.push({ line, message: `Unclosed '${char}'` }));
+    return errors;
+}
+
+function getScratchContext() {
+    if (scratchContext === undefined) {
+        scratchContext = typeof document !== 'undefined'
+            ? document.createElement('canvas').getContext('webgl')
+            : null;
+    }
+    return scratchContext;
+}
@@ -0,0 +1,61 @@
+/** Declarations for GeometryCatalogue.js, so TypeScript modules can import the catalogue under --strict. */
+
+export interface GeometryEntry {
+  readonly id: number;
+  /** '<core key>:<base key>', e.g. 'hypersphere:torus'. */
+  readonly key: string;
+  readonly slug: string;
+  readonly core: number;
+  readonly base: number;
+  readonly name: string;
+}
+
+export interface GeometryBase {
+  key: string;
+  name: string;
+  shortName?: string;
+  icon: string;
+  index: number;
+  /** Built-in base the shaders draw. */
+  shaderBase: number;
+}
+
+export interface GeometryCore {
+  key: string;
+  name: string;
+  icon: string;
+  index: number;
+  /** Built-in core the shaders draw. */
+  shaderCore: number;
+}
+
+export interface GeometryDefinition {
+  key: string;
+  name: string;
+  shortName?: string;
+  icon?: string;
+  fallback?: number | string;
+}
+
+/** A catalogue ID, an entry key, or a core/base pair given by index or key. */
+export type GeometryRef = number | string | { core: number | string; base: number | string };
+
+export declare const GEOMETRY_BASE_COUNT: number;
+export declare const GEOMETRY_CORE_COUNT: number;
+export declare const CORE_OPERATORS: readonly string[];
+
+export declare function getGeometryBases(): GeometryBase[];
+export declare function getGeometryCores(): GeometryCore[];
+export declare function getGeometries(): GeometryEntry[];
+export declare function getGeometryCount(): number;
+export declare function getGeometryNames(): string[];
+/** -1 when either is unknown. */
+export declare function getGeometryId(core: number | string, base: number | string): number;
+export declare function getGeometry(ref: GeometryRef): GeometryEntry | null;
+/** The core × GEOMETRY_BASE_COUNT + base value shaders receive. */
+export declare function getGeometryUniform(id: number): number;
+export declare function registerGeometryBase(definition: GeometryDefinition): GeometryEntry[];
+export declare function registerGeometryCore(definition: GeometryDefinition): GeometryEntry[];
+/** -1 when unknown. */
+export declare function getCoreOperatorIndex(operator: number | string): number;
+export declare function migrateLegacyGeometry(value: number | string): number;
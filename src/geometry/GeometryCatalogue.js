@@ -0,0 +1,230 @@
+/**
+ * Geometry Catalogue - every geometry as an explicit {core, base} pair with a stable numeric ID
+ *
+ * The geometry parameter holds the ID. The 48 built-ins keep IDs core × 8 + base:
+ *   0-7   Tetrahedron … Crystal
+ *   8-15  the same bases inside a Hypersphere core
+ *   16-23 the same bases inside a Hypertetrahedron core
+ *   24-31 Hypercube core, 32-39 24-Cell core, 40-47 Duoprism core
+ * registerGeometryBase() / registerGeometryCore() append the new combinations after the last ID, so
+ * existing IDs never move. Shaders receive getGeometryUniform(id), which names the built-in base and
+ * core to draw (a registered base or core is drawn as its `fallback` until a system renders it).
+ *
+ * How a base meets its core is the system's choice: the coreOperator parameter picks one of
+ * CORE_OPERATORS and coreBlend sets the blend radius (see the coreOperators shader chunk).
+ */
+
+import { PARAMETER_SCHEMA } from '../core/ParameterSchema.js';
+import { parameterValidator } from '../core/ParameterValidator.js';
+
+// Shader stride: u_geometry packs core × GEOMETRY_BASE_COUNT + base (see the geometryIndex shader chunk)
+export const GEOMETRY_BASE_COUNT = 8;
+
+// Cores the geometryCores shader chunk draws; geometryCore() clamps to this range
+export const GEOMETRY_CORE_COUNT = 6;
+
+// Indexed by the coreOperator parameter
+export const CORE_OPERATORS = ['Intersection', 'Union', 'Smooth Union', 'Subtraction', 'Shell'];
+
+const bases = [
+    { key: 'tetrahedron', name: 'Tetrahedron', icon: '🔺' },
+    { key: 'hypercube', name: 'Hypercube', icon: '🟦' },
+    { key: 'sphere', name: 'Sphere', icon: '🔮' },
+    { key: 'torus', name: 'Torus', icon: '🍩' },
+    { key: 'klein', name: 'Klein Bottle', shortName: 'Klein', icon: '🫙' },
+    { key: 'fractal', name: 'Fractal', icon: '❄️' },
+    { key: 'wave', name: 'Wave', icon: '🌊' },
+    { key: 'crystal', name: 'Crystal', icon: '💎' }
+].map((base, index) => ({ ...base, index, shaderBase: index }));
+
+const cores = [
+    { key: 'base', name: 'Base', icon: '🔷' },
+    { key: 'hypersphere', name: 'Hypersphere', icon: '🌀' },
+    { key: 'hypertetrahedron', name: 'Hypertetrahedron', icon: '🔺' },
+    { key: 'hypercube', name: 'Hypercube', icon: '🧊' },
+    { key: 'icositetrachoron', name: '24-Cell', icon: '✴️' },
+    { key: 'duoprism', name: 'Duoprism', icon: '⬢' }
+].map((core, index) => ({ ...core, index, shaderCore: index }));
+
+const entries = [];
+cores.forEach(core => bases.forEach(base => addEntry(core, base)));
+
+function addEntry(core, base) {
+    const entry = Object.freeze({
+        id: entries.length,
+        key: `${core.key}:${base.key}`,
+        // File-name friendly: 'torus', 'hypersphere-torus'
+        slug: core.index === 0 ? base.key : `${core.key}-${base.key}`,
+        core: core.index,
+        base: base.index,
+        name: core.index === 0 ? base.name : `${core.icon} ${core.name} Core (${base.shortName || base.name})`
+    });
+    entries.push(entry);
+    return entry;
+}
+
+function findIndex(list, ref) {
+    if (typeof ref === 'number') {
+        return list[ref] ? ref : -1;
+    }
+    return list.findIndex(item => item.key === ref);
+}
+
+function checkDefinition(kind, list, { key, name } = {}) {
+    if (typeof key !== 'string' || !/^[a-z][\w-]*$/.test(key)) {
+        throw new TypeError(`Geometry ${kind} key must be a lowercase word like 'duoprism', got ${key}`);
+    }
+    if (typeof name !== 'string' || !name) {
+        throw new TypeError(`Geometry ${kind} ${key} needs a display name`);
+    }
+    if (list.some(item => item.key === key)) {
+        throw new Error(`Geometry ${kind} already registered: ${key}`);
+    }
+}
+
+function growParameterRange() {
+    PARAMETER_SCHEMA.geometry.max = entries.length - 1;
+    parameterValidator.invalidate();
+}
+
+export function getGeometryBases() {
+    return bases.map(base => ({ ...base }));
+}
+
+export function getGeometryCores() {
+    return cores.map(core => ({ ...core }));
+}
+
+/**
+ * Every catalogue entry in ID order
+ * @returns {Array<{id: number, key: string, slug: string, core: number, base: number, name: string}>}
+ */
+export function getGeometries() {
+    return [...entries];
+}
+
+export function getGeometryCount() {
+    return entries.length;
+}
+
+/**
+ * Display names indexed by geometry ID
+ */
+export function getGeometryNames() {
+    return entries.map(entry => entry.name);
+}
+
+/**
+ * ID of a core/base combination, each given by index or key
+ * @returns {number} -1 when either is unknown
+ */
+export function getGeometryId(core, base) {
+    const coreIndex = findIndex(cores, core);
+    const baseIndex = findIndex(bases, base);
+    if (coreIndex < 0 || baseIndex < 0) {
+        return -1;
+    }
+    return entries.find(entry => entry.core === coreIndex && entry.base === baseIndex).id;
+}
+
+/**
+ * Look up an entry by ID, by key ('hypersphere:torus', or 'torus' for the bare base) or by {core, base}
+ * @returns {Object|null}
+ */
+export function getGeometry(ref) {
+    if (typeof ref === 'number') {
+        return entries[Math.round(ref)] || null;
+    }
+    if (typeof ref === 'string') {
+        const [core, base] = ref.includes(':') ? ref.split(':') : [0, ref];
+        return entries[getGeometryId(core, base)] || null;
+    }
+    if (ref && ref.core !== undefined && ref.base !== undefined) {
+        return entries[getGeometryId(ref.core, ref.base)] || null;
+    }
+    return null;
+}
+
+/**
+ * u_geometry value for a geometry ID: the built-in core × GEOMETRY_BASE_COUNT + base to draw
+ * Values outside the catalogue pass through unchanged
+ */
+export function getGeometryUniform(id) {
+    const entry = getGeometry(Number(id) || 0);
+    if (!entry) {
+        return Number(id) || 0;
+    }
+    return cores[entry.core].shaderCore * GEOMETRY_BASE_COUNT + bases[entry.base].shaderBase;
+}
+
+/**
+ * Add a base geometry under every core
+ * @param {Object} definition
+ * @param {string} definition.key - Stable key used in saved states
+ * @param {string} definition.name
+ * @param {string} [definition.shortName] - Used inside core names, e.g. 'Klein'
+ * @param {string} [definition.icon]
+ * @param {number|string} [definition.fallback=0] - Built-in base the shaders draw in its place
+ * @returns {Object[]} The new entries, one per core
+ */
+export function registerGeometryBase(definition) {
+    checkDefinition('base', bases, definition);
+    const fallback = findIndex(bases, definition.fallback ?? 0);
+    if (fallback < 0 || fallback >= GEOMETRY_BASE_COUNT) {
+        throw new RangeError(`Geometry base ${definition.key}: fallback must be a built-in base`);
+    }
+
+    const base = { icon: '', ...definition, index: bases.length, shaderBase: fallback };
+    delete base.fallback;
+    bases.push(base);
+    const added = cores.map(core => addEntry(core, base));
+    growParameterRange();
+    return added;
+}
+
+/**
+ * Add a core under which every base can be drawn
+ * @param {Object} definition
+ * @param {string} definition.key - Stable key used in saved states
+ * @param {string} definition.name - e.g. 'Duoprism' (entries read '<icon> Duoprism Core (Torus)')
+ * @param {string} [definition.icon]
+ * @param {number|string} [definition.fallback=0] - Built-in core the shaders draw in its place
+ * @returns {Object[]} The new entries, one per base
+ */
+export function registerGeometryCore(definition) {
+    checkDefinition('core', cores, definition);
+    const fallback = findIndex(cores, definition.fallback ?? 0);
+    if (fallback < 0 || fallback >= GEOMETRY_CORE_COUNT) {
+        throw new RangeError(`Geometry core ${definition.key}: fallback must be a built-in core`);
+    }
+
+    const core = { icon: '◆', ...definition, index: cores.length, shaderCore: fallback };
+    delete core.fallback;
+    cores.push(core);
+    const added = bases.map(base => addEntry(core, base));
+    growParameterRange();
+    return added;
+}
+
+/**
+ * Resolve an operator index or name ('smooth-union', 'Smooth Union', 'smoothUnion', ...) to its index
+ * @returns {number} Operator index, or -1 when unknown
+ */
+export function getCoreOperatorIndex(operator) {
+    if (typeof operator === 'number') {
+        return CORE_OPERATORS[operator] ? operator : -1;
+    }
+    const name = String(operator).toLowerCase().replace(/[^a-z]/g, '');
+    return CORE_OPERATORS.findIndex(candidate => candidate.toLowerCase().replace(/[^a-z]/g, '') === name);
+}
+
+/**
+ * Catalogue ID for a geometry saved before the catalogue, when geometry-tabs.js and the shaders
+ * packed 9 bases per core (0-26) with the Hexacosichoron as base 8. Only Polychora draws the
+ * 600-cell now, so it becomes Crystal.
+ */
+export function migrateLegacyGeometry(value) {
+    const number = Math.max(0, Math.round(Number(value) || 0));
+    const id = getGeometryId(Math.floor(number / 9), Math.min(number % 9, GEOMETRY_BASE_COUNT - 1));
+    return id < 0 ? 0 : id;
+}
@@ -1,28 +1,19 @@
 /**
  * VIB3 Geometry Library
- * 9 geometric types with 4D polytopal mathematics integration
+ * Names and variation presets for the geometry catalogue (see GeometryCatalogue.js)
  * WebGL 1.0 compatible shaders only
- * ✨ NOW INCLUDING HEXACOSICHORON (600-CELL) - Paul Phillips Manifestation
  */
 
+import { getGeometry, getGeometryNames } from './GeometryCatalogue.js';
+
 export class GeometryLibrary {
     static getGeometryNames() {
-        return [
-            'TETRAHEDRON',
-            'HYPERCUBE',
-            'SPHERE',
-            'TORUS',
-            'KLEIN BOTTLE',
-            'FRACTAL',
-            'WAVE',
-            'CRYSTAL',
-            'HEXACOSICHORON'  // 🌟 600-cell - Golden ratio 4D polytope
-        ];
+        return getGeometryNames().map(name => name.toUpperCase());
     }
 
     static getGeometryName(type) {
-        const names = this.getGeometryNames();
-        return names[type] || 'UNKNOWN';
+        const entry = getGeometry(Number(type));
+        return entry ? entry.name.toUpperCase() : 'UNKNOWN';
     }
     
     /**
@@ -37,8 +28,8 @@ export class GeometryLibrary {
             hue: (geometryType * 45 + level * 15) % 360
         };
         
-        // Geometry-specific adjustments
-        switch (geometryType) {
+        // Adjustments per base geometry; the core leaves them unchanged
+        switch (getGeometry(Number(geometryType))?.base) {
             case 0: // Tetrahedron
                 baseParams.gridDensity *= 1.2;
                 break;
@@ -67,12 +58,6 @@ export class GeometryLibrary {
                 baseParams.gridDensity *= 1.5;
                 baseParams.morphFactor *= 0.6;
                 break;
-            case 8: // Hexacosichoron (600-cell)
-                baseParams.gridDensity *= 1.3;  // Golden ratio scaling
-                baseParams.morphFactor *= 0.9;
-                baseParams.chaos *= 0.8;  // More ordered structure
-                baseParams.hue = (180 + level * 30) % 360;  // Cyan-magenta spectrum
-                break;
         }
 
         return baseParams;
@@ -26,72 +26,75 @@ export class Hexacosichoron {
         this.colors = [];
         this.indices = [];
 
+        this.faces = [];          // Sorted vertex triples (1200 triangles)
+        this.cells = [];          // Sorted vertex quadruples (600 tetrahedra)
+        this.faceCells = [];      // The two cells sharing each face
+        this.cellFaces = [];      // The four faces bounding each cell
+        this.cellNeighbors = [];  // The four cells across each cell's faces
+        this.edgeCells = new Map(); // 'a,b' (a < b) → the five cells around that edge, in ring order
+
         this.generateVertices();
         this.generateEdges();
+        this.generateTopology();
         this.generateColors();
     }
 
     /**
-     * Generate all 120 vertices of the 600-cell
+     * Generate all 120 vertices of the 600-cell (unit circumradius)
      *
      * Vertex groups:
-     * 1. 8 vertices from permutations of (±1, ±1, ±1, ±1) with even # of minus signs
-     * 2. 96 vertices from permutations of (0, 0, ±φ, ±1/φ)
-     * 3. 16 vertices from even permutations of (±φ, ±1, 0, 0)
+     * 1. 16 vertices (±½, ±½, ±½, ±½)
+     * 2. 8 vertices from permutations of (±1, 0, 0, 0)
+     * 3. 96 vertices from even permutations of ½(±φ, ±1, ±1/φ, 0)
      */
     generateVertices() {
         const vertices = [];
 
-        // Group 1: (±1, ±1, ±1, ±1) with even number of minus signs
-        // This gives us 8 vertices (all same sign or 2 pairs of different signs)
+        // Group 1: every sign combination of (½, ½, ½, ½)
         for (let i = 0; i < 16; i++) {
-            const x = (i & 1) ? 1 : -1;
-            const y = (i & 2) ? 1 : -1;
-            const z = (i & 4) ? 1 : -1;
-            const w = (i & 8) ? 1 : -1;
-
-            // Count minus signs
-            const minusCount = [x, y, z, w].filter(v => v < 0).length;
-
-            // Only include vertices with even number of minus signs (0, 2, or 4)
-            if (minusCount % 2 === 0) {
-                vertices.push([x, y, z, w]);
-            }
+            vertices.push([
+                (i & 1) ? 0.5 : -0.5,
+                (i & 2) ? 0.5 : -0.5,
+                (i & 4) ? 0.5 : -0.5,
+                (i & 8) ? 0.5 : -0.5
+            ]);
         }
 
-        // Group 2: All permutations of (0, 0, ±φ, ±1/φ)
-        // This is all permutations of coordinates and all sign combinations
-        const coords2 = [
-            [0, 0, this.phi, this.invPhi],
-            [0, 0, this.phi, -this.invPhi],
-            [0, 0, -this.phi, this.invPhi],
-            [0, 0, -this.phi, -this.invPhi]
-        ];
-
-        for (const base of coords2) {
-            // Generate all 12 permutations of the 4 coordinates
+        // Group 2: (±1, 0, 0, 0) in every position
+        for (const base of [[1, 0, 0, 0], [-1, 0, 0, 0]]) {
             vertices.push(...this.permuteCoordinates(base));
         }
 
-        // Group 3: Even permutations of (±φ, ±1, 0, 0)
-        const coords3 = [
-            [this.phi, 1, 0, 0],
-            [this.phi, -1, 0, 0],
-            [-this.phi, 1, 0, 0],
-            [-this.phi, -1, 0, 0]
-        ];
-
-        for (const base of coords3) {
-            // Generate all 12 permutations of the 4 coordinates
-            vertices.push(...this.permuteCoordinates(base));
+        // Group 3: even permutations of ½(±φ, ±1, ±1/φ, 0) with every sign combination
+        for (let i = 0; i < 8; i++) {
+            const base = [
+                (i & 1 ? -1 : 1) * this.phi / 2,
+                (i & 2 ? -1 : 1) * 0.5,
+                (i & 4 ? -1 : 1) * this.invPhi / 2,
+                0
+            ];
+            vertices.push(...this.evenPermutations(base));
         }
 
-        // Normalize all vertices to unit 4D hypersphere
+        // Normalize all vertices to unit 4D hypersphere (guards against rounding)
         this.vertices = vertices.map(v => this.normalize4D(v));
 
         console.log(`✅ Generated ${this.vertices.length} vertices for Hexacosichoron`);
     }
 
+    /**
+     * The 12 even permutations of 4 coordinates
+     */
+    evenPermutations(coords) {
+        const [a, b, c, d] = coords;
+        return [
+            [a, b, c, d], [a, c, d, b], [a, d, b, c],
+            [b, a, d, c], [b, c, a, d], [b, d, c, a],
+            [c, a, b, d], [c, b, d, a], [c, d, a, b],
+            [d, a, c, b], [d, b, a, c], [d, c, b, a]
+        ];
+    }
+
     /**
      * Generate all unique permutations of 4 coordinates
      */
@@ -148,8 +151,8 @@ export class Hexacosichoron {
         const indices = [];
 
         // In a 600-cell, vertices are connected if their 4D distance
-        // equals the edge length. For a unit 600-cell, this is approximately 0.6
-        const edgeLength = 2 / this.phi;  // Exact edge length for unit 600-cell
+        // equals the edge length. For a unit 600-cell, this is 1/φ ≈ 0.618
+        const edgeLength = this.invPhi;  // Exact edge length for unit 600-cell
         const tolerance = 0.01;  // Small tolerance for floating point
 
         for (let i = 0; i < this.vertices.length; i++) {
@@ -166,6 +169,120 @@ export class Hexacosichoron {
         console.log(`✅ Generated ${this.indices.length / 2} edges for Hexacosichoron`);
     }
 
+    /**
+     * Derive faces and cells from the edge graph
+     * Every triangle of mutually adjacent vertices is a face and every 4-clique is a
+     * tetrahedral cell, so both fall out of neighbour-set intersections.
+     */
+    generateTopology() {
+        const neighbors = this.vertices.map(() => new Set());
+        for (let i = 0; i < this.indices.length; i += 2) {
+            neighbors[this.indices[i]].add(this.indices[i + 1]);
+            neighbors[this.indices[i + 1]].add(this.indices[i]);
+        }
+
+        // Faces: a < b < c, all pairwise adjacent
+        this.faces = [];
+        const faceIndex = new Map();
+        for (let i = 0; i < this.indices.length; i += 2) {
+            const a = Math.min(this.indices[i], this.indices[i + 1]);
+            const b = Math.max(this.indices[i], this.indices[i + 1]);
+            for (const c of neighbors[a]) {
+                if (c > b && neighbors[b].has(c)) {
+                    faceIndex.set(`${a},${b},${c}`, this.faces.length);
+                    this.faces.push([a, b, c]);
+                }
+            }
+        }
+
+        // Cells: extend each face by a common neighbour above its largest vertex
+        this.cells = [];
+        this.faceCells = this.faces.map(() => []);
+        this.cellFaces = [];
+        this.faces.forEach(([a, b, c]) => {
+            for (const d of neighbors[c]) {
+                if (d <= c || !neighbors[a].has(d) || !neighbors[b].has(d)) continue;
+
+                const cell = this.cells.length;
+                const bounding = [[a, b, c], [a, b, d], [a, c, d], [b, c, d]]
+                    .map(face => faceIndex.get(face.join(',')));
+                this.cells.push([a, b, c, d]);
+                this.cellFaces.push(bounding);
+                bounding.forEach(face => this.faceCells[face].push(cell));
+            }
+        });
+
+        this.cellNeighbors = this.cellFaces.map((faces, cell) =>
+            faces.map(face => this.faceCells[face].find(other => other !== cell)));
+
+        // Cells around each edge, walked across shared faces so they come out as a ring
+        const unordered = new Map();
+        this.cells.forEach((cell, index) => {
+            for (let i = 0; i < 4; i++) {
+                for (let j = i + 1; j < 4; j++) {
+                    const key = `${cell[i]},${cell[j]}`;
+                    unordered.set(key, [...(unordered.get(key) || []), index]);
+                }
+            }
+        });
+
+        this.edgeCells = new Map();
+        unordered.forEach((cells, key) => {
+            const ring = [cells[0]];
+            const remaining = cells.slice(1);
+            while (remaining.length > 0) {
+                const last = ring[ring.length - 1];
+                const next = remaining.findIndex(cell => this.cellNeighbors[last].includes(cell));
+                ring.push(remaining.splice(next, 1)[0]);
+            }
+            this.edgeCells.set(key, ring);
+        });
+
+        console.log(`✅ Generated ${this.faces.length} faces and ${this.cells.length} cells for Hexacosichoron`);
+    }
+
+    /**
+     * Cells sharing the edge between two vertices (five for every 600-cell edge),
+     * ordered so consecutive cells share a face
+     * @param {number} a - Vertex index
+     * @param {number} b - Vertex index
+     * @returns {number[]} Cell indices, empty when a-b is not an edge
+     */
+    getCellsAroundEdge(a, b) {
+        const key = a < b ? `${a},${b}` : `${b},${a}`;
+        return [...(this.edgeCells.get(key) || [])];
+    }
+
+    /**
+     * Cells across each face of a cell (always four)
+     * @param {number} cell - Cell index
+     * @returns {number[]} Neighbouring cell indices, in the same order as cellFaces[cell]
+     */
+    getCellNeighbors(cell) {
+        if (!this.cellNeighbors[cell]) {
+            throw new RangeError(`Unknown Hexacosichoron cell: ${cell}`);
+        }
+        return [...this.cellNeighbors[cell]];
+    }
+
+    /**
+     * Faces as flat triangle indices for TRIANGLES draws
+     */
+    getFaceTriangles() {
+        return this.faces.flat();
+    }
+
+    /**
+     * Flat triangle indices for the four faces of one cell (for highlighting it)
+     * @param {number} cell - Cell index
+     */
+    getCellTriangles(cell) {
+        if (!this.cellFaces[cell]) {
+            throw new RangeError(`Unknown Hexacosichoron cell: ${cell}`);
+        }
+        return this.cellFaces[cell].flatMap(face => this.faces[face]);
+    }
+
     /**
      * Generate beautiful colors based on 4D position
      * Uses holographic rainbow mapping with golden ratio color spacing
@@ -244,8 +361,12 @@ export class Hexacosichoron {
             vertices: new Float32Array(vertexArray),
             colors: new Float32Array(this.colors),
             indices: new Uint16Array(this.indices),
+            faceIndices: new Uint16Array(this.getFaceTriangles()),
             vertexCount: this.vertices.length,
             edgeCount: this.indices.length / 2,
+            faceCount: this.faces.length,
+            cellCount: this.cells.length,
+            edgeLength: this.invPhi,
             name: 'Hexacosichoron',
             description: '600-cell: 120 vertices, 720 edges, 1200 faces, 600 cells'
         };
@@ -259,8 +380,8 @@ export class Hexacosichoron {
             name: 'Hexacosichoron (600-cell)',
             vertices: this.vertices.length,
             edges: this.indices.length / 2,
-            faces: 1200,  // Theoretical count
-            cells: 600,   // Theoretical count
+            faces: this.faces.length,
+            cells: this.cells.length,
             dimension: 4,
             symmetryGroup: 'H4 (120-vertex, 14400-element symmetry)',
             schläfliSymbol: '{3,3,5}',
@@ -285,6 +406,8 @@ export class Hexacosichoron {
             version: '1.0',
             vertices: this.vertices,
             indices: Array.from(this.indices),
+            faces: this.faces,
+            cells: this.cells,
             colors: Array.from(this.colors),
             phi: this.phi,
             statistics: this.getStatistics()
@@ -299,6 +422,8 @@ export class Hexacosichoron {
         hex.vertices = json.vertices;
         hex.indices = new Uint16Array(json.indices);
         hex.colors = new Float32Array(json.colors);
+        // Faces and cells are derived from the edge graph, so rebuild them from the loaded edges
+        hex.generateTopology();
         return hex;
     }
 }
@@ -0,0 +1,34 @@
+/** Declarations for Projection.js; FacetedWGSL.ts inlines PROJECTION_WGSL. */
+
+export type Vec3 = [number, number, number];
+export type Vec4 = [number, number, number, number];
+
+export declare const PROJECTION_MODES: readonly string[];
+
+export declare const PROJECTION: {
+  readonly PERSPECTIVE: 0;
+  readonly ORTHOGRAPHIC: 1;
+  readonly STEREOGRAPHIC: 2;
+  readonly SCHLEGEL: 3;
+};
+
+export declare const SCHLEGEL_EYE: number;
+export declare const SCHLEGEL_FACET: number;
+export declare const DEFAULT_PROJECTION_DISTANCE: number;
+
+/** GLSL project4D / unproject4D. */
+export declare const PROJECTION_GLSL: string;
+/** WGSL port of PROJECTION_GLSL. */
+export declare const PROJECTION_WGSL: string;
+
+/** Mode index for an index or name, or -1 when unknown. */
+export declare function getProjectionIndex(mode: number | string): number;
+
+export declare function projectPoint(point: ArrayLike<number>, mode?: number, distance?: number): Vec3;
+
+export declare function unprojectPoint(point: ArrayLike<number>, w: number, mode?: number, distance?: number): Vec4;
+
+export declare function getProjectionUniforms(params: { projection?: number; projectionDistance?: number }): {
+  u_projectionMode: number;
+  u_projectionDistance: number;
+};
@@ -0,0 +1,165 @@
+/**
+ * 4D → 3D Projection - one set of projection modes shared by every system
+ * The `projection` parameter selects the mode and `projectionDistance` sets the 4D eye
+ * distance for perspective. PROJECTION_GLSL is the shader side (mesh systems call project4D,
+ * SDF systems that start from screen space call unproject4D), PROJECTION_WGSL is its WebGPU port,
+ * and projectPoint/unprojectPoint mirror it on the CPU.
+ *
+ * Modes:
+ * 0. Perspective   - eye on the +W axis at projectionDistance, projecting onto w = 0
+ * 1. Orthographic  - drop W
+ * 2. Stereographic - from the "north pole" of the 3-sphere through each point
+ * 3. Schlegel      - eye just outside the unit 3-sphere, so the nearest cell encloses the rest
+ */
+
+export const PROJECTION_MODES = ['Perspective', 'Orthographic', 'Stereographic', 'Schlegel'];
+
+export const PROJECTION = {
+    PERSPECTIVE: 0,
+    ORTHOGRAPHIC: 1,
+    STEREOGRAPHIC: 2,
+    SCHLEGEL: 3
+};
+
+// Schlegel eye sits on +W just outside unit circumradius geometry and projects onto w = SCHLEGEL_FACET
+export const SCHLEGEL_EYE = 1.1;
+export const SCHLEGEL_FACET = 0.5;
+
+// Default perspective eye distance (matches the projectionDistance parameter default)
+export const DEFAULT_PROJECTION_DISTANCE = 2.5;
+
+// Smallest divisor - points at or behind the eye collapse instead of flipping through infinity
+const MIN_DEPTH = 0.05;
+
+export const PROJECTION_GLSL = `
+uniform float u_projectionMode;      // 0 perspective, 1 orthographic, 2 stereographic, 3 Schlegel
+uniform float u_projectionDistance;  // Perspective eye distance along +W
+
+vec3 project4D(vec4 p) {
+    if (u_projectionMode < 0.5) {
+        return p.xyz * u_projectionDistance / max(u_projectionDistance - p.w, ${MIN_DEPTH.toFixed(2)});
+    } else if (u_projectionMode < 1.5) {
+        return p.xyz;
+    } else if (u_projectionMode < 2.5) {
+        float r = length(p);
+        return p.xyz * r / max(r - p.w, ${MIN_DEPTH.toFixed(2)});
+    }
+    return p.xyz * (${SCHLEGEL_EYE.toFixed(2)} - ${SCHLEGEL_FACET.toFixed(2)}) / max(${SCHLEGEL_EYE.toFixed(2)} - p.w, ${MIN_DEPTH.toFixed(2)});
+}
+
+// Inverse: the 4D point at depth w that projects to q (stereographic lifts onto the 3-sphere of radius 1 + w)
+vec4 unproject4D(vec3 q, float w) {
+    if (u_projectionMode < 0.5) {
+        return vec4(q * max(u_projectionDistance - w, ${MIN_DEPTH.toFixed(2)}) / u_projectionDistance, w);
+    } else if (u_projectionMode < 1.5) {
+        return vec4(q, w);
+    } else if (u_projectionMode < 2.5) {
+        float r = max(1.0 + w, ${MIN_DEPTH.toFixed(2)});
+        float q2 = dot(q, q);
+        return vec4(q * 2.0 * r * r, r * (q2 - r * r)) / (q2 + r * r);
+    }
+    return vec4(q * max(${SCHLEGEL_EYE.toFixed(2)} - w, ${MIN_DEPTH.toFixed(2)}) / (${SCHLEGEL_EYE.toFixed(2)} - ${SCHLEGEL_FACET.toFixed(2)}), w);
+}
+`;
+
+// WGSL twin of PROJECTION_GLSL for the WebGPU backend - mode and distance are passed in
+// because WGSL has no loose uniforms
+export const PROJECTION_WGSL = `
+fn project4D(p: vec4f, mode: f32, eyeDistance: f32) -> vec3f {
+    if (mode < 0.5) {
+        return p.xyz * eyeDistance / max(eyeDistance - p.w, ${MIN_DEPTH.toFixed(2)});
+    } else if (mode < 1.5) {
+        return p.xyz;
+    } else if (mode < 2.5) {
+        let r = length(p);
+        return p.xyz * r / max(r - p.w, ${MIN_DEPTH.toFixed(2)});
+    }
+    return p.xyz * (${SCHLEGEL_EYE.toFixed(2)} - ${SCHLEGEL_FACET.toFixed(2)}) / max(${SCHLEGEL_EYE.toFixed(2)} - p.w, ${MIN_DEPTH.toFixed(2)});
+}
+
+fn unproject4D(q: vec3f, w: f32, mode: f32, eyeDistance: f32) -> vec4f {
+    if (mode < 0.5) {
+        return vec4f(q * max(eyeDistance - w, ${MIN_DEPTH.toFixed(2)}) / eyeDistance, w);
+    } else if (mode < 1.5) {
+        return vec4f(q, w);
+    } else if (mode < 2.5) {
+        let r = max(1.0 + w, ${MIN_DEPTH.toFixed(2)});
+        let q2 = dot(q, q);
+        return vec4f(q * 2.0 * r * r, r * (q2 - r * r)) / (q2 + r * r);
+    }
+    return vec4f(q * max(${SCHLEGEL_EYE.toFixed(2)} - w, ${MIN_DEPTH.toFixed(2)}) / (${SCHLEGEL_EYE.toFixed(2)} - ${SCHLEGEL_FACET.toFixed(2)}), w);
+}
+`;
+
+/**
+ * Resolve a mode index or name ('stereographic', 'Schlegel', ...) to its index
+ * @returns {number} Mode index, or -1 when unknown
+ */
+export function getProjectionIndex(mode) {
+    if (typeof mode === 'number') {
+        return PROJECTION_MODES[mode] ? mode : -1;
+    }
+    const name = String(mode).toLowerCase();
+    return PROJECTION_MODES.findIndex(candidate => candidate.toLowerCase() === name);
+}
+
+/**
+ * Project a 4D point to 3D (CPU twin of project4D)
+ * @param {number[]} point - [x, y, z, w]
+ * @param {number} [mode=0] - PROJECTION index
+ * @param {number} [distance=DEFAULT_PROJECTION_DISTANCE] - Perspective eye distance
+ * @returns {number[]} [x, y, z]
+ */
+export function projectPoint(point, mode = PROJECTION.PERSPECTIVE, distance = DEFAULT_PROJECTION_DISTANCE) {
+    const [x, y, z, w] = point;
+    let scale = 1;
+
+    if (mode === PROJECTION.PERSPECTIVE) {
+        scale = distance / Math.max(distance - w, MIN_DEPTH);
+    } else if (mode === PROJECTION.STEREOGRAPHIC) {
+        const r = Math.hypot(x, y, z, w);
+        scale = r / Math.max(r - w, MIN_DEPTH);
+    } else if (mode === PROJECTION.SCHLEGEL) {
+        scale = (SCHLEGEL_EYE - SCHLEGEL_FACET) / Math.max(SCHLEGEL_EYE - w, MIN_DEPTH);
+    }
+
+    return [x * scale, y * scale, z * scale];
+}
+
+/**
+ * The 4D point at depth w that projects to a 3D point (CPU twin of unproject4D)
+ * @param {number[]} point - [x, y, z]
+ * @param {number} w - Depth to lift to (stereographic: sphere radius 1 + w)
+ * @param {number} [mode=0] - PROJECTION index
+ * @param {number} [distance=DEFAULT_PROJECTION_DISTANCE] - Perspective eye distance
+ * @returns {number[]} [x, y, z, w]
+ */
+export function unprojectPoint(point, w, mode = PROJECTION.PERSPECTIVE, distance = DEFAULT_PROJECTION_DISTANCE) {
+    const [x, y, z] = point;
+
+    if (mode === PROJECTION.STEREOGRAPHIC) {
+        const r = Math.max(1 + w, MIN_DEPTH);
+        const q2 = x * x + y * y + z * z;
+        const k = 2 * r * r / (q2 + r * r);
+        return [x * k, y * k, z * k, r * (q2 - r * r) / (q2 + r * r)];
+    }
+
+    let scale = 1;
+    if (mode === PROJECTION.PERSPECTIVE) {
+        scale = Math.max(distance - w, MIN_DEPTH) / distance;
+    } else if (mode === PROJECTION.SCHLEGEL) {
+        scale = Math.max(SCHLEGEL_EYE - w, MIN_DEPTH) / (SCHLEGEL_EYE - SCHLEGEL_FACET);
+    }
+    return [x * scale, y * scale, z * scale, w];
+}
+
+/**
+ * Uniform values for PROJECTION_GLSL from a parameter set
+ * @param {Object} params - { projection, projectionDistance }
+ */
+export function getProjectionUniforms(params) {
+    return {
+        u_projectionMode: params.projection ?? PROJECTION.PERSPECTIVE,
+        u_projectionDistance: params.projectionDistance ?? DEFAULT_PROJECTION_DISTANCE
+    };
+}
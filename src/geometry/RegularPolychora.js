@@ -0,0 +1,406 @@
+/**
+ * Regular Polychora - exact meshes and topology for the six convex regular 4D polytopes
+ *
+ * Index order matches the Polychora system's polytope catalogue:
+ * 0: 5-Cell {3,3,3}    -   5 vertices,   10 edges,   10 triangles,    5 tetrahedra
+ * 1: Tesseract {4,3,3} -  16 vertices,   32 edges,   24 squares,      8 cubes
+ * 2: 16-Cell {3,3,4}   -   8 vertices,   24 edges,   32 triangles,   16 tetrahedra
+ * 3: 24-Cell {3,4,3}   -  24 vertices,   96 edges,   96 triangles,   24 octahedra
+ * 4: 600-Cell {3,3,5}  - 120 vertices,  720 edges, 1200 triangles,  600 tetrahedra
+ * 5: 120-Cell {5,3,3}  - 600 vertices, 1200 edges,  720 pentagons,  120 dodecahedra
+ *
+ * Vertices are scaled to unit circumradius; edges connect every pair at the minimum vertex distance.
+ * Cells are the vertices extremal along each vertex direction of the dual polytope, and
+ * faces are the polygons shared by two adjacent cells.
+ */
+
+const PHI = (1 + Math.sqrt(5)) / 2;
+const INV_PHI = PHI - 1;
+const SQRT5 = Math.sqrt(5);
+
+export const POLYCHORA_NAMES = ['5-Cell', 'Tesseract', '16-Cell', '24-Cell', '600-Cell', '120-Cell'];
+
+const POLYCHORA_INFO = [
+    { schlafli: '{3,3,3}', faceType: 'triangle', cellType: 'tetrahedron', symmetryGroup: 'A4', dual: '5-Cell' },
+    { schlafli: '{4,3,3}', faceType: 'square', cellType: 'cube', symmetryGroup: 'B4', dual: '16-Cell' },
+    { schlafli: '{3,3,4}', faceType: 'triangle', cellType: 'tetrahedron', symmetryGroup: 'B4', dual: 'Tesseract' },
+    { schlafli: '{3,4,3}', faceType: 'triangle', cellType: 'octahedron', symmetryGroup: 'F4', dual: '24-Cell' },
+    { schlafli: '{3,3,5}', faceType: 'triangle', cellType: 'tetrahedron', symmetryGroup: 'H4', dual: '120-Cell' },
+    { schlafli: '{5,3,3}', faceType: 'pentagon', cellType: 'dodecahedron', symmetryGroup: 'H4', dual: '600-Cell' }
+];
+
+// The 12 even permutations of four coordinates
+const EVEN_PERMUTATIONS = [
+    [0, 1, 2, 3], [0, 2, 3, 1], [0, 3, 1, 2],
+    [1, 0, 3, 2], [1, 2, 0, 3], [1, 3, 2, 0],
+    [2, 0, 1, 3], [2, 1, 3, 0], [2, 3, 0, 1],
+    [3, 0, 2, 1], [3, 1, 0, 2], [3, 2, 1, 0]
+];
+
+const ALL_PERMUTATIONS = (() => {
+    const result = [];
+    const permute = (prefix, rest) => {
+        if (rest.length === 0) {
+            result.push(prefix);
+            return;
+        }
+        rest.forEach((item, i) => permute([...prefix, item], [...rest.slice(0, i), ...rest.slice(i + 1)]));
+    };
+    permute([], [0, 1, 2, 3]);
+    return result;
+})();
+
+/**
+ * Every sign combination of the non-zero coordinates
+ */
+function signCombinations(coords) {
+    let results = [[]];
+    coords.forEach(value => {
+        const options = value === 0 ? [0] : [value, -value];
+        results = results.flatMap(prefix => options.map(option => [...prefix, option]));
+    });
+    return results;
+}
+
+/**
+ * Unique points from permuting (all or even permutations) and sign-flipping a base coordinate set
+ */
+function orbit(base, permutations) {
+    const seen = new Map();
+    permutations.forEach(perm => {
+        const permuted = perm.map(i => base[i]);
+        signCombinations(permuted).forEach(point => {
+            const key = point.map(v => v.toFixed(6)).join(',');
+            if (!seen.has(key)) {
+                seen.set(key, point);
+            }
+        });
+    });
+    return [...seen.values()];
+}
+
+function createVertices(index) {
+    switch (index) {
+        case 0: {
+            // 5-cell: the four (±1,±1,±1,-1/√5) with an even number of minus signs in xyz, plus the apex
+            const vertices = [[0, 0, 0, 4 / SQRT5]];
+            signCombinations([1, 1, 1]).forEach(([x, y, z]) => {
+                if (x * y * z > 0) {
+                    vertices.push([x, y, z, -1 / SQRT5]);
+                }
+            });
+            return vertices;
+        }
+        case 1:
+            return signCombinations([1, 1, 1, 1]);
+        case 2:
+            return orbit([1, 0, 0, 0], ALL_PERMUTATIONS);
+        case 3:
+            return orbit([1, 1, 0, 0], ALL_PERMUTATIONS);
+        case 4:
+            return [
+                ...orbit([1, 0, 0, 0], ALL_PERMUTATIONS),
+                ...orbit([0.5, 0.5, 0.5, 0.5], ALL_PERMUTATIONS),
+                ...orbit([PHI / 2, 0.5, INV_PHI / 2, 0], EVEN_PERMUTATIONS)
+            ];
+        case 5: {
+            const phi2 = PHI * PHI;
+            const invPhi2 = INV_PHI * INV_PHI;
+            return [
+                ...orbit([0, 0, 2, 2], ALL_PERMUTATIONS),
+                ...orbit([1, 1, 1, SQRT5], ALL_PERMUTATIONS),
+                ...orbit([invPhi2, PHI, PHI, PHI], ALL_PERMUTATIONS),
+                ...orbit([INV_PHI, INV_PHI, INV_PHI, phi2], ALL_PERMUTATIONS),
+                ...orbit([0, invPhi2, 1, phi2], EVEN_PERMUTATIONS),
+                ...orbit([0, INV_PHI, PHI, SQRT5], EVEN_PERMUTATIONS),
+                ...orbit([INV_PHI, 1, PHI, 2], EVEN_PERMUTATIONS)
+            ];
+        }
+        default:
+            throw new RangeError(`Unknown polychoron index: ${index}`);
+    }
+}
+
+/**
+ * Cell-centre directions: the vertices of the dual polytope in matching orientation
+ */
+function createCellDirections(index) {
+    // The 600-cell and 120-cell coordinates above are each other's duals after an odd permutation
+    const swapXY = v => [v[1], v[0], v[2], v[3]];
+
+    switch (index) {
+        case 0:
+            return createVertices(0).map(v => v.map(c => -c));
+        case 1:
+            return createVertices(2);
+        case 2:
+            return createVertices(1);
+        case 3:
+            return [...orbit([1, 0, 0, 0], ALL_PERMUTATIONS), ...orbit([0.5, 0.5, 0.5, 0.5], ALL_PERMUTATIONS)];
+        case 4:
+            return createVertices(5).map(swapXY);
+        case 5:
+            return createVertices(4).map(swapXY);
+        default:
+            throw new RangeError(`Unknown polychoron index: ${index}`);
+    }
+}
+
+function normalize(vertices) {
+    return vertices.map(v => {
+        const length = Math.hypot(...v);
+        return v.map(c => c / length);
+    });
+}
+
+function distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2], a[3] - b[3]);
+}
+
+/**
+ * Connect every vertex pair at the shortest distance (the edge length of a regular polytope)
+ */
+function createEdges(vertices) {
+    let edgeLength = Infinity;
+    for (let i = 0; i < vertices.length; i++) {
+        for (let j = i + 1; j < vertices.length; j++) {
+            edgeLength = Math.min(edgeLength, distance(vertices[i], vertices[j]));
+        }
+    }
+
+    const tolerance = edgeLength * 1e-4;
+    const edges = [];
+    for (let i = 0; i < vertices.length; i++) {
+        for (let j = i + 1; j < vertices.length; j++) {
+            if (Math.abs(distance(vertices[i], vertices[j]) - edgeLength) < tolerance) {
+                edges.push(i, j);
+            }
+        }
+    }
+    return { edges, edgeLength };
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+}
+
+function hslToRgb(h, s, l) {
+    const k = n => (n + h * 12) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+    return [f(0), f(8), f(4)];
+}
+
+export class RegularPolychoron {
+    /**
+     * @param {number} index - 0-5, see POLYCHORA_NAMES
+     */
+    constructor(index) {
+        if (!POLYCHORA_INFO[index]) {
+            throw new RangeError(`Unknown polychoron index: ${index}`);
+        }
+
+        this.index = index;
+        this.name = POLYCHORA_NAMES[index];
+        Object.assign(this, POLYCHORA_INFO[index]);
+
+        this.vertices = normalize(createVertices(index));
+        const { edges, edgeLength } = createEdges(this.vertices);
+        this.indices = edges;
+        this.edgeLength = edgeLength;
+
+        this.cells = [];      // Sorted vertex indices per cell
+        this.faces = [];      // Vertex indices per face, in boundary order
+        this.faceCells = [];  // The two cells sharing each face
+        this.cellFaces = [];  // Face indices bounding each cell
+        this.colors = [];
+
+        this.generateCells();
+        this.generateFaces();
+        this.generateColors();
+    }
+
+    /**
+     * A cell is the set of vertices extremal along one dual-vertex direction
+     */
+    generateCells() {
+        this.cells = normalize(createCellDirections(this.index)).map(direction => {
+            const dots = this.vertices.map(v => dot(v, direction));
+            const max = Math.max(...dots);
+            const cell = [];
+            dots.forEach((value, i) => {
+                if (value > max - 1e-6) {
+                    cell.push(i);
+                }
+            });
+            return cell;
+        });
+        this.cellFaces = this.cells.map(() => []);
+    }
+
+    /**
+     * Faces are the polygons two cells have in common (at least three shared vertices)
+     */
+    generateFaces() {
+        const vertexCells = this.vertices.map(() => []);
+        this.cells.forEach((cell, c) => cell.forEach(v => vertexCells[v].push(c)));
+
+        const edgeSet = new Set();
+        for (let i = 0; i < this.indices.length; i += 2) {
+            edgeSet.add(`${this.indices[i]},${this.indices[i + 1]}`);
+        }
+        const adjacent = (a, b) => edgeSet.has(a < b ? `${a},${b}` : `${b},${a}`);
+
+        this.faces = [];
+        this.faceCells = [];
+        this.cells.forEach((cell, a) => {
+            const shared = new Map();
+            cell.forEach(v => vertexCells[v].forEach(b => {
+                if (b > a) {
+                    shared.set(b, [...(shared.get(b) || []), v]);
+                }
+            }));
+
+            shared.forEach((vertices, b) => {
+                if (vertices.length < 3) return;
+
+                // Walk the edges to put the polygon's vertices in boundary order
+                const ordered = [vertices[0]];
+                const remaining = vertices.slice(1);
+                while (remaining.length > 0) {
+                    const last = ordered[ordered.length - 1];
+                    const next = remaining.findIndex(v => adjacent(last, v));
+                    ordered.push(remaining.splice(next, 1)[0]);
+                }
+
+                const face = this.faces.length;
+                this.faces.push(ordered);
+                this.faceCells.push([a, b]);
+                this.cellFaces[a].push(face);
+                this.cellFaces[b].push(face);
+            });
+        });
+    }
+
+    /**
+     * Colors from 4D position (same hue mapping as Hexacosichoron)
+     */
+    generateColors() {
+        this.colors = [];
+        this.vertices.forEach(([x, y, z, w]) => {
+            const hue = (((w + 1) * 0.5) * PHI + (((x + y + z) / 3 + 1) * 0.5) * INV_PHI) % 1.0;
+            const rgb = hslToRgb(hue, 0.9, 0.6);
+            const brightness = 0.7 + (w + 1) * 0.15;
+            this.colors.push(rgb[0] * brightness, rgb[1] * brightness, rgb[2] * brightness, 0.85);
+        });
+    }
+
+    /**
+     * Faces split into triangle fans for TRIANGLES draws
+     */
+    getFaceTriangles() {
+        const triangles = [];
+        this.faces.forEach(face => {
+            for (let i = 1; i < face.length - 1; i++) {
+                triangles.push(face[0], face[i], face[i + 1]);
+            }
+        });
+        return triangles;
+    }
+
+    /**
+     * Get geometry data (same contract as Hexacosichoron.getGeometryData, plus faces)
+     */
+    getGeometryData() {
+        return {
+            vertices: new Float32Array(this.vertices.flat()),
+            colors: new Float32Array(this.colors),
+            indices: new Uint16Array(this.indices),
+            faceIndices: new Uint16Array(this.getFaceTriangles()),
+            vertexCount: this.vertices.length,
+            edgeCount: this.indices.length / 2,
+            faceCount: this.faces.length,
+            cellCount: this.cells.length,
+            edgeLength: this.edgeLength,
+            name: this.name,
+            description: `${this.name}: ${this.vertices.length} vertices, ${this.indices.length / 2} edges, ` +
+                `${this.faces.length} faces, ${this.cells.length} cells`
+        };
+    }
+
+    getStatistics() {
+        return {
+            name: this.name,
+            vertices: this.vertices.length,
+            edges: this.indices.length / 2,
+            faces: this.faces.length,
+            cells: this.cells.length,
+            dimension: 4,
+            faceType: this.faceType,
+            cellType: this.cellType,
+            symmetryGroup: this.symmetryGroup,
+            schläfliSymbol: this.schlafli,
+            dual: this.dual,
+            edgeLength: this.edgeLength
+        };
+    }
+
+    /**
+     * Export to JSON for saving/loading
+     */
+    toJSON() {
+        return {
+            type: 'RegularPolychoron',
+            version: '1.0',
+            index: this.index,
+            name: this.name,
+            vertices: this.vertices,
+            indices: Array.from(this.indices),
+            faces: this.faces,
+            cells: this.cells,
+            colors: Array.from(this.colors),
+            statistics: this.getStatistics()
+        };
+    }
+
+    /**
+     * Create from JSON
+     */
+    static fromJSON(json) {
+        const polychoron = new RegularPolychoron(json.index);
+        polychoron.vertices = json.vertices;
+        polychoron.indices = Array.from(json.indices);
+        polychoron.colors = Array.from(json.colors);
+        if (json.cells) {
+            polychoron.cells = json.cells;
+            polychoron.cellFaces = json.cells.map(() => []);
+            polychoron.generateFaces();
+        }
+        return polychoron;
+    }
+}
+
+const polychoronCache = new Map();
+const meshCache = new Map();
+
+/**
+ * Shared generator instance per polytope (the 120-cell takes tens of ms to build)
+ * @param {number} index - 0-5, see POLYCHORA_NAMES
+ */
+export function getPolychoron(index) {
+    if (!polychoronCache.has(index)) {
+        polychoronCache.set(index, new RegularPolychoron(index));
+    }
+    return polychoronCache.get(index);
+}
+
+/**
+ * Cached, frozen geometry data for renderers
+ * @param {number} index - 0-5, see POLYCHORA_NAMES
+ */
+export function getPolychoronMesh(index) {
+    if (!meshCache.has(index)) {
+        meshCache.set(index, Object.freeze(getPolychoron(index).getGeometryData()));
+    }
+    return meshCache.get(index);
+}
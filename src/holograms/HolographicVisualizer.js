@@ -2,13 +2,34 @@
  * Core Holographic Visualizer - Clean WebGL rendering engine
  * Extracted from working system, no debugging mess
  */
+import { globalScope } from '../core/EngineScope.js';
+import { getProjectionUniforms } from '../geometry/Projection.js';
+import { getGeometry, getGeometryBases, getGeometryUniform } from '../geometry/GeometryCatalogue.js';
+import { getHolographicVariantGeometry } from './variantRegistry.js';
+import { composeShader } from '../shaders/ShaderLibrary.js';
+import { customGeometryShaderOptions, mapCustomGeometryErrors } from '../geometry/CustomGeometry.js';
+import { getRotationAngles } from '../math/RotationModes.js';
+
 export class HolographicVisualizer {
-    constructor(canvasId, role = 'content', reactivity = 1.0, variant = 0) {
-        this.canvas = document.getElementById(canvasId);
+    /**
+     * @param {string|HTMLCanvasElement|OffscreenCanvas} canvasId - DOM id, or an injected canvas for headless rendering
+     * @param {EngineScope} [scope] - Owning engine's audio state; defaults to the window globals
+     */
+    constructor(canvasId, role = 'content', reactivity = 1.0, variant = 0, scope = globalScope) {
+        this.canvas = typeof canvasId === 'string' ? document.getElementById(canvasId) : canvasId;
+        if (typeof canvasId !== 'string') {
+            canvasId = this.canvas?.id || `holo-${role}`;
+        }
+        this.scope = scope;
         this.role = role;
         this.reactivity = reactivity;
         this.variant = variant;
         
+        // customGeometry(vec4 p) snippet tiled through the lattice; failed snippets stay off until replaced
+        this.customGeometry = null;
+        this.customGeometryFailed = false;
+        this.customGeometryErrors = [];
+        
         // CRITICAL FIX: Define contextOptions as instance property to match SmartCanvasPool
         this.contextOptions = {
             alpha: true,
@@ -84,25 +105,10 @@ export class HolographicVisualizer {
     }
     
     generateVariantParams(variant) {
-        const vib3Geometries = [
-            'TETRAHEDRON', 'HYPERCUBE', 'SPHERE', 'TORUS', 
-            'KLEIN BOTTLE', 'FRACTAL', 'WAVE', 'CRYSTAL'
-        ];
-        
-        const geometryMap = [
-            0, 0, 0, 0,  // 0-3: TETRAHEDRON variations
-            1, 1, 1, 1,  // 4-7: HYPERCUBE variations
-            2, 2, 2, 2,  // 8-11: SPHERE variations
-            3, 3, 3, 3,  // 12-15: TORUS variations
-            4, 4, 4, 4,  // 16-19: KLEIN BOTTLE variations
-            5, 5, 5,     // 20-22: FRACTAL variations
-            6, 6, 6,     // 23-25: WAVE variations
-            7, 7, 7, 7   // 26-29: CRYSTAL variations
-        ];
-        
-        const baseGeometry = geometryMap[variant] || 0;
+        const geometryType = getHolographicVariantGeometry(variant);
+        const baseGeometry = getGeometry(geometryType).base;
         const variationLevel = variant % 4;
-        const geometryName = vib3Geometries[baseGeometry];
+        const geometryName = getGeometryBases()[baseGeometry].name.toUpperCase();
         
         const suffixes = [' LATTICE', ' FIELD', ' MATRIX', ' RESONANCE'];
         const finalName = geometryName + suffixes[variationLevel];
@@ -121,7 +127,7 @@ export class HolographicVisualizer {
         const config = geometryConfigs[baseGeometry];
         
         return {
-            geometryType: baseGeometry,
+            geometryType,
             name: finalName,
             density: config.density,
             speed: config.speed,
@@ -168,7 +174,11 @@ export class HolographicVisualizer {
         };
     }
     
+    /**
+     * Build the layer program; a custom geometry snippet that does not compile is dropped for the built-in lattices
+     */
     initShaders() {
+        const customGeometry = this.customGeometryFailed ? null : this.customGeometry;
         const vertexShaderSource = `
             attribute vec2 a_position;
             void main() {
@@ -176,7 +186,7 @@ export class HolographicVisualizer {
             }
         `;
         
-        const fragmentShaderSource = `
+        const fragmentShaderSource = composeShader(`
             precision highp float;
             
             uniform vec2 u_resolution;
@@ -207,59 +217,22 @@ export class HolographicVisualizer {
             uniform float u_audioSpeedBoost;
             uniform float u_audioChaosBoost;
             uniform float u_audioColorShift;
-            uniform float u_rot4dXY;
-            uniform float u_rot4dXZ;
-            uniform float u_rot4dYZ;
-            uniform float u_rot4dXW;
-            uniform float u_rot4dYW;
-            uniform float u_rot4dZW;
-
-            // 6D rotation matrices - 3D space rotations (XY, XZ, YZ)
-            mat4 rotateXY(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(c, -s, 0, 0, s, c, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
-            }
+            uniform float u_rotationDrift;  // 1 in Free Planes mode, 0 while a rotation preset drives the angles
 
-            mat4 rotateXZ(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(c, 0, s, 0, 0, 1, 0, 0, -s, 0, c, 0, 0, 0, 0, 1);
-            }
-
-            mat4 rotateYZ(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, c, -s, 0, 0, s, c, 0, 0, 0, 0, 1);
-            }
+            #include <projection>
+            #include <rotation6d>
+            #include <geometryIndex>
+            #include <geometryCores>
+            #include <coreWarp>
+            #include <customGeometryLattice>
 
-            // 4D hyperspace rotations (XW, YW, ZW)
-            mat4 rotateXW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c);
-            }
-
-            mat4 rotateYW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, c, 0, -s, 0, 0, 1, 0, 0, s, 0, c);
-            }
-
-            mat4 rotateZW(float theta) {
-                float c = cos(theta);
-                float s = sin(theta);
-                return mat4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, c, -s, 0, 0, s, c);
-            }
-            
             // 4D to 3D projection
             vec3 project4Dto3D(vec4 p) {
-                float w = 2.5 / (2.5 + p.w);
-                return vec3(p.x * w, p.y * w, p.z * w);
+                return project4D(p);
             }
 
             // ========================================
-            // POLYTOPE CORE WARP FUNCTIONS (24 Geometries)
+            // POLYTOPE CORE WARP FUNCTIONS (48 Geometries)
             // ========================================
             vec3 warpHypersphereCore(vec3 p, int geometryIndex, vec2 mouseDelta) {
                 float radius = length(p);
@@ -268,12 +241,7 @@ export class HolographicVisualizer {
                 w *= (0.4 + morphBlend * 0.45);
 
                 vec4 p4d = vec4(p * (1.0 + morphBlend * 0.2), w);
-                p4d = rotateXY(u_rot4dXY) * p4d;
-                p4d = rotateXZ(u_rot4dXZ) * p4d;
-                p4d = rotateYZ(u_rot4dYZ) * p4d;
-                p4d = rotateXW(u_rot4dXW) * p4d;
-                p4d = rotateYW(u_rot4dYW) * p4d;
-                p4d = rotateZW(u_rot4dZW) * p4d;
+                p4d = apply6DRotation(p4d);
 
                 vec3 projected = project4Dto3D(p4d);
                 return mix(p, projected, clamp(0.45 + morphBlend * 0.35, 0.0, 1.0));
@@ -293,12 +261,7 @@ export class HolographicVisualizer {
 
                 vec3 offset = vec3(dot(p, c1), dot(p, c2), dot(p, c3)) * 0.1 * morphBlend;
                 vec4 p4d = vec4(p + offset, w);
-                p4d = rotateXY(u_rot4dXY) * p4d;
-                p4d = rotateXZ(u_rot4dXZ) * p4d;
-                p4d = rotateYZ(u_rot4dYZ) * p4d;
-                p4d = rotateXW(u_rot4dXW) * p4d;
-                p4d = rotateYW(u_rot4dYW) * p4d;
-                p4d = rotateZW(u_rot4dZW) * p4d;
+                p4d = apply6DRotation(p4d);
 
                 vec3 projected = project4Dto3D(p4d);
 
@@ -308,11 +271,8 @@ export class HolographicVisualizer {
             }
 
             vec3 applyCoreWarp(vec3 p, float geometryType, vec2 mouseDelta) {
-                float totalBase = 9.0;  // ✨ EXPANDED from 8 to include Hexacosichoron
-                float coreFloat = floor(geometryType / totalBase);
-                int coreIndex = int(clamp(coreFloat, 0.0, 2.0));
-                float baseGeomFloat = geometryType - floor(geometryType / totalBase) * totalBase;
-                int geometryIndex = int(clamp(floor(baseGeomFloat + 0.5), 0.0, totalBase - 1.0));
+                int coreIndex = geometryCore(geometryType);
+                int geometryIndex = geometryBase(geometryType);
 
                 if (coreIndex == 1) {
                     return warpHypersphereCore(p, geometryIndex, mouseDelta);
@@ -320,6 +280,10 @@ export class HolographicVisualizer {
                 if (coreIndex == 2) {
                     return warpHypertetraCore(p, geometryIndex, mouseDelta);
                 }
+                if (coreIndex > 2) {
+                    float morphBlend = clamp(u_morph * 0.6 + 0.3, 0.0, 2.0);
+                    return warpPolytopeCore(p, coreIndex, geometryIndex, morphBlend);
+                }
                 return p;
             }
             // ========================================
@@ -434,6 +398,7 @@ export class HolographicVisualizer {
             }
 
             // 🌟 HEXACOSICHORON (600-CELL) LATTICE - Paul Phillips Manifestation
+            // Not in the 24-entry geometry catalogue yet, so getDynamicGeometry never selects it
             float hexacosichoronLattice(vec3 p, float gridSize) {
                 vec3 cell = fract(p * gridSize) - 0.5;
                 float phi = 1.618034;
@@ -465,16 +430,18 @@ export class HolographicVisualizer {
             }
 
             float getDynamicGeometry(vec3 p, float gridSize, float geometryType) {
-                // Apply polytope core warp transformation (27-geometry system - NOW WITH HEXACOSICHORON!)
+                // Apply polytope core warp transformation (48 geometries: 8 base × 6 cores)
                 vec3 warped = applyCoreWarp(p, geometryType, vec2(0.0, 0.0));
 
-                // WebGL 1.0 compatible modulus replacement - decode base geometry
-                float baseGeomFloat = geometryType - floor(geometryType / 9.0) * 9.0;  // ✨ EXPANDED to 9
-                int baseGeom = int(baseGeomFloat);
-                float variation = floor(geometryType / 9.0) / 4.0;
+                int baseGeom = geometryBase(geometryType);
+                float variation = float(geometryCore(geometryType)) / 4.0;
                 float variedGridSize = gridSize * (0.5 + variation * 1.5);
 
-                // Call lattice functions with warped point (enables 27 geometry variants)
+            #ifdef CUSTOM_GEOMETRY
+                return customGeometryLattice(warped, variedGridSize);
+            #endif
+
+                // Call lattice functions with warped point
                 if (baseGeom == 0) return tetrahedronLattice(warped, variedGridSize);
                 else if (baseGeom == 1) return hypercubeLattice(warped, variedGridSize);
                 else if (baseGeom == 2) return sphereLattice(warped, variedGridSize);
@@ -483,16 +450,9 @@ export class HolographicVisualizer {
                 else if (baseGeom == 5) return fractalLattice(warped, variedGridSize);
                 else if (baseGeom == 6) return waveLattice(warped, variedGridSize);
                 else if (baseGeom == 7) return crystalLattice(warped, variedGridSize);
-                else if (baseGeom == 8) return hexacosichoronLattice(warped, variedGridSize);  // 🌟 600-CELL!
                 else return crystalLattice(warped, variedGridSize);
             }
             
-            vec3 hsv2rgb(vec3 c) {
-                vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-            }
-            
             vec3 rgbGlitch(vec3 color, vec2 uv, float intensity) {
                 vec2 offset = vec2(intensity * 0.005, 0.0);
                 float r = color.r + sin(uv.y * 30.0 + u_time * 0.001) * intensity * 0.06;
@@ -541,12 +501,12 @@ export class HolographicVisualizer {
                 float touchRotation = u_touchMorph * 0.2;
 
                 // Combine manual rotation with automatic/interactive rotation - 6D full rotation
-                p4d = rotateXY(u_rot4dXY + time * 0.1) * p4d;
-                p4d = rotateXZ(u_rot4dXZ + time * 0.12) * p4d;
-                p4d = rotateYZ(u_rot4dYZ + time * 0.08) * p4d;
-                p4d = rotateXW(u_rot4dXW + time * 0.2 + mouseOffset.y * 0.5 + scrollRotation) * p4d;
-                p4d = rotateYW(u_rot4dYW + time * 0.15 + mouseOffset.x * 0.5 + touchRotation) * p4d;
-                p4d = rotateZW(u_rot4dZW + time * 0.25 + u_clickIntensity * 0.3 + u_touchChaos * 0.4) * p4d;
+                p4d = rotateXY(u_rot4dXY + time * 0.1 * u_rotationDrift) * p4d;
+                p4d = rotateXZ(u_rot4dXZ + time * 0.12 * u_rotationDrift) * p4d;
+                p4d = rotateYZ(u_rot4dYZ + time * 0.08 * u_rotationDrift) * p4d;
+                p4d = rotateXW(u_rot4dXW + time * 0.2 * u_rotationDrift + mouseOffset.y * 0.5 + scrollRotation) * p4d;
+                p4d = rotateYW(u_rot4dYW + time * 0.15 * u_rotationDrift + mouseOffset.x * 0.5 + touchRotation) * p4d;
+                p4d = rotateZW(u_rot4dZW + time * 0.25 * u_rotationDrift + u_clickIntensity * 0.3 + u_touchChaos * 0.4) * p4d;
                 
                 vec3 p = project4Dto3D(p4d);
                 
@@ -611,9 +571,17 @@ export class HolographicVisualizer {
                 
                 gl_FragColor = vec4(color, 0.95);
             }
-        `;
+        `, customGeometryShaderOptions(customGeometry));
         
-        this.program = this.createProgram(vertexShaderSource, fragmentShaderSource);
+        try {
+            this.program = this.createProgram(vertexShaderSource, fragmentShaderSource);
+        } catch (error) {
+            if (!customGeometry) throw error;
+            this.customGeometryErrors = mapCustomGeometryErrors(error.message, fragmentShaderSource);
+            this.customGeometryFailed = true;
+            this.initShaders();
+            return;
+        }
         this.uniforms = {
             resolution: this.gl.getUniformLocation(this.program, 'u_resolution'),
             time: this.gl.getUniformLocation(this.program, 'u_time'),
@@ -648,7 +616,12 @@ export class HolographicVisualizer {
             rot4dYZ: this.gl.getUniformLocation(this.program, 'u_rot4dYZ'),
             rot4dXW: this.gl.getUniformLocation(this.program, 'u_rot4dXW'),
             rot4dYW: this.gl.getUniformLocation(this.program, 'u_rot4dYW'),
-            rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW')
+            rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW'),
+            rotationDrift: this.gl.getUniformLocation(this.program, 'u_rotationDrift'),
+            projectionMode: this.gl.getUniformLocation(this.program, 'u_projectionMode'),
+            projectionDistance: this.gl.getUniformLocation(this.program, 'u_projectionDistance'),
+            coreOperator: this.gl.getUniformLocation(this.program, 'u_coreOperator'),
+            coreBlend: this.gl.getUniformLocation(this.program, 'u_coreBlend')
         };
     }
     
@@ -725,6 +698,16 @@ export class HolographicVisualizer {
     }
     
     resize() {
+        // Headless canvases (OffscreenCanvas) have no layout box - the host owns their size
+        if (typeof this.canvas.clientWidth !== 'number') {
+            if (this.canvas.width !== this._viewportWidth || this.canvas.height !== this._viewportHeight) {
+                this._viewportWidth = this.canvas.width;
+                this._viewportHeight = this.canvas.height;
+                this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+            }
+            return;
+        }
+        
         // Mobile-optimized canvas sizing
         const dpr = Math.min(window.devicePixelRatio || 1, 2); // Cap at 2x for mobile performance
         const width = this.canvas.clientWidth;
@@ -841,7 +824,11 @@ export class HolographicVisualizer {
         this.colorScrollShift = (this.scrollPosition * 0.02) % (Math.PI * 2);
     }
     
-    render() {
+    /**
+     * Render frame
+     * @param {number} [time] - Clock time in milliseconds; defaults to wall-clock time since construction
+     */
+    render(time) {
         if (!this.program) return;
         
         this.resize();
@@ -851,7 +838,9 @@ export class HolographicVisualizer {
         this.clickIntensity *= this.clickDecay;
         this.updateScrollPhysics();
         
-        const time = Date.now() - this.startTime;
+        if (typeof time !== 'number') {
+            time = Date.now() - this.startTime;
+        }
         
         // Convert HSL to RGB for color uniform
         const hue = (this.variantParams.hue || 0) / 360; // Convert to 0-1 range
@@ -887,7 +876,6 @@ export class HolographicVisualizer {
         this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
         this.gl.uniform1f(this.uniforms.time, time);
         this.gl.uniform2f(this.uniforms.mouse, this.mouseX, this.mouseY);
-        this.gl.uniform1f(this.uniforms.geometryType, this.variantParams.geometryType || 0);
         this.gl.uniform1f(this.uniforms.density, this.variantParams.density || 1.0);
         // FIX: Controlled speed calculation - base speed controls main movement, audio provides subtle boost
         const baseSpeed = (this.variantParams.speed || 0.5) * 0.2; // Much slower base speed
@@ -902,7 +890,9 @@ export class HolographicVisualizer {
         this.gl.uniform1f(this.uniforms.mouseIntensity, this.mouseIntensity);
         this.gl.uniform1f(this.uniforms.clickIntensity, this.clickIntensity);
         this.gl.uniform1f(this.uniforms.densityVariation, this.densityVariation);
-        this.gl.uniform1f(this.uniforms.geometryType, this.variantParams.geometryType !== undefined ? this.variantParams.geometryType : this.variant || 0);
+        this.gl.uniform1f(this.uniforms.geometryType, getGeometryUniform(this.variantParams.geometryType ?? this.variant ?? 0));
+        this.gl.uniform1f(this.uniforms.coreOperator, this.variantParams.coreOperator ?? 0);
+        this.gl.uniform1f(this.uniforms.coreBlend, this.variantParams.coreBlend ?? 0.1);
         this.gl.uniform1f(this.uniforms.chaos, this.variantParams.chaos || 0.0);
         this.gl.uniform1f(this.uniforms.morph, this.variantParams.morph || 0.0);
         
@@ -916,13 +906,14 @@ export class HolographicVisualizer {
         // 🎵 HOLOGRAPHIC AUDIO REACTIVITY - Direct and beautiful
         let audioDensity = 0, audioMorph = 0, audioSpeed = 0, audioChaos = 0, audioColor = 0;
         
-        if (window.audioEnabled && window.audioReactive) {
+        const audioReactive = this.scope.getAudioLevels();
+        if (audioReactive) {
             // Holographic audio mapping: Rich volumetric effects
-            audioDensity = window.audioReactive.bass * 1.5;     // Bass creates density in holographic layers
-            audioMorph = window.audioReactive.mid * 1.2;        // Mid frequencies morph the hologram
-            audioSpeed = window.audioReactive.high * 0.8;       // High frequencies speed up animation
-            audioChaos = window.audioReactive.energy * 0.6;     // Energy creates chaotic holographic distortion
-            audioColor = window.audioReactive.bass * 45;        // Bass affects holographic color shifts
+            audioDensity = audioReactive.bass * 1.5;     // Bass creates density in holographic layers
+            audioMorph = audioReactive.mid * 1.2;        // Mid frequencies morph the hologram
+            audioSpeed = audioReactive.high * 0.8;       // High frequencies speed up animation
+            audioChaos = audioReactive.energy * 0.6;     // Energy creates chaotic holographic distortion
+            audioColor = audioReactive.bass * 45;        // Bass affects holographic color shifts
             
             // Debug logging every 10 seconds to verify holographic audio reactivity
             if (Date.now() % 10000 < 16) {
@@ -936,13 +927,19 @@ export class HolographicVisualizer {
         this.gl.uniform1f(this.uniforms.audioChaosBoost, audioChaos);
         this.gl.uniform1f(this.uniforms.audioColorShift, audioColor);
 
-        // 6D rotation uniforms - 3D space + 4D hyperspace
-        this.gl.uniform1f(this.uniforms.rot4dXY, this.variantParams.rot4dXY || 0.0);
-        this.gl.uniform1f(this.uniforms.rot4dXZ, this.variantParams.rot4dXZ || 0.0);
-        this.gl.uniform1f(this.uniforms.rot4dYZ, this.variantParams.rot4dYZ || 0.0);
-        this.gl.uniform1f(this.uniforms.rot4dXW, this.variantParams.rot4dXW || 0.0);
-        this.gl.uniform1f(this.uniforms.rot4dYW, this.variantParams.rot4dYW || 0.0);
-        this.gl.uniform1f(this.uniforms.rot4dZW, this.variantParams.rot4dZW || 0.0);
+        // 6D rotation uniforms - 3D space + 4D hyperspace, moved over time by the rotation preset
+        const rotation = getRotationAngles(this.variantParams, time * 0.001 * (this.variantParams.speed || 1.0));
+        this.gl.uniform1f(this.uniforms.rot4dXY, rotation.rot4dXY);
+        this.gl.uniform1f(this.uniforms.rot4dXZ, rotation.rot4dXZ);
+        this.gl.uniform1f(this.uniforms.rot4dYZ, rotation.rot4dYZ);
+        this.gl.uniform1f(this.uniforms.rot4dXW, rotation.rot4dXW);
+        this.gl.uniform1f(this.uniforms.rot4dYW, rotation.rot4dYW);
+        this.gl.uniform1f(this.uniforms.rot4dZW, rotation.rot4dZW);
+        this.gl.uniform1f(this.uniforms.rotationDrift, this.variantParams.rotationMode ? 0.0 : 1.0);
+
+        const projection = getProjectionUniforms(this.variantParams);
+        this.gl.uniform1f(this.uniforms.projectionMode, projection.u_projectionMode);
+        this.gl.uniform1f(this.uniforms.projectionDistance, projection.u_projectionDistance);
 
         this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
     }
@@ -989,6 +986,26 @@ export class HolographicVisualizer {
         }
     }
 
+    /**
+     * Recompile with a customGeometry(vec4 p) snippet tiled through the lattice, or the built-in lattices with null
+     * @param {?string} source - Snippet validated by geometry/CustomGeometry.js
+     * @returns {{ok: boolean, errors: Array<{line: ?number, message: string}>}} ok is false when the snippet
+     *   did not compile here and the built-in program was kept
+     */
+    setCustomGeometry(source) {
+        this.customGeometry = source || null;
+        this.customGeometryFailed = false;
+        this.customGeometryErrors = [];
+        if (this.gl && !this.gl.isContextLost()) {
+            const previous = this.program;
+            this.initShaders();
+            if (previous && previous !== this.program) {
+                this.gl.deleteProgram(previous);
+            }
+        }
+        return { ok: !this.customGeometryFailed, errors: this.customGeometryErrors };
+    }
+
     /**
      * CRITICAL FIX: Update visualization parameters with immediate re-render
      * This method was missing and causing parameter sliders to not work in holographic system
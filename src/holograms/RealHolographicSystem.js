@@ -4,17 +4,32 @@
  * Audio reactive only - no mouse/touch/scroll interference
  */
 import { HolographicVisualizer } from './HolographicVisualizer.js';
+import { globalScope } from '../core/EngineScope.js';
+import { getHolographicVariantGeometry } from './variantRegistry.js';
 
 export class RealHolographicSystem {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object<string, HTMLCanvasElement|OffscreenCanvas>} [options.canvases] - Injected layer canvases keyed by role
+     * @param {boolean} [options.autoRender=true] - Run the internal rAF loop; false when the host calls renderFrame()
+     * @param {EngineClock} [options.clock] - Shared clock ticked by the internal loop
+     * @param {EngineScope} [options.scope] - Instance state (audio, reactivity, parameter sink); defaults to the window globals
+     */
+    constructor(options = {}) {
+        this.canvases = options.canvases || null;
+        this.scope = options.scope || globalScope;
+        this.autoRender = options.autoRender !== false;
+        this.clock = options.clock || null;
+        this.animationId = null;
         this.visualizers = [];
+        this.customGeometry = null;
         this.currentVariant = 0;
         this.baseVariants = 30; // Original 30 variations
         this.totalVariants = 30;
         this.isActive = false;
         
         // Conditional reactivity: Use built-in only if ReactivityManager not active
-        this.useBuiltInReactivity = !window.reactivityManager;
+        this.useBuiltInReactivity = !this.scope.getReactivityManager();
         
         // Audio reactivity system
         this.audioEnabled = false;
@@ -51,7 +66,9 @@ export class RealHolographicSystem {
         this.createVisualizers();
         this.setupCenterDistanceReactivity(); // NEW: Center-distance grid density changes
         this.updateVariantDisplay();
-        this.startRenderLoop();
+        if (this.autoRender) {
+            this.startRenderLoop();
+        }
     }
     
     createVisualizers() {
@@ -67,15 +84,15 @@ export class RealHolographicSystem {
         let successfulLayers = 0;
         layers.forEach(layer => {
             try {
-                // Check if canvas element exists
-                const canvas = document.getElementById(layer.id);
+                // Check if canvas element exists (injected canvases take precedence over DOM lookup)
+                const canvas = this.canvases ? this.canvases[layer.role] : this.scope.getElementById(layer.id);
                 if (!canvas) {
                     console.error(`❌ Canvas not found: ${layer.id}`);
                     return;
                 }
                 
                 console.log(`🔍 Creating holographic visualizer for: ${layer.id}`);
-                const visualizer = new HolographicVisualizer(layer.id, layer.role, layer.reactivity, this.currentVariant);
+                const visualizer = new HolographicVisualizer(canvas, layer.role, layer.reactivity, this.currentVariant, this.scope);
                 
                 if (visualizer.gl) {
                     this.visualizers.push(visualizer);
@@ -99,21 +116,26 @@ export class RealHolographicSystem {
     setActive(active) {
         this.isActive = active;
         
+        if (typeof document === 'undefined') {
+            // Headless: no layer container or global audio toggle to sync with
+            return;
+        }
+        
         if (active) {
             // Show holographic layers (from clean interface)
-            const holoLayers = document.getElementById('holographicLayers');
+            const holoLayers = this.scope.getElementById('holographicLayers');
             if (holoLayers) {
                 holoLayers.style.display = 'block';
             }
             
-            // Start audio only if globally enabled and not already started
-            if (!this.audioEnabled && window.audioEnabled === true) {
+            // Start audio only if enabled for this instance (or page) and not already started
+            if (!this.audioEnabled && this.scope.getAudioEnabled() === true) {
                 this.initAudio();
             }
             console.log('🌌 REAL Active Holograms ACTIVATED with audio reactivity');
         } else {
             // Hide holographic layers
-            const holoLayers = document.getElementById('holographicLayers');
+            const holoLayers = this.scope.getElementById('holographicLayers');
             if (holoLayers) {
                 holoLayers.style.display = 'none';
             }
@@ -128,7 +150,7 @@ export class RealHolographicSystem {
         return {
             variant: this.currentVariant,
             name: variantName,
-            geometryType: Math.floor(this.currentVariant / 4)
+            geometryType: getHolographicVariantGeometry(this.currentVariant)
         };
     }
     
@@ -192,6 +214,18 @@ export class RealHolographicSystem {
         console.log(`🔄 Holographic parameter update complete: ${param}=${value}`);
     }
     
+    /**
+     * Apply a batch of parameters to all layers without per-parameter logging
+     */
+    updateParameters(params) {
+        this.customParams = { ...(this.customParams || {}), ...params };
+        this.visualizers.forEach(visualizer => {
+            if (visualizer.updateParameters) {
+                visualizer.updateParameters(params);
+            }
+        });
+    }
+    
     // Override updateVariant to preserve custom parameters
     updateVariant(newVariant) {
         if (newVariant < 0) newVariant = this.totalVariants - 1;
@@ -221,7 +255,7 @@ export class RealHolographicSystem {
         return {
             variant: this.currentVariant,
             name: this.variantNames[this.currentVariant],
-            geometryType: Math.floor(this.currentVariant / 4)
+            geometryType: getHolographicVariantGeometry(this.currentVariant)
         };
     }
     
@@ -231,17 +265,17 @@ export class RealHolographicSystem {
     getParameters() {
         // Collect parameters from UI sliders - same as other systems
         const params = {
-            geometry: Math.floor(this.currentVariant / 4), // Extract geometry from variant
-            gridDensity: parseFloat(document.getElementById('gridDensity')?.value || 15),
-            morphFactor: parseFloat(document.getElementById('morphFactor')?.value || 1.0),
-            chaos: parseFloat(document.getElementById('chaos')?.value || 0.2),
-            speed: parseFloat(document.getElementById('speed')?.value || 1.0),
-            hue: parseFloat(document.getElementById('hue')?.value || 320),
-            intensity: parseFloat(document.getElementById('intensity')?.value || 0.6),
-            saturation: parseFloat(document.getElementById('saturation')?.value || 0.8),
-            rot4dXW: parseFloat(document.getElementById('rot4dXW')?.value || 0.0),
-            rot4dYW: parseFloat(document.getElementById('rot4dYW')?.value || 0.0),
-            rot4dZW: parseFloat(document.getElementById('rot4dZW')?.value || 0.0),
+            geometry: getHolographicVariantGeometry(this.currentVariant),
+            gridDensity: parseFloat(this.scope.getElementById('gridDensity')?.value || 15),
+            morphFactor: parseFloat(this.scope.getElementById('morphFactor')?.value || 1.0),
+            chaos: parseFloat(this.scope.getElementById('chaos')?.value || 0.2),
+            speed: parseFloat(this.scope.getElementById('speed')?.value || 1.0),
+            hue: parseFloat(this.scope.getElementById('hue')?.value || 320),
+            intensity: parseFloat(this.scope.getElementById('intensity')?.value || 0.6),
+            saturation: parseFloat(this.scope.getElementById('saturation')?.value || 0.8),
+            rot4dXW: parseFloat(this.scope.getElementById('rot4dXW')?.value || 0.0),
+            rot4dYW: parseFloat(this.scope.getElementById('rot4dYW')?.value || 0.0),
+            rot4dZW: parseFloat(this.scope.getElementById('rot4dZW')?.value || 0.0),
             variant: this.currentVariant
         };
         
@@ -302,7 +336,7 @@ export class RealHolographicSystem {
     }
     
     updateAudio() {
-        if (!this.audioEnabled || !this.analyser || !this.isActive || window.audioEnabled === false) return;
+        if (!this.audioEnabled || !this.analyser || !this.isActive || this.scope.getAudioEnabled() === false) return;
         
         this.analyser.getByteFrequencyData(this.frequencyData);
         
@@ -339,7 +373,7 @@ export class RealHolographicSystem {
         this.audioData = smoothedAudio;
         
         // Apply NEW AUDIO REACTIVITY GRID SETTINGS if available
-        if (window.audioReactivitySettings) {
+        if (this.scope.getAudioReactivitySettings()) {
             this.applyAudioReactivityGrid(smoothedAudio);
         }
         
@@ -374,7 +408,7 @@ export class RealHolographicSystem {
     }
     
     applyAudioReactivityGrid(audioData) {
-        const settings = window.audioReactivitySettings;
+        const settings = this.scope.getAudioReactivitySettings();
         if (!settings || settings.activeVisualModes.size === 0) return;
         
         // Get sensitivity multiplier
@@ -456,8 +490,8 @@ export class RealHolographicSystem {
                 }
                 
                 // Apply the parameter change
-                if (window.updateParameter && currentValue !== undefined) {
-                    window.updateParameter(param, currentValue.toFixed(2));
+                if (currentValue !== undefined) {
+                    this.scope.updateParameter(param, currentValue.toFixed(2));
                 }
             });
         });
@@ -502,12 +536,10 @@ export class RealHolographicSystem {
         const depthMorph = 1.0 + (0.15 * Math.sin(angleX * 0.8) * Math.cos(angleY * 0.8));
         
         // Update holographic shimmer parameters
-        if (window.updateParameter) {
-            window.updateParameter('hue', Math.round(shimmerHue));
-            window.updateParameter('intensity', shimmerIntensity.toFixed(2));
-            window.updateParameter('saturation', saturationPulse.toFixed(2));
-            window.updateParameter('morphFactor', depthMorph.toFixed(2));
-        }
+        this.scope.updateParameter('hue', Math.round(shimmerHue));
+        this.scope.updateParameter('intensity', shimmerIntensity.toFixed(2));
+        this.scope.updateParameter('saturation', saturationPulse.toFixed(2));
+        this.scope.updateParameter('morphFactor', depthMorph.toFixed(2));
         
         console.log(`✨ Holographic shimmer: angle=(${angleX.toFixed(2)}, ${angleY.toFixed(2)}) → Hue=${Math.round(shimmerHue)}, Intensity=${shimmerIntensity.toFixed(2)}`);
     }
@@ -551,9 +583,7 @@ export class RealHolographicSystem {
                     const currentHueShift = this.burstHueShift * Math.sin(burstPhase * Math.PI * 2);
                     const burstHue = (baseHue + currentHueShift) % 360;
                     
-                    if (window.updateParameter) {
-                        window.updateParameter('hue', Math.round(burstHue));
-                    }
+                    this.scope.updateParameter('hue', Math.round(burstHue));
                     this.burstHueShift *= 0.93; // Smooth decay
                 }
                 
@@ -562,9 +592,7 @@ export class RealHolographicSystem {
                     const baseIntensity = 0.5;
                     const burstIntensity = Math.min(1.0, baseIntensity + this.burstIntensityBoost * burstPhase);
                     
-                    if (window.updateParameter) {
-                        window.updateParameter('intensity', burstIntensity.toFixed(2));
-                    }
+                    this.scope.updateParameter('intensity', burstIntensity.toFixed(2));
                     this.burstIntensityBoost *= 0.92;
                 }
                 
@@ -573,9 +601,7 @@ export class RealHolographicSystem {
                     const baseSaturation = 0.8;
                     const burstSaturation = Math.min(1.0, baseSaturation + this.burstSaturationSpike * burstPhase);
                     
-                    if (window.updateParameter) {
-                        window.updateParameter('saturation', burstSaturation.toFixed(2));
-                    }
+                    this.scope.updateParameter('saturation', burstSaturation.toFixed(2));
                     this.burstSaturationSpike *= 0.91;
                 }
                 
@@ -584,9 +610,7 @@ export class RealHolographicSystem {
                     const baseChaos = 0.2;
                     const burstChaos = baseChaos + this.burstChaosEffect * burstPhase;
                     
-                    if (window.updateParameter) {
-                        window.updateParameter('chaos', burstChaos.toFixed(2));
-                    }
+                    this.scope.updateParameter('chaos', burstChaos.toFixed(2));
                     this.burstChaosEffect *= 0.90;
                 }
                 
@@ -595,9 +619,7 @@ export class RealHolographicSystem {
                     const baseSpeed = 1.0;
                     const burstSpeed = baseSpeed + this.burstSpeedBoost * burstPhase;
                     
-                    if (window.updateParameter) {
-                        window.updateParameter('speed', burstSpeed.toFixed(2));
-                    }
+                    this.scope.updateParameter('speed', burstSpeed.toFixed(2));
                     this.burstSpeedBoost *= 0.89;
                 }
                 
@@ -613,19 +635,56 @@ export class RealHolographicSystem {
         burstAnimation();
     }
     
+    /**
+     * Swap every layer's lattice for a customGeometry(vec4 p) snippet (null goes back to the built-ins)
+     * @param {?string} source - Snippet validated by geometry/CustomGeometry.js
+     * @returns {?{ok: boolean, errors: Array<{line: ?number, message: string}>}} null when the source is unchanged;
+     *   ok is false when a layer kept its built-in program, so the fallback base is drawn
+     */
+    setCustomGeometry(source) {
+        const customGeometry = source || null;
+        if (customGeometry === this.customGeometry) {
+            return null;
+        }
+        this.customGeometry = customGeometry;
+        const results = this.visualizers.map(visualizer => visualizer.setCustomGeometry(customGeometry));
+        return results.find(result => !result.ok) || { ok: true, errors: [] };
+    }
+
+    /**
+     * Recompile layer shaders after a WebGL context was restored; each visualizer keeps its
+     * variant parameters, so the layer resumes where it was
+     * @param {string} [role] - Layer role whose context came back; omitted restores every layer
+     * @returns {boolean} Whether every affected layer was rebuilt
+     */
+    restoreContext(role) {
+        const visualizers = this.visualizers.filter(visualizer => !role || visualizer.role === role);
+        const restored = visualizers.filter(visualizer => visualizer.reinitializeContext());
+        console.log(`🔄 Holographic restored ${restored.length}/${visualizers.length} layers${role ? ` (${role})` : ''}`);
+        return restored.length === visualizers.length;
+    }
+
+    /**
+     * Render one frame of every layer
+     * @param {number} [time] - Clock time in milliseconds; omitted uses each visualizer's wall clock
+     */
+    renderFrame(time) {
+        // Update audio reactivity
+        this.updateAudio();
+        
+        // Render all visualizers
+        this.visualizers.forEach(visualizer => {
+            visualizer.render(time);
+        });
+    }
+    
     startRenderLoop() {
         const render = () => {
             if (this.isActive) {
-                // Update audio reactivity
-                this.updateAudio();
-                
-                // Render all visualizers
-                this.visualizers.forEach(visualizer => {
-                    visualizer.render();
-                });
+                this.renderFrame(this.clock ? this.clock.tick() : undefined);
             }
             
-            requestAnimationFrame(render);
+            this.animationId = requestAnimationFrame(render);
         };
         
         render();
@@ -637,6 +696,11 @@ export class RealHolographicSystem {
     }
     
     destroy() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        
         this.visualizers.forEach(visualizer => {
             if (visualizer.destroy) {
                 visualizer.destroy();
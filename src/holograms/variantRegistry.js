@@ -1,3 +1,5 @@
+import { getGeometryId } from '../geometry/GeometryCatalogue.js';
+
 export const HOLOGRAPHIC_CORE_TYPES = {
     BASE: 0,
     HYPERSPHERE: 1,
@@ -67,3 +69,14 @@ export const HOLOGRAPHIC_VARIANT_NAMES = [
 ];
 
 export const HOLOGRAPHIC_TOTAL_VARIANTS = HOLOGRAPHIC_VARIANT_NAMES.length;
+
+/**
+ * Geometry catalogue ID each variant draws
+ */
+export const HOLOGRAPHIC_VARIANT_GEOMETRIES = HOLOGRAPHIC_VARIANT_GEOMETRY_MAP.map(
+    (base, variant) => getGeometryId(HOLOGRAPHIC_VARIANT_CORE_MAP[variant], base)
+);
+
+export function getHolographicVariantGeometry(variant) {
+    return HOLOGRAPHIC_VARIANT_GEOMETRIES[variant] ?? 0;
+}
@@ -3,6 +3,15 @@
  * Converts natural language descriptions to VIB34D parameters using Gemini Flash 1.5
  */
 
+import { describeParameter, clampParameter } from '../core/ParameterSchema.js';
+import { parameterValidator } from '../core/ParameterValidator.js';
+
+// Parameters the model is allowed to author
+const LLM_PARAMETERS = [
+    'geometry', 'hue', 'intensity', 'saturation', 'speed', 'chaos', 'morphFactor', 'gridDensity',
+    'rot4dXW', 'rot4dYW', 'rot4dZW'
+];
+
 export class LLMParameterInterface {
     constructor() {
         // Try Firebase Function first, fallback to direct API
@@ -18,10 +27,10 @@ export class LLMParameterInterface {
         this.systemPrompt = `You are a synesthetic AI that translates human experience into 4-dimensional holographic mathematics.
 
 You control a VIB34D system with these parameters:
-- geometry (0-7): Tetrahedron, Hypercube, Sphere, Torus, Klein Bottle, Fractal, Wave, Crystal
-- hue (0-360), intensity (0-1), saturation (0-1)
-- speed (0.1-3), chaos (0-1), morphFactor (0-2), gridDensity (5-100)
-- rot4dXW, rot4dYW, rot4dZW (-6.28 to 6.28)
+- ${describeParameter('geometry')}: 0-7 Tetrahedron, Hypercube, Sphere, Torus, Klein Bottle, Fractal, Wave, Crystal; add 8 for a Hypersphere core, 16 Hypertetrahedron, 24 Hypercube, 32 24-Cell, 40 Duoprism
+- ${['hue', 'intensity', 'saturation'].map(describeParameter).join(', ')}
+- ${['speed', 'chaos', 'morphFactor', 'gridDensity'].map(describeParameter).join(', ')}
+- ${['rot4dXW', 'rot4dYW', 'rot4dZW'].map(describeParameter).join(', ')}
 
 When given a description, use your understanding of:
 - Visual aesthetics and emotional resonance
@@ -203,35 +212,16 @@ Return only JSON with the parameter names above.`;
     validateParameters(params) {
         const validated = {};
         
-        // Define parameter ranges
-        const ranges = {
-            geometry: { min: 0, max: 7, type: 'int' },
-            hue: { min: 0, max: 360, type: 'int' },
-            intensity: { min: 0, max: 1, type: 'float' },
-            saturation: { min: 0, max: 1, type: 'float' },
-            speed: { min: 0.1, max: 3, type: 'float' },
-            chaos: { min: 0, max: 1, type: 'float' },
-            morphFactor: { min: 0, max: 2, type: 'float' },
-            gridDensity: { min: 5, max: 100, type: 'int' },
-            rot4dXW: { min: -6.28, max: 6.28, type: 'float' },
-            rot4dYW: { min: -6.28, max: 6.28, type: 'float' },
-            rot4dZW: { min: -6.28, max: 6.28, type: 'float' }
-        };
+        // Report what the model got wrong before clamping into the shared schema
+        const result = parameterValidator.validate(params);
+        if (!result.valid) {
+            console.warn('🤖 LLM parameters outside schema, clamping:', result.errors);
+        }
         
         // Validate each parameter
-        Object.entries(ranges).forEach(([param, range]) => {
+        LLM_PARAMETERS.forEach(param => {
             if (params.hasOwnProperty(param)) {
-                let value = parseFloat(params[param]);
-                
-                // Clamp to range
-                value = Math.max(range.min, Math.min(range.max, value));
-                
-                // Convert to int if needed
-                if (range.type === 'int') {
-                    value = Math.round(value);
-                }
-                
-                validated[param] = value;
+                validated[param] = clampParameter(param, params[param]);
             }
         });
         
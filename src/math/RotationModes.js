@@ -0,0 +1,100 @@
+/**
+ * Rotation Modes - time-driven 4D rotation presets shared by every system
+ * The `rotationMode` parameter picks how the rot4d* angles move over time:
+ *
+ * 0. Free Planes     - the six rot4d* angles as set (each system's own animation on top)
+ * 1. Simple          - turn in `rotationPlane` only
+ * 2. Double          - turn in `rotationPlane` and its complement at `rotationRatio` × the speed
+ * 3. Left Isoclinic  - every point turns by the same angle (left quaternion only)
+ * 4. Right Isoclinic - mirror-handed isoclinic rotation (right quaternion only)
+ *
+ * The rot4d* parameters stay the starting orientation; the motion is composed on top of it with
+ * Rotor4D and converted back to six angles, so shaders keep their existing uniforms.
+ */
+
+import { Rotor4D, PLANES } from './Rotor4D.js';
+
+export const ROTATION_MODES = ['Free Planes', 'Simple', 'Double', 'Left Isoclinic', 'Right Isoclinic'];
+
+export const ROTATION_MODE = {
+    FREE: 0,
+    SIMPLE: 1,
+    DOUBLE: 2,
+    LEFT_ISOCLINIC: 3,
+    RIGHT_ISOCLINIC: 4
+};
+
+// Angular speed of the preset motions at speed 1 (radians per second)
+export const ROTATION_MODE_RATE = 0.5;
+
+/**
+ * Resolve a mode index or name ('double', 'Left Isoclinic', ...) to its index
+ * @returns {number} Mode index, or -1 when unknown
+ */
+export function getRotationModeIndex(mode) {
+    if (typeof mode === 'number') {
+        return ROTATION_MODES[mode] ? mode : -1;
+    }
+    const name = String(mode).toLowerCase().replace(/[\s_-]+/g, '');
+    return ROTATION_MODES.findIndex(candidate => candidate.toLowerCase().replace(/\s+/g, '') === name);
+}
+
+/**
+ * The preset motion after `seconds` of animation, without the starting orientation
+ * @param {Object} params - { rotationMode, rotationPlane, rotationRatio }
+ * @param {number} seconds - Animation time, already scaled by speed
+ * @returns {Rotor4D}
+ */
+export function getRotationMotion(params, seconds) {
+    const plane = PLANES[params.rotationPlane ?? 3] || 'XW';
+    const angle = seconds * ROTATION_MODE_RATE;
+
+    switch (params.rotationMode) {
+        case ROTATION_MODE.SIMPLE:
+            return Rotor4D.fromPlane(plane, angle);
+        case ROTATION_MODE.DOUBLE:
+            return Rotor4D.doubleRotation(plane, angle, angle * (params.rotationRatio ?? 1));
+        case ROTATION_MODE.LEFT_ISOCLINIC:
+            return Rotor4D.isoclinic(plane, angle, 'left');
+        case ROTATION_MODE.RIGHT_ISOCLINIC:
+            return Rotor4D.isoclinic(plane, angle, 'right');
+        default:
+            return Rotor4D.identity();
+    }
+}
+
+/**
+ * Starting orientation from the rot4d* parameters with the preset motion applied
+ * (createRotationMatrix convention - use toMatrix() for mesh systems)
+ * @param {Object} params - rot4d* angles plus the rotation mode parameters
+ * @param {number} seconds - Animation time, already scaled by speed
+ * @returns {Rotor4D}
+ */
+export function getModeRotation(params, seconds) {
+    return getRotationMotion(params, seconds).multiply(Rotor4D.fromAngles(params));
+}
+
+/**
+ * rot4d* uniform values for the SDF shaders with the preset motion applied
+ * Their rotateXY(θ)…rotateZW(θ) helpers turn by -θ in the createRotationMatrix sense, so the
+ * angles are negated on the way in and out. Free Planes returns the parameters untouched.
+ * @param {Object} params - rot4d* angles plus the rotation mode parameters
+ * @param {number} seconds - Animation time, already scaled by speed
+ * @returns {Object<string, number>} { rot4dXY, rot4dXZ, rot4dYZ, rot4dXW, rot4dYW, rot4dZW }
+ */
+export function getRotationAngles(params, seconds) {
+    const angles = {};
+    if (!params.rotationMode) {
+        PLANES.forEach(plane => {
+            angles[`rot4d${plane}`] = params[`rot4d${plane}`] || 0;
+        });
+        return angles;
+    }
+
+    const start = Rotor4D.fromAngles(PLANES.map(plane => -(params[`rot4d${plane}`] || 0)));
+    const rotated = getRotationMotion(params, seconds).multiply(start).toAngles();
+    PLANES.forEach(plane => {
+        angles[`rot4d${plane}`] = -rotated[plane];
+    });
+    return angles;
+}
@@ -0,0 +1,405 @@
+/**
+ * Rotor4D - 4D rotations as rotors (even-grade elements of Cl(4,0))
+ *
+ * Stored as a pair of unit quaternions (left, right): a point x = (x, y, z, w), read as the
+ * quaternion w + xi + yj + zk, rotates to left · x · right. That pair is isomorphic to the
+ * even subalgebra of Cl(4,0), and it makes composition, exact inverses and slerp cheap.
+ * (left, right) and (-left, -right) are the same rotation.
+ *
+ * Plane conventions match PolychoraMeshSystem.createRotationMatrix: a positive angle in plane
+ * AB turns A toward B, and fromAngles applies XY, XZ, YZ, XW, YW, ZW in that order.
+ */
+
+export const PLANES = ['XY', 'XZ', 'YZ', 'XW', 'YW', 'ZW'];
+export const PLANE_AXES = { XY: [0, 1], XZ: [0, 2], YZ: [1, 2], XW: [0, 3], YW: [1, 3], ZW: [2, 3] };
+
+// The plane each plane is orthogonal to - double rotations turn a plane and its complement
+export const COMPLEMENTARY_PLANES = { XY: 'ZW', XZ: 'YW', YZ: 'XW', XW: 'YZ', YW: 'XZ', ZW: 'XY' };
+
+// Vector axis (x, y, z, w) → quaternion component ([real, i, j, k])
+const AXIS_TO_QUATERNION = [1, 2, 3, 0];
+
+// === Quaternion helpers ([real, i, j, k]) ===
+
+function qmul(a, b) {
+    return [
+        a[0] * b[0] - a[1] * b[1] - a[2] * b[2] - a[3] * b[3],
+        a[0] * b[1] + a[1] * b[0] + a[2] * b[3] - a[3] * b[2],
+        a[0] * b[2] - a[1] * b[3] + a[2] * b[0] + a[3] * b[1],
+        a[0] * b[3] + a[1] * b[2] - a[2] * b[1] + a[3] * b[0]
+    ];
+}
+
+function qdot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+}
+
+function qnormalize(q) {
+    const length = Math.sqrt(qdot(q, q)) || 1;
+    return q.map(value => value / length);
+}
+
+function qconjugate(q) {
+    return [q[0], -q[1], -q[2], -q[3]];
+}
+
+/**
+ * exp of a pure quaternion v (a rotation generator scaled by half its angle)
+ */
+function qexp(v) {
+    const angle = Math.hypot(v[0], v[1], v[2]);
+    if (angle < 1e-12) {
+        return [1, v[0], v[1], v[2]];
+    }
+    const s = Math.sin(angle) / angle;
+    return [Math.cos(angle), v[0] * s, v[1] * s, v[2] * s];
+}
+
+/**
+ * log of a unit quaternion, as the pure part [i, j, k]
+ */
+function qlog(q) {
+    const sine = Math.hypot(q[1], q[2], q[3]);
+    if (sine < 1e-12) {
+        return [q[1], q[2], q[3]];
+    }
+    const angle = Math.atan2(sine, q[0]);
+    return [q[1] * angle / sine, q[2] * angle / sine, q[3] * angle / sine];
+}
+
+function qslerp(a, b, t) {
+    const cosine = Math.min(1, Math.max(-1, qdot(a, b)));
+    if (cosine > 0.9995) {
+        return qnormalize(a.map((value, i) => value + (b[i] - value) * t));
+    }
+    const angle = Math.acos(cosine);
+    const wa = Math.sin((1 - t) * angle) / Math.sin(angle);
+    const wb = Math.sin(t * angle) / Math.sin(angle);
+    return a.map((value, i) => value * wa + b[i] * wb);
+}
+
+// Unit quaternion basis
+const BASIS = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+
+/**
+ * SANDWICH[a][b] is the 4×4 (vector axes) signed permutation x → e_a · x · e_b.
+ * A rotation matrix M expands as Σ left[a]·right[b]·SANDWICH[a][b], and the 16 sandwiches
+ * are orthogonal with squared norm 4 - so left ⊗ right falls out of M by projection.
+ */
+const SANDWICH = BASIS.map(ea => BASIS.map(eb => {
+    const matrix = [];
+    for (let row = 0; row < 4; row++) {
+        matrix.push([]);
+        for (let col = 0; col < 4; col++) {
+            const x = [0, 0, 0, 0];
+            x[AXIS_TO_QUATERNION[col]] = 1;
+            matrix[row].push(qmul(qmul(ea, x), eb)[AXIS_TO_QUATERNION[row]]);
+        }
+    }
+    return matrix;
+}));
+
+function planeMatrix(plane, angle) {
+    const [a, b] = PLANE_AXES[plane];
+    const m = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+    m[a][a] = Math.cos(angle);
+    m[a][b] = -Math.sin(angle);
+    m[b][a] = Math.sin(angle);
+    m[b][b] = Math.cos(angle);
+    return m;
+}
+
+/**
+ * Quaternion pair for a row-major 4×4 rotation matrix
+ */
+function pairFromRows(m) {
+    const outer = SANDWICH.map(row => row.map(sandwich => {
+        let sum = 0;
+        for (let i = 0; i < 4; i++) {
+            for (let j = 0; j < 4; j++) {
+                sum += m[i][j] * sandwich[i][j];
+            }
+        }
+        return sum / 4;
+    }));
+
+    // outer = left ⊗ right (rank one): read both factors off its largest row and column
+    let bestA = 0;
+    let bestB = 0;
+    outer.forEach((row, a) => row.forEach((value, b) => {
+        if (Math.abs(value) > Math.abs(outer[bestA][bestB])) {
+            bestA = a;
+            bestB = b;
+        }
+    }));
+
+    const left = qnormalize(outer.map(row => row[bestB]));
+    let right = qnormalize(outer[bestA]);
+    if (left[bestA] * right[bestB] * outer[bestA][bestB] < 0) {
+        right = right.map(value => -value);
+    }
+    return { left, right };
+}
+
+/**
+ * Unit generators per plane: a rotation by θ in the plane is (exp(θ/2 · left), exp(θ/2 · right))
+ */
+const GENERATORS = {};
+PLANES.forEach(plane => {
+    const probe = 0.5;
+    let { left, right } = pairFromRows(planeMatrix(plane, probe));
+    if (left[0] < 0) {
+        left = left.map(value => -value);
+        right = right.map(value => -value);
+    }
+    const scale = 1 / Math.sin(probe / 2);
+    GENERATORS[plane] = {
+        left: left.slice(1).map(value => value * scale),
+        right: right.slice(1).map(value => value * scale)
+    };
+});
+
+function angleList(angles) {
+    if (Array.isArray(angles) || ArrayBuffer.isView(angles)) {
+        return PLANES.map((plane, i) => angles[i] || 0);
+    }
+    return PLANES.map(plane => angles[plane] ?? angles[`rot4d${plane}`] ?? 0);
+}
+
+export class Rotor4D {
+    /**
+     * @param {number[]} [left=[1, 0, 0, 0]] - Unit quaternion [real, i, j, k]
+     * @param {number[]} [right=[1, 0, 0, 0]] - Unit quaternion [real, i, j, k]
+     */
+    constructor(left = [1, 0, 0, 0], right = [1, 0, 0, 0]) {
+        this.left = qnormalize([...left]);
+        this.right = qnormalize([...right]);
+    }
+
+    static identity() {
+        return new Rotor4D();
+    }
+
+    /**
+     * Simple rotation by angle (radians) in one plane
+     * @param {string} plane - 'XY', 'XZ', 'YZ', 'XW', 'YW' or 'ZW'
+     */
+    static fromPlane(plane, angle) {
+        const generator = GENERATORS[plane];
+        if (!generator) {
+            throw new RangeError(`Unknown rotation plane: ${plane}`);
+        }
+        const half = angle / 2;
+        return new Rotor4D(
+            qexp(generator.left.map(value => value * half)),
+            qexp(generator.right.map(value => value * half))
+        );
+    }
+
+    /**
+     * The six plane angles applied in order XY, XZ, YZ, XW, YW, ZW (the shaders' order)
+     * @param {Object|number[]} angles - { XY, ... }, { rot4dXY, ... } parameters, or [XY, XZ, YZ, XW, YW, ZW]
+     */
+    static fromAngles(angles) {
+        return angleList(angles).reduce(
+            (rotor, angle, i) => (angle ? Rotor4D.fromPlane(PLANES[i], angle).multiply(rotor) : rotor),
+            Rotor4D.identity()
+        );
+    }
+
+    /**
+     * exp of a bivector: all six planes turning at once (an angular velocity × time)
+     * @param {Object|number[]} bivector - Plane components, same forms as fromAngles
+     */
+    static fromBivector(bivector) {
+        const left = [0, 0, 0];
+        const right = [0, 0, 0];
+        angleList(bivector).forEach((value, i) => {
+            const generator = GENERATORS[PLANES[i]];
+            for (let k = 0; k < 3; k++) {
+                left[k] += generator.left[k] * value / 2;
+                right[k] += generator.right[k] * value / 2;
+            }
+        });
+        return new Rotor4D(qexp(left), qexp(right));
+    }
+
+    /**
+     * @param {Float32Array|number[]} matrix - Column-major 4×4 rotation (as from toMatrix or createRotationMatrix)
+     */
+    static fromMatrix(matrix) {
+        const rows = [0, 1, 2, 3].map(row => [0, 1, 2, 3].map(col => matrix[col * 4 + row]));
+        const { left, right } = pairFromRows(rows);
+        return new Rotor4D(left, right);
+    }
+
+    /**
+     * Angle in one plane plus angle in its complementary plane (angleB = angleA × ratio gives a
+     * fixed speed ratio; equal or opposite angles are isoclinic)
+     */
+    static doubleRotation(plane, angleA, angleB) {
+        return Rotor4D.fromBivector({ [plane]: angleA, [COMPLEMENTARY_PLANES[plane]]: angleB });
+    }
+
+    /**
+     * Isoclinic rotation: every point turns by the same angle
+     * Left isoclinic rotations only move the left quaternion and commute with every right one.
+     * @param {string} plane - Turns this plane and its complement together
+     * @param {number} angle
+     * @param {'left'|'right'} [chirality='left']
+     */
+    static isoclinic(plane, angle, chirality = 'left') {
+        const generator = GENERATORS[plane];
+        if (!generator) {
+            throw new RangeError(`Unknown rotation plane: ${plane}`);
+        }
+        if (chirality === 'right') {
+            return new Rotor4D([1, 0, 0, 0], qexp(generator.right.map(value => value * angle)));
+        }
+        return new Rotor4D(qexp(generator.left.map(value => value * angle)), [1, 0, 0, 0]);
+    }
+
+    /**
+     * Geodesic interpolation between two rotations
+     * @param {number} t - 0 gives a, 1 gives b
+     */
+    static slerp(a, b, t) {
+        // Pick the sign of b's pair that is nearest a - (l, r) and (-l, -r) are the same rotation
+        const sign = qdot(a.left, b.left) + qdot(a.right, b.right) < 0 ? -1 : 1;
+        return new Rotor4D(
+            qslerp(a.left, b.left.map(value => value * sign), t),
+            qslerp(a.right, b.right.map(value => value * sign), t)
+        );
+    }
+
+    /**
+     * This rotation after another: (this.multiply(other)) applies other first
+     */
+    multiply(other) {
+        return new Rotor4D(qmul(this.left, other.left), qmul(other.right, this.right));
+    }
+
+    inverse() {
+        return new Rotor4D(qconjugate(this.left), qconjugate(this.right));
+    }
+
+    clone() {
+        return new Rotor4D(this.left, this.right);
+    }
+
+    /**
+     * Rotate a point
+     * @param {number[]} v - [x, y, z, w]
+     * @returns {number[]} [x, y, z, w]
+     */
+    apply(v) {
+        const q = qmul(qmul(this.left, [v[3], v[0], v[1], v[2]]), this.right);
+        return [q[1], q[2], q[3], q[0]];
+    }
+
+    /**
+     * Bivector (plane components) whose exp is this rotor - the shortest way there
+     * @returns {Object<string, number>} { XY, XZ, YZ, XW, YW, ZW }
+     */
+    log() {
+        // Generators are orthogonal with |left|² + |right|² = 2, so each component is a projection
+        const sign = this.left[0] + this.right[0] < 0 ? -1 : 1;
+        const left = qlog(this.left.map(value => value * sign));
+        const right = qlog(this.right.map(value => value * sign));
+        const bivector = {};
+        PLANES.forEach(plane => {
+            const generator = GENERATORS[plane];
+            let dot = 0;
+            for (let k = 0; k < 3; k++) {
+                dot += generator.left[k] * left[k] + generator.right[k] * right[k];
+            }
+            bivector[plane] = dot;
+        });
+        return bivector;
+    }
+
+    /**
+     * Column-major 4×4 matrix, ready for gl.uniformMatrix4fv (a single mat4 u_rotation uniform)
+     * @param {Float32Array|Float64Array} [out]
+     */
+    toMatrix(out = new Float32Array(16)) {
+        for (let col = 0; col < 4; col++) {
+            const axis = [0, 0, 0, 0];
+            axis[col] = 1;
+            const rotated = this.apply(axis);
+            for (let row = 0; row < 4; row++) {
+                out[col * 4 + row] = rotated[row];
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Six plane angles that rebuild this rotation through fromAngles (or the shaders' rot4d* uniforms)
+     * Each angle lies in (-π, π], so angles never grow without bound.
+     * @returns {Object<string, number>} { XY, XZ, YZ, XW, YW, ZW }
+     */
+    toAngles() {
+        const matrix = this.toMatrix(new Float64Array(16));
+        const m = [0, 1, 2, 3].map(row => [0, 1, 2, 3].map(col => matrix[col * 4 + row]));
+        const angles = {};
+
+        // Peel the leftmost factors off: column b only feels the planes (a, b) with a < b,
+        // and undoing them in order ZW, YW, XW (then YZ, XZ, then XY) zeroes it above the diagonal
+        for (let b = 3; b >= 1; b--) {
+            for (let a = b - 1; a >= 0; a--) {
+                const plane = PLANES.find(name => PLANE_AXES[name][0] === a && PLANE_AXES[name][1] === b);
+                const angle = Math.atan2(-m[a][b], m[b][b]);
+                angles[plane] = angle;
+
+                // m ← G(plane, angle)⁻¹ · m
+                const c = Math.cos(angle);
+                const s = Math.sin(angle);
+                for (let col = 0; col < 4; col++) {
+                    const rowA = m[a][col];
+                    const rowB = m[b][col];
+                    m[a][col] = c * rowA + s * rowB;
+                    m[b][col] = -s * rowA + c * rowB;
+                }
+            }
+        }
+        return angles;
+    }
+
+    /**
+     * Plane angles as rot4d* parameters
+     */
+    toParameters() {
+        const angles = this.toAngles();
+        const params = {};
+        PLANES.forEach(plane => {
+            params[`rot4d${plane}`] = angles[plane];
+        });
+        return params;
+    }
+
+    /**
+     * Uniform payload for shaders that take one mat4 instead of six angles
+     */
+    toUniforms() {
+        return { u_rotation: this.toMatrix() };
+    }
+
+    /**
+     * Rotation angle between two rotors (0 when equal)
+     */
+    angleTo(other) {
+        const delta = other.multiply(this.inverse()).log();
+        return Math.hypot(...PLANES.map(plane => delta[plane]));
+    }
+
+    toJSON() {
+        return { type: 'Rotor4D', left: [...this.left], right: [...this.right] };
+    }
+
+    static fromJSON(json) {
+        return new Rotor4D(json.left, json.right);
+    }
+}
+
+export default Rotor4D;
@@ -3,6 +3,8 @@
  * Handles 4D rigid body dynamics, collisions, and organic motion
  */
 
+import { Rotor4D, PLANES } from '../math/Rotor4D.js';
+
 export class Polychora4DPhysics {
     constructor() {
         // 4D physics world properties
@@ -38,7 +40,8 @@ export class Polychora4DPhysics {
             acceleration: [0, 0, 0, 0],       // 4D acceleration
             
             // 4D rotational state (6 rotational degrees of freedom)
-            rotation: [0, 0, 0, 0, 0, 0],    // XY, XZ, YZ, XW, YW, ZW rotations
+            orientation: Rotor4D.identity(), // Integrated orientation (no per-angle wrapping)
+            rotation: [0, 0, 0, 0, 0, 0],    // XY, XZ, YZ, XW, YW, ZW angles derived from orientation
             angularVelocity: [0, 0, 0, 0, 0, 0], // 6D angular velocity
             angularAcceleration: [0, 0, 0, 0, 0, 0], // 6D angular acceleration
             
@@ -384,15 +387,20 @@ export class Polychora4DPhysics {
             this.multiply4D(body.velocity, deltaTime)
         );
         
-        // Rotational motion integration (simplified 6D)
+        // Rotational motion integration - angular velocity is a bivector, so all six planes
+        // turn together through one rotor step instead of six sequential angle updates
+        const step = [];
         for (let i = 0; i < 6; i++) {
             body.angularAcceleration[i] = body.torques[i] / body.inertia4D[i];
             body.angularVelocity[i] += body.angularAcceleration[i] * deltaTime;
-            body.rotation[i] += body.angularVelocity[i] * deltaTime;
-            
-            // Keep rotations in [0, 2π] range
-            body.rotation[i] = body.rotation[i] % (Math.PI * 2);
+            step.push(body.angularVelocity[i] * deltaTime);
         }
+        
+        body.orientation = Rotor4D.fromBivector(step).multiply(body.orientation);
+        
+        // Angles for the rot4d* parameters, each in (-π, π]
+        const angles = body.orientation.toAngles();
+        body.rotation = PLANES.map(plane => angles[plane]);
     }
     
     /**
@@ -553,6 +561,7 @@ export class Polychora4DPhysics {
             id: body.id,
             position: body.position,
             rotation: body.rotation,
+            orientation: body.orientation,
             feedback: body.physicsFeedback,
             polytopeType: body.polytopeType
         }));
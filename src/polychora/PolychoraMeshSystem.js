@@ -0,0 +1,539 @@
+/**
+ * Polychora Mesh System - 5-layer renderer for the six regular 4D polytopes
+ * Draws the exact vertex/edge meshes from RegularPolychora (no SDF approximations):
+ * vertices are rotated in all six 4D planes, projected to 3D with the shared projection
+ * modes (geometry/Projection.js) and drawn as glassmorphic core/outline lines plus vertex
+ * points on each layer.
+ *
+ * Render modes: 0 = projection, 1 = cross-section (the 3D polyhedron where the rotated
+ * polytope meets the hyperplane w = k), 2 = faint projection with the cross-section on top.
+ */
+
+import { ParameterManager } from '../core/Parameters.js';
+import { LAYER_ROLES } from '../core/CanvasManager.js';
+import { globalScope } from '../core/EngineScope.js';
+import { clampParameter } from '../core/ParameterSchema.js';
+import { getPolychoron, getPolychoronMesh, POLYCHORA_NAMES } from '../geometry/RegularPolychora.js';
+import { CrossSection } from '../geometry/CrossSection.js';
+import { composeShader } from '../shaders/ShaderLibrary.js';
+import { getModeRotation } from '../math/RotationModes.js';
+
+// Per-layer glassmorphic look (carried over from the SDF PolychoraSystem)
+export const LAYER_CONFIGS = {
+    background: { scale: 1.5, opacity: 0.25, lineWidth: 3.0, color: [0.6, 0.3, 0.9], blur: 4.0 },
+    shadow: { scale: 1.2, opacity: 0.4, lineWidth: 2.5, color: [0.3, 0.3, 0.6], blur: 2.0 },
+    content: { scale: 1.0, opacity: 0.85, lineWidth: 2.0, color: [0.0, 0.8, 1.0], blur: 0.5 },
+    highlight: { scale: 0.8, opacity: 0.7, lineWidth: 1.5, color: [1.0, 0.4, 0.8], blur: 1.5 },
+    accent: { scale: 0.6, opacity: 0.4, lineWidth: 1.0, color: [1.0, 1.0, 0.6], blur: 3.0 }
+};
+
+// Auto-rotation rate per plane in rad/s (scaled by speed)
+export const ROTATION_RATES = { XY: 0.08, XZ: 0.09, YZ: 0.07, XW: 0.10, YW: 0.11, ZW: 0.12 };
+export const PLANE_AXES = { XY: [0, 1], XZ: [0, 2], YZ: [1, 2], XW: [0, 3], YW: [1, 3], ZW: [2, 3] };
+
+export const RENDER_MODES = ['Projection', 'Cross-Section', 'Projection + Cross-Section'];
+
+// Slices are already rotated on the CPU and sit at w = 0, so they draw with an identity rotation
+const IDENTITY = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+
+export const VERTEX_SHADER = composeShader(`
+    attribute vec4 a_position;
+
+    uniform mat4 u_rotation;
+    uniform float u_scale;
+    uniform float u_aspect;
+    uniform float u_pointSize;
+
+    varying float v_depth;
+
+    #include <projection>
+
+    void main() {
+        vec4 p = u_rotation * a_position;
+        vec3 projected = project4D(p) * 0.6;
+
+        v_depth = p.w;
+        gl_Position = vec4(projected.x * u_scale / u_aspect, projected.y * u_scale, projected.z * 0.1, 1.0);
+        gl_PointSize = u_pointSize * (1.0 + p.w * 0.5);
+    }
+`);
+
+export const FRAGMENT_SHADER = `
+    precision mediump float;
+
+    uniform vec3 u_color;
+    uniform float u_opacity;
+    uniform float u_depthFade;
+
+    varying float v_depth;
+
+    void main() {
+        // Fade the far side of the W axis for a glassy depth cue
+        float fade = 1.0 - clamp((1.0 - v_depth) * 0.5 * u_depthFade, 0.0, 0.85);
+        gl_FragColor = vec4(u_color * (0.7 + v_depth * 0.3), u_opacity * fade);
+    }
+`;
+
+/**
+ * Combined 6-plane rotation (XY, XZ, YZ, XW, YW, ZW applied in that order), column-major for uniformMatrix4fv
+ */
+export function createRotationMatrix(angles) {
+    const m = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+    Object.entries(PLANE_AXES).forEach(([plane, [a, b]]) => {
+        const c = Math.cos(angles[plane]);
+        const s = Math.sin(angles[plane]);
+        for (let col = 0; col < 4; col++) {
+            const rowA = m[a * 4 + col];
+            const rowB = m[b * 4 + col];
+            m[a * 4 + col] = c * rowA - s * rowB;
+            m[b * 4 + col] = s * rowA + c * rowB;
+        }
+    });
+
+    const columnMajor = new Float32Array(16);
+    for (let row = 0; row < 4; row++) {
+        for (let col = 0; col < 4; col++) {
+            columnMajor[col * 4 + row] = m[row * 4 + col];
+        }
+    }
+    return columnMajor;
+}
+
+/**
+ * Perspective eye distance: higher dimension pulls the 4D eye closer, exaggerating the W perspective
+ * (the default dimension of 3.5 leaves projectionDistance unchanged)
+ */
+export function getProjectionDistance(projectionDistance, dimension) {
+    return Math.max(1.0, projectionDistance - (Math.min(dimension, 4.5) - 3.5));
+}
+
+export function hslToRgb(h, s, l) {
+    const k = n => (n + h * 12) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+    return [f(0), f(8), f(4)];
+}
+
+/**
+ * One layer: owns a WebGL context, the shader program and GPU buffers for the current polytope
+ */
+class PolychoraMeshVisualizer {
+    constructor(canvas, role, config) {
+        this.canvas = canvas;
+        this.role = role;
+        this.config = config;
+        this.gl = canvas.getContext('webgl');
+        this.program = null;
+        this.uniforms = {};
+        this.meshIndex = -1;
+        this.vertexBuffer = null;
+        this.indexBuffer = null;
+        this.mesh = null;
+        this.sliceBuffers = null;
+
+        if (this.gl) {
+            this.initResources();
+        }
+    }
+
+    /**
+     * Program, uniform locations and empty buffers; the mesh uploads on the next render
+     */
+    initResources() {
+        this.uniforms = {};
+        this.meshIndex = -1;
+        this.program = this.createProgram(VERTEX_SHADER, FRAGMENT_SHADER);
+        if (!this.program) return;
+
+        ['u_rotation', 'u_projectionMode', 'u_projectionDistance', 'u_scale', 'u_aspect', 'u_pointSize', 'u_color', 'u_opacity', 'u_depthFade']
+            .forEach(name => {
+                this.uniforms[name] = this.gl.getUniformLocation(this.program, name);
+            });
+        this.positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
+        this.vertexBuffer = this.gl.createBuffer();
+        this.indexBuffer = this.gl.createBuffer();
+        this.sliceBuffers = {
+            vertices: this.gl.createBuffer(),
+            triangles: this.gl.createBuffer(),
+            edges: this.gl.createBuffer()
+        };
+    }
+
+    /**
+     * Rebuild everything after the context was restored - the old handles died with it
+     * @returns {boolean} Whether the layer renders again
+     */
+    restoreContext() {
+        this.program = null;
+        this.gl = this.canvas.getContext('webgl');
+        if (!this.gl || this.gl.isContextLost()) return false;
+
+        this.initResources();
+        return Boolean(this.program);
+    }
+
+    createProgram(vertexSource, fragmentSource) {
+        const vertexShader = this.compileShader(this.gl.VERTEX_SHADER, vertexSource);
+        const fragmentShader = this.compileShader(this.gl.FRAGMENT_SHADER, fragmentSource);
+        if (!vertexShader || !fragmentShader) return null;
+
+        const program = this.gl.createProgram();
+        this.gl.attachShader(program, vertexShader);
+        this.gl.attachShader(program, fragmentShader);
+        this.gl.linkProgram(program);
+
+        if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
+            console.error(`❌ Polychora ${this.role} program link error:`, this.gl.getProgramInfoLog(program));
+            return null;
+        }
+        return program;
+    }
+
+    compileShader(type, source) {
+        const shader = this.gl.createShader(type);
+        this.gl.shaderSource(shader, source);
+        this.gl.compileShader(shader);
+
+        if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
+            console.error(`❌ Polychora ${this.role} shader compile error:`, this.gl.getShaderInfoLog(shader));
+            this.gl.deleteShader(shader);
+            return null;
+        }
+        return shader;
+    }
+
+    /**
+     * Upload a polytope's mesh when the selection changes
+     */
+    setMesh(index) {
+        if (index === this.meshIndex) return;
+
+        this.mesh = getPolychoronMesh(index);
+        this.meshIndex = index;
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexBuffer);
+        this.gl.bufferData(this.gl.ARRAY_BUFFER, this.mesh.vertices, this.gl.STATIC_DRAW);
+        this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+        this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER, this.mesh.indices, this.gl.STATIC_DRAW);
+    }
+
+    resize() {
+        // Headless canvases (OffscreenCanvas) have no layout box - the host owns their size
+        if (typeof this.canvas.clientWidth === 'number') {
+            const dpr = Math.min(window.devicePixelRatio || 1, 2);
+            const width = this.canvas.clientWidth * dpr;
+            const height = this.canvas.clientHeight * dpr;
+            if (width > 0 && height > 0 && (this.canvas.width !== width || this.canvas.height !== height)) {
+                this.canvas.width = width;
+                this.canvas.height = height;
+            }
+        }
+        this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * @param {Object} frame - Per-frame values shared by every layer (see PolychoraMeshSystem.renderFrame)
+     */
+    render(frame) {
+        if (!this.program) return;
+
+        const gl = this.gl;
+        this.resize();
+        this.setMesh(frame.polytope);
+
+        gl.useProgram(this.program);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+
+        // Layer tint pulled toward the global hue by colorMagnetism
+        const hueColor = hslToRgb((frame.hue % 360) / 360, frame.saturation, 0.6);
+        const color = this.config.color.map((c, i) => c + (hueColor[i] - c) * frame.colorMagnetism);
+        const opacity = this.config.opacity * frame.translucency * (0.4 + frame.intensity * 0.6);
+
+        gl.uniform1f(this.uniforms.u_projectionMode, frame.projection);
+        gl.uniform1f(this.uniforms.u_projectionDistance, frame.projectionDistance);
+        gl.uniform1f(this.uniforms.u_scale, this.config.scale * frame.layerScale);
+        gl.uniform1f(this.uniforms.u_aspect, this.canvas.width / Math.max(1, this.canvas.height));
+        gl.uniform1f(this.uniforms.u_depthFade, this.config.blur * frame.glassBlur / 3.0);
+        gl.uniform3fv(this.uniforms.u_color, new Float32Array(color));
+
+        const lineWidth = this.config.lineWidth * frame.lineThickness / 2.5;
+        const pointSize = this.config.lineWidth * frame.coreSize * 2.0;
+
+        if (frame.renderMode !== 1) {
+            // The projection becomes a faint ghost behind the slice in mode 2
+            const projectionOpacity = frame.renderMode === 2 ? opacity * 0.3 : opacity;
+
+            gl.uniformMatrix4fv(this.uniforms.u_rotation, false, frame.rotation);
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+            gl.enableVertexAttribArray(this.positionLocation);
+            gl.vertexAttribPointer(this.positionLocation, 4, gl.FLOAT, false, 0, 0);
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+            this.drawWireframe(this.mesh.indices.length, this.mesh.vertexCount, lineWidth, pointSize, projectionOpacity, frame);
+        }
+
+        if (frame.slice && frame.slice.vertexCount > 0) {
+            this.renderSlice(frame.slice, lineWidth, pointSize, opacity, frame);
+        }
+    }
+
+    /**
+     * Outline pass (wide and faint), core line, then vertex cores - buffers must be bound
+     */
+    drawWireframe(indexCount, vertexCount, lineWidth, pointSize, opacity, frame) {
+        const gl = this.gl;
+
+        gl.lineWidth(lineWidth * frame.outlineWidth);
+        gl.uniform1f(this.uniforms.u_opacity, opacity * 0.35);
+        gl.drawElements(gl.LINES, indexCount, gl.UNSIGNED_SHORT, 0);
+
+        gl.lineWidth(lineWidth);
+        gl.uniform1f(this.uniforms.u_opacity, opacity);
+        gl.drawElements(gl.LINES, indexCount, gl.UNSIGNED_SHORT, 0);
+
+        gl.uniform1f(this.uniforms.u_pointSize, pointSize);
+        gl.drawArrays(gl.POINTS, 0, vertexCount);
+    }
+
+    /**
+     * Cross-section polyhedron: translucent faces under the same glass wireframe
+     * @param {Object} slice - { positions (xyzw), triangles, edges, vertexCount } shared by every layer
+     */
+    renderSlice(slice, lineWidth, pointSize, opacity, frame) {
+        const gl = this.gl;
+
+        gl.uniformMatrix4fv(this.uniforms.u_rotation, false, IDENTITY);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.sliceBuffers.vertices);
+        gl.bufferData(gl.ARRAY_BUFFER, slice.positions, gl.DYNAMIC_DRAW);
+        gl.enableVertexAttribArray(this.positionLocation);
+        gl.vertexAttribPointer(this.positionLocation, 4, gl.FLOAT, false, 0, 0);
+
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.sliceBuffers.triangles);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, slice.triangles, gl.DYNAMIC_DRAW);
+        gl.uniform1f(this.uniforms.u_opacity, opacity * 0.2);
+        gl.drawElements(gl.TRIANGLES, slice.triangles.length, gl.UNSIGNED_SHORT, 0);
+
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.sliceBuffers.edges);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, slice.edges, gl.DYNAMIC_DRAW);
+        this.drawWireframe(slice.edges.length, slice.vertexCount, lineWidth, pointSize, opacity, frame);
+    }
+
+    destroy() {
+        if (!this.gl) return;
+        if (this.program) this.gl.deleteProgram(this.program);
+        if (this.vertexBuffer) this.gl.deleteBuffer(this.vertexBuffer);
+        if (this.indexBuffer) this.gl.deleteBuffer(this.indexBuffer);
+        if (this.sliceBuffers) Object.values(this.sliceBuffers).forEach(buffer => this.gl.deleteBuffer(buffer));
+        this.program = null;
+    }
+}
+
+export class PolychoraMeshSystem {
+    /**
+     * @param {Object} [options]
+     * @param {Object<string, HTMLCanvasElement|OffscreenCanvas>} [options.canvases] - Injected layer canvases keyed by role
+     * @param {boolean} [options.autoRender=true] - Run the internal rAF loop; false when the host calls renderFrame()
+     * @param {EngineClock} [options.clock] - Shared clock ticked by the internal loop
+     * @param {EngineScope} [options.scope] - Instance state (audio, DOM lookups); defaults to the window globals
+     */
+    constructor(options = {}) {
+        this.canvases = options.canvases || null;
+        this.scope = options.scope || globalScope;
+        this.autoRender = options.autoRender !== false;
+        this.clock = options.clock || null;
+        this.animationId = null;
+        this.isActive = false;
+        this.time = 0;
+        this.parameters = new ParameterManager('polychora');
+        this.visualizers = [];
+        this.crossSections = new Map(); // polytope index → CrossSection
+        this.crossSection = null;       // Latest slice (null outside the cross-section modes)
+
+        this.createVisualizers();
+        console.log(`🔮 Polychora mesh system ready with ${this.visualizers.length} layers`);
+    }
+
+    createVisualizers() {
+        LAYER_ROLES.forEach(role => {
+            const canvas = this.canvases ? this.canvases[role] : this.scope.getElementById(`polychora-${role}-canvas`);
+            if (!canvas) {
+                console.warn(`⚠️ Polychora ${role} canvas not found - skipping`);
+                return;
+            }
+
+            const visualizer = new PolychoraMeshVisualizer(canvas, role, LAYER_CONFIGS[role]);
+            if (visualizer.program) {
+                this.visualizers.push(visualizer);
+            } else {
+                console.warn(`⚠️ No WebGL program for polychora layer ${role}`);
+            }
+        });
+    }
+
+    /**
+     * Rebuild layers whose WebGL context was restored; the mesh and slice re-upload on the next frame
+     * @param {string} [role] - Restored layer role; omitted restores every layer
+     * @returns {boolean} Whether every affected layer was rebuilt
+     */
+    restoreContext(role) {
+        const visualizers = this.visualizers.filter(visualizer => !role || visualizer.role === role);
+        return visualizers.filter(visualizer => visualizer.restoreContext()).length === visualizers.length;
+    }
+
+    /**
+     * Names of the selectable polytopes (the geometry parameter wraps around them)
+     */
+    getPolytopeNames() {
+        return [...POLYCHORA_NAMES];
+    }
+
+    setActive(active) {
+        this.isActive = active;
+
+        const container = this.scope.getElementById('polychoraLayers');
+        if (container) {
+            container.style.display = active ? 'block' : 'none';
+        }
+
+        if (active && this.autoRender && !this.animationId) {
+            this.startRenderLoop();
+        } else if (!active) {
+            this.stopRenderLoop();
+        }
+    }
+
+    startRenderLoop() {
+        const render = () => {
+            this.renderFrame(this.clock ? this.clock.tick() : undefined);
+            this.animationId = requestAnimationFrame(render);
+        };
+        this.animationId = requestAnimationFrame(render);
+    }
+
+    stopRenderLoop() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    updateParameters(params) {
+        this.parameters.setParameters(params);
+    }
+
+    getParameters() {
+        return this.parameters.getAllParameters();
+    }
+
+    /**
+     * Latest cross-section polyhedron (vertices, faces, counts) or null in projection mode
+     * @returns {import('../geometry/CrossSection.js').CrossSectionResult|null}
+     */
+    getCrossSection() {
+        return this.crossSection;
+    }
+
+    /**
+     * Scroll-style nudge of the slicing hyperplane
+     * @param {number} velocity - Scroll delta; 100 moves the hyperplane by one unit
+     */
+    updateCrossSection(velocity) {
+        const position = clampParameter('slicePosition', this.parameters.getParameter('slicePosition') + velocity * 0.01);
+        this.parameters.setParameter('slicePosition', position);
+        this.scope.updateParameter('slicePosition', position);
+    }
+
+    /**
+     * Slice the rotated polytope at the current hyperplane position
+     * A non-zero sliceSweep swings the hyperplane through the whole polytope around slicePosition.
+     */
+    computeCrossSection(polytope, rotation, params) {
+        if (!this.crossSections.has(polytope)) {
+            this.crossSections.set(polytope, new CrossSection(getPolychoron(polytope)));
+        }
+
+        const sweep = params.sliceSweep > 0 ? Math.sin(this.time * params.sliceSweep * 0.5) : 0;
+        const level = Math.max(-1, Math.min(1, params.slicePosition + sweep));
+        const result = this.crossSections.get(polytope).slice(level, rotation);
+
+        // Lift the 3D slice back to xyzw (w = 0) for the shared vertex shader
+        const positions = new Float32Array(result.vertexCount * 4);
+        for (let i = 0; i < result.vertexCount; i++) {
+            positions.set(result.vertices.subarray(i * 3, i * 3 + 3), i * 4);
+        }
+
+        this.crossSection = result;
+        return { positions, triangles: result.triangles, edges: result.edges, vertexCount: result.vertexCount };
+    }
+
+    /**
+     * Render one frame of every layer
+     * @param {number} [time] - Clock time in milliseconds; omitted advances one 60fps tick
+     */
+    renderFrame(time) {
+        const params = this.parameters.getAllParameters();
+        this.time = typeof time === 'number' ? time / 1000 : this.time + 0.016;
+
+        let { rot4dXW, rot4dYW, rot4dZW, dimension, hue } = params;
+
+        // Bass turns through XW, mids through YW, highs through ZW; energy deepens the projection
+        const audio = this.scope.getAudioLevels();
+        if (audio) {
+            rot4dXW += audio.bass * 3.0;
+            rot4dYW += audio.mid * 2.5;
+            rot4dZW += audio.high * 2.0;
+            dimension += audio.energy * 0.5;
+            hue += audio.bass * 60;
+        }
+
+        let rotation;
+        if (params.rotationMode) {
+            // A rotation preset replaces the per-plane drift
+            rotation = getModeRotation({ ...params, rot4dXW, rot4dYW, rot4dZW }, this.time * params.speed).toMatrix();
+        } else {
+            const base = { XY: params.rot4dXY, XZ: params.rot4dXZ, YZ: params.rot4dYZ, XW: rot4dXW, YW: rot4dYW, ZW: rot4dZW };
+            const angles = {};
+            Object.keys(ROTATION_RATES).forEach(plane => {
+                angles[plane] = base[plane] + this.time * params.speed * ROTATION_RATES[plane];
+            });
+            rotation = createRotationMatrix(angles);
+        }
+
+        const polytope = params.geometry % POLYCHORA_NAMES.length;
+        const renderMode = params.renderMode;
+        const slice = renderMode > 0 ? this.computeCrossSection(polytope, rotation, params) : null;
+        if (!slice) {
+            this.crossSection = null;
+        }
+
+        const frame = {
+            polytope,
+            rotation,
+            renderMode,
+            slice,
+            projection: params.projection,
+            projectionDistance: getProjectionDistance(params.projectionDistance, dimension),
+            hue,
+            saturation: params.saturation,
+            intensity: params.intensity,
+            lineThickness: params.lineThickness,
+            coreSize: params.coreSize,
+            outlineWidth: params.outlineWidth,
+            glassBlur: params.glassBlur,
+            colorMagnetism: params.colorMagnetism,
+            layerScale: params.layerScale,
+            translucency: params.translucency
+        };
+
+        this.visualizers.forEach(visualizer => visualizer.render(frame));
+    }
+
+    destroy() {
+        this.stopRenderLoop();
+        this.visualizers.forEach(visualizer => visualizer.destroy());
+        this.visualizers = [];
+        console.log('🧹 Polychora mesh system destroyed');
+    }
+}
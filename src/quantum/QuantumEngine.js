@@ -6,17 +6,33 @@
 import { QuantumHolographicVisualizer } from './QuantumVisualizer.js';
 import { ParameterManager } from '../core/Parameters.js';
 import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
+import { globalScope } from '../core/EngineScope.js';
 
 export class QuantumEngine {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object<string, HTMLCanvasElement|OffscreenCanvas>} [options.canvases] - Injected layer canvases keyed by role
+     * @param {boolean} [options.autoRender=true] - Run the internal rAF loop; false when the host calls renderFrame()
+     * @param {boolean} [options.interactive=true] - Attach mouse/touch/scroll listeners to the layer canvases
+     * @param {EngineClock} [options.clock] - Shared clock ticked by the internal loop
+     * @param {EngineScope} [options.scope] - Instance state (audio, reactivity, parameter sink); defaults to the window globals
+     */
+    constructor(options = {}) {
         console.log('🔮 Initializing VIB34D Quantum Engine...');
         
+        this.canvases = options.canvases || null;
+        this.scope = options.scope || globalScope;
+        this.autoRender = options.autoRender !== false;
+        this.clock = options.clock || null;
+        this.interactive = options.interactive !== false;
+        this.animationId = null;
         this.visualizers = [];
-        this.parameters = new ParameterManager();
+        this.customGeometry = null;
+        this.parameters = new ParameterManager('quantum');
         this.isActive = false;
         
         // Conditional reactivity: Use built-in only if ReactivityManager not active
-        this.useBuiltInReactivity = !window.reactivityManager;
+        this.useBuiltInReactivity = !this.scope.getReactivityManager();
         
         // Gesture velocity reactivity system for Quantum
         this.lastMousePosition = { x: 0.5, y: 0.5 };
@@ -44,8 +60,12 @@ export class QuantumEngine {
     init() {
         this.createVisualizers();
         this.setupAudioReactivity();
-        this.setupGestureVelocityReactivity(); // Additional gesture system
-        this.startRenderLoop();
+        if (this.interactive) {
+            this.setupGestureVelocityReactivity(); // Additional gesture system
+        }
+        if (this.autoRender) {
+            this.startRenderLoop();
+        }
         console.log('✨ Quantum Engine initialized with audio + gesture velocity reactivity');
     }
     
@@ -63,14 +83,14 @@ export class QuantumEngine {
         
         layers.forEach(layer => {
             try {
-                // Canvas elements should already exist in HTML
-                const canvas = document.getElementById(layer.id);
+                // Canvas elements should already exist in HTML unless injected by the host
+                const canvas = this.canvases ? this.canvases[layer.role] : this.scope.getElementById(layer.id);
                 if (!canvas) {
                     console.warn(`⚠️ Canvas ${layer.id} not found in DOM - skipping`);
                     return;
                 }
                 
-                const visualizer = new QuantumHolographicVisualizer(layer.id, layer.role, layer.reactivity, 0);
+                const visualizer = new QuantumHolographicVisualizer(canvas, layer.role, layer.reactivity, 0, this.scope);
                 if (visualizer.gl) {
                     this.visualizers.push(visualizer);
                     console.log(`🌌 Created quantum layer: ${layer.role}`);
@@ -91,22 +111,27 @@ export class QuantumEngine {
     setActive(active) {
         this.isActive = active;
         
+        if (typeof document === 'undefined') {
+            // Headless: no layer container or global audio toggle to sync with
+            return;
+        }
+        
         if (active) {
             // Show quantum layers
-            const quantumLayers = document.getElementById('quantumLayers');
+            const quantumLayers = this.scope.getElementById('quantumLayers');
             if (quantumLayers) {
                 quantumLayers.style.display = 'block';
             }
             
-            // Enable audio if global audio is enabled
-            if (window.audioEnabled && !this.audioEnabled) {
+            // Enable audio if audio is enabled for this instance (or page)
+            if (this.scope.getAudioEnabled() && !this.audioEnabled) {
                 this.enableAudio();
             }
             
             console.log('🔮 Quantum System ACTIVATED - Audio frequency reactivity mode');
         } else {
             // Hide quantum layers
-            const quantumLayers = document.getElementById('quantumLayers');
+            const quantumLayers = this.scope.getElementById('quantumLayers');
             if (quantumLayers) {
                 quantumLayers.style.display = 'none';
             }
@@ -153,14 +178,11 @@ export class QuantumEngine {
         this.scrollMorph = 1.0; // Base morph factor
         this.velocitySmoothing = 0.8; // Smoother velocity transitions
         
-        const quantumCanvases = [
-            'quantum-background-canvas', 'quantum-shadow-canvas', 'quantum-content-canvas',
-            'quantum-highlight-canvas', 'quantum-accent-canvas'
-        ];
+        // Listen on this engine's own layer canvases so side-by-side instances don't share input
+        const quantumCanvases = this.visualizers.map(visualizer => visualizer.canvas);
         
-        quantumCanvases.forEach(canvasId => {
-            const canvas = document.getElementById(canvasId);
-            if (!canvas) return;
+        quantumCanvases.forEach(canvas => {
+            if (!canvas || !canvas.addEventListener) return;
             
             // Mouse movement -> smooth velocity + multiple parameters
             canvas.addEventListener('mousemove', (e) => {
@@ -270,19 +292,17 @@ export class QuantumEngine {
         const intensity = 0.3 + (normalizedDistance * 0.7); // Distance affects brightness
         
         // Update all parameters for rich visual feedback
-        if (window.updateParameter) {
-            // Rotation parameters (new experimental mapping)
-            window.updateParameter('rot4dXW', rot4dXW.toFixed(3));
-            window.updateParameter('rot4dYW', rot4dYW.toFixed(3)); 
-            window.updateParameter('rot4dZW', rot4dZW.toFixed(3));
-            
-            // Traditional parameters
-            window.updateParameter('chaos', chaos.toFixed(2));
-            window.updateParameter('speed', speed.toFixed(2));
-            window.updateParameter('gridDensity', Math.round(gridDensity));
-            window.updateParameter('intensity', intensity.toFixed(2));
-            window.updateParameter('hue', Math.round(hue));
-        }
+        // Rotation parameters (new experimental mapping)
+        this.scope.updateParameter('rot4dXW', rot4dXW.toFixed(3));
+        this.scope.updateParameter('rot4dYW', rot4dYW.toFixed(3)); 
+        this.scope.updateParameter('rot4dZW', rot4dZW.toFixed(3));
+        
+        // Traditional parameters
+        this.scope.updateParameter('chaos', chaos.toFixed(2));
+        this.scope.updateParameter('speed', speed.toFixed(2));
+        this.scope.updateParameter('gridDensity', Math.round(gridDensity));
+        this.scope.updateParameter('intensity', intensity.toFixed(2));
+        this.scope.updateParameter('hue', Math.round(hue));
         
         // Update last position
         this.lastMousePosition.x = x;
@@ -312,9 +332,7 @@ export class QuantumEngine {
         this.scrollMorph = Math.max(0.2, Math.min(2.0, this.scrollMorph)); // Clamp 0.2-2.0
         
         // Update morph factor
-        if (window.updateParameter) {
-            window.updateParameter('morphFactor', this.scrollMorph.toFixed(2));
-        }
+        this.scope.updateParameter('morphFactor', this.scrollMorph.toFixed(2));
         
         console.log(`🌀 Quantum scroll morph: ${this.scrollMorph.toFixed(2)}`);
     }
@@ -331,10 +349,8 @@ export class QuantumEngine {
                 const flashSaturation = 0.9 + (this.clickFlashIntensity * 0.1); // 0.9-1.0 boost
                 const flashMorph = this.scrollMorph + (this.clickFlashIntensity * 0.5); // Morph boost
                 
-                if (window.updateParameter) {
-                    window.updateParameter('saturation', flashSaturation.toFixed(2));
-                    window.updateParameter('morphFactor', flashMorph.toFixed(2));
-                }
+                this.scope.updateParameter('saturation', flashSaturation.toFixed(2));
+                this.scope.updateParameter('morphFactor', flashMorph.toFixed(2));
                 
                 // Smooth decay
                 this.clickFlashIntensity *= 0.91;
@@ -347,9 +363,7 @@ export class QuantumEngine {
                 const baseChaos = 0.3; // Quantum default chaos
                 const currentChaos = baseChaos + this.quantumChaosBlast;
                 
-                if (window.updateParameter) {
-                    window.updateParameter('chaos', Math.min(1.0, currentChaos).toFixed(2));
-                }
+                this.scope.updateParameter('chaos', Math.min(1.0, currentChaos).toFixed(2));
                 
                 // Smooth decay
                 this.quantumChaosBlast *= 0.88; // Slightly faster than faceted for quantum energy feel
@@ -362,9 +376,7 @@ export class QuantumEngine {
                 const baseSpeed = 1.0; // Quantum default speed
                 const currentSpeed = baseSpeed + this.quantumSpeedWave;
                 
-                if (window.updateParameter) {
-                    window.updateParameter('speed', Math.min(3.0, currentSpeed).toFixed(2));
-                }
+                this.scope.updateParameter('speed', Math.min(3.0, currentSpeed).toFixed(2));
                 
                 // Smooth wave decay
                 this.quantumSpeedWave *= 0.89;
@@ -377,9 +389,7 @@ export class QuantumEngine {
                 const baseHue = 280; // Quantum purple-blue
                 const currentHue = (baseHue + this.quantumHueShift) % 360;
                 
-                if (window.updateParameter) {
-                    window.updateParameter('hue', Math.round(currentHue));
-                }
+                this.scope.updateParameter('hue', Math.round(currentHue));
                 
                 // Smooth color return
                 this.quantumHueShift *= 0.90;
@@ -453,8 +463,12 @@ export class QuantumEngine {
      * Update multiple parameters
      */
     updateParameters(params) {
-        Object.keys(params).forEach(param => {
-            this.updateParameter(param, params[param]);
+        // Batch path (engine sync, timeline playback) - no per-parameter logging
+        this.parameters.setParameters(params);
+        this.visualizers.forEach(visualizer => {
+            if (visualizer.updateParameters) {
+                visualizer.updateParameters(params);
+            }
         });
     }
     
@@ -486,6 +500,52 @@ export class QuantumEngine {
         this.updateParameters(params);
     }
     
+    /**
+     * Tile a customGeometry(vec4 p) snippet through every layer's lattice, or return to the built-in lattices with null
+     * Restored contexts recompile with the same snippet.
+     * @param {?string} source - Snippet validated by geometry/CustomGeometry.js
+     * @returns {?{ok: boolean, errors: Array<{line: ?number, message: string}>}} null when the source is unchanged;
+     *   ok is false when a layer rejected the snippet and draws the fallback base
+     */
+    setCustomGeometry(source) {
+        const customGeometry = source || null;
+        if (customGeometry === this.customGeometry) {
+            return null;
+        }
+        this.customGeometry = customGeometry;
+        const results = this.visualizers.map(visualizer => visualizer.setCustomGeometry(customGeometry));
+        return results.find(result => !result.ok) || { ok: true, errors: [] };
+    }
+
+    /**
+     * Rebuild layer programs and buffers after a WebGL context was restored (VIB3Engine calls this
+     * from webglcontextrestored); parameters are re-applied by the next renderFrame
+     * @param {string} [role] - Layer role whose context came back; omitted restores every layer
+     * @returns {boolean} Whether every affected layer was rebuilt
+     */
+    restoreContext(role) {
+        const visualizers = this.visualizers.filter(visualizer => !role || visualizer.role === role);
+        const restored = visualizers.filter(visualizer => visualizer.reinitializeContext());
+        console.log(`🔄 Quantum restored ${restored.length}/${visualizers.length} layers${role ? ` (${role})` : ''}`);
+        return restored.length === visualizers.length;
+    }
+
+    /**
+     * Render one frame of every layer with the current parameters
+     * @param {number} [time] - Clock time in milliseconds; omitted uses each visualizer's wall clock
+     */
+    renderFrame(time) {
+        // CRITICAL FIX: Update visualizer parameters before rendering
+        const currentParams = this.parameters.getAllParameters();
+        
+        this.visualizers.forEach(visualizer => {
+            if (visualizer.updateParameters && visualizer.render) {
+                visualizer.updateParameters(currentParams);
+                visualizer.render(time);
+            }
+        });
+    }
+    
     /**
      * Start the render loop
      */
@@ -499,16 +559,7 @@ export class QuantumEngine {
                 // MVEP-STYLE AUDIO PROCESSING: Use global audio data instead of internal processing
                 // This eliminates conflicts with holographic system and ensures consistent audio reactivity
                 // Audio reactivity now handled directly in visualizer render loops
-                
-                // CRITICAL FIX: Update visualizer parameters before rendering
-                const currentParams = this.parameters.getAllParameters();
-                
-                this.visualizers.forEach(visualizer => {
-                    if (visualizer.updateParameters && visualizer.render) {
-                        visualizer.updateParameters(currentParams);
-                        visualizer.render();
-                    }
-                });
+                this.renderFrame(this.clock ? this.clock.tick() : undefined);
                 
                 // Mobile debug: Log render activity periodically
                 if (window.mobileDebug && !this._renderActivityLogged) {
@@ -520,7 +571,7 @@ export class QuantumEngine {
                 this._inactiveWarningLogged = true;
             }
             
-            requestAnimationFrame(render);
+            this.animationId = requestAnimationFrame(render);
         };
         
         render();
@@ -562,8 +613,13 @@ export class QuantumEngine {
      * Clean up resources
      */
     destroy() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        
         // Disconnect from universal reactivity
-        if (window.universalReactivity) {
+        if (typeof window !== 'undefined' && window.universalReactivity) {
             window.universalReactivity.disconnectSystem('quantum');
         }
         
@@ -5,14 +5,39 @@
  */
 
 import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
+import { globalScope } from '../core/EngineScope.js';
+import { getProjectionUniforms } from '../geometry/Projection.js';
+import { getGeometryUniform } from '../geometry/GeometryCatalogue.js';
+import { composeShader } from '../shaders/ShaderLibrary.js';
+import { customGeometryShaderOptions, mapCustomGeometryErrors } from '../geometry/CustomGeometry.js';
+import { getRotationAngles } from '../math/RotationModes.js';
+
+/**
+ * On-screen mobile debug overlay - absent in Workers and other headless hosts
+ */
+const getMobileDebug = () => (typeof window !== 'undefined' ? window.mobileDebug : null);
 
 export class QuantumHolographicVisualizer {
-    constructor(canvasId, role, reactivity, variant) {
-        this.canvas = document.getElementById(canvasId);
+    /**
+     * @param {string|HTMLCanvasElement|OffscreenCanvas} canvasId - DOM id, or an injected canvas for headless rendering
+     * @param {EngineScope} [scope] - Owning engine's audio state; defaults to the window globals
+     */
+    constructor(canvasId, role, reactivity, variant, scope = globalScope) {
+        this.canvas = typeof canvasId === 'string' ? document.getElementById(canvasId) : canvasId;
+        if (typeof canvasId !== 'string') {
+            canvasId = this.canvas?.id || `quantum-${role}`;
+        }
+        this.scope = scope;
         this.role = role;
         this.reactivity = reactivity;
         this.variant = variant;
         
+        // customGeometry(vec4 p) snippet tiled through the lattice; failed snippets stay off until replaced
+        this.customGeometry = null;
+        this.customGeometryFailed = false;
+        this.customGeometryErrors = [];
+        this.shaderInfoLog = '';
+        
         // CRITICAL FIX: Define contextOptions as instance property to match SmartCanvasPool
         this.contextOptions = {
             alpha: true,
@@ -33,16 +58,16 @@ export class QuantumHolographicVisualizer {
         
         if (!this.gl) {
             console.error(`WebGL not supported for ${canvasId}`);
-            if (window.mobileDebug) {
-                window.mobileDebug.log(`❌ ${canvasId}: WebGL context creation failed`);
+            if (getMobileDebug()) {
+                getMobileDebug().log(`❌ ${canvasId}: WebGL context creation failed`);
             }
             // Show user-friendly error instead of white screen
             this.showWebGLError();
             return;
         } else {
-            if (window.mobileDebug) {
+            if (getMobileDebug()) {
                 const version = this.gl.getParameter(this.gl.VERSION);
-                window.mobileDebug.log(`✅ ${canvasId}: WebGL context created - ${version}`);
+                getMobileDebug().log(`✅ ${canvasId}: WebGL context created - ${version}`);
             }
         }
         
@@ -55,6 +80,8 @@ export class QuantumHolographicVisualizer {
         // Default parameters
         this.params = {
             geometry: 0,
+            coreOperator: 0,
+            coreBlend: 0.1,
             gridDensity: 15,
             morphFactor: 1.0,
             chaos: 0.2,
@@ -63,6 +90,11 @@ export class QuantumHolographicVisualizer {
             intensity: 0.5,
             saturation: 0.8,
             dimension: 3.5,
+            projection: 0,
+            projectionDistance: 2.5,
+            rotationMode: 0,
+            rotationPlane: 3,
+            rotationRatio: 0.5,
             rot4dXY: 0.0,
             rot4dXZ: 0.0,
             rot4dYZ: 0.0,
@@ -95,15 +127,15 @@ export class QuantumHolographicVisualizer {
                         this.canvas.width = viewWidth * devicePixelRatio;
                         this.canvas.height = viewHeight * devicePixelRatio;
                         
-                        if (window.mobileDebug) {
-                            window.mobileDebug.log(`📐 Quantum Canvas ${this.canvas.id}: Using viewport fallback ${this.canvas.width}x${this.canvas.height}`);
+                        if (getMobileDebug()) {
+                            getMobileDebug().log(`📐 Quantum Canvas ${this.canvas.id}: Using viewport fallback ${this.canvas.width}x${this.canvas.height}`);
                         }
                     } else {
                         this.canvas.width = rect.width * devicePixelRatio;
                         this.canvas.height = rect.height * devicePixelRatio;
                         
-                        if (window.mobileDebug) {
-                            window.mobileDebug.log(`📐 Quantum Canvas ${this.canvas.id}: Layout ready ${this.canvas.width}x${this.canvas.height}`);
+                        if (getMobileDebug()) {
+                            getMobileDebug().log(`📐 Quantum Canvas ${this.canvas.id}: Layout ready ${this.canvas.width}x${this.canvas.height}`);
                         }
                     }
                     resolve();
@@ -113,8 +145,8 @@ export class QuantumHolographicVisualizer {
             this.canvas.width = rect.width * devicePixelRatio;
             this.canvas.height = rect.height * devicePixelRatio;
             
-            if (window.mobileDebug) {
-                window.mobileDebug.log(`📐 Quantum Canvas ${this.canvas.id}: ${this.canvas.width}x${this.canvas.height} (DPR: ${devicePixelRatio})`);
+            if (getMobileDebug()) {
+                getMobileDebug().log(`📐 Quantum Canvas ${this.canvas.id}: ${this.canvas.width}x${this.canvas.height} (DPR: ${devicePixelRatio})`);
             }
         }
         
@@ -149,16 +181,16 @@ export class QuantumHolographicVisualizer {
         
         if (!this.gl) {
             console.error(`WebGL not supported for ${this.canvas.id}`);
-            if (window.mobileDebug) {
-                window.mobileDebug.log(`❌ Quantum ${this.canvas.id}: WebGL context creation failed (size: ${this.canvas.width}x${this.canvas.height})`);
+            if (getMobileDebug()) {
+                getMobileDebug().log(`❌ Quantum ${this.canvas.id}: WebGL context creation failed (size: ${this.canvas.width}x${this.canvas.height})`);
             }
             // Show user-friendly error instead of white screen
             this.showWebGLError();
             return;
         } else {
-            if (window.mobileDebug) {
+            if (getMobileDebug()) {
                 const version = this.gl.getParameter(this.gl.VERSION);
-                window.mobileDebug.log(`✅ Quantum ${this.canvas.id}: WebGL context created - ${version} (size: ${this.canvas.width}x${this.canvas.height})`);
+                getMobileDebug().log(`✅ Quantum ${this.canvas.id}: WebGL context created - ${version} (size: ${this.canvas.width}x${this.canvas.height})`);
             }
         }
     }
@@ -216,18 +248,21 @@ export class QuantumHolographicVisualizer {
     
     /**
      * Initialize shaders with complex 3D lattice functions and holographic effects
+     * A custom geometry snippet that does not compile is dropped and the built-in lattices used instead
      */
     initShaders() {
+        const customGeometry = this.customGeometryFailed ? null : this.customGeometry;
         const vertexShaderSource = `attribute vec2 a_position;
 void main() {
     gl_Position = vec4(a_position, 0.0, 1.0);
 }`;
         
         // Mobile-friendly precision - try highp, fallback to mediump
-        const isMobile = /Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+        const userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : '';
+        const isMobile = /Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(userAgent);
         const precision = isMobile ? 'mediump' : 'highp';
         
-        const fragmentShaderSource = `
+        const fragmentShaderSource = composeShader(`
 #ifdef GL_FRAGMENT_PRECISION_HIGH
     precision highp float;
 #else
@@ -246,61 +281,22 @@ uniform float u_hue;
 uniform float u_intensity;
 uniform float u_saturation;
 uniform float u_dimension;
-uniform float u_rot4dXY;
-uniform float u_rot4dXZ;
-uniform float u_rot4dYZ;
-uniform float u_rot4dXW;
-uniform float u_rot4dYW;
-uniform float u_rot4dZW;
 uniform float u_mouseIntensity;
 uniform float u_clickIntensity;
 uniform float u_roleIntensity;
-
-// 6D rotation matrices - 3D space rotations (XY, XZ, YZ)
-mat4 rotateXY(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(c, -s, 0.0, 0.0, s, c, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0);
-}
-
-mat4 rotateXZ(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(c, 0.0, s, 0.0, 0.0, 1.0, 0.0, 0.0, -s, 0.0, c, 0.0, 0.0, 0.0, 0.0, 1.0);
-}
-
-mat4 rotateYZ(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c, 0.0, 0.0, 0.0, 0.0, 1.0);
-}
-
-// 4D hyperspace rotations (XW, YW, ZW)
-mat4 rotateXW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
-}
-
-mat4 rotateYW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
-}
-
-mat4 rotateZW(float theta) {
-    float c = cos(theta);
-    float s = sin(theta);
-    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
-}
+#include <projection>
+#include <rotation6d>
+#include <geometryIndex>
+#include <geometryCores>
+#include <coreWarp>
+#include <customGeometryLattice>
 
 vec3 project4Dto3D(vec4 p) {
-    float w = 2.5 / (2.5 + p.w);
-    return vec3(p.x * w, p.y * w, p.z * w);
+    return project4D(p);
 }
 
 // ========================================
-// POLYTOPE CORE WARP FUNCTIONS (24 Geometries)
+// POLYTOPE CORE WARP FUNCTIONS (48 Geometries)
 // ========================================
 vec3 warpHypersphereCore(vec3 p, int geometryIndex, vec2 mouseDelta) {
     float radius = length(p);
@@ -309,12 +305,7 @@ vec3 warpHypersphereCore(vec3 p, int geometryIndex, vec2 mouseDelta) {
     w *= (0.4 + morphBlend * 0.45);
 
     vec4 p4d = vec4(p * (1.0 + morphBlend * 0.2), w);
-    p4d = rotateXY(u_rot4dXY) * p4d;
-    p4d = rotateXZ(u_rot4dXZ) * p4d;
-    p4d = rotateYZ(u_rot4dYZ) * p4d;
-    p4d = rotateXW(u_rot4dXW) * p4d;
-    p4d = rotateYW(u_rot4dYW) * p4d;
-    p4d = rotateZW(u_rot4dZW) * p4d;
+    p4d = apply6DRotation(p4d);
 
     vec3 projected = project4Dto3D(p4d);
     return mix(p, projected, clamp(0.45 + morphBlend * 0.35, 0.0, 1.0));
@@ -334,12 +325,7 @@ vec3 warpHypertetraCore(vec3 p, int geometryIndex, vec2 mouseDelta) {
 
     vec3 offset = vec3(dot(p, c1), dot(p, c2), dot(p, c3)) * 0.1 * morphBlend;
     vec4 p4d = vec4(p + offset, w);
-    p4d = rotateXY(u_rot4dXY) * p4d;
-    p4d = rotateXZ(u_rot4dXZ) * p4d;
-    p4d = rotateYZ(u_rot4dYZ) * p4d;
-    p4d = rotateXW(u_rot4dXW) * p4d;
-    p4d = rotateYW(u_rot4dYW) * p4d;
-    p4d = rotateZW(u_rot4dZW) * p4d;
+    p4d = apply6DRotation(p4d);
 
     vec3 projected = project4Dto3D(p4d);
 
@@ -349,11 +335,8 @@ vec3 warpHypertetraCore(vec3 p, int geometryIndex, vec2 mouseDelta) {
 }
 
 vec3 applyCoreWarp(vec3 p, float geometryType, vec2 mouseDelta) {
-    float totalBase = 9.0;  // ✨ EXPANDED from 8 to include Hexacosichoron
-    float coreFloat = floor(geometryType / totalBase);
-    int coreIndex = int(clamp(coreFloat, 0.0, 2.0));
-    float baseGeomFloat = mod(geometryType, totalBase);
-    int geometryIndex = int(clamp(floor(baseGeomFloat + 0.5), 0.0, totalBase - 1.0));
+    int coreIndex = geometryCore(geometryType);
+    int geometryIndex = geometryBase(geometryType);
 
     if (coreIndex == 1) {
         return warpHypersphereCore(p, geometryIndex, mouseDelta);
@@ -361,6 +344,10 @@ vec3 applyCoreWarp(vec3 p, float geometryType, vec2 mouseDelta) {
     if (coreIndex == 2) {
         return warpHypertetraCore(p, geometryIndex, mouseDelta);
     }
+    if (coreIndex > 2) {
+        float morphBlend = clamp(u_morphFactor * 0.6 + (u_dimension - 3.0) * 0.25, 0.0, 2.0);
+        return warpPolytopeCore(p, coreIndex, geometryIndex, morphBlend);
+    }
     return p;
 }
 // ========================================
@@ -482,6 +469,7 @@ float crystalLattice(vec3 p, float gridSize) {
 }
 
 // 🌟 HEXACOSICHORON (600-CELL) LATTICE - Paul Phillips Manifestation
+// Not in the 24-entry geometry catalogue yet, so geometryFunction never selects it
 // Golden ratio-based 4D polytope with 120 vertices, 720 edges, 1200 faces, 600 cells
 float hexacosichoronLattice(vec3 p, float gridSize) {
     vec3 cell = fract(p * gridSize) - 0.5;
@@ -563,18 +551,19 @@ float hexacosichoronLattice(vec3 p, float gridSize) {
     return max(max(vertices, edges * 0.75), tetCells * 0.4) + interference + glow;
 }
 
-// Enhanced geometry function with holographic effects (27 GEOMETRIES - NOW WITH HEXACOSICHORON!)
+// Enhanced geometry function with holographic effects (48 geometries: 8 base × 6 cores)
 float geometryFunction(vec4 p) {
-    // Decode geometry: base = geometry % 9 (supports 27 geometries: 9 base × 3 cores)
-    float totalBase = 9.0;  // ✨ EXPANDED from 8 to include Hexacosichoron
-    float baseGeomFloat = mod(u_geometry, totalBase);
-    int geomType = int(clamp(floor(baseGeomFloat + 0.5), 0.0, totalBase - 1.0));
+    int geomType = geometryBase(u_geometry);
 
     // Project to 3D and apply polytope warp
     vec3 p3d = project4Dto3D(p);
     vec3 warped = applyCoreWarp(p3d, u_geometry, vec2(0.0, 0.0));
     float gridSize = u_gridDensity * 0.08;
 
+#ifdef CUSTOM_GEOMETRY
+    return customGeometryLattice(warped, gridSize) * u_morphFactor;
+#endif
+
     if (geomType == 0) {
         return tetrahedronLattice(warped, gridSize) * u_morphFactor;
     }
@@ -599,10 +588,6 @@ float geometryFunction(vec4 p) {
     else if (geomType == 7) {
         return crystalLattice(warped, gridSize) * u_morphFactor;
     }
-    else if (geomType == 8) {
-        // 🌟 HEXACOSICHORON (600-CELL) - Golden ratio 4D polytope
-        return hexacosichoronLattice(warped, gridSize) * u_morphFactor;
-    }
     else {
         return hypercubeLattice(warped, gridSize) * u_morphFactor;
     }
@@ -705,12 +690,7 @@ void main() {
     pos.xy += (u_mouse - 0.5) * u_mouseIntensity * 2.0;
 
     // Apply 6D rotations - 3D space rotations first, then 4D hyperspace
-    pos = rotateXY(u_rot4dXY) * pos;
-    pos = rotateXZ(u_rot4dXZ) * pos;
-    pos = rotateYZ(u_rot4dYZ) * pos;
-    pos = rotateXW(u_rot4dXW) * pos;
-    pos = rotateYW(u_rot4dYW) * pos;
-    pos = rotateZW(u_rot4dZW) * pos;
+    pos = apply6DRotation(pos);
     
     // Calculate enhanced geometry value
     float value = geometryFunction(pos);
@@ -823,9 +803,15 @@ void main() {
     else layerAlpha = 0.3;                        // Accent: Subtle bursts
     
     gl_FragColor = vec4(finalColor, finalIntensity * layerAlpha);
-}`;
+}`, customGeometryShaderOptions(customGeometry));
         
         this.program = this.createProgram(vertexShaderSource, fragmentShaderSource);
+        if (!this.program && customGeometry) {
+            this.customGeometryErrors = mapCustomGeometryErrors(this.shaderInfoLog, fragmentShaderSource);
+            this.customGeometryFailed = true;
+            this.initShaders();
+            return;
+        }
         this.uniforms = {
             resolution: this.gl.getUniformLocation(this.program, 'u_resolution'),
             time: this.gl.getUniformLocation(this.program, 'u_time'),
@@ -847,7 +833,11 @@ void main() {
             rot4dZW: this.gl.getUniformLocation(this.program, 'u_rot4dZW'),
             mouseIntensity: this.gl.getUniformLocation(this.program, 'u_mouseIntensity'),
             clickIntensity: this.gl.getUniformLocation(this.program, 'u_mouseIntensity'),
-            roleIntensity: this.gl.getUniformLocation(this.program, 'u_roleIntensity')
+            roleIntensity: this.gl.getUniformLocation(this.program, 'u_roleIntensity'),
+            projectionMode: this.gl.getUniformLocation(this.program, 'u_projectionMode'),
+            projectionDistance: this.gl.getUniformLocation(this.program, 'u_projectionDistance'),
+            coreOperator: this.gl.getUniformLocation(this.program, 'u_coreOperator'),
+            coreBlend: this.gl.getUniformLocation(this.program, 'u_coreBlend')
         };
     }
     
@@ -870,13 +860,13 @@ void main() {
         if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
             const error = this.gl.getProgramInfoLog(program);
             console.error('Program linking failed:', error);
-            if (window.mobileDebug) {
-                window.mobileDebug.log(`❌ ${this.canvas?.id}: Shader program link failed - ${error}`);
+            if (getMobileDebug()) {
+                getMobileDebug().log(`❌ ${this.canvas?.id}: Shader program link failed - ${error}`);
             }
             return null;
         } else {
-            if (window.mobileDebug) {
-                window.mobileDebug.log(`✅ ${this.canvas?.id}: Shader program linked successfully`);
+            if (getMobileDebug()) {
+                getMobileDebug().log(`✅ ${this.canvas?.id}: Shader program linked successfully`);
             }
         }
         
@@ -890,16 +880,16 @@ void main() {
         // CRITICAL FIX: Check WebGL context state before shader operations
         if (!this.gl) {
             console.error('❌ Cannot create shader: WebGL context is null');
-            if (window.mobileDebug) {
-                window.mobileDebug.log(`❌ ${this.canvas?.id}: Cannot create shader - WebGL context is null`);
+            if (getMobileDebug()) {
+                getMobileDebug().log(`❌ ${this.canvas?.id}: Cannot create shader - WebGL context is null`);
             }
             return null;
         }
         
         if (this.gl.isContextLost()) {
             console.error('❌ Cannot create shader: WebGL context is lost');
-            if (window.mobileDebug) {
-                window.mobileDebug.log(`❌ ${this.canvas?.id}: Cannot create shader - WebGL context is lost`);
+            if (getMobileDebug()) {
+                getMobileDebug().log(`❌ ${this.canvas?.id}: Cannot create shader - WebGL context is lost`);
             }
             return null;
         }
@@ -909,8 +899,8 @@ void main() {
             
             if (!shader) {
                 console.error('❌ Failed to create shader object - WebGL context may be invalid');
-                if (window.mobileDebug) {
-                    window.mobileDebug.log(`❌ ${this.canvas?.id}: Failed to create shader object`);
+                if (getMobileDebug()) {
+                    getMobileDebug().log(`❌ ${this.canvas?.id}: Failed to create shader object`);
                 }
                 return null;
             }
@@ -920,6 +910,7 @@ void main() {
             
             if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
                 const error = this.gl.getShaderInfoLog(shader);
+                this.shaderInfoLog = error || '';
                 const shaderType = type === this.gl.VERTEX_SHADER ? 'vertex' : 'fragment';
                 
                 // CRITICAL FIX: Show actual error instead of null
@@ -931,28 +922,28 @@ void main() {
                 
                 console.error('Shader source:', source);
                 
-                if (window.mobileDebug) {
+                if (getMobileDebug()) {
                     const errorMsg = error || 'No error info (context may be invalid)';
-                    window.mobileDebug.log(`❌ ${this.canvas?.id}: ${shaderType} shader compile failed - ${errorMsg}`);
+                    getMobileDebug().log(`❌ ${this.canvas?.id}: ${shaderType} shader compile failed - ${errorMsg}`);
                     // Log first few lines of problematic shader for mobile debugging
                     const sourceLines = source.split('\n').slice(0, 5).join('\\n');
-                    window.mobileDebug.log(`🔍 ${shaderType} shader source start: ${sourceLines}...`);
+                    getMobileDebug().log(`🔍 ${shaderType} shader source start: ${sourceLines}...`);
                 }
                 
                 this.gl.deleteShader(shader);
                 return null;
             } else {
-                if (window.mobileDebug) {
+                if (getMobileDebug()) {
                     const shaderType = type === this.gl.VERTEX_SHADER ? 'vertex' : 'fragment';
-                    window.mobileDebug.log(`✅ ${this.canvas?.id}: ${shaderType} shader compiled successfully`);
+                    getMobileDebug().log(`✅ ${this.canvas?.id}: ${shaderType} shader compiled successfully`);
                 }
             }
             
             return shader;
         } catch (error) {
             console.error('❌ Exception during shader creation:', error);
-            if (window.mobileDebug) {
-                window.mobileDebug.log(`❌ ${this.canvas?.id}: Exception during shader creation - ${error.message}`);
+            if (getMobileDebug()) {
+                getMobileDebug().log(`❌ ${this.canvas?.id}: Exception during shader creation - ${error.message}`);
             }
             return null;
         }
@@ -977,14 +968,24 @@ void main() {
      * Resize canvas and viewport
      */
     resize() {
+        // Headless canvases (OffscreenCanvas) have no layout box - the host owns their size
+        if (typeof this.canvas.clientWidth !== 'number') {
+            if (this.canvas.width !== this._viewportWidth || this.canvas.height !== this._viewportHeight) {
+                this._viewportWidth = this.canvas.width;
+                this._viewportHeight = this.canvas.height;
+                this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+            }
+            return;
+        }
+        
         // Mobile-optimized canvas sizing
         const dpr = Math.min(window.devicePixelRatio || 1, 2); // Cap at 2x for mobile performance
         const width = this.canvas.clientWidth;
         const height = this.canvas.clientHeight;
         
         // Mobile debug: Check for zero dimensions that would cause invisible rendering
-        if (window.mobileDebug && (width === 0 || height === 0) && !this._zeroDimWarned) {
-            window.mobileDebug.log(`⚠️ ${this.canvas?.id}: Canvas clientWidth=${width}, clientHeight=${height} - will be invisible`);
+        if (getMobileDebug() && (width === 0 || height === 0) && !this._zeroDimWarned) {
+            getMobileDebug().log(`⚠️ ${this.canvas?.id}: Canvas clientWidth=${width}, clientHeight=${height} - will be invisible`);
             this._zeroDimWarned = true;
         }
         
@@ -995,8 +996,8 @@ void main() {
             this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
             
             // Mobile debug: Log final canvas dimensions
-            if (window.mobileDebug && !this._finalSizeLogged) {
-                window.mobileDebug.log(`📐 ${this.canvas?.id}: Final canvas buffer ${this.canvas.width}x${this.canvas.height} (DPR=${dpr})`);
+            if (getMobileDebug() && !this._finalSizeLogged) {
+                getMobileDebug().log(`📐 ${this.canvas?.id}: Final canvas buffer ${this.canvas.width}x${this.canvas.height} (DPR=${dpr})`);
                 this._finalSizeLogged = true;
             }
         }
@@ -1021,6 +1022,26 @@ void main() {
         }
     }
     
+    /**
+     * Recompile with a customGeometry(vec4 p) snippet tiled through the lattice, or the built-in lattices with null
+     * @param {?string} source - Snippet validated by geometry/CustomGeometry.js
+     * @returns {{ok: boolean, errors: Array<{line: ?number, message: string}>}} ok is false when the snippet
+     *   did not compile here and the built-in program was kept
+     */
+    setCustomGeometry(source) {
+        this.customGeometry = source || null;
+        this.customGeometryFailed = false;
+        this.customGeometryErrors = [];
+        if (this.gl && !this.gl.isContextLost()) {
+            const previous = this.program;
+            this.initShaders();
+            if (previous && previous !== this.program) {
+                this.gl.deleteProgram(previous);
+            }
+        }
+        return { ok: !this.customGeometryFailed, errors: this.customGeometryErrors };
+    }
+    
     /**
      * Update visualization parameters with immediate GPU sync
      */
@@ -1041,11 +1062,12 @@ void main() {
     
     /**
      * Render frame
+     * @param {number} [time] - Clock time in milliseconds; defaults to wall-clock time since construction
      */
-    render() {
+    render(time) {
         if (!this.program) {
-            if (window.mobileDebug && !this._noProgramWarned) {
-                window.mobileDebug.log(`❌ ${this.canvas?.id}: No WebGL program for render`);
+            if (getMobileDebug() && !this._noProgramWarned) {
+                getMobileDebug().log(`❌ ${this.canvas?.id}: No WebGL program for render`);
                 this._noProgramWarned = true;
             }
             return;
@@ -1073,29 +1095,34 @@ void main() {
             'accent': 1.6
         };
         
-        const time = Date.now() - this.startTime;
+        if (typeof time !== 'number') {
+            time = Date.now() - this.startTime;
+        }
         
         // Set uniforms
         this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
         this.gl.uniform1f(this.uniforms.time, time);
         this.gl.uniform2f(this.uniforms.mouse, this.mouseX, this.mouseY);
-        this.gl.uniform1f(this.uniforms.geometry, this.params.geometry);
+        this.gl.uniform1f(this.uniforms.geometry, getGeometryUniform(this.params.geometry));
+        this.gl.uniform1f(this.uniforms.coreOperator, this.params.coreOperator);
+        this.gl.uniform1f(this.uniforms.coreBlend, this.params.coreBlend);
         // 🎵 QUANTUM AUDIO REACTIVITY - Direct and effective
         let gridDensity = this.params.gridDensity;
         let morphFactor = this.params.morphFactor;
         let hue = this.params.hue;
         let chaos = this.params.chaos;
         
-        if (window.audioEnabled && window.audioReactive) {
+        const audioReactive = this.scope.getAudioLevels();
+        if (audioReactive) {
             // Quantum audio mapping: Enhanced complex lattice response
-            gridDensity += window.audioReactive.bass * 40;      // Bass creates dense lattice structures
-            morphFactor += window.audioReactive.mid * 1.2;      // Mid frequencies morph the geometry
-            hue += window.audioReactive.high * 120;             // High frequencies shift colors dramatically
-            chaos += window.audioReactive.energy * 0.6;         // Overall energy adds chaos/complexity
+            gridDensity += audioReactive.bass * 40;      // Bass creates dense lattice structures
+            morphFactor += audioReactive.mid * 1.2;      // Mid frequencies morph the geometry
+            hue += audioReactive.high * 120;             // High frequencies shift colors dramatically
+            chaos += audioReactive.energy * 0.6;         // Overall energy adds chaos/complexity
             
             // Debug logging every 10 seconds to verify audio reactivity is working
             if (Date.now() % 10000 < 16) {
-                console.log(`🌌 Quantum audio reactivity: Density+${(window.audioReactive.bass * 40).toFixed(1)} Morph+${(window.audioReactive.mid * 1.2).toFixed(2)} Hue+${(window.audioReactive.high * 120).toFixed(1)} Chaos+${(window.audioReactive.energy * 0.6).toFixed(2)}`);
+                console.log(`🌌 Quantum audio reactivity: Density+${(audioReactive.bass * 40).toFixed(1)} Morph+${(audioReactive.mid * 1.2).toFixed(2)} Hue+${(audioReactive.high * 120).toFixed(1)} Chaos+${(audioReactive.energy * 0.6).toFixed(2)}`);
             }
         }
         
@@ -1108,15 +1135,21 @@ void main() {
         this.gl.uniform1f(this.uniforms.intensity, this.params.intensity);
         this.gl.uniform1f(this.uniforms.saturation, this.params.saturation);
         this.gl.uniform1f(this.uniforms.dimension, this.params.dimension);
-        this.gl.uniform1f(this.uniforms.rot4dXY, this.params.rot4dXY || 0.0);
-        this.gl.uniform1f(this.uniforms.rot4dXZ, this.params.rot4dXZ || 0.0);
-        this.gl.uniform1f(this.uniforms.rot4dYZ, this.params.rot4dYZ || 0.0);
-        this.gl.uniform1f(this.uniforms.rot4dXW, this.params.rot4dXW || 0.0);
-        this.gl.uniform1f(this.uniforms.rot4dYW, this.params.rot4dYW || 0.0);
-        this.gl.uniform1f(this.uniforms.rot4dZW, this.params.rot4dZW || 0.0);
+        // Rotation presets move the rot4d* angles over time
+        const rotation = getRotationAngles(this.params, time * 0.001 * this.params.speed);
+        this.gl.uniform1f(this.uniforms.rot4dXY, rotation.rot4dXY);
+        this.gl.uniform1f(this.uniforms.rot4dXZ, rotation.rot4dXZ);
+        this.gl.uniform1f(this.uniforms.rot4dYZ, rotation.rot4dYZ);
+        this.gl.uniform1f(this.uniforms.rot4dXW, rotation.rot4dXW);
+        this.gl.uniform1f(this.uniforms.rot4dYW, rotation.rot4dYW);
+        this.gl.uniform1f(this.uniforms.rot4dZW, rotation.rot4dZW);
         this.gl.uniform1f(this.uniforms.mouseIntensity, this.mouseIntensity);
         this.gl.uniform1f(this.uniforms.clickIntensity, this.clickIntensity);
         this.gl.uniform1f(this.uniforms.roleIntensity, roleIntensities[this.role] || 1.0);
+
+        const projection = getProjectionUniforms(this.params);
+        this.gl.uniform1f(this.uniforms.projectionMode, projection.u_projectionMode);
+        this.gl.uniform1f(this.uniforms.projectionDistance, projection.u_projectionDistance);
         
         this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
     }
@@ -0,0 +1,314 @@
+/**
+ * Shader Chunks - the GLSL shared by every system and exporter, registered with ShaderLibrary
+ *
+ * A chunk pulls in what it needs with #include <name>; the uniforms a chunk reads but does not
+ * declare are listed above it. Chunks are WebGL 1 GLSL and declare no precision.
+ *
+ * - projection     - project4D / unproject4D (see geometry/Projection.js)
+ * - rotation4d     - rotateXY ... rotateZW plane matrices
+ * - rotation6d     - the six u_rot4d* uniforms and apply6DRotation(pos); ROTATION_DRIFT adds time drift
+ * - color          - hsv2rgb
+ * - geometryIndex  - geometryCore / geometryBase decode of u_geometry
+ * - geometryCores  - coreField(p, core): 4D signed distance of each core polytope
+ * - coreOperators  - combineCore(shape, core): how a base meets its core (u_coreOperator, u_coreBlend)
+ * - coreWarp       - warpPolytopeCore(p, core, base, morphBlend): lattice warp around a core (Quantum, Holographic)
+ * - customGeometry - placeholder for a user's customGeometry(vec4 p) snippet (see CustomGeometry.js)
+ * - customGeometryLattice - customGeometryLattice(p, gridSize): the snippet tiled for the lattice systems
+ * - geometrySDF    - 4D signed distance for all 48 built-in geometries (Faceted)
+ * - hexacosichoron - 600-cell SDF, not in the geometry catalogue yet
+ */
+
+import { PROJECTION_GLSL } from '../geometry/Projection.js';
+import { GEOMETRY_BASE_COUNT, GEOMETRY_CORE_COUNT, CORE_OPERATORS } from '../geometry/GeometryCatalogue.js';
+
+// Column-major like every mat4 constructor: a positive angle in plane AB turns A toward -B
+const ROTATION_4D = `
+mat4 rotateXY(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(c, -s, 0.0, 0.0, s, c, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0);
+}
+
+mat4 rotateXZ(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c, 0.0, 0.0, 0.0, 0.0, 1.0);
+}
+
+mat4 rotateYZ(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c, 0.0, 0.0, 0.0, 0.0, 1.0);
+}
+
+mat4 rotateXW(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(c, 0.0, 0.0, -s, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, s, 0.0, 0.0, c);
+}
+
+mat4 rotateYW(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, c, 0.0, -s, 0.0, 0.0, 1.0, 0.0, 0.0, s, 0.0, c);
+}
+
+mat4 rotateZW(float theta) {
+    float c = cos(theta);
+    float s = sin(theta);
+    return mat4(1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, c, -s, 0.0, 0.0, s, c);
+}
+`;
+
+// ROTATION_DRIFT reads u_time and u_rotationDrift (1 in Free Planes mode, 0 under a rotation preset)
+const ROTATION_6D = `
+#include <rotation4d>
+
+uniform float u_rot4dXY;
+uniform float u_rot4dXZ;
+uniform float u_rot4dYZ;
+uniform float u_rot4dXW;
+uniform float u_rot4dYW;
+uniform float u_rot4dZW;
+
+vec4 apply6DRotation(vec4 pos) {
+#ifdef ROTATION_DRIFT
+    pos = rotateXY(u_rot4dXY + u_time * 0.05 * u_rotationDrift) * pos;
+    pos = rotateXZ(u_rot4dXZ + u_time * 0.06 * u_rotationDrift) * pos;
+    pos = rotateYZ(u_rot4dYZ + u_time * 0.04 * u_rotationDrift) * pos;
+    pos = rotateXW(u_rot4dXW + u_time * 0.07 * u_rotationDrift) * pos;
+    pos = rotateYW(u_rot4dYW + u_time * 0.08 * u_rotationDrift) * pos;
+    pos = rotateZW(u_rot4dZW + u_time * 0.09 * u_rotationDrift) * pos;
+#else
+    pos = rotateXY(u_rot4dXY) * pos;
+    pos = rotateXZ(u_rot4dXZ) * pos;
+    pos = rotateYZ(u_rot4dYZ) * pos;
+    pos = rotateXW(u_rot4dXW) * pos;
+    pos = rotateYW(u_rot4dYW) * pos;
+    pos = rotateZW(u_rot4dZW) * pos;
+#endif
+    return pos;
+}
+`;
+
+const COLOR = `
+vec3 hsv2rgb(vec3 c) {
+    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+}
+`;
+
+// Decodes getGeometryUniform() (geometry/GeometryCatalogue.js): core × GEOMETRY_BASE_COUNT + base
+const GEOMETRY_INDEX = `
+#ifndef GEOMETRY_BASE_COUNT
+#define GEOMETRY_BASE_COUNT ${GEOMETRY_BASE_COUNT}
+#endif
+#ifndef GEOMETRY_CORE_COUNT
+#define GEOMETRY_CORE_COUNT ${GEOMETRY_CORE_COUNT}
+#endif
+
+// 0 = base shape, 1 = hypersphere, 2 = hypertetrahedron, 3 = hypercube, 4 = 24-cell, 5 = duoprism core
+int geometryCore(float geometry) {
+    return int(clamp(floor(geometry / float(GEOMETRY_BASE_COUNT)), 0.0, float(GEOMETRY_CORE_COUNT) - 1.0));
+}
+
+int geometryBase(float geometry) {
+    float base = geometry - floor(geometry / float(GEOMETRY_BASE_COUNT)) * float(GEOMETRY_BASE_COUNT);
+    return int(clamp(floor(base + 0.5), 0.0, float(GEOMETRY_BASE_COUNT) - 1.0));
+}
+`;
+
+// Core polytopes centred on the origin, each about as large as the hypersphere core (radius 1.2)
+const GEOMETRY_CORES = `
+float tetrahedronField(vec4 p) {
+    return max(max(max(
+        abs(p.x + p.y) - p.z - p.w,
+        abs(p.x - p.y) - p.z + p.w),
+        abs(p.x + p.y) + p.z - p.w),
+        abs(p.x - p.y) + p.z + p.w) / sqrt(4.0);
+}
+
+// Regular hexagon of inradius r in one plane
+float hexagonField(vec2 p, float r) {
+    p = abs(p);
+    return max(dot(p, vec2(0.866025, 0.5)), p.y) - r;
+}
+
+float coreField(vec4 p, int core) {
+    if (core == 1) {
+        // Hypersphere
+        return length(p) - 1.2;
+    } else if (core == 2) {
+        return tetrahedronField(p);
+    } else if (core == 3) {
+        // Hypercube
+        vec4 q = abs(p) - 0.7;
+        return length(max(q, 0.0)) + min(max(max(max(q.x, q.y), q.z), q.w), 0.0);
+    } else if (core == 4) {
+        // 24-cell: the tesseract's 8 cells cut by the 16-cell's 16
+        vec4 q = abs(p);
+        return max(max(max(max(q.x, q.y), q.z), q.w) - 0.85, (q.x + q.y + q.z + q.w - 1.7) * 0.5);
+    } else if (core == 5) {
+        // 6-6 duoprism: a hexagon in XY times a hexagon in ZW
+        return max(hexagonField(p.xy, 0.75), hexagonField(p.zw, 0.75));
+    }
+    return -1.0;
+}
+`;
+
+// Operator indices follow CORE_OPERATORS: ${CORE_OPERATORS.join(', ')}
+const CORE_OPERATORS_GLSL = `
+uniform float u_coreOperator;
+uniform float u_coreBlend;
+
+// Negative inside on both sides; the blend radius smooths the union and sets the shell thickness
+float combineCore(float shape, float core) {
+    int op = int(clamp(floor(u_coreOperator + 0.5), 0.0, ${CORE_OPERATORS.length - 1}.0));
+    float k = max(u_coreBlend, 0.001);
+    if (op == 1) {
+        return min(shape, core);
+    } else if (op == 2) {
+        float h = clamp(0.5 + 0.5 * (core - shape) / k, 0.0, 1.0);
+        return mix(core, shape, h) - k * h * (1.0 - h);
+    } else if (op == 3) {
+        // The base with the core carved out
+        return max(shape, -core);
+    } else if (op == 4) {
+        // The base kept only within k of the core's surface
+        return max(shape, abs(core) - k);
+    }
+    return max(shape, core);
+}
+`;
+
+// Reads u_time and u_speed. The lattice systems have no base distance, so the 4D unit ball the
+// lattice is warped within stands in for it and the core operator shapes that ball against the core.
+const CORE_WARP = `
+#include <projection>
+#include <rotation6d>
+#include <geometryCores>
+#include <coreOperators>
+
+// Hypercube, 24-cell and duoprism cores: the lattice bends hardest where it crosses the combined surface
+vec3 warpPolytopeCore(vec3 p, int coreIndex, int geometryIndex, float morphBlend) {
+    float w = sin(length(p) * (1.1 + float(geometryIndex) * 0.1) + u_time * 0.0008 * u_speed);
+    w *= (0.4 + morphBlend * 0.4);
+
+    vec4 p4d = apply6DRotation(vec4(p, w));
+    float field = combineCore(length(p4d) - 1.0, coreField(p4d, coreIndex));
+    float surface = exp(-abs(field) * 3.0);
+
+    vec3 projected = project4D(p4d);
+    return mix(p, projected, clamp((0.3 + morphBlend * 0.3) * (0.5 + surface), 0.0, 1.0));
+}
+`;
+
+// Empty unless a program composes with customGeometryShaderOptions(), which also defines CUSTOM_GEOMETRY
+const CUSTOM_GEOMETRY = `
+// customGeometry(vec4 p) is not part of this program
+`;
+
+// Quantum and Holographic draw lattices rather than distances: the snippet's surface in every cell,
+// with w swept across space so the 4D shape shows through
+const CUSTOM_GEOMETRY_LATTICE = `
+#include <customGeometry>
+
+#ifdef CUSTOM_GEOMETRY
+float customGeometryLattice(vec3 p, float gridSize) {
+    vec3 cell = fract(p * gridSize) - 0.5;
+    float w = sin(dot(p, vec3(0.7, 0.5, 0.3)) * gridSize) * 0.5;
+    float d = customGeometry(vec4(cell * 2.4, w));
+    return 1.0 - smoothstep(0.0, 0.06, abs(d));
+}
+#endif
+`;
+
+// Reads u_time (Wave)
+const GEOMETRY_SDF = `
+#include <geometryIndex>
+#include <geometryCores>
+#include <coreOperators>
+#include <customGeometry>
+
+float baseGeometry(vec4 p, int type) {
+    if (type == 0) {
+        // Tetrahedron
+        return max(max(max(abs(p.x + p.y) - p.z, abs(p.x - p.y) - p.z),
+                       abs(p.x + p.y) + p.z), abs(p.x - p.y) + p.z) / sqrt(3.0);
+    } else if (type == 1) {
+        // Hypercube
+        vec4 q = abs(p) - 0.8;
+        return length(max(q, 0.0)) + min(max(max(max(q.x, q.y), q.z), q.w), 0.0);
+    } else if (type == 2) {
+        // Sphere
+        return length(p) - 1.0;
+    } else if (type == 3) {
+        // Torus
+        vec2 t = vec2(length(p.xy) - 0.8, p.z);
+        return length(t) - 0.3;
+    } else if (type == 4) {
+        // Klein bottle (simplified)
+        float r = length(p.xy);
+        return abs(r - 0.7) - 0.2 + sin(atan(p.y, p.x) * 3.0 + p.z * 5.0) * 0.1;
+    } else if (type == 5) {
+        // Fractal (Mandelbulb approximation)
+        return length(p) - 0.8 + sin(p.x * 5.0) * sin(p.y * 5.0) * sin(p.z * 5.0) * 0.2;
+    } else if (type == 6) {
+        // Wave
+        return abs(p.z - sin(p.x * 5.0 + u_time) * cos(p.y * 5.0 + u_time) * 0.3) - 0.1;
+    }
+    // Crystal
+    vec4 q = abs(p);
+    return max(max(max(q.x, q.y), q.z), q.w) - 0.8;
+}
+
+// Base shape (or the custom snippet in its place) combined with its core by the selected operator
+float geometry(vec4 p, float type) {
+#ifdef CUSTOM_GEOMETRY
+    float shape = customGeometry(p);
+#else
+    float shape = baseGeometry(p, geometryBase(type));
+#endif
+    int core = geometryCore(type);
+    if (core == 0) {
+        return shape;
+    }
+    return combineCore(shape, coreField(p, core));
+}
+`;
+
+// Five-fold golden-ratio planes over the tetrahedral cells
+const HEXACOSICHORON = `
+#include <geometryCores>
+
+float hexacosichoron(vec4 p) {
+    float phi = 1.618034;
+    float invPhi = 0.618034;
+    float ico = 0.0;
+    for (int i = 0; i < 5; i++) {
+        float angle = float(i) * 1.2566;
+        float c = cos(angle);
+        float s = sin(angle);
+        vec4 rotP = vec4(p.x * c - p.y * s, p.x * s + p.y * c, p.z, p.w);
+        float planeDist = abs(dot(rotP, vec4(phi, 1.0, 0.0, invPhi)));
+        ico = max(ico, 1.0 - planeDist * 0.8);
+    }
+    return max(length(p) - 1.1, min(ico * 0.4 - 0.3, tetrahedronField(p)));
+}
+`;
+
+export const BUILTIN_SHADER_CHUNKS = {
+    projection: PROJECTION_GLSL,
+    rotation4d: ROTATION_4D,
+    rotation6d: ROTATION_6D,
+    color: COLOR,
+    geometryIndex: GEOMETRY_INDEX,
+    geometryCores: GEOMETRY_CORES,
+    coreOperators: CORE_OPERATORS_GLSL,
+    coreWarp: CORE_WARP,
+    customGeometry: CUSTOM_GEOMETRY,
+    customGeometryLattice: CUSTOM_GEOMETRY_LATTICE,
+    geometrySDF: GEOMETRY_SDF,
+    hexacosichoron: HEXACOSICHORON
+};
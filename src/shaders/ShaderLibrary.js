@@ -0,0 +1,99 @@
+/**
+ * Shader Library - GLSL composition from named chunks
+ *
+ * composeShader() expands `#include <name>` lines with registered chunks (recursively, each chunk
+ * at most once per shader, so chunks can include their own dependencies) and prepends `#define`s
+ * for per-system variants:
+ *
+ *   composeShader(`
+ *   precision highp float;
+ *   uniform float u_time;
+ *   uniform float u_rotationDrift;
+ *   #include <rotation6d>
+ *   void main() { ... apply6DRotation(pos) ... }
+ *   `, { defines: { ROTATION_DRIFT: true } });
+ *
+ * Live systems compose at program creation; exporters compose when they write the HTML, so
+ * exported cards carry the same GLSL as the renderers. Built-in chunks are in ShaderChunks.js.
+ * `chunks` overrides registered chunks for one composition only - a system compiling a user's
+ * customGeometry snippet (CustomGeometry.js) does not change what other programs include.
+ */
+
+import { BUILTIN_SHADER_CHUNKS } from './ShaderChunks.js';
+
+const chunks = new Map(Object.entries(BUILTIN_SHADER_CHUNKS));
+
+const INCLUDE_PATTERN = /^[ \t]*#include[ \t]+[<"]([\w.-]+)[>"][ \t]*$/gm;
+const DEFINE_NAME = /^[A-Za-z_]\w*$/;
+
+/**
+ * Register (or replace) a chunk for #include <name>
+ */
+export function registerShaderChunk(name, source) {
+    if (typeof name !== 'string' || !/^[\w.-]+$/.test(name)) {
+        throw new TypeError(`Shader chunk name must be a word like 'rotation4d', got ${name}`);
+    }
+    if (typeof source !== 'string') {
+        throw new TypeError(`Shader chunk ${name} must be a GLSL string`);
+    }
+    chunks.set(name, source);
+}
+
+export function getShaderChunkNames() {
+    return [...chunks.keys()];
+}
+
+/**
+ * A chunk with its own includes expanded - for GLSL written straight into exported HTML
+ */
+export function getShaderChunk(name) {
+    return composeShader(`#include <${name}>`);
+}
+
+/**
+ * Expand #include lines and prepend defines
+ * @param {string} source - GLSL with `#include <name>` lines
+ * @param {Object} [options]
+ * @param {Object<string, boolean|number|string>} [options.defines] - true → `#define NAME`,
+ *   number/string → `#define NAME value`, false/null → omitted
+ * @param {Object<string, string>} [options.chunks] - Chunks used instead of the registered ones of the same name
+ * @returns {string}
+ */
+export function composeShader(source, { defines = {}, chunks: overrides = {} } = {}) {
+    const included = new Set();
+    const available = new Map([...chunks, ...Object.entries(overrides)]);
+    const body = expandIncludes(source, available, included, []);
+    const header = Object.entries(defines)
+        .filter(([, value]) => value !== false && value !== null && value !== undefined)
+        .map(([name, value]) => {
+            if (!DEFINE_NAME.test(name)) {
+                throw new RangeError(`Invalid shader define name: ${name}`);
+            }
+            return value === true ? `#define ${name}` : `#define ${name} ${value}`;
+        });
+
+    if (header.length === 0) {
+        return body;
+    }
+    // #version has to stay the first line
+    const version = body.match(/^\s*#version[^\n]*\n/);
+    return version
+        ? `${version[0]}${header.join('\n')}\n${body.slice(version[0].length)}`
+        : `${header.join('\n')}\n${body}`;
+}
+
+function expandIncludes(source, available, included, stack) {
+    return source.replace(INCLUDE_PATTERN, (line, name) => {
+        if (stack.includes(name)) {
+            throw new Error(`Shader chunk include cycle: ${[...stack, name].join(' → ')}`);
+        }
+        if (!available.has(name)) {
+            throw new RangeError(`Unknown shader chunk: ${name} (expected one of ${[...available.keys()].join(', ')})`);
+        }
+        if (included.has(name)) {
+            return `// #include <${name}> (already included)`;
+        }
+        included.add(name);
+        return expandIncludes(available.get(name), available, included, [...stack, name]);
+    });
+}
@@ -0,0 +1,295 @@
+import { PROJECTION_WGSL } from '../../../../geometry/Projection.js';
+import { CORE_OPERATORS, GEOMETRY_BASE_COUNT, GEOMETRY_CORE_COUNT } from '../../../../geometry/GeometryCatalogue.js';
+
+/** Upper bound on instances the faceted pipeline draws per frame (one per layer). */
+export const FACETED_MAX_INSTANCES = 5;
+
+/**
+ * The six plane rotations of FacetedSystem's GLSL. Matrices are listed column by column,
+ * exactly as the GLSL mat4 constructors, so both backends turn points the same way.
+ */
+export const ROTATION_WGSL = `
+fn rotateXY(angle: f32) -> mat4x4f {
+  let c = cos(angle);
+  let s = sin(angle);
+  return mat4x4f(
+    c, -s, 0.0, 0.0,
+    s, c, 0.0, 0.0,
+    0.0, 0.0, 1.0, 0.0,
+    0.0, 0.0, 0.0, 1.0,
+  );
+}
+
+fn rotateXZ(angle: f32) -> mat4x4f {
+  let c = cos(angle);
+  let s = sin(angle);
+  return mat4x4f(
+    c, 0.0, -s, 0.0,
+    0.0, 1.0, 0.0, 0.0,
+    s, 0.0, c, 0.0,
+    0.0, 0.0, 0.0, 1.0,
+  );
+}
+
+fn rotateYZ(angle: f32) -> mat4x4f {
+  let c = cos(angle);
+  let s = sin(angle);
+  return mat4x4f(
+    1.0, 0.0, 0.0, 0.0,
+    0.0, c, -s, 0.0,
+    0.0, s, c, 0.0,
+    0.0, 0.0, 0.0, 1.0,
+  );
+}
+
+fn rotateXW(angle: f32) -> mat4x4f {
+  let c = cos(angle);
+  let s = sin(angle);
+  return mat4x4f(
+    c, 0.0, 0.0, -s,
+    0.0, 1.0, 0.0, 0.0,
+    0.0, 0.0, 1.0, 0.0,
+    s, 0.0, 0.0, c,
+  );
+}
+
+fn rotateYW(angle: f32) -> mat4x4f {
+  let c = cos(angle);
+  let s = sin(angle);
+  return mat4x4f(
+    1.0, 0.0, 0.0, 0.0,
+    0.0, c, 0.0, -s,
+    0.0, 0.0, 1.0, 0.0,
+    0.0, s, 0.0, c,
+  );
+}
+
+fn rotateZW(angle: f32) -> mat4x4f {
+  let c = cos(angle);
+  let s = sin(angle);
+  return mat4x4f(
+    1.0, 0.0, 0.0, 0.0,
+    0.0, 1.0, 0.0, 0.0,
+    0.0, 0.0, c, -s,
+    0.0, 0.0, s, c,
+  );
+}
+
+// planes3d = (XY, XZ, YZ), planes4d = (XW, YW, ZW); drift is the per-plane time offset
+fn apply6DRotation(pos: vec4f, planes3d: vec3f, planes4d: vec3f, time: f32, drift: f32) -> vec4f {
+  var p = rotateXY(planes3d.x + time * 0.05 * drift) * pos;
+  p = rotateXZ(planes3d.y + time * 0.06 * drift) * p;
+  p = rotateYZ(planes3d.z + time * 0.04 * drift) * p;
+  p = rotateXW(planes4d.x + time * 0.07 * drift) * p;
+  p = rotateYW(planes4d.y + time * 0.08 * drift) * p;
+  p = rotateZW(planes4d.z + time * 0.09 * drift) * p;
+  return p;
+}
+`;
+
+/**
+ * Geometry SDFs 0-47, mirroring the geometrySDF, geometryCores and coreOperators GLSL chunks:
+ * eight base shapes, each bare or combined with one of five cores (index = core * GEOMETRY_BASE_COUNT + base).
+ */
+export const GEOMETRY_WGSL = `
+const GEOMETRY_BASE_COUNT = ${GEOMETRY_BASE_COUNT}.0;
+const GEOMETRY_CORE_COUNT = ${GEOMETRY_CORE_COUNT}.0;
+
+fn tetrahedronField(p: vec4f) -> f32 {
+  return max(max(max(
+    abs(p.x + p.y) - p.z - p.w,
+    abs(p.x - p.y) - p.z + p.w),
+    abs(p.x + p.y) + p.z - p.w),
+    abs(p.x - p.y) + p.z + p.w) / sqrt(4.0);
+}
+
+fn hexagonField(p: vec2f, r: f32) -> f32 {
+  let q = abs(p);
+  return max(dot(q, vec2f(0.866025, 0.5)), q.y) - r;
+}
+
+fn coreField(p: vec4f, core: i32) -> f32 {
+  switch core {
+    case 1: {
+      // Hypersphere
+      return length(p) - 1.2;
+    }
+    case 2: {
+      return tetrahedronField(p);
+    }
+    case 3: {
+      // Hypercube
+      let q = abs(p) - vec4f(0.7);
+      return length(max(q, vec4f(0.0))) + min(max(max(max(q.x, q.y), q.z), q.w), 0.0);
+    }
+    case 4: {
+      // 24-cell
+      let q = abs(p);
+      return max(max(max(max(q.x, q.y), q.z), q.w) - 0.85, (q.x + q.y + q.z + q.w - 1.7) * 0.5);
+    }
+    case 5: {
+      // 6-6 duoprism
+      return max(hexagonField(p.xy, 0.75), hexagonField(p.zw, 0.75));
+    }
+    default: {
+      return -1.0;
+    }
+  }
+}
+
+// mode: ${CORE_OPERATORS.map((name: string, index: number) => `${index} = ${name}`).join(', ')}
+fn combineCore(shape: f32, core: f32, mode: f32, blend: f32) -> f32 {
+  let op = i32(clamp(floor(mode + 0.5), 0.0, ${CORE_OPERATORS.length - 1}.0));
+  let k = max(blend, 0.001);
+  switch op {
+    case 1: {
+      return min(shape, core);
+    }
+    case 2: {
+      let h = clamp(0.5 + 0.5 * (core - shape) / k, 0.0, 1.0);
+      return mix(core, shape, h) - k * h * (1.0 - h);
+    }
+    case 3: {
+      return max(shape, -core);
+    }
+    case 4: {
+      return max(shape, abs(core) - k);
+    }
+    default: {
+      return max(shape, core);
+    }
+  }
+}
+
+fn baseGeometry(p: vec4f, kind: i32, time: f32) -> f32 {
+  switch kind {
+    case 0: {
+      // Tetrahedron
+      return max(max(max(abs(p.x + p.y) - p.z, abs(p.x - p.y) - p.z),
+                     abs(p.x + p.y) + p.z), abs(p.x - p.y) + p.z) / sqrt(3.0);
+    }
+    case 1: {
+      // Hypercube
+      let q = abs(p) - vec4f(0.8);
+      return length(max(q, vec4f(0.0))) + min(max(max(max(q.x, q.y), q.z), q.w), 0.0);
+    }
+    case 2: {
+      // Sphere
+      return length(p) - 1.0;
+    }
+    case 3: {
+      // Torus
+      let t = vec2f(length(p.xy) - 0.8, p.z);
+      return length(t) - 0.3;
+    }
+    case 4: {
+      // Klein bottle (simplified)
+      let r = length(p.xy);
+      return abs(r - 0.7) - 0.2 + sin(atan2(p.y, p.x) * 3.0 + p.z * 5.0) * 0.1;
+    }
+    case 5: {
+      // Fractal (Mandelbulb approximation)
+      return length(p) - 0.8 + sin(p.x * 5.0) * sin(p.y * 5.0) * sin(p.z * 5.0) * 0.2;
+    }
+    case 6: {
+      // Wave
+      return abs(p.z - sin(p.x * 5.0 + time) * cos(p.y * 5.0 + time) * 0.3) - 0.1;
+    }
+    default: {
+      // Crystal
+      let q = abs(p);
+      return max(max(max(q.x, q.y), q.z), q.w) - 0.8;
+    }
+  }
+}
+
+// coreParams = (operator, blend radius)
+fn geometry(p: vec4f, kind: f32, time: f32, coreParams: vec2f) -> f32 {
+  let core = i32(clamp(floor(kind / GEOMETRY_BASE_COUNT), 0.0, GEOMETRY_CORE_COUNT - 1.0));
+  let base = i32(clamp(floor(kind - floor(kind / GEOMETRY_BASE_COUNT) * GEOMETRY_BASE_COUNT + 0.5), 0.0, GEOMETRY_BASE_COUNT - 1.0));
+  let shape = baseGeometry(p, base, time);
+  if (core == 0) {
+    return shape;
+  }
+  return combineCore(shape, coreField(p, core), coreParams.x, coreParams.y);
+}
+`;
+
+/**
+ * Full faceted pipeline. Uniform members mirror FacetedUniformLayout (std140) and the
+ * instance arrays mirror PolytopeInstanceBuffer's std430 layout.
+ */
+export const FACETED_WGSL = `
+struct FacetedUniforms {
+  planes3d: vec4f,    // rot4dXY, rot4dXZ, rot4dYZ, time
+  planes4d: vec4f,    // rot4dXW, rot4dYW, rot4dZW, rotationDrift
+  view: vec4f,        // width, height, gridDensity, geometry
+  pattern: vec4f,     // morphFactor, chaos, hue, intensity
+  projection: vec4f,  // mode, distance, dimension, unused
+  core: vec4f,        // coreOperator, coreBlend, unused, unused
+};
+
+struct Instances {
+  modelMatrices: array<mat4x4f, ${FACETED_MAX_INSTANCES}>,
+  rotors: array<vec4f, ${FACETED_MAX_INSTANCES}>,
+  colors: array<vec4f, ${FACETED_MAX_INSTANCES}>,
+  misc: array<vec4f, ${FACETED_MAX_INSTANCES}>,
+};
+
+@group(0) @binding(0) var<uniform> u: FacetedUniforms;
+@group(0) @binding(1) var<storage, read> instances: Instances;
+
+${ROTATION_WGSL}
+${PROJECTION_WGSL}
+${GEOMETRY_WGSL}
+
+struct VertexOutput {
+  @builtin(position) position: vec4f,
+  @location(0) @interpolate(flat) instance: u32,
+};
+
+// One oversized triangle covers the viewport, so no vertex buffer is needed
+@vertex
+fn vs_main(@builtin(vertex_index) vertex: u32, @builtin(instance_index) instance: u32) -> VertexOutput {
+  let corner = vec2f(f32((vertex << 1u) & 2u), f32(vertex & 2u));
+  var output: VertexOutput;
+  output.position = vec4f(corner * 2.0 - 1.0, 0.0, 1.0);
+  output.instance = instance;
+  return output;
+}
+
+@fragment
+fn fs_main(input: VertexOutput) -> @location(0) vec4f {
+  let time = u.planes3d.w;
+  let resolution = u.view.xy;
+  // WebGPU's framebuffer origin is top-left; flip to match gl_FragCoord
+  let fragCoord = vec2f(input.position.x, resolution.y - input.position.y);
+  let density = u.view.z * max(instances.misc[input.instance].x, 0.0001);
+
+  var uv = (fragCoord - 0.5 * resolution) / min(resolution.x, resolution.y);
+  uv *= 2.0 / density;
+
+  var pos = unproject4D(vec3f(uv, sin(time * 0.3) * 0.5), cos(time * 0.2) * 0.5, u.projection.x, u.projection.y);
+  pos = apply6DRotation(pos, u.planes3d.xyz, u.planes4d.xyz, time, u.planes4d.w);
+  pos = instances.modelMatrices[input.instance] * pos;
+
+  pos *= u.pattern.x;
+  pos += vec4f(sin(time * 0.1), cos(time * 0.15), sin(time * 0.12), cos(time * 0.18)) * u.pattern.y;
+
+  let dist = geometry(pos, u.view.w, time, u.core.xy);
+
+  // 1 - smoothstep(0, e, x) equals GLSL's reversed-edge smoothstep(e, 0, x)
+  let edge = 1.0 - smoothstep(0.0, 0.02, abs(dist));
+  let fill = (1.0 - smoothstep(0.0, 0.1, dist)) * 0.3;
+
+  let hueVal = u.pattern.z / 360.0 + dist * 0.2 + time * 0.05;
+  let color = vec3f(
+    0.5 + 0.5 * cos(hueVal * 6.28),
+    0.5 + 0.5 * cos((hueVal + 0.33) * 6.28),
+    0.5 + 0.5 * cos((hueVal + 0.67) * 6.28),
+  ) * instances.colors[input.instance].rgb;
+
+  let alpha = (edge + fill) * u.pattern.w * instances.colors[input.instance].a;
+  return vec4f(color * alpha, alpha);
+}
+`;
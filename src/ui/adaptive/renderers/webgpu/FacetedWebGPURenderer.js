@@ -0,0 +1,134 @@
+import { createStd140Layout, writeField } from "./BufferLayout.js";
+import { PolytopeInstanceBuffer } from "./PolytopeInstanceBuffer.js";
+import { TripleBufferedUniform } from "./TripleBufferedUniform.js";
+import { FACETED_MAX_INSTANCES, FACETED_WGSL } from "./FacetedWGSL.js";
+export const FacetedUniformLayout = createStd140Layout([
+    { name: 'planes3d', type: 'vec4' },
+    { name: 'planes4d', type: 'vec4' },
+    { name: 'view', type: 'vec4' },
+    { name: 'pattern', type: 'vec4' },
+    { name: 'projection', type: 'vec4' },
+    { name: 'core', type: 'vec4' },
+]);
+const CONTENT_INSTANCE = {
+    modelMatrix: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1],
+    rotor: [0, 0, 0, 1],
+    color: [1, 1, 1, 1],
+    misc: { scale: 1, id: 0 },
+};
+/**
+ * FacetedSystem's uniform values grouped by FacetedUniformLayout field.
+ */
+export function getFacetedUniformFields(uniforms) {
+    return {
+        planes3d: [uniforms.u_rot4dXY, uniforms.u_rot4dXZ, uniforms.u_rot4dYZ, uniforms.u_time],
+        planes4d: [uniforms.u_rot4dXW, uniforms.u_rot4dYW, uniforms.u_rot4dZW, uniforms.u_rotationDrift],
+        view: [uniforms.u_resolution[0], uniforms.u_resolution[1], uniforms.u_gridDensity, uniforms.u_geometry],
+        pattern: [uniforms.u_morphFactor, uniforms.u_chaos, uniforms.u_hue, uniforms.u_intensity],
+        projection: [uniforms.u_projectionMode, uniforms.u_projectionDistance, uniforms.u_dimension, 0],
+        core: [uniforms.u_coreOperator, uniforms.u_coreBlend, 0, 0],
+    };
+}
+/**
+ * Pack FacetedSystem's uniform values into FacetedUniformLayout.
+ */
+export function writeFacetedUniforms(target, uniforms) {
+    for (const [name, values] of Object.entries(getFacetedUniformFields(uniforms))) {
+        writeField(FacetedUniformLayout, target, name, values);
+    }
+    return target;
+}
+/**
+ * WebGPU twin of FacetedSystem's WebGL path: one fullscreen draw per instance in the
+ * PolytopeInstanceBuffer (the content layer), shaded by FACETED_WGSL. Uniforms rotate through
+ * a TripleBufferedUniform, with one bind group per ring slot.
+ */
+export class FacetedWebGPURenderer {
+    device;
+    context;
+    format;
+    label;
+    uniforms;
+    instances;
+    pipeline;
+    bindGroups;
+    destroyed = false;
+    constructor(options) {
+        if (!options?.device) {
+            throw new Error('FacetedWebGPURenderer requires a WebGPU-compatible device.');
+        }
+        if (!options.context) {
+            throw new Error('FacetedWebGPURenderer requires a WebGPU canvas context.');
+        }
+        this.device = options.device;
+        this.context = options.context;
+        this.format = options.format ?? 'bgra8unorm';
+        this.label = options.label ?? 'FacetedWebGPURenderer';
+        this.context.configure({ device: this.device, format: this.format, alphaMode: 'premultiplied' });
+        const module = this.device.createShaderModule({ code: FACETED_WGSL, label: `${this.label}-shader` });
+        // Same blend state as the WebGL path: SRC_ALPHA, ONE_MINUS_SRC_ALPHA over a cleared black target
+        const blend = { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' };
+        this.pipeline = this.device.createRenderPipeline({
+            label: `${this.label}-pipeline`,
+            layout: 'auto',
+            vertex: { module, entryPoint: 'vs_main' },
+            fragment: {
+                module,
+                entryPoint: 'fs_main',
+                targets: [{ format: this.format, blend: { color: blend, alpha: blend } }],
+            },
+            primitive: { topology: 'triangle-list' },
+        });
+        this.uniforms = new TripleBufferedUniform({
+            device: this.device,
+            layout: FacetedUniformLayout,
+            label: `${this.label}-uniforms`,
+        });
+        this.instances = new PolytopeInstanceBuffer({
+            device: this.device,
+            maxInstances: FACETED_MAX_INSTANCES,
+            label: `${this.label}-instances`,
+        });
+        this.instances.writeInstance(CONTENT_INSTANCE, { index: 0 });
+        this.instances.upload();
+        const bindGroupLayout = this.pipeline.getBindGroupLayout(0);
+        this.bindGroups = this.uniforms.buffers.map((_, slot) => this.device.createBindGroup({
+            label: `${this.label}-bind-group${slot}`,
+            layout: bindGroupLayout,
+            entries: [this.uniforms.bindGroupEntry(0, slot), this.instances.bindGroupEntry(1)],
+        }));
+    }
+    render(uniforms) {
+        if (this.destroyed) {
+            return;
+        }
+        const slot = this.uniforms.beginFrame();
+        this.uniforms.write(getFacetedUniformFields(uniforms));
+        this.uniforms.upload();
+        const encoder = this.device.createCommandEncoder({ label: `${this.label}-frame` });
+        const pass = encoder.beginRenderPass({
+            colorAttachments: [
+                {
+                    view: this.context.getCurrentTexture().createView(),
+                    clearValue: { r: 0, g: 0, b: 0, a: 1 },
+                    loadOp: 'clear',
+                    storeOp: 'store',
+                },
+            ],
+        });
+        pass.setPipeline(this.pipeline);
+        pass.setBindGroup(0, this.bindGroups[slot]);
+        pass.draw(3, this.instances.count);
+        pass.end();
+        this.device.queue.submit([encoder.finish()]);
+    }
+    destroy() {
+        if (this.destroyed) {
+            return;
+        }
+        this.destroyed = true;
+        this.uniforms.destroy();
+        this.instances.buffer.destroy?.();
+        this.context.unconfigure?.();
+    }
+}
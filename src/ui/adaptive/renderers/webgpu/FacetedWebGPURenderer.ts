@@ -0,0 +1,220 @@
+import { createStd140Layout, writeField } from './BufferLayout.ts';
+import { PolytopeInstanceBuffer, type PolytopeInstance } from './PolytopeInstanceBuffer.ts';
+import { TripleBufferedUniform, type GPUDeviceLike, type GPUQueueLike } from './TripleBufferedUniform.ts';
+import { FACETED_MAX_INSTANCES, FACETED_WGSL } from './FacetedWGSL.ts';
+
+export const FacetedUniformLayout = createStd140Layout([
+  { name: 'planes3d', type: 'vec4' },
+  { name: 'planes4d', type: 'vec4' },
+  { name: 'view', type: 'vec4' },
+  { name: 'pattern', type: 'vec4' },
+  { name: 'projection', type: 'vec4' },
+  { name: 'core', type: 'vec4' },
+]);
+
+/** Per-frame values, named like FacetedSystem's GLSL uniforms so both backends share one source. */
+export interface FacetedFrameUniforms {
+  readonly u_time: number;
+  readonly u_resolution: readonly [number, number];
+  readonly u_geometry: number;
+  readonly u_rot4dXY: number;
+  readonly u_rot4dXZ: number;
+  readonly u_rot4dYZ: number;
+  readonly u_rot4dXW: number;
+  readonly u_rot4dYW: number;
+  readonly u_rot4dZW: number;
+  readonly u_rotationDrift: number;
+  readonly u_dimension: number;
+  readonly u_gridDensity: number;
+  readonly u_morphFactor: number;
+  readonly u_chaos: number;
+  readonly u_hue: number;
+  readonly u_intensity: number;
+  readonly u_projectionMode: number;
+  readonly u_projectionDistance: number;
+  readonly u_coreOperator: number;
+  readonly u_coreBlend: number;
+}
+
+export interface GPURenderPassLike {
+  setPipeline(pipeline: unknown): void;
+  setBindGroup(index: number, bindGroup: unknown): void;
+  draw(vertexCount: number, instanceCount?: number): void;
+  end(): void;
+}
+
+export interface GPUCommandEncoderLike {
+  beginRenderPass(descriptor: Record<string, unknown>): GPURenderPassLike;
+  finish(): unknown;
+}
+
+export interface GPURenderPipelineLike {
+  getBindGroupLayout(index: number): unknown;
+}
+
+export interface GPURenderQueueLike extends GPUQueueLike {
+  submit(commandBuffers: readonly unknown[]): void;
+}
+
+/** The slice of GPUDevice the faceted pipeline needs on top of buffer creation. */
+export interface GPURenderDeviceLike extends GPUDeviceLike {
+  readonly queue: GPURenderQueueLike;
+  createShaderModule(descriptor: { code: string; label?: string }): unknown;
+  createRenderPipeline(descriptor: Record<string, unknown>): GPURenderPipelineLike;
+  createBindGroup(descriptor: Record<string, unknown>): unknown;
+  createCommandEncoder(descriptor?: { label?: string }): GPUCommandEncoderLike;
+}
+
+export interface GPUCanvasContextLike {
+  configure(configuration: { device: GPURenderDeviceLike; format: string; alphaMode?: string }): void;
+  unconfigure?(): void;
+  getCurrentTexture(): { createView(): unknown };
+}
+
+export interface FacetedWebGPURendererOptions {
+  readonly device: GPURenderDeviceLike;
+  readonly context: GPUCanvasContextLike;
+  /** Canvas texture format, usually navigator.gpu.getPreferredCanvasFormat(). */
+  readonly format?: string;
+  readonly label?: string;
+}
+
+const CONTENT_INSTANCE: PolytopeInstance = {
+  modelMatrix: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1],
+  rotor: [0, 0, 0, 1],
+  color: [1, 1, 1, 1],
+  misc: { scale: 1, id: 0 },
+};
+
+/**
+ * FacetedSystem's uniform values grouped by FacetedUniformLayout field.
+ */
+export function getFacetedUniformFields(uniforms: FacetedFrameUniforms): Record<string, number[]> {
+  return {
+    planes3d: [uniforms.u_rot4dXY, uniforms.u_rot4dXZ, uniforms.u_rot4dYZ, uniforms.u_time],
+    planes4d: [uniforms.u_rot4dXW, uniforms.u_rot4dYW, uniforms.u_rot4dZW, uniforms.u_rotationDrift],
+    view: [uniforms.u_resolution[0], uniforms.u_resolution[1], uniforms.u_gridDensity, uniforms.u_geometry],
+    pattern: [uniforms.u_morphFactor, uniforms.u_chaos, uniforms.u_hue, uniforms.u_intensity],
+    projection: [uniforms.u_projectionMode, uniforms.u_projectionDistance, uniforms.u_dimension, 0],
+    core: [uniforms.u_coreOperator, uniforms.u_coreBlend, 0, 0],
+  };
+}
+
+/**
+ * Pack FacetedSystem's uniform values into FacetedUniformLayout.
+ */
+export function writeFacetedUniforms(target: Float32Array, uniforms: FacetedFrameUniforms): Float32Array {
+  for (const [name, values] of Object.entries(getFacetedUniformFields(uniforms))) {
+    writeField(FacetedUniformLayout, target, name, values);
+  }
+  return target;
+}
+
+/**
+ * WebGPU twin of FacetedSystem's WebGL path: one fullscreen draw per instance in the
+ * PolytopeInstanceBuffer (the content layer), shaded by FACETED_WGSL. Uniforms rotate through
+ * a TripleBufferedUniform, with one bind group per ring slot.
+ */
+export class FacetedWebGPURenderer {
+  readonly device: GPURenderDeviceLike;
+  readonly context: GPUCanvasContextLike;
+  readonly format: string;
+  readonly label: string;
+  readonly uniforms: TripleBufferedUniform;
+  readonly instances: PolytopeInstanceBuffer;
+
+  private readonly pipeline: GPURenderPipelineLike;
+  private readonly bindGroups: readonly unknown[];
+  private destroyed = false;
+
+  constructor(options: FacetedWebGPURendererOptions) {
+    if (!options?.device) {
+      throw new Error('FacetedWebGPURenderer requires a WebGPU-compatible device.');
+    }
+    if (!options.context) {
+      throw new Error('FacetedWebGPURenderer requires a WebGPU canvas context.');
+    }
+
+    this.device = options.device;
+    this.context = options.context;
+    this.format = options.format ?? 'bgra8unorm';
+    this.label = options.label ?? 'FacetedWebGPURenderer';
+
+    this.context.configure({ device: this.device, format: this.format, alphaMode: 'premultiplied' });
+
+    const module = this.device.createShaderModule({ code: FACETED_WGSL, label: `${this.label}-shader` });
+    // Same blend state as the WebGL path: SRC_ALPHA, ONE_MINUS_SRC_ALPHA over a cleared black target
+    const blend = { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' };
+    this.pipeline = this.device.createRenderPipeline({
+      label: `${this.label}-pipeline`,
+      layout: 'auto',
+      vertex: { module, entryPoint: 'vs_main' },
+      fragment: {
+        module,
+        entryPoint: 'fs_main',
+        targets: [{ format: this.format, blend: { color: blend, alpha: blend } }],
+      },
+      primitive: { topology: 'triangle-list' },
+    });
+
+    this.uniforms = new TripleBufferedUniform({
+      device: this.device,
+      layout: FacetedUniformLayout,
+      label: `${this.label}-uniforms`,
+    });
+
+    this.instances = new PolytopeInstanceBuffer({
+      device: this.device,
+      maxInstances: FACETED_MAX_INSTANCES,
+      label: `${this.label}-instances`,
+    });
+    this.instances.writeInstance(CONTENT_INSTANCE, { index: 0 });
+    this.instances.upload();
+
+    const bindGroupLayout = this.pipeline.getBindGroupLayout(0);
+    this.bindGroups = this.uniforms.buffers.map((_, slot) =>
+      this.device.createBindGroup({
+        label: `${this.label}-bind-group${slot}`,
+        layout: bindGroupLayout,
+        entries: [this.uniforms.bindGroupEntry(0, slot), this.instances.bindGroupEntry(1)],
+      })
+    );
+  }
+
+  render(uniforms: FacetedFrameUniforms): void {
+    if (this.destroyed) {
+      return;
+    }
+
+    const slot = this.uniforms.beginFrame();
+    this.uniforms.write(getFacetedUniformFields(uniforms));
+    this.uniforms.upload();
+
+    const encoder = this.device.createCommandEncoder({ label: `${this.label}-frame` });
+    const pass = encoder.beginRenderPass({
+      colorAttachments: [
+        {
+          view: this.context.getCurrentTexture().createView(),
+          clearValue: { r: 0, g: 0, b: 0, a: 1 },
+          loadOp: 'clear',
+          storeOp: 'store',
+        },
+      ],
+    });
+    pass.setPipeline(this.pipeline);
+    pass.setBindGroup(0, this.bindGroups[slot]);
+    pass.draw(3, this.instances.count);
+    pass.end();
+    this.device.queue.submit([encoder.finish()]);
+  }
+
+  destroy(): void {
+    if (this.destroyed) {
+      return;
+    }
+    this.destroyed = true;
+    this.uniforms.destroy();
+    this.instances.buffer.destroy?.();
+    this.context.unconfigure?.();
+  }
+}
@@ -0,0 +1,110 @@
+import { createFloat32ArrayForLayout, readField, writeField } from "./BufferLayout.js";
+const GPU_BUFFER_USAGE_UNIFORM = 0x40;
+const GPU_BUFFER_USAGE_COPY_DST = 0x8;
+/**
+ * A ring of uniform buffers sharing one BufferLayout. Each frame writes a different GPU buffer
+ * than the frames still in flight read from, so uploads never wait on a fence: beginFrame()
+ * rotates to the next slot and upload() schedules queue.writeBuffer for it. The CPU copy is
+ * shared, and slots are only rewritten when they are older than it.
+ */
+export class TripleBufferedUniform {
+    device;
+    layout;
+    label;
+    slotCount;
+    buffers;
+    data;
+    slot = 0;
+    frameCount = 0;
+    version = 1;
+    slotVersions;
+    constructor(options) {
+        if (!options?.device) {
+            throw new Error('TripleBufferedUniform requires a WebGPU-compatible device.');
+        }
+        if (!options.layout) {
+            throw new Error('TripleBufferedUniform requires a buffer layout.');
+        }
+        const slotCount = Math.floor(options.slotCount ?? 3);
+        if (!Number.isFinite(slotCount) || slotCount <= 0) {
+            throw new Error('TripleBufferedUniform slotCount must be a positive integer.');
+        }
+        this.device = options.device;
+        this.layout = options.layout;
+        this.label = options.label ?? 'TripleBufferedUniform';
+        this.slotCount = slotCount;
+        this.data = createFloat32ArrayForLayout(this.layout);
+        this.slotVersions = new Array(slotCount).fill(0);
+        const usage = options.usage ?? (GPU_BUFFER_USAGE_UNIFORM | GPU_BUFFER_USAGE_COPY_DST);
+        const buffers = [];
+        for (let i = 0; i < slotCount; i += 1) {
+            buffers.push(this.device.createBuffer({ size: this.layout.byteSize, usage, label: `${this.label}-slot${i}` }));
+        }
+        this.buffers = buffers;
+    }
+    /** Index of the slot the current frame writes and binds. */
+    get currentSlot() {
+        return this.slot;
+    }
+    get currentBuffer() {
+        return this.buffers[this.slot];
+    }
+    /** Frames begun since construction. */
+    get frame() {
+        return this.frameCount;
+    }
+    /** Whether the current slot's GPU buffer is older than the CPU copy. */
+    get needsUpload() {
+        return this.slotVersions[this.slot] !== this.version;
+    }
+    /**
+     * Advance to the next slot. Call once per frame before writing.
+     * @returns The slot index for this frame.
+     */
+    beginFrame() {
+        this.slot = (this.slot + 1) % this.slotCount;
+        this.frameCount += 1;
+        return this.slot;
+    }
+    writeField(name, values, options) {
+        writeField(this.layout, this.data, name, values, options);
+        this.version += 1;
+    }
+    /** Write several fields at once, e.g. { rotor4d: [0, 0, 0, 1], metrics: [time, 0, 0, 0] }. */
+    write(fields) {
+        for (const [name, values] of Object.entries(fields)) {
+            writeField(this.layout, this.data, name, values);
+        }
+        this.version += 1;
+    }
+    readField(name, options) {
+        return readField(this.layout, this.data, name, options);
+    }
+    /**
+     * Schedule the CPU copy into the current slot. Skips the write when that slot is already current.
+     * @returns Whether queue.writeBuffer was called.
+     */
+    upload(queue = this.device.queue) {
+        if (!queue || typeof queue.writeBuffer !== 'function') {
+            throw new Error('TripleBufferedUniform.upload requires a valid GPU queue.');
+        }
+        if (!this.needsUpload) {
+            return false;
+        }
+        queue.writeBuffer(this.buffers[this.slot], 0, this.data);
+        this.slotVersions[this.slot] = this.version;
+        return true;
+    }
+    /** Bind group entry for a slot (the current one by default); build one bind group per slot. */
+    bindGroupEntry(binding = 0, slot = this.slot) {
+        if (slot < 0 || slot >= this.slotCount) {
+            throw new Error(`Slot ${slot} is out of bounds for slotCount=${this.slotCount}.`);
+        }
+        return { binding, resource: { buffer: this.buffers[slot] } };
+    }
+    destroy() {
+        for (const buffer of this.buffers) {
+            buffer.destroy?.();
+        }
+    }
+}
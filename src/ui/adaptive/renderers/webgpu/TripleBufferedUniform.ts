@@ -0,0 +1,161 @@
+import { createFloat32ArrayForLayout, readField, writeField, type BufferLayout, type WriteFieldOptions } from './BufferLayout.ts';
+
+const GPU_BUFFER_USAGE_UNIFORM = 0x40;
+const GPU_BUFFER_USAGE_COPY_DST = 0x8;
+
+/**
+ * The subset of the WebGPU API the uniform ring and instance buffers touch. Real GPUDevice,
+ * GPUQueue and GPUBuffer objects satisfy these structurally; tests can pass plain objects.
+ */
+export interface GPUBufferLike {
+  readonly size?: number;
+  readonly label?: string;
+  destroy?(): void;
+}
+
+export interface GPUBufferDescriptorLike {
+  readonly size: number;
+  readonly usage: number;
+  readonly label?: string;
+}
+
+export interface GPUQueueLike {
+  writeBuffer(buffer: GPUBufferLike, bufferOffset: number, data: Float32Array, dataOffset?: number, size?: number): void;
+}
+
+export interface GPUDeviceLike {
+  readonly queue: GPUQueueLike;
+  createBuffer(descriptor: GPUBufferDescriptorLike): GPUBufferLike;
+}
+
+export interface TripleBufferedUniformOptions {
+  readonly device: GPUDeviceLike;
+  readonly layout: BufferLayout;
+  readonly label?: string;
+  /** Ring length. Defaults to 3: one slot being written, up to two frames in flight. */
+  readonly slotCount?: number;
+  readonly usage?: number;
+}
+
+/**
+ * A ring of uniform buffers sharing one BufferLayout. Each frame writes a different GPU buffer
+ * than the frames still in flight read from, so uploads never wait on a fence: beginFrame()
+ * rotates to the next slot and upload() schedules queue.writeBuffer for it. The CPU copy is
+ * shared, and slots are only rewritten when they are older than it.
+ */
+export class TripleBufferedUniform {
+  readonly device: GPUDeviceLike;
+  readonly layout: BufferLayout;
+  readonly label: string;
+  readonly slotCount: number;
+  readonly buffers: readonly GPUBufferLike[];
+  readonly data: Float32Array;
+
+  private slot = 0;
+  private frameCount = 0;
+  private version = 1;
+  private readonly slotVersions: number[];
+
+  constructor(options: TripleBufferedUniformOptions) {
+    if (!options?.device) {
+      throw new Error('TripleBufferedUniform requires a WebGPU-compatible device.');
+    }
+    if (!options.layout) {
+      throw new Error('TripleBufferedUniform requires a buffer layout.');
+    }
+    const slotCount = Math.floor(options.slotCount ?? 3);
+    if (!Number.isFinite(slotCount) || slotCount <= 0) {
+      throw new Error('TripleBufferedUniform slotCount must be a positive integer.');
+    }
+
+    this.device = options.device;
+    this.layout = options.layout;
+    this.label = options.label ?? 'TripleBufferedUniform';
+    this.slotCount = slotCount;
+    this.data = createFloat32ArrayForLayout(this.layout);
+    this.slotVersions = new Array(slotCount).fill(0);
+
+    const usage = options.usage ?? (GPU_BUFFER_USAGE_UNIFORM | GPU_BUFFER_USAGE_COPY_DST);
+    const buffers: GPUBufferLike[] = [];
+    for (let i = 0; i < slotCount; i += 1) {
+      buffers.push(this.device.createBuffer({ size: this.layout.byteSize, usage, label: `${this.label}-slot${i}` }));
+    }
+    this.buffers = buffers;
+  }
+
+  /** Index of the slot the current frame writes and binds. */
+  get currentSlot(): number {
+    return this.slot;
+  }
+
+  get currentBuffer(): GPUBufferLike {
+    return this.buffers[this.slot];
+  }
+
+  /** Frames begun since construction. */
+  get frame(): number {
+    return this.frameCount;
+  }
+
+  /** Whether the current slot's GPU buffer is older than the CPU copy. */
+  get needsUpload(): boolean {
+    return this.slotVersions[this.slot] !== this.version;
+  }
+
+  /**
+   * Advance to the next slot. Call once per frame before writing.
+   * @returns The slot index for this frame.
+   */
+  beginFrame(): number {
+    this.slot = (this.slot + 1) % this.slotCount;
+    this.frameCount += 1;
+    return this.slot;
+  }
+
+  writeField(name: string, values: ArrayLike<number>, options?: WriteFieldOptions): void {
+    writeField(this.layout, this.data, name, values, options);
+    this.version += 1;
+  }
+
+  /** Write several fields at once, e.g. { rotor4d: [0, 0, 0, 1], metrics: [time, 0, 0, 0] }. */
+  write(fields: Readonly<Record<string, ArrayLike<number>>>): void {
+    for (const [name, values] of Object.entries(fields)) {
+      writeField(this.layout, this.data, name, values);
+    }
+    this.version += 1;
+  }
+
+  readField(name: string, options?: WriteFieldOptions): Float32Array {
+    return readField(this.layout, this.data, name, options);
+  }
+
+  /**
+   * Schedule the CPU copy into the current slot. Skips the write when that slot is already current.
+   * @returns Whether queue.writeBuffer was called.
+   */
+  upload(queue: GPUQueueLike = this.device.queue): boolean {
+    if (!queue || typeof queue.writeBuffer !== 'function') {
+      throw new Error('TripleBufferedUniform.upload requires a valid GPU queue.');
+    }
+    if (!this.needsUpload) {
+      return false;
+    }
+    queue.writeBuffer(this.buffers[this.slot], 0, this.data);
+    this.slotVersions[this.slot] = this.version;
+    return true;
+  }
+
+  /** Bind group entry for a slot (the current one by default); build one bind group per slot. */
+  bindGroupEntry(binding = 0, slot = this.slot): { binding: number; resource: { buffer: GPUBufferLike } } {
+    if (slot < 0 || slot >= this.slotCount) {
+      throw new Error(`Slot ${slot} is out of bounds for slotCount=${this.slotCount}.`);
+    }
+    return { binding, resource: { buffer: this.buffers[slot] } };
+  }
+
+  destroy(): void {
+    for (const buffer of this.buffers) {
+      buffer.destroy?.();
+    }
+  }
+}
@@ -0,0 +1,5 @@
+export * from "./BufferLayout.js";
+export * from "./PolytopeInstanceBuffer.js";
+export * from "./TripleBufferedUniform.js";
+export * from "./FacetedWGSL.js";
+export * from "./FacetedWebGPURenderer.js";
@@ -0,0 +1,5 @@
+export * from './BufferLayout.ts';
+export * from './PolytopeInstanceBuffer.ts';
+export * from './TripleBufferedUniform.ts';
+export * from './FacetedWGSL.ts';
+export * from './FacetedWebGPURenderer.ts';
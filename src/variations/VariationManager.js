@@ -4,6 +4,11 @@
  */
 
 import { GeometryLibrary } from '../geometry/GeometryLibrary.js';
+import { getGeometry, getGeometryUniform, migrateLegacyGeometry } from '../geometry/GeometryCatalogue.js';
+import { getCustomGeometry, registerCustomGeometry } from '../geometry/CustomGeometry.js';
+
+// Custom variations and export files from 1.1.0 on store catalogue geometry IDs; 1.0.0 used 9 IDs per core
+const VARIATION_VERSION = '1.1.0';
 
 export class VariationManager {
     constructor(engine) {
@@ -39,6 +44,9 @@ export class VariationManager {
         // Custom variations storage (70 slots)
         this.customVariations = new Array(70).fill(null);
         
+        // Snippets of the custom geometries those variations use, once per source hash
+        this.customGeometries = {};
+        
         // Total variation count
         this.totalVariations = 100;
     }
@@ -109,6 +117,9 @@ export class VariationManager {
             
             if (customVar) {
                 params = { ...customVar.parameters, variation: index };
+                if (customVar.customGeometry) {
+                    params.geometry = this.resolveCustomGeometry(customVar);
+                }
             } else {
                 // Empty slot - use current parameters
                 params = { ...this.engine.parameterManager.getAllParameters(), variation: index };
@@ -140,6 +151,7 @@ export class VariationManager {
         
         const customVariation = {
             name: `${currentGeometry} CUSTOM ${emptyIndex + 1}`,
+            version: VARIATION_VERSION,
             timestamp: new Date().toISOString(),
             parameters: { ...currentParams },
             metadata: {
@@ -148,18 +160,51 @@ export class VariationManager {
             }
         };
         
+        // Custom geometry IDs depend on registration order: keep the key, the source hash and what to draw without it
+        const custom = getCustomGeometry(currentParams.geometry);
+        if (custom) {
+            customVariation.geometry = getGeometry(currentParams.geometry).key;
+            customVariation.customGeometry = custom.hash;
+            customVariation.fallbackGeometry = getGeometryUniform(currentParams.geometry);
+            this.customGeometries[custom.hash] = { name: custom.name, source: custom.source, fallback: custom.fallback };
+            this.saveCustomGeometries();
+        }
+        
         this.customVariations[emptyIndex] = customVariation;
         this.saveCustomVariations();
         
         return 30 + emptyIndex; // Return absolute variation index
     }
     
+    /**
+     * Catalogue ID of a variation's custom geometry, registering its snippet first
+     * Without the snippet the built-in geometry it was drawn as is used
+     */
+    resolveCustomGeometry(customVar) {
+        const saved = this.customGeometries[customVar.customGeometry];
+        if (saved) {
+            registerCustomGeometry(saved.source, { name: saved.name, fallback: saved.fallback });
+        }
+        
+        const entry = getGeometry(customVar.geometry);
+        if (!entry) {
+            console.warn(`⚠️ Custom geometry ${customVar.customGeometry} is missing; using geometry ${customVar.fallbackGeometry}`);
+            return customVar.fallbackGeometry;
+        }
+        return entry.id;
+    }
+    
     /**
      * Delete custom variation
      */
     deleteCustomVariation(customIndex) {
         if (customIndex >= 0 && customIndex < 70) {
+            const hash = this.customVariations[customIndex]?.customGeometry;
             this.customVariations[customIndex] = null;
+            if (hash && !this.customVariations.some(variation => variation?.customGeometry === hash)) {
+                delete this.customGeometries[hash];
+                this.saveCustomGeometries();
+            }
             this.saveCustomVariations();
             return true;
         }
@@ -303,11 +348,39 @@ export class VariationManager {
                 const parsed = JSON.parse(stored);
                 if (Array.isArray(parsed) && parsed.length === 70) {
                     this.customVariations = parsed;
+                    if (this.customVariations.filter(variation => this.migrateVariationGeometry(variation)).length > 0) {
+                        this.saveCustomVariations();
+                    }
                 }
             }
         } catch (error) {
             console.warn('Failed to load custom variations:', error);
         }
+        
+        try {
+            const stored = localStorage.getItem('vib34d-custom-geometries');
+            if (stored) {
+                this.customGeometries = JSON.parse(stored) || {};
+            }
+        } catch (error) {
+            console.warn('Failed to load custom geometries:', error);
+        }
+    }
+    
+    /**
+     * Map a 1.0.0 custom variation's geometry to its catalogue ID and mark it current
+     * Variations with a custom geometry were saved against the catalogue already.
+     * @returns {boolean} Whether the variation was migrated
+     */
+    migrateVariationGeometry(variation) {
+        if (!variation || variation.version || variation.customGeometry) {
+            return false;
+        }
+        if (variation.parameters?.geometry !== undefined) {
+            variation.parameters.geometry = migrateLegacyGeometry(variation.parameters.geometry);
+        }
+        variation.version = VARIATION_VERSION;
+        return true;
     }
     
     /**
@@ -321,15 +394,35 @@ export class VariationManager {
         }
     }
     
+    /**
+     * Save the custom geometry snippets to localStorage
+     */
+    saveCustomGeometries() {
+        try {
+            localStorage.setItem('vib34d-custom-geometries', JSON.stringify(this.customGeometries));
+        } catch (error) {
+            console.warn('Failed to save custom geometries:', error);
+        }
+    }
+    
     /**
      * Export all custom variations as JSON
      */
     exportCustomVariations() {
+        const variations = this.customVariations.filter(v => v !== null);
+        const customGeometries = {};
+        variations.forEach(variation => {
+            if (this.customGeometries[variation.customGeometry]) {
+                customGeometries[variation.customGeometry] = this.customGeometries[variation.customGeometry];
+            }
+        });
+        
         const exportData = {
             type: 'vib34d-custom-variations',
-            version: '1.0.0',
+            version: VARIATION_VERSION,
             timestamp: new Date().toISOString(),
-            variations: this.customVariations.filter(v => v !== null)
+            variations,
+            customGeometries
         };
         
         const json = JSON.stringify(exportData, null, 2);
@@ -353,12 +446,20 @@ export class VariationManager {
             const data = JSON.parse(text);
             
             if (data.type === 'vib34d-custom-variations' && Array.isArray(data.variations)) {
+                // Snippets first, so the variations that use them resolve (1.0.0 files have none)
+                Object.assign(this.customGeometries, data.customGeometries || {});
+                this.saveCustomGeometries();
+                
                 // Merge imported variations
                 let importCount = 0;
                 
                 data.variations.forEach(variation => {
                     const emptyIndex = this.customVariations.findIndex(slot => slot === null);
                     if (emptyIndex !== -1) {
+                        if (data.version && data.version !== '1.0.0') {
+                            variation.version = variation.version || data.version;
+                        }
+                        this.migrateVariationGeometry(variation);
                         this.customVariations[emptyIndex] = variation;
                         importCount++;
                     }
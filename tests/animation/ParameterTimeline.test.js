@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { ParameterTimeline } from '../../src/animation/ParameterTimeline.js';
+
+describe('ParameterTimeline', () => {
+    it('interpolates float parameters between keyframes', () => {
+        const timeline = new ParameterTimeline();
+        timeline.addKeyframe('gridDensity', 0, 10);
+        timeline.addKeyframe('gridDensity', 1000, 50);
+
+        expect(timeline.sample(0).gridDensity).toBe(10);
+        expect(timeline.sample(250).gridDensity).toBeCloseTo(20);
+        expect(timeline.sample(1000).gridDensity).toBe(50);
+        expect(timeline.sample(5000).gridDensity).toBe(50);
+    });
+
+    it('shapes a segment with the easing of the keyframe it leads into', () => {
+        const timeline = new ParameterTimeline();
+        timeline.addKeyframe('speed', 0, 1);
+        timeline.addKeyframe('speed', 1000, 3, 'easeInQuad');
+
+        expect(timeline.sample(500).speed).toBeCloseTo(1.5);
+        timeline.addKeyframe('speed', 1000, 3, [0, 0, 1, 1]);
+        expect(timeline.sample(500).speed).toBeCloseTo(2);
+    });
+
+    it('holds int parameters until the next keyframe', () => {
+        const timeline = new ParameterTimeline();
+        timeline.addKeyframe('geometry', 0, 2);
+        timeline.addKeyframe('geometry', 1000, 30);
+        timeline.addKeyframe('hue', 0, 0);
+        timeline.addKeyframe('hue', 1000, 300, 'easeOutQuad');
+
+        expect(timeline.sample(999)).toMatchObject({ geometry: 2, hue: 0 });
+        expect(timeline.sample(1000)).toMatchObject({ geometry: 30, hue: 300 });
+    });
+
+    it('wraps the playhead in loop and pingpong modes', () => {
+        const timeline = new ParameterTimeline({ loopMode: 'loop' });
+        timeline.addKeyframe('gridDensity', 0, 10);
+        timeline.addKeyframe('gridDensity', 1000, 50);
+
+        expect(timeline.sample(1250).gridDensity).toBeCloseTo(20);
+        timeline.setLoopMode('pingpong');
+        expect(timeline.sample(1250).gridDensity).toBeCloseTo(40);
+        timeline.setLoopMode('once');
+        expect(timeline.sample(1250).gridDensity).toBe(50);
+    });
+
+    it('advances with host time and stops at the end of a one-shot run', () => {
+        const timeline = new ParameterTimeline({ playbackRate: 2 });
+        timeline.addKeyframe('gridDensity', 0, 10);
+        timeline.addKeyframe('gridDensity', 1000, 50);
+        timeline.play();
+
+        expect(timeline.update(100).gridDensity).toBe(10);
+        expect(timeline.update(350).gridDensity).toBeCloseTo(30);
+        expect(timeline.update(1000).gridDensity).toBe(50);
+        expect(timeline.playing).toBe(false);
+        expect(timeline.update(1100)).toBeNull();
+    });
+
+    it('resamples after a track is cleared', () => {
+        const timeline = new ParameterTimeline();
+        timeline.addKeyframe('gridDensity', 0, 10);
+        timeline.addKeyframe('speed', 0, 2);
+        timeline.update(0);
+        expect(timeline.update(16)).toBeNull();
+
+        expect(timeline.clearTrack('density')).toBe(true);
+        expect(timeline.update(32)).toEqual({ speed: 2 });
+        expect(timeline.clearTrack('gridDensity')).toBe(false);
+    });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { StateTransition } from '../../src/animation/StateTransition.js';
+import { Rotor4D, PLANES } from '../../src/math/Rotor4D.js';
+
+const rotor = values => Rotor4D.fromAngles(PLANES.map(plane => -(values[`rot4d${plane}`] || 0)));
+
+describe('StateTransition', () => {
+    it('lerps floats with the easing and lands exactly on the target', () => {
+        const transition = new StateTransition({ speed: 1, chaos: 0.2 }, { speed: 3, chaos: 0.2 }, { duration: 1000, easing: 'linear' });
+
+        expect(transition.update(500)).toMatchObject({ values: { speed: 1 }, progress: 0, done: false });
+        expect(transition.update(1000).values.speed).toBeCloseTo(2);
+        expect(transition.update(1500)).toMatchObject({ values: { speed: 3, chaos: 0.2 }, progress: 1, fade: 1, done: true });
+    });
+
+    it('takes the short way round the hue wheel', () => {
+        const transition = new StateTransition({ hue: 350 }, { hue: 30 }, { easing: 'linear' });
+        expect(transition.sample(0.25).values.hue).toBeCloseTo(0);
+        expect(transition.sample(0.75).values.hue).toBeCloseTo(20);
+    });
+
+    it('switches discrete parameters at the midpoint behind a cross-fade', () => {
+        const transition = new StateTransition({ geometry: 2, speed: 1 }, { geometry: 20, speed: 2 }, { easing: 'linear' });
+
+        expect(transition.sample(0.25)).toMatchObject({ values: { geometry: 2 } });
+        expect(transition.sample(0.25).fade).toBeCloseTo(Math.SQRT1_2);
+        expect(transition.sample(0.5).fade).toBeCloseTo(0);
+        expect(transition.sample(0.75).values.geometry).toBe(20);
+        expect(new StateTransition({ speed: 1 }, { speed: 2 }).sample(0.5).fade).toBe(1);
+    });
+
+    it('slerps the six rotation angles as one rotation', () => {
+        const from = { rot4dXW: 0.4 };
+        const to = { rot4dXY: 1.2, rot4dYZ: -0.6, rot4dXW: 1.5 };
+        const transition = new StateTransition(from, to, { easing: 'linear' });
+
+        const halfway = rotor(transition.sample(0.5).values);
+        expect(halfway.angleTo(rotor(from))).toBeCloseTo(rotor(from).angleTo(rotor(to)) / 2, 6);
+        expect(halfway.angleTo(rotor(to))).toBeCloseTo(rotor(from).angleTo(rotor(to)) / 2, 6);
+    });
+
+    it('keeps rotation angles continuous across the ±π seam', () => {
+        const transition = new StateTransition({ rot4dXY: 3.0 }, { rot4dXY: 3.4 }, { easing: 'linear' });
+        let previous = 3.0;
+        for (let step = 1; step < 10; step++) {
+            const value = transition.sample(step / 10).values.rot4dXY;
+            expect(value - previous).toBeCloseTo(0.04, 6);
+            previous = value;
+        }
+    });
+
+    it('finishes immediately with a zero duration', () => {
+        expect(new StateTransition({ speed: 1 }, { speed: 2 }, { duration: 0 }).update(0).done).toBe(true);
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { EngineClock } from '../../src/core/EngineClock.js';
+
+describe('EngineClock', () => {
+    it('advances by host time, scaled and clamped', () => {
+        const clock = new EngineClock({ timeScale: 2, maxDelta: 100 });
+
+        expect(clock.tick(1000)).toBe(0);
+        expect(clock.tick(1016)).toBe(32);
+        expect(clock.tick(5000)).toBe(232);
+        expect(clock.tick(4000)).toBe(232);
+        expect(clock.getFrame()).toBe(4);
+    });
+
+    it('ignores host time in fixed-timestep mode', () => {
+        const clock = new EngineClock({ fixedTimestep: 10 });
+        clock.tick(0);
+        clock.tick(999);
+        expect(clock.tick(1000)).toBe(30);
+    });
+
+    it('stands still while paused and skips the paused interval on resume', () => {
+        const clock = new EngineClock();
+        clock.tick(0);
+        clock.tick(100);
+        clock.pause();
+
+        expect(clock.tick(200)).toBe(100);
+        expect(clock.getFrame()).toBe(2);
+
+        clock.resume();
+        expect(clock.tick(5000)).toBe(100);
+        expect(clock.tick(5020)).toBe(120);
+    });
+
+    it('steps while paused', () => {
+        const clock = new EngineClock({ fixedTimestep: 20 });
+        clock.pause();
+
+        expect(clock.step()).toBe(20);
+        expect(clock.step(5)).toBe(25);
+        expect(clock.getFrame()).toBe(2);
+        expect(clock.tick(1000)).toBe(25);
+    });
+
+    it('seeks to a time or a frame', () => {
+        const clock = new EngineClock({ fixedTimestep: 20, timeScale: 0.5 });
+
+        expect(clock.seek(300)).toBe(300);
+        expect(clock.getFrame()).toBe(30);
+        expect(clock.seek(-5)).toBe(0);
+        expect(clock.seekFrame(12.7)).toBe(120);
+        expect(clock.getFrame()).toBe(12);
+    });
+
+    it('round-trips through toJSON and restore', () => {
+        const clock = new EngineClock({ fixedTimestep: 16 });
+        clock.seekFrame(9);
+        clock.pause();
+
+        const restored = new EngineClock();
+        restored.restore(clock.toJSON());
+        expect(restored.toJSON()).toEqual(clock.toJSON());
+
+        restored.reset();
+        expect([restored.getTime(), restored.getFrame()]).toEqual([0, 0]);
+    });
+});
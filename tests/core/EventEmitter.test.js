@@ -0,0 +1,72 @@
+import { describe, it, expect, vi } from 'vitest';
+import { EventEmitter } from '../../src/core/EventEmitter.js';
+
+describe('EventEmitter', () => {
+    it('delivers payloads until unsubscribed', () => {
+        const emitter = new EventEmitter();
+        const listener = vi.fn();
+        const unsubscribe = emitter.on('frame', listener);
+
+        expect(emitter.emit('frame', { time: 16 })).toBe(true);
+        unsubscribe();
+        expect(emitter.emit('frame', { time: 32 })).toBe(false);
+        expect(listener).toHaveBeenCalledOnce();
+        expect(listener).toHaveBeenCalledWith({ time: 16 });
+        expect(emitter.hasListeners('frame')).toBe(false);
+    });
+
+    it('calls once listeners a single time and removes them by the original function', () => {
+        const emitter = new EventEmitter();
+        const first = vi.fn();
+        const second = vi.fn();
+        emitter.once('ready', first);
+        emitter.once('ready', second);
+        emitter.off('ready', second);
+
+        emitter.emit('ready');
+        emitter.emit('ready');
+        expect(first).toHaveBeenCalledOnce();
+        expect(second).not.toHaveBeenCalled();
+    });
+
+    it('keeps notifying after a listener throws', () => {
+        const emitter = new EventEmitter();
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const after = vi.fn();
+        emitter.on('change', () => {
+            throw new Error('bad subscriber');
+        });
+        emitter.on('change', after);
+
+        expect(emitter.emit('change', 1)).toBe(true);
+        expect(after).toHaveBeenCalledWith(1);
+        expect(error).toHaveBeenCalledOnce();
+        error.mockRestore();
+    });
+
+    it('lets a listener unsubscribe others mid-emit without skipping the current round', () => {
+        const emitter = new EventEmitter();
+        const later = vi.fn();
+        emitter.on('tick', () => emitter.off('tick', later));
+        emitter.on('tick', later);
+
+        emitter.emit('tick');
+        emitter.emit('tick');
+        expect(later).toHaveBeenCalledOnce();
+    });
+
+    it('removes listeners per event or all at once', () => {
+        const emitter = new EventEmitter();
+        emitter.on('a', () => {});
+        emitter.on('b', () => {});
+
+        emitter.removeAllListeners('a');
+        expect([emitter.hasListeners('a'), emitter.hasListeners('b')]).toEqual([false, true]);
+        emitter.removeAllListeners();
+        expect(emitter.hasListeners('b')).toBe(false);
+    });
+
+    it('rejects non-function listeners', () => {
+        expect(() => new EventEmitter().on('a', null)).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LayerCompositor, normalizeLayerSettings } from '../../src/core/LayerCompositor.js';
+import { createRecordingGL } from '../helpers/webgl.js';
+
+const ROLES = ['background', 'shadow', 'content'];
+
+describe('LayerCompositor', () => {
+    let log;
+    let gl;
+    let compositor;
+
+    beforeEach(() => {
+        log = [];
+        gl = createRecordingGL(log);
+        const canvas = { id: 'stage', width: 320, height: 200, getContext: () => gl, addEventListener() {}, removeEventListener() {} };
+        compositor = new LayerCompositor(canvas, { layers: ROLES, canvasPrefix: 'holo-' });
+    });
+
+    const layerContext = role => compositor.getLayerCanvas(role).getContext('webgl');
+    const callsNamed = name => log.filter(([call]) => call === name);
+
+    it('hands each layer a virtual canvas sharing the one context', () => {
+        const canvas = compositor.getLayerCanvas('content');
+
+        expect(canvas.id).toBe('holo-content-canvas');
+        expect(canvas.getContext('webgl').canvas).toBe(canvas);
+        expect(canvas.getContext('webgpu')).toBeNull();
+        expect(compositor.getLayerCanvas('accent')).toBeNull();
+    });
+
+    it('binds the layer framebuffer when a layer binds null', () => {
+        layerContext('content').bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        const [, , framebuffer] = callsNamed('bindFramebuffer').pop();
+        expect(framebuffer).toBe(compositor.getLayer('content').framebuffer);
+        expect(framebuffer).toMatchObject({ type: 'Framebuffer' });
+    });
+
+    it('resets state another layer set and replays it when that layer draws again', () => {
+        const background = layerContext('background');
+        const content = layerContext('content');
+        background.enable(gl.BLEND);
+        background.blendFunc(gl.SRC_ALPHA, gl.ONE);
+        background.drawArrays(gl.TRIANGLES, 0, 3);
+
+        log.length = 0;
+        content.drawArrays(gl.TRIANGLES, 0, 3);
+        expect(log).toContainEqual(['disable', 'BLEND']);
+        expect(log).toContainEqual(['blendFunc', 'ONE', 'ZERO']);
+        expect(log.findIndex(([call]) => call === 'disable')).toBeLessThan(log.findIndex(([call]) => call === 'drawArrays'));
+
+        log.length = 0;
+        background.drawArrays(gl.TRIANGLES, 0, 3);
+        expect(log).toContainEqual(['enable', 'BLEND']);
+        expect(log).toContainEqual(['blendFunc', 'SRC_ALPHA', 'ONE']);
+    });
+
+    it('composites drawn, visible layers with their blend mode and opacity', () => {
+        ROLES.forEach(role => layerContext(role).drawArrays(gl.TRIANGLES, 0, 3));
+        compositor.configureLayer('content', { blendMode: 'additive', opacity: 0.5 });
+        compositor.configureLayer('shadow', { visible: false });
+        compositor.setOpacity(0.8);
+
+        log.length = 0;
+        compositor.composite();
+
+        expect(callsNamed('drawArrays')).toHaveLength(2);
+        expect(callsNamed('blendFunc')).toEqual([['blendFunc', 'ONE', 'ONE_MINUS_SRC_ALPHA'], ['blendFunc', 'ONE', 'ONE']]);
+        expect(callsNamed('uniform1f').map(([, , value]) => value)).toEqual([0.8, expect.closeTo(0.4)]);
+        expect(callsNamed('bindTexture').slice(0, 2).map(([, , texture]) => texture))
+            .toEqual(['background', 'content'].map(role => compositor.getLayer(role).texture));
+    });
+
+    it('validates layer settings', () => {
+        expect(() => compositor.configureLayer('accent', { opacity: 1 })).toThrow(RangeError);
+        expect(() => compositor.configureLayer('content', { blendMode: 'overlay' })).toThrow(RangeError);
+        expect(() => compositor.configureLayer('content', { opacity: 'half' })).toThrow(TypeError);
+        expect(compositor.configureLayer('content', { opacity: 3 })).toEqual({ blendMode: 'normal', opacity: 1, visible: true });
+        expect(normalizeLayerSettings({ visible: 0 }).visible).toBe(false);
+        expect(compositor.getLayerSettings()).toHaveProperty('shadow');
+    });
+
+    it('releases only the layer that loses its context', () => {
+        const content = layerContext('content');
+        content.drawArrays(gl.TRIANGLES, 0, 3);
+        layerContext('background').drawArrays(gl.TRIANGLES, 0, 3);
+        const texture = compositor.getLayer('content').texture;
+
+        content.getExtension('WEBGL_lose_context').loseContext();
+
+        expect(log).toContainEqual(['deleteTexture', texture]);
+        expect(compositor.getLayer('content').texture).toBeNull();
+        expect(compositor.getLayer('background').texture).not.toBeNull();
+    });
+});
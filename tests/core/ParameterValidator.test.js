@@ -0,0 +1,20 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { parameterValidator } from '../../src/core/ParameterValidator.js';
+import { getGeometryCount, registerGeometryBase } from '../../src/geometry/GeometryCatalogue.js';
+
+describe('ParameterValidator', () => {
+    beforeAll(async () => {
+        expect(await parameterValidator.initialize()).toBe(true);
+    });
+
+    it('accepts geometry IDs added after its schemas were compiled', () => {
+        const firstNewId = getGeometryCount();
+        expect(parameterValidator.validate({ geometry: firstNewId }).valid).toBe(false);
+
+        registerGeometryBase({ key: 'validator-test-base', name: 'Validator Test', fallback: 'sphere' });
+
+        expect(parameterValidator.validate({ geometry: firstNewId }).valid).toBe(true);
+        expect(parameterValidator.validate({ geometry: getGeometryCount() - 1 }, { system: 'faceted', strict: true }).valid).toBe(true);
+        expect(parameterValidator.validate({ geometry: getGeometryCount() }).valid).toBe(false);
+    });
+});
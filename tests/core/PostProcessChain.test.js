@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    PostProcessChain,
+    getActivePostProcessPasses,
+    getPostProcessParameters,
+    resolvePostProcessOrder
+} from '../../src/core/PostProcessChain.js';
+import { createRecordingGL } from '../helpers/webgl.js';
+
+describe('PostProcessChain', () => {
+    let log;
+    let chain;
+
+    beforeEach(() => {
+        log = [];
+        chain = new PostProcessChain(createRecordingGL(log));
+    });
+
+    const callsNamed = name => log.filter(([call]) => call === name);
+    const drawTargets = () => {
+        const targets = [];
+        let bound = null;
+        log.forEach(([call, , handle]) => {
+            if (call === 'bindFramebuffer') bound = handle;
+            if (call === 'drawArrays') targets.push(bound);
+        });
+        return targets;
+    };
+
+    it('turns passes on from their parameters, in order', () => {
+        const params = { bloomIntensity: 0.5, vignette: 0, kaleidoscope: 1, grain: 0.2, hue: 120 };
+
+        expect(getActivePostProcessPasses(params)).toEqual(['bloom', 'grain']);
+        expect(getActivePostProcessPasses(params, ['grain', 'bloom'])).toEqual(['grain', 'bloom']);
+        expect(getPostProcessParameters(params)).toEqual({ bloomIntensity: 0.5, vignette: 0, kaleidoscope: 1, grain: 0.2 });
+    });
+
+    it('validates pass orders', () => {
+        expect(resolvePostProcessOrder(['vignette', 'bloom'])).toEqual(['vignette', 'bloom']);
+        expect(() => resolvePostProcessOrder('bloom')).toThrow(TypeError);
+        expect(() => resolvePostProcessOrder(['blur'])).toThrow(RangeError);
+        expect(() => resolvePostProcessOrder(['bloom', 'bloom'])).toThrow(RangeError);
+    });
+
+    it('costs nothing with every pass off', () => {
+        chain.setParameters({ bloomIntensity: 0, trails: 0 });
+        chain.render();
+
+        expect(chain.isActive()).toBe(false);
+        expect(log).toEqual([]);
+    });
+
+    it('ping-pongs between targets and draws the last pass to the canvas', () => {
+        chain.setParameters({ bloomIntensity: 0.5, bloomThreshold: 0.6, bloomRadius: 2, chromaticAberration: 0.01, vignette: 0.4, vignetteSoftness: 0.5 });
+        const scene = chain.beginScene(320, 200);
+        log.length = 0;
+        chain.render();
+
+        const [sceneTarget, pingPong] = chain.targets;
+        expect(scene).toBe(sceneTarget.framebuffer);
+        expect(drawTargets()).toEqual([pingPong.framebuffer, sceneTarget.framebuffer, null]);
+        expect(callsNamed('uniform1f').slice(0, 3).map(([, , value]) => value)).toEqual([0.5, 0.6, 2]);
+    });
+
+    it('presents a trailing feedback pass with a copy and keeps its history', () => {
+        chain.setOrder(['vignette', 'feedback']);
+        chain.setParameters({ vignette: 0.4, vignetteSoftness: 0.5, trails: 0.9, trailZoom: 1.01 });
+        chain.beginScene(320, 200);
+        const [first, second] = chain.history;
+        log.length = 0;
+        chain.render();
+
+        expect(drawTargets()).toEqual([chain.targets[1].framebuffer, second.framebuffer, null]);
+        expect(callsNamed('clear')).toHaveLength(2);
+        expect(chain.history).toEqual([second, first]);
+
+        log.length = 0;
+        chain.render();
+        expect(callsNamed('clear')).toHaveLength(0);
+    });
+
+    it('reallocates targets on resize and forgets them on restore', () => {
+        chain.setParameters({ grain: 0.1 });
+        chain.beginScene(320, 200);
+        const targets = chain.targets;
+
+        expect(chain.beginScene(320, 200)).toBe(targets[0].framebuffer);
+        chain.beginScene(640, 400);
+        expect(log).toContainEqual(['deleteTexture', targets[0].texture]);
+
+        chain.render();
+        chain.restore();
+        expect([chain.targets, chain.programs.size, chain.width]).toEqual([[], 0, 0]);
+    });
+});
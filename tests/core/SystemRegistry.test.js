@@ -0,0 +1,82 @@
+import { describe, it, expect, vi } from 'vitest';
+import { SystemRegistry, DEFAULT_GEOMETRY_NAMES } from '../../src/core/SystemRegistry.js';
+import { LAYER_ROLES } from '../../src/core/CanvasManager.js';
+import { getParameterNames, SHARED_PARAMETERS } from '../../src/core/ParameterSchema.js';
+import { registerGeometryBase } from '../../src/geometry/GeometryCatalogue.js';
+
+const factory = () => ({});
+
+describe('SystemRegistry', () => {
+    it('fills manifest defaults from the system name', () => {
+        const manifest = new SystemRegistry().register('lattice', factory);
+
+        expect(manifest).toMatchObject({
+            name: 'lattice',
+            label: 'lattice',
+            layers: LAYER_ROLES,
+            canvasPrefix: 'lattice-',
+            container: 'latticeLayers',
+            parameters: getParameterNames(SHARED_PARAMETERS),
+            geometryCatalogue: true,
+            capabilities: { audio: false, interaction: false, headless: true }
+        });
+        expect(DEFAULT_GEOMETRY_NAMES).toHaveLength(48);
+        expect(Object.isFrozen(manifest)).toBe(true);
+    });
+
+    it('keeps declared parameters, geometries and capabilities and drops unknown layer roles', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const manifest = new SystemRegistry().register('mesh', factory, {
+            layers: ['content', 'overlay'],
+            canvasPrefix: '',
+            parameters: ['hue', 'geometry'],
+            geometries: ['Ring', 'Knot'],
+            capabilities: { audio: true }
+        });
+
+        expect(manifest.layers).toEqual(['content']);
+        expect(manifest.canvasPrefix).toBe('');
+        expect(manifest.parameters).toEqual(['hue', 'geometry']);
+        expect(manifest.geometries).toEqual(['Ring', 'Knot']);
+        expect(manifest.geometryCatalogue).toBe(false);
+        expect(manifest.capabilities).toEqual({ audio: true, interaction: false, headless: true });
+        expect(warn).toHaveBeenCalledOnce();
+        warn.mockRestore();
+    });
+
+    it('shows catalogue systems geometries registered after them', () => {
+        const registry = new SystemRegistry();
+        const catalogue = registry.register('catalogue', factory);
+        const fixed = registry.register('fixed', factory, { geometries: ['Only'] });
+
+        registerGeometryBase({ key: 'spec-ring', name: 'Spec Ring' });
+        expect(catalogue.geometries.length).toBe(DEFAULT_GEOMETRY_NAMES.length + 6);
+        expect(fixed.geometries).toEqual(['Only']);
+    });
+
+    it('registers, replaces, lists and unregisters factories', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const registry = new SystemRegistry();
+        const replacement = () => ({});
+        registry.register('a', factory);
+        registry.register('b', factory);
+        registry.register('a', replacement, { label: 'A' });
+
+        expect(registry.list()).toEqual(['a', 'b']);
+        expect(registry.getFactory('a')).toBe(replacement);
+        expect(registry.getManifest('a').label).toBe('A');
+        expect(warn).toHaveBeenCalledOnce();
+
+        expect(registry.unregister('b')).toBe(true);
+        expect(registry.has('b')).toBe(false);
+        expect(registry.getFactory('b')).toBeNull();
+        expect(registry.getManifest('b')).toBeNull();
+        warn.mockRestore();
+    });
+
+    it('rejects invalid names and factories', () => {
+        const registry = new SystemRegistry();
+        expect(() => registry.register('', factory)).toThrow(TypeError);
+        expect(() => registry.register('x', {})).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { UnifiedSaveManager } from '../../src/core/UnifiedSaveManager.js';
+import { systemRegistry } from '../../src/core/SystemRegistry.js';
+import { getGeometry } from '../../src/geometry/GeometryCatalogue.js';
+import { installLocalStorage } from '../helpers/storage.js';
+
+describe('UnifiedSaveManager', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('migrates pre-catalogue geometry IDs in stored variations and collections', () => {
+        const store = installLocalStorage({
+            'vib34d-unified-variations': [
+                { id: 'old', system: 'faceted', parameters: { geometry: 10, geometryType: 10 }, metadata: { version: '3.0' } },
+                { id: 'new', system: 'faceted', parameters: { geometry: 10 }, metadata: { version: '3.1' } }
+            ],
+            'vib34d-unified-collections': [
+                ['custom-saves-2024-01-01', { version: '1.0', variations: [{ id: 0, parameters: { geometry: 10, geometryType: 10 } }] }]
+            ]
+        });
+
+        const manager = new UnifiedSaveManager(null);
+        const [legacy, current] = manager.getAllVariations();
+        const [collection] = manager.getAllCollections();
+
+        // Old ID 10 was the Hypersphere core's Hypercube
+        expect(getGeometry(legacy.parameters.geometry).name).toBe('🌀 Hypersphere Core (Hypercube)');
+        expect(legacy.parameters.geometryType).toBe(legacy.parameters.geometry);
+        expect(legacy.metadata.version).toBe('3.1');
+        expect(current.parameters.geometry).toBe(10);
+        expect(collection.version).toBe('1.1');
+        expect(collection.variations[0]).toMatchObject({ version: '1.1', parameters: { geometry: legacy.parameters.geometry } });
+
+        // Stored in the current formats, so reloading does not migrate twice
+        const reloaded = new UnifiedSaveManager(null);
+        expect(reloaded.getAllVariations()[0].parameters.geometry).toBe(legacy.parameters.geometry);
+        expect(JSON.parse(store.get('vib34d-unified-collections'))[0][1].variations[0].parameters.geometry).toBe(legacy.parameters.geometry);
+    });
+
+    it('keeps the parameters of the system a variation was saved from', () => {
+        installLocalStorage();
+        const manager = new UnifiedSaveManager(null);
+        const saved = { hue: 120, lineThickness: 4, glassBlur: 1.5, renderMode: 2, slicePosition: -0.25, sliceSweep: 1.2 };
+
+        expect(manager.normalizeParameters(saved, 'polychora')).toMatchObject(saved);
+        expect(manager.normalizeParameters(saved, 'quantum')).not.toHaveProperty('lineThickness');
+        expect(manager.normalizeParameters({ renderMode: 9 }, 'polychora').renderMode).toBe(2);
+    });
+
+    it('keeps core operator settings for the systems that consume them', () => {
+        installLocalStorage();
+        const manager = new UnifiedSaveManager(null);
+
+        expect(manager.normalizeParameters({ geometry: 20, coreOperator: 3, coreBlend: 0.4 }, 'faceted'))
+            .toMatchObject({ geometry: 20, coreOperator: 3, coreBlend: 0.4 });
+        expect(manager.getCaptureDefaults('faceted')).toMatchObject({ coreOperator: 0, coreBlend: 0.1 });
+        expect(manager.getCaptureDefaults('holographic')).toMatchObject({ coreOperator: 0, coreBlend: 0.1 });
+        expect(manager.getCaptureDefaults('polychora')).not.toHaveProperty('coreOperator');
+    });
+
+    it('uses the manifest parameters of registered systems', () => {
+        installLocalStorage();
+        systemRegistry.register('save-test', () => ({}), { parameters: ['hue', 'sliceSweep'] });
+        try {
+            const normalized = new UnifiedSaveManager(null).normalizeParameters({ hue: 90, sliceSweep: 0.5, chaos: 0.9 }, 'save-test');
+            expect(normalized).toMatchObject({ hue: 90, sliceSweep: 0.5 });
+            expect(normalized).not.toHaveProperty('chaos');
+        } finally {
+            systemRegistry.unregister('save-test');
+        }
+    });
+});
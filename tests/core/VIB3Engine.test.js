@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { VIB3Engine } from '../../src/core/VIB3Engine.js';
+import { createStubGL } from '../helpers/webgl.js';
+
+const SYSTEMS = ['quantum', 'faceted', 'holographic', 'polychora'];
+
+describe('VIB3Engine (headless)', () => {
+    let calls;
+    let requested;
+    let engine;
+
+    beforeEach(async () => {
+        calls = [];
+        requested = [];
+        engine = new VIB3Engine({
+            headless: true,
+            contexts: (system, role) => {
+                requested.push(`${system}:${role}`);
+                return createStubGL(calls);
+            }
+        });
+        expect(await engine.initialize()).toBe(true);
+    });
+
+    afterEach(() => {
+        engine.destroy();
+    });
+
+    it.each(SYSTEMS)('switches to %s and renders a frame into the injected contexts', async system => {
+        expect(await engine.switchSystem(system)).toBe(true);
+        expect(engine.currentSystemName).toBe(system);
+        expect(requested).toEqual(expect.arrayContaining(
+            engine.getSystemManifest(system).layers.map(role => `${system}:${role}`)
+        ));
+
+        calls.length = 0;
+        expect(engine.renderFrame(1000)).toBe(true);
+        expect(calls.some(([kind]) => kind === 'draw')).toBe(true);
+    });
+
+    it('registers every built-in system', () => {
+        expect(VIB3Engine.getRegisteredSystems()).toEqual(expect.arrayContaining(SYSTEMS));
+    });
+
+    it('keeps shared parameters across system switches', async () => {
+        engine.setParameter('hue', 300);
+        for (const system of SYSTEMS) {
+            await engine.switchSystem(system);
+            expect(engine.getParameter('hue')).toBe(300);
+            expect(engine.renderFrame(500)).toBe(true);
+        }
+    });
+
+    it('uploads the core operator for every system that declares it', async () => {
+        const coreSystems = SYSTEMS.filter(system => engine.getSystemManifest(system).parameters.includes('coreOperator'));
+        expect(coreSystems).toEqual(['quantum', 'faceted', 'holographic']);
+
+        for (const system of coreSystems) {
+            await engine.switchSystem(system);
+            engine.setParameter('coreOperator', 3);
+            engine.setParameter('coreBlend', 0.4);
+            calls.length = 0;
+            expect(engine.renderFrame(1000)).toBe(true);
+            expect(calls, system).toContainEqual(['uniform1f', 'u_coreOperator', 3]);
+            expect(calls, system).toContainEqual(['uniform1f', 'u_coreBlend', 0.4]);
+        }
+    });
+
+    it('reports a custom geometry the active system rejects once, with its errors', async () => {
+        await engine.switchSystem('faceted');
+        const errors = [{ line: 2, message: 'spec rejection' }];
+        // Systems return null for a snippet they already have
+        vi.spyOn(engine.activeSystem, 'setCustomGeometry').mockReturnValue(null).mockReturnValueOnce({ ok: false, errors });
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const events = [];
+        engine.on('geometryerror', event => events.push(event));
+
+        const result = engine.setCustomGeometry('float customGeometry(vec4 p) { return length(p) - 0.8; }', { name: 'Spec Ball' });
+
+        expect(result).toMatchObject({ ok: false, errors });
+        expect(engine.getParameter('geometry')).toBe(result.id);
+        expect(events).toEqual([{ hash: result.hash, system: 'faceted', errors }]);
+        warn.mockRestore();
+    });
+
+    it('selects the Polychora polytope with the geometry parameter', async () => {
+        await engine.switchSystem('polychora');
+        engine.setParameter('geometry', 9);
+        engine.renderFrame(1000);
+
+        expect(engine.getSystemManifest().parameters).not.toContain('polytope');
+        expect(engine.activeSystem.visualizers.map(visualizer => visualizer.meshIndex)).toEqual(
+            engine.activeSystem.visualizers.map(() => 3)
+        );
+    });
+
+    it('randomizes the geometry within the active system', async () => {
+        await engine.switchSystem('polychora');
+        const random = vi.spyOn(Math, 'random').mockReturnValue(0.99);
+        engine.randomizeAll();
+        random.mockRestore();
+
+        expect(engine.getParameter('geometry')).toBe(engine.getSystemManifest().geometries.length - 1);
+    });
+
+    it('advances the clock once per animation frame', async () => {
+        const callbacks = [];
+        vi.stubGlobal('requestAnimationFrame', callback => callbacks.push(callback));
+        vi.stubGlobal('cancelAnimationFrame', () => {});
+        const seek = vi.spyOn(engine.clock, 'seek');
+        engine.clock.setFixedTimestep(10);
+        const frame = engine.clock.getFrame();
+        const time = engine.clock.getTime();
+
+        engine.startLoop();
+        callbacks.shift()(0);
+        callbacks.shift()(16);
+        engine.stopLoop();
+        vi.unstubAllGlobals();
+
+        expect(seek).not.toHaveBeenCalled();
+        expect(engine.clock.getFrame()).toBe(frame + 2);
+        expect(engine.clock.getTime()).toBe(time + 20);
+    });
+
+    it('only renders on renderFrame()', async () => {
+        await engine.switchSystem('faceted');
+        calls.length = 0;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(calls.some(([kind]) => kind === 'draw')).toBe(false);
+    });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { FacetedSystem } from '../../src/faceted/FacetedSystem.js';
+import { FacetedUniformLayout } from '../../src/ui/adaptive/renderers/webgpu/index.ts';
+import { createStubGL } from '../helpers/webgl.js';
+import { createFakeGPUDevice, createLayerCanvas } from '../helpers/webgpu.js';
+
+function createSystem(options, calls = []) {
+    const canvas = createLayerCanvas({ gl: createStubGL(calls), webgpu: options.canvasWebGPU !== false, calls });
+    const system = new FacetedSystem({ backend: 'webgpu', autoRender: false, canvases: { content: canvas }, ...options });
+    return { system, calls };
+}
+
+describe('FacetedSystem', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('rejects unknown backends', () => {
+        expect(() => new FacetedSystem({ backend: 'vulkan' })).toThrow(RangeError);
+    });
+
+    describe('WebGPU backend', () => {
+        it('renders through an injected device and leaves it to the host', async () => {
+            const calls = [];
+            const { system } = createSystem({ gpuDevice: createFakeGPUDevice(calls) }, calls);
+
+            expect(await system.initializeBackend()).toBe(true);
+            expect(system.backend).toBe('webgpu');
+            expect(system.gl).toBeNull();
+            expect(calls).toContainEqual(['configure', 'bgra8unorm', 'premultiplied']);
+
+            system.updateParameters({ geometry: 11, hue: 90 });
+            system.renderFrame(1000);
+
+            const upload = calls.find(([kind, label]) => kind === 'writeBuffer' && /uniforms/.test(label));
+            const fields = FacetedUniformLayout.fields;
+            expect(upload[2][fields.view.offset / 4 + 3]).toBe(11);
+            expect(upload[2][fields.pattern.offset / 4 + 2]).toBe(90);
+            expect(calls).toContainEqual(['draw', 3, 1]);
+
+            calls.length = 0;
+            system.destroy();
+            expect(calls).toContainEqual(['unconfigure']);
+            expect(calls).not.toContainEqual(['destroyDevice']);
+        });
+
+        it('requests a device from navigator.gpu in the preferred format', async () => {
+            const calls = [];
+            const device = createFakeGPUDevice(calls);
+            vi.stubGlobal('navigator', {
+                gpu: {
+                    requestAdapter: async () => ({ requestDevice: async () => device }),
+                    getPreferredCanvasFormat: () => 'rgba8unorm'
+                }
+            });
+            const { system } = createSystem({});
+
+            expect(await system.initializeBackend()).toBe(true);
+            expect(system.device).toBe(device);
+            expect(calls).toContainEqual(['pipeline', 'rgba8unorm']);
+
+            system.destroy();
+            expect(calls).toContainEqual(['destroyDevice']);
+        });
+    });
+
+    describe('WebGL fallback', () => {
+        it('falls back when requestAdapter fails', async () => {
+            vi.stubGlobal('navigator', { gpu: { requestAdapter: async () => { throw new Error('adapter unavailable'); } } });
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+            const { system, calls } = createSystem({});
+
+            expect(await system.initializeBackend()).toBe(true);
+            expect(system.backend).toBe('webgl');
+            expect(system.webgpu).toBeNull();
+
+            calls.length = 0;
+            system.renderFrame(500);
+            expect(calls).toContainEqual(['draw', 1, 0, 6]);
+            system.destroy();
+        });
+
+        it('falls back when no adapter is available', async () => {
+            vi.stubGlobal('navigator', { gpu: { requestAdapter: async () => null } });
+            const { system } = createSystem({});
+
+            expect(await system.initializeBackend()).toBe(true);
+            expect(system.backend).toBe('webgl');
+            system.destroy();
+        });
+
+        it('falls back when the canvas has no WebGPU context', async () => {
+            const device = createFakeGPUDevice();
+            const { system } = createSystem({ gpuDevice: device, canvasWebGPU: false });
+
+            expect(await system.initializeBackend()).toBe(true);
+            expect(system.backend).toBe('webgl');
+            expect(system.device).toBeNull();
+            system.destroy();
+        });
+    });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { CrossSection, slicePolytope } from '../../src/geometry/CrossSection.js';
+import { getPolychoron } from '../../src/geometry/RegularPolychora.js';
+
+const point = (vertices, i) => [vertices[i * 3], vertices[i * 3 + 1], vertices[i * 3 + 2]];
+
+// Column-major rotation by angle in the XW plane
+function rotationXW(angle) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    return [c, 0, 0, -s, 0, 1, 0, 0, 0, 0, 1, 0, s, 0, 0, c];
+}
+
+describe('CrossSection', () => {
+    it('slices the tesseract through its centre into a cube', () => {
+        const slice = slicePolytope(getPolychoron(1), 0);
+
+        expect(slice).toMatchObject({ vertexCount: 8, faceCount: 6, edgeCount: 12 });
+        expect(slice.faces.every(face => face.length === 4)).toBe(true);
+        expect(slice.triangles).toHaveLength(6 * 2 * 3);
+        expect(slice.extent[0]).toBeCloseTo(-0.5);
+        expect(slice.extent[1]).toBeCloseTo(0.5);
+    });
+
+    it('keeps vertices lying on the hyperplane (16-cell → octahedron, 24-cell → cuboctahedron)', () => {
+        expect(slicePolytope(getPolychoron(2), 0)).toMatchObject({ vertexCount: 6, faceCount: 8, edgeCount: 12 });
+        expect(slicePolytope(getPolychoron(3), 0)).toMatchObject({ vertexCount: 12, faceCount: 14, edgeCount: 24 });
+    });
+
+    it('winds every face counter-clockwise seen from outside', () => {
+        const slice = slicePolytope(getPolychoron(4), 0.3);
+
+        expect(slice.vertexCount - slice.edgeCount + slice.faceCount).toBe(2);
+        slice.faces.forEach(face => {
+            const [a, b, c] = face.map(i => point(slice.vertices, i));
+            const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+            const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+            const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+            expect(normal[0] * a[0] + normal[1] * a[1] + normal[2] * a[2]).toBeGreaterThan(0);
+        });
+    });
+
+    it('rotates the mesh before slicing', () => {
+        const section = new CrossSection(getPolychoron(1));
+        const tilted = section.slice(0, rotationXW(Math.PI / 4));
+
+        expect(tilted.extent[1]).toBeCloseTo(Math.SQRT1_2);
+        expect(section.slice(0, rotationXW(Math.PI / 2))).toMatchObject({ vertexCount: 8, faceCount: 6 });
+    });
+
+    it('returns an empty slice outside the extent', () => {
+        expect(slicePolytope(getPolychoron(0), 2)).toMatchObject({ vertexCount: 0, faceCount: 0, edgeCount: 0 });
+    });
+
+    it('rejects meshes without cells', () => {
+        expect(() => new CrossSection({ vertices: [], indices: [] })).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { validateCustomGeometry } from '../../src/geometry/CustomGeometry.js';
+
+function snippet(body) {
+    return `float customGeometry(vec4 p) {\n    float d = length(p) - 1.0;\n    ${body}\n    return d;\n}`;
+}
+
+describe('validateCustomGeometry', () => {
+    it('accepts a distance function that only reads p', () => {
+        expect(validateCustomGeometry(snippet('d = min(d, length(p.xy) - 0.5);'))).toEqual({ valid: true, errors: [] });
+    });
+
+    it('reports sandbox violations by snippet line', () => {
+        const { valid, errors } = validateCustomGeometry(snippet('d += u_time;\n    while (d > 0.0) { d -= 1.0; }'));
+        expect(valid).toBe(false);
+        expect(errors.map(error => error.line)).toEqual([3, 4]);
+    });
+
+    it('accepts for loops with literal bounds', () => {
+        expect(validateCustomGeometry(snippet('for (int i = 0; i < 32; i++) { d = min(d, length(p) - float(i)); }')).valid).toBe(true);
+        expect(validateCustomGeometry(snippet('for (float t = 1.0; t > 0.0; t -= 0.25) { d += t; }')).valid).toBe(true);
+        expect(validateCustomGeometry(snippet('for (int i = 0; i < 1024; ++i) { d += 0.0; }')).valid).toBe(true);
+    });
+
+    it('rejects loops without a literal bound or that never reach it', () => {
+        const symbolic = validateCustomGeometry(snippet('for (int i = 0; i < count; i++) { d += 0.0; }'));
+        expect(symbolic.valid).toBe(false);
+        expect(symbolic.errors[0]).toMatchObject({ line: 3, message: expect.stringMatching(/literal bound/) });
+
+        expect(validateCustomGeometry(snippet('for (int i = 0; i < 10; i--) { d += 0.0; }')).valid).toBe(false);
+    });
+
+    it('caps the iterations of all loops together', () => {
+        const single = validateCustomGeometry(snippet('for (int i = 0; i <= 1024; i++) { d += 0.0; }'));
+        expect(single.errors).toEqual([{ line: 3, message: 'Loops run up to 1025 iterations per evaluation; the limit is 1024' }]);
+
+        const nested = validateCustomGeometry(snippet('for (int i = 0; i < 64; i++) {\n        for (int j = 0; j < 32; j++) { d += 0.0; }\n    }'));
+        expect(nested.valid).toBe(false);
+        expect(nested.errors[0].line).toBe(4);
+    });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+
+let hexacosichoron;
+
+beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    ({ hexacosichoron } = await import('../../src/geometry/Hexacosichoron.js'));
+});
+
+describe('Hexacosichoron', () => {
+    it('derives 1200 faces and 600 cells from the 720-edge graph', () => {
+        expect(hexacosichoron.getStatistics()).toMatchObject({ vertices: 120, edges: 720, faces: 1200, cells: 600 });
+        expect(hexacosichoron.faceCells.every(cells => cells.length === 2)).toBe(true);
+        expect(hexacosichoron.cellFaces.every(faces => faces.length === 4)).toBe(true);
+    });
+
+    it('puts five cells around every edge, each sharing a face with the next', () => {
+        const { indices } = hexacosichoron;
+        for (let i = 0; i < indices.length; i += 2) {
+            const ring = hexacosichoron.getCellsAroundEdge(indices[i + 1], indices[i]);
+            expect(ring).toHaveLength(5);
+            ring.forEach((cell, k) => {
+                expect(hexacosichoron.getCellNeighbors(cell)).toContain(ring[(k + 1) % ring.length]);
+            });
+        }
+        expect(hexacosichoron.getCellsAroundEdge(0, 0)).toEqual([]);
+    });
+
+    it('answers cell neighbour and triangle queries', () => {
+        const neighbors = hexacosichoron.getCellNeighbors(0);
+        expect(new Set(neighbors).size).toBe(4);
+        neighbors.forEach(other => expect(hexacosichoron.getCellNeighbors(other)).toContain(0));
+
+        const triangles = hexacosichoron.getCellTriangles(0);
+        expect(triangles).toHaveLength(12);
+        expect(new Set(triangles)).toEqual(new Set(hexacosichoron.cells[0]));
+        expect(() => hexacosichoron.getCellNeighbors(600)).toThrow(RangeError);
+        expect(() => hexacosichoron.getCellTriangles(-1)).toThrow(RangeError);
+    });
+
+    it('rebuilds topology when loaded from JSON', async () => {
+        const { Hexacosichoron } = await import('../../src/geometry/Hexacosichoron.js');
+        const restored = Hexacosichoron.fromJSON(JSON.parse(JSON.stringify(hexacosichoron)));
+        expect(restored.cells).toEqual(hexacosichoron.cells);
+    });
+});
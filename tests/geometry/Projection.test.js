@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import {
+    PROJECTION,
+    PROJECTION_MODES,
+    getProjectionIndex,
+    getProjectionUniforms,
+    projectPoint,
+    unprojectPoint
+} from '../../src/geometry/Projection.js';
+
+const POINTS = [
+    [0.3, -0.2, 0.5, 0.4],
+    [-0.7, 0.1, 0.2, -0.6],
+    [0.05, 0.9, -0.3, 0]
+];
+
+const expectClose = (actual, expected) => actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 9));
+
+describe('Projection', () => {
+    it.each([PROJECTION.PERSPECTIVE, PROJECTION.ORTHOGRAPHIC, PROJECTION.SCHLEGEL])(
+        'unprojects mode %i back to the original 4D point at its depth', mode => {
+            POINTS.forEach(point => {
+                expectClose(unprojectPoint(projectPoint(point, mode, 3), point[3], mode, 3), point);
+            });
+        }
+    );
+
+    it.each(PROJECTION_MODES.map((name, mode) => [name, mode]))('%s projects an unprojected point back onto itself', (name, mode) => {
+        [[0.4, -0.1, 0.25], [-1.2, 0.6, 0.3]].forEach(q => {
+            [-0.3, 0, 0.5].forEach(w => {
+                expectClose(projectPoint(unprojectPoint(q, w, mode), mode), q);
+            });
+        });
+    });
+
+    it('lifts stereographic points onto the 3-sphere of radius 1 + w', () => {
+        const lifted = unprojectPoint([0.4, -0.1, 0.25], 0.5, PROJECTION.STEREOGRAPHIC);
+        expect(Math.hypot(...lifted)).toBeCloseTo(1.5, 9);
+    });
+
+    it('scales perspective by eye distance and drops w orthographically', () => {
+        expectClose(projectPoint([1, 2, 3, 0.5], PROJECTION.PERSPECTIVE, 2.5), [1.25, 2.5, 3.75]);
+        expectClose(projectPoint([1, 2, 3, 0.5], PROJECTION.ORTHOGRAPHIC), [1, 2, 3]);
+        expect(projectPoint([1, 0, 0, 10], PROJECTION.PERSPECTIVE).every(Number.isFinite)).toBe(true);
+    });
+
+    it('resolves modes by index or name', () => {
+        expect(getProjectionIndex('schlegel')).toBe(PROJECTION.SCHLEGEL);
+        expect(getProjectionIndex('Stereographic')).toBe(PROJECTION.STEREOGRAPHIC);
+        expect(getProjectionIndex(1)).toBe(1);
+        expect(getProjectionIndex(4)).toBe(-1);
+        expect(getProjectionIndex('fisheye')).toBe(-1);
+        expect(getProjectionUniforms({})).toEqual({ u_projectionMode: 0, u_projectionDistance: 2.5 });
+    });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { POLYCHORA_NAMES, RegularPolychoron, getPolychoron, getPolychoronMesh } from '../../src/geometry/RegularPolychora.js';
+
+// [vertices, edges, faces, cells, vertices per face, vertices per cell]
+const TOPOLOGY = {
+    '5-Cell': [5, 10, 10, 5, 3, 4],
+    'Tesseract': [16, 32, 24, 8, 4, 8],
+    '16-Cell': [8, 24, 32, 16, 3, 4],
+    '24-Cell': [24, 96, 96, 24, 3, 6],
+    '600-Cell': [120, 720, 1200, 600, 3, 4],
+    '120-Cell': [600, 1200, 720, 120, 5, 20]
+};
+
+describe('RegularPolychora', () => {
+    it.each(POLYCHORA_NAMES.map((name, index) => [name, index]))('builds the %s with exact topology', (name, index) => {
+        const [vertices, edges, faces, cells, faceSize, cellSize] = TOPOLOGY[name];
+        const polychoron = getPolychoron(index);
+
+        expect(polychoron.getStatistics()).toMatchObject({ name, vertices, edges, faces, cells });
+        expect(vertices - edges + faces - cells).toBe(0);
+        expect(polychoron.faces.every(face => face.length === faceSize)).toBe(true);
+        expect(polychoron.cells.every(cell => cell.length === cellSize)).toBe(true);
+        expect(polychoron.faceCells.every(pair => pair.length === 2 && pair[0] !== pair[1])).toBe(true);
+        polychoron.vertices.forEach(v => expect(Math.hypot(...v)).toBeCloseTo(1, 6));
+    });
+
+    it('consecutive face vertices are joined by edges', () => {
+        const tesseract = getPolychoron(1);
+        const edges = new Set();
+        for (let i = 0; i < tesseract.indices.length; i += 2) {
+            edges.add(`${tesseract.indices[i]},${tesseract.indices[i + 1]}`);
+        }
+        const adjacent = (a, b) => edges.has(`${Math.min(a, b)},${Math.max(a, b)}`);
+
+        tesseract.faces.forEach(face => face.forEach((v, i) => {
+            expect(adjacent(v, face[(i + 1) % face.length])).toBe(true);
+        }));
+    });
+
+    it('caches frozen mesh data with fan-triangulated faces', () => {
+        const mesh = getPolychoronMesh(5);
+
+        expect(getPolychoronMesh(5)).toBe(mesh);
+        expect(Object.isFrozen(mesh)).toBe(true);
+        expect(mesh.faceIndices.length).toBe(720 * 3 * 3);
+        expect(mesh.vertices.length).toBe(600 * 4);
+    });
+
+    it('restores faces from serialized cells', () => {
+        const restored = RegularPolychoron.fromJSON(JSON.parse(JSON.stringify(getPolychoron(3))));
+        expect(restored.faces).toHaveLength(96);
+    });
+
+    it('rejects unknown indices', () => {
+        expect(() => new RegularPolychoron(6)).toThrow(RangeError);
+    });
+});
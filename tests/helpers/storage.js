@@ -0,0 +1,17 @@
+import { vi } from 'vitest';
+
+/**
+ * Install an in-memory localStorage on globalThis
+ * @param {Object<string, *>} [entries] - Values stored as JSON before the test runs
+ * @returns {Map<string, string>} The backing store
+ */
+export function installLocalStorage(entries = {}) {
+    const store = new Map(Object.entries(entries).map(([key, value]) => [key, JSON.stringify(value)]));
+    vi.stubGlobal('localStorage', {
+        getItem: key => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key),
+        clear: () => store.clear()
+    });
+    return store;
+}
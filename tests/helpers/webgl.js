@@ -0,0 +1,85 @@
+/**
+ * Stub WebGL context: every call succeeds, shaders and programs compile, and draws and
+ * float uniforms are recorded in `calls` as ['draw', mode, first, count] / ['uniform1f', name, value]
+ * @param {Array} [calls]
+ * @returns {WebGLRenderingContext}
+ */
+export function createStubGL(calls = []) {
+    const canvas = { width: 320, height: 200, clientWidth: 320, clientHeight: 200, addEventListener() {}, removeEventListener() {} };
+    const target = {
+        canvas,
+        drawingBufferWidth: 320,
+        drawingBufferHeight: 200,
+        isContextLost: () => false,
+        getShaderParameter: () => true,
+        getProgramParameter: () => true,
+        getShaderInfoLog: () => '',
+        getProgramInfoLog: () => '',
+        getAttribLocation: () => 0,
+        getUniformLocation: (program, name) => ({ name }),
+        getParameter: () => 'StubGL',
+        getExtension: () => null,
+        drawArrays: (...args) => calls.push(['draw', ...args]),
+        drawElements: (...args) => calls.push(['draw', ...args]),
+        uniform1f: (location, value) => calls.push(['uniform1f', location?.name, value])
+    };
+
+    // GL enums read as numbers, any other method is a no-op returning a handle
+    return new Proxy(target, {
+        get: (object, key) => {
+            if (key in object) {
+                return object[key];
+            }
+            if (typeof key === 'string' && /^[A-Z0-9_]+$/.test(key)) {
+                return 1;
+            }
+            return () => ({});
+        }
+    });
+}
+
+/**
+ * Recording WebGL context for state-tracking code: every call is logged as [name, ...args],
+ * GL enums read as their own names so arguments stay distinguishable, and create* calls return
+ * distinct handles such as { type: 'Texture', id: 3 }
+ * @param {Array} [log]
+ * @returns {WebGLRenderingContext}
+ */
+export function createRecordingGL(log = []) {
+    let nextId = 0;
+    const canvas = { id: 'stage', width: 320, height: 200, addEventListener() {}, removeEventListener() {} };
+    const target = {
+        canvas,
+        isContextLost: () => false,
+        getShaderParameter: () => true,
+        getProgramParameter: () => true,
+        getShaderInfoLog: () => '',
+        getProgramInfoLog: () => '',
+        getAttribLocation: () => 0,
+        getUniformLocation: (program, name) => ({ name }),
+        getExtension: () => null
+    };
+    const functions = new Map();
+
+    return new Proxy(target, {
+        get: (object, key) => {
+            if (typeof key !== 'string') {
+                return object[key];
+            }
+            if (/^[A-Z0-9_]+$/.test(key)) {
+                return key;
+            }
+            if (!functions.has(key)) {
+                const own = object[key];
+                functions.set(key, (...args) => {
+                    log.push([key, ...args]);
+                    if (typeof own === 'function') {
+                        return own(...args);
+                    }
+                    return key.startsWith('create') ? { type: key.slice('create'.length), id: nextId++ } : undefined;
+                });
+            }
+            return key in object && typeof object[key] !== 'function' ? object[key] : functions.get(key);
+        }
+    });
+}
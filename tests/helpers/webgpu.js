@@ -0,0 +1,71 @@
+/**
+ * Fake WebGPU device implementing the GPURenderDeviceLike surface FacetedWebGPURenderer uses
+ * Buffer writes, pipelines, bind groups, draws and submits are recorded in `calls`.
+ * @param {Array} [calls]
+ */
+export function createFakeGPUDevice(calls = []) {
+    let loseDevice;
+    return {
+        lost: new Promise(resolve => {
+            loseDevice = resolve;
+        }),
+        lose: info => loseDevice(info),
+        queue: {
+            writeBuffer: (buffer, offset, data) => calls.push(['writeBuffer', buffer.label, Array.from(data)]),
+            submit: commandBuffers => calls.push(['submit', commandBuffers.length])
+        },
+        createBuffer: descriptor => ({ label: descriptor.label, size: descriptor.size, destroy: () => calls.push(['destroyBuffer', descriptor.label]) }),
+        createShaderModule: descriptor => ({ code: descriptor.code }),
+        createRenderPipeline: descriptor => {
+            calls.push(['pipeline', descriptor.fragment.targets[0].format]);
+            return { getBindGroupLayout: index => ({ index }) };
+        },
+        createBindGroup: descriptor => {
+            calls.push(['bindGroup', descriptor.entries.map(entry => entry.binding)]);
+            return {};
+        },
+        createCommandEncoder: () => ({
+            beginRenderPass: () => ({
+                setPipeline() {},
+                setBindGroup() {},
+                draw: (vertexCount, instanceCount) => calls.push(['draw', vertexCount, instanceCount]),
+                end() {}
+            }),
+            finish: () => ({})
+        }),
+        destroy: () => calls.push(['destroyDevice'])
+    };
+}
+
+/**
+ * Canvas that hands out either a WebGPU context or the given WebGL context, never both
+ * @param {Object} options
+ * @param {?WebGLRenderingContext} options.gl - Context for getContext('webgl')
+ * @param {boolean} [options.webgpu=true] - Whether getContext('webgpu') succeeds
+ * @param {Array} [options.calls] - Records configure/unconfigure
+ */
+export function createLayerCanvas({ gl, webgpu = true, calls = [] }) {
+    let kind = null;
+    return {
+        width: 320,
+        height: 200,
+        getContext(type) {
+            if (kind && kind !== type) {
+                return null;
+            }
+            if (type === 'webgpu' && webgpu) {
+                kind = type;
+                return {
+                    configure: config => calls.push(['configure', config.format, config.alphaMode]),
+                    unconfigure: () => calls.push(['unconfigure']),
+                    getCurrentTexture: () => ({ createView: () => ({}) })
+                };
+            }
+            if (type === 'webgl' && gl) {
+                kind = type;
+                return gl;
+            }
+            return null;
+        }
+    };
+}
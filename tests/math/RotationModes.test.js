@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { Rotor4D, PLANES } from '../../src/math/Rotor4D.js';
+import {
+    ROTATION_MODE,
+    ROTATION_MODE_RATE,
+    getRotationModeIndex,
+    getRotationMotion,
+    getModeRotation,
+    getRotationAngles
+} from '../../src/math/RotationModes.js';
+
+const expectClose = (actual, expected) => Array.from(actual).forEach((value, i) => expect(value).toBeCloseTo(expected[i], 6));
+
+const START = { rot4dXY: 0.2, rot4dXZ: -0.4, rot4dYZ: 0.1, rot4dXW: 0.6, rot4dYW: -0.3, rot4dZW: 0.5 };
+const XW = PLANES.indexOf('XW');
+
+describe('RotationModes', () => {
+    it('resolves modes by index or name', () => {
+        expect(getRotationModeIndex('left isoclinic')).toBe(ROTATION_MODE.LEFT_ISOCLINIC);
+        expect(getRotationModeIndex('Right-Isoclinic')).toBe(ROTATION_MODE.RIGHT_ISOCLINIC);
+        expect(getRotationModeIndex(2)).toBe(ROTATION_MODE.DOUBLE);
+        expect(getRotationModeIndex('spin')).toBe(-1);
+    });
+
+    it('turns only the chosen plane in Simple mode', () => {
+        const motion = getRotationMotion({ rotationMode: ROTATION_MODE.SIMPLE, rotationPlane: XW }, 2);
+        expectClose(motion.toMatrix(), Rotor4D.fromPlane('XW', 2 * ROTATION_MODE_RATE).toMatrix());
+    });
+
+    it('turns the complementary plane at the ratio in Double mode', () => {
+        const motion = getRotationMotion({ rotationMode: ROTATION_MODE.DOUBLE, rotationPlane: XW, rotationRatio: 0.5 }, 2);
+        const expected = Rotor4D.fromPlane('XW', 1).multiply(Rotor4D.fromPlane('YZ', 0.5));
+        expectClose(motion.toMatrix(), expected.toMatrix());
+    });
+
+    it.each([ROTATION_MODE.LEFT_ISOCLINIC, ROTATION_MODE.RIGHT_ISOCLINIC])('turns every point equally in mode %i', rotationMode => {
+        const motion = getRotationMotion({ rotationMode, rotationPlane: 0 }, 1);
+        [[1, 0, 0, 0], [0, 0.6, 0, 0.8], [0.5, 0.5, -0.5, 0.5]].forEach(v => {
+            const turned = motion.apply(v);
+            expect(turned.reduce((sum, value, i) => sum + value * v[i], 0)).toBeCloseTo(Math.cos(ROTATION_MODE_RATE), 6);
+        });
+    });
+
+    it('composes the motion on top of the starting orientation', () => {
+        const params = { ...START, rotationMode: ROTATION_MODE.SIMPLE, rotationPlane: XW };
+        const expected = Rotor4D.fromPlane('XW', 3 * ROTATION_MODE_RATE).multiply(Rotor4D.fromAngles(START));
+        expectClose(getModeRotation(params, 3).toMatrix(), expected.toMatrix());
+    });
+
+    it('returns shader angles that rebuild the rotated orientation', () => {
+        const params = { ...START, rotationMode: ROTATION_MODE.DOUBLE, rotationPlane: 1, rotationRatio: 0.3 };
+        expectClose(Object.values(getRotationAngles(params, 0)), Object.values(START));
+
+        const angles = getRotationAngles(params, 4);
+        const rebuilt = Rotor4D.fromAngles(PLANES.map(plane => -angles[`rot4d${plane}`]));
+        const expected = getRotationMotion(params, 4).multiply(Rotor4D.fromAngles(PLANES.map(plane => -START[`rot4d${plane}`])));
+        expectClose(rebuilt.toMatrix(), expected.toMatrix());
+    });
+
+    it('leaves Free Planes angles untouched', () => {
+        expect(getRotationAngles({ ...START, rotationMode: ROTATION_MODE.FREE }, 10)).toEqual(START);
+    });
+});
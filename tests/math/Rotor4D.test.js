@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { Rotor4D, PLANES, PLANE_AXES } from '../../src/math/Rotor4D.js';
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// Column-major rotation in plane AB turning A toward B
+function planeMatrix(plane, angle) {
+    const [a, b] = PLANE_AXES[plane];
+    const m = [...IDENTITY];
+    m[a * 4 + a] = Math.cos(angle);
+    m[a * 4 + b] = Math.sin(angle);
+    m[b * 4 + a] = -Math.sin(angle);
+    m[b * 4 + b] = Math.cos(angle);
+    return m;
+}
+
+function multiply(a, b) {
+    const out = new Array(16).fill(0);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            for (let k = 0; k < 4; k++) {
+                out[col * 4 + row] += a[k * 4 + row] * b[col * 4 + k];
+            }
+        }
+    }
+    return out;
+}
+
+const transform = (m, v) => [0, 1, 2, 3].map(row => v.reduce((sum, value, col) => sum + m[col * 4 + row] * value, 0));
+const expectClose = (actual, expected) => Array.from(actual).forEach((value, i) => expect(value).toBeCloseTo(expected[i], 6));
+
+const ANGLES = { XY: 0.3, XZ: -1.1, YZ: 2.4, XW: 0.7, YW: -0.2, ZW: 1.9 };
+
+describe('Rotor4D', () => {
+    it.each(PLANES)('matches the %s plane matrix', plane => {
+        expectClose(Rotor4D.fromPlane(plane, 0.8).toMatrix(), planeMatrix(plane, 0.8));
+    });
+
+    it('composes like matrix multiplication', () => {
+        const a = Rotor4D.fromPlane('XW', 0.9);
+        const b = Rotor4D.fromPlane('YZ', -1.3).multiply(Rotor4D.fromPlane('XY', 0.4));
+        expectClose(a.multiply(b).toMatrix(), multiply(a.toMatrix(), b.toMatrix()));
+
+        const v = [0.2, -0.5, 0.9, 0.1];
+        expectClose(a.multiply(b).apply(v), transform(multiply(a.toMatrix(), b.toMatrix()), v));
+    });
+
+    it('applies fromAngles in the shader order XY, XZ, YZ, XW, YW, ZW', () => {
+        const expected = PLANES.reduce((m, plane) => multiply(planeMatrix(plane, ANGLES[plane]), m), IDENTITY);
+        expectClose(Rotor4D.fromAngles(ANGLES).toMatrix(), expected);
+        expectClose(Rotor4D.fromAngles(PLANES.map(plane => ANGLES[plane])).toMatrix(), expected);
+    });
+
+    it('recovers angles, matrices and bivectors', () => {
+        const rotor = Rotor4D.fromAngles(ANGLES);
+        expectClose(Rotor4D.fromAngles(rotor.toAngles()).toMatrix(), rotor.toMatrix());
+        expectClose(Rotor4D.fromMatrix(rotor.toMatrix()).toMatrix(), rotor.toMatrix());
+        expectClose(Rotor4D.fromBivector(rotor.log()).toMatrix(), rotor.toMatrix());
+        expectClose(rotor.multiply(rotor.inverse()).toMatrix(), IDENTITY);
+        expect(Object.keys(rotor.toParameters())).toEqual(PLANES.map(plane => `rot4d${plane}`));
+    });
+
+    it('slerps along the geodesic', () => {
+        const a = Rotor4D.fromPlane('XW', 0.2);
+        const b = Rotor4D.fromAngles(ANGLES);
+
+        expect(Rotor4D.slerp(a, b, 0).angleTo(a)).toBeCloseTo(0, 6);
+        expect(Rotor4D.slerp(a, b, 1).angleTo(b)).toBeCloseTo(0, 6);
+        expect(Rotor4D.slerp(a, b, 0.5).angleTo(a)).toBeCloseTo(a.angleTo(b) / 2, 6);
+        expect(Rotor4D.slerp(Rotor4D.identity(), Rotor4D.fromPlane('XY', 0.6), 0.5).log().XY).toBeCloseTo(0.3, 6);
+    });
+
+    it('turns every point by the same angle in an isoclinic rotation', () => {
+        ['left', 'right'].forEach(chirality => {
+            const rotor = Rotor4D.isoclinic('XY', 0.5, chirality);
+            [[1, 0, 0, 0], [0, 0, 0.6, 0.8], [0.5, -0.5, 0.5, 0.5]].forEach(v => {
+                const turned = rotor.apply(v);
+                expect(turned.reduce((sum, value, i) => sum + value * v[i], 0)).toBeCloseTo(Math.cos(0.5), 6);
+            });
+        });
+    });
+
+    it('rejects unknown planes', () => {
+        expect(() => Rotor4D.fromPlane('XX', 1)).toThrow(RangeError);
+        expect(() => Rotor4D.isoclinic('WW', 1)).toThrow(RangeError);
+    });
+});
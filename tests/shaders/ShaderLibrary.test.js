@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+    composeShader,
+    getShaderChunk,
+    getShaderChunkNames,
+    registerShaderChunk
+} from '../../src/shaders/ShaderLibrary.js';
+import { BUILTIN_SHADER_CHUNKS } from '../../src/shaders/ShaderChunks.js';
+
+const count = (text, pattern) => text.split(pattern).length - 1;
+
+describe('ShaderLibrary', () => {
+    it('expands nested includes once per shader', () => {
+        const glsl = composeShader('#include <rotation6d>\n#include <rotation4d>\nvoid main() {}');
+
+        expect(glsl).not.toMatch(/^#include/m);
+        expect(count(glsl, 'uniform float u_rot4dXY;')).toBe(1);
+        expect(glsl).toContain('// #include <rotation4d> (already included)');
+        expect(glsl).toContain('void main() {}');
+    });
+
+    it('throws on include cycles and names the path', () => {
+        const chunks = { a: '#include <b>', b: '#include <a>' };
+
+        expect(() => composeShader('#include <a>', { chunks })).toThrow('Shader chunk include cycle: a → b → a');
+        expect(() => composeShader('#include <self>', { chunks: { self: '#include <self>' } })).toThrow(Error);
+    });
+
+    it('throws a RangeError for unknown chunks', () => {
+        expect(() => composeShader('#include <nope>')).toThrow(RangeError);
+        expect(() => composeShader('#include <outer>', { chunks: { outer: '#include <missing>' } })).toThrow(/Unknown shader chunk: missing/);
+    });
+
+    it('prepends defines after #version', () => {
+        const glsl = composeShader('#version 300 es\nvoid main() {}', {
+            defines: { ROTATION_DRIFT: true, LAYERS: 3, SKIPPED: false, NOTHING: null }
+        });
+
+        expect(glsl).toBe('#version 300 es\n#define ROTATION_DRIFT\n#define LAYERS 3\nvoid main() {}');
+        expect(() => composeShader('', { defines: { '2BAD': true } })).toThrow(RangeError);
+    });
+
+    it('overrides chunks for one composition only', () => {
+        const glsl = composeShader('#include <color>', { chunks: { color: 'vec3 spec() { return vec3(1.0); }' } });
+
+        expect(glsl).toContain('vec3 spec()');
+        expect(getShaderChunk('color')).toBe(BUILTIN_SHADER_CHUNKS.color);
+    });
+
+    it('registers chunks under valid names with GLSL sources', () => {
+        registerShaderChunk('spec.noise', 'float specNoise(vec2 p) { return 0.0; }');
+
+        expect(getShaderChunkNames()).toContain('spec.noise');
+        expect(composeShader('#include "spec.noise"')).toContain('float specNoise');
+        expect(() => registerShaderChunk('has space', '')).toThrow(TypeError);
+        expect(() => registerShaderChunk('spec.empty', null)).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,126 @@
+import { describe, expect, it } from 'vitest';
+import { createStd140Layout } from '../../../../../src/ui/adaptive/renderers/webgpu/BufferLayout.ts';
+import {
+  TripleBufferedUniform,
+  type GPUBufferDescriptorLike,
+  type GPUBufferLike,
+  type GPUDeviceLike,
+  type GPUQueueLike,
+} from '../../../../../src/ui/adaptive/renderers/webgpu/TripleBufferedUniform.ts';
+
+interface FakeBuffer extends GPUBufferLike {
+  readonly label: string;
+  destroyed: boolean;
+}
+
+interface BufferWrite {
+  readonly buffer: GPUBufferLike;
+  readonly data: number[];
+}
+
+function createFakeDevice(): { device: GPUDeviceLike; buffers: FakeBuffer[]; writes: BufferWrite[] } {
+  const buffers: FakeBuffer[] = [];
+  const writes: BufferWrite[] = [];
+  const queue: GPUQueueLike = {
+    writeBuffer(buffer, _offset, data) {
+      writes.push({ buffer, data: Array.from(data) });
+    },
+  };
+  const device: GPUDeviceLike = {
+    queue,
+    createBuffer(descriptor: GPUBufferDescriptorLike) {
+      const buffer: FakeBuffer = {
+        size: descriptor.size,
+        label: descriptor.label ?? '',
+        destroyed: false,
+        destroy() {
+          this.destroyed = true;
+        },
+      };
+      buffers.push(buffer);
+      return buffer;
+    },
+  };
+  return { device, buffers, writes };
+}
+
+const layout = createStd140Layout([
+  { name: 'rotor4d', type: 'vec4' },
+  { name: 'metrics', type: 'vec4' },
+]);
+
+describe('TripleBufferedUniform', () => {
+  it('creates one buffer per slot and rotates through them', () => {
+    const { device, buffers } = createFakeDevice();
+    const uniform = new TripleBufferedUniform({ device, layout, label: 'frame' });
+
+    expect(buffers.map((buffer) => buffer.label)).toEqual(['frame-slot0', 'frame-slot1', 'frame-slot2']);
+    expect(buffers.every((buffer) => buffer.size === layout.byteSize)).toBe(true);
+    expect(uniform.currentSlot).toBe(0);
+
+    expect([uniform.beginFrame(), uniform.beginFrame(), uniform.beginFrame(), uniform.beginFrame()]).toEqual([1, 2, 0, 1]);
+    expect(uniform.frame).toBe(4);
+    expect(uniform.currentBuffer).toBe(buffers[1]);
+  });
+
+  it('writes each slot once per change and skips slots that are up to date', () => {
+    const { device, buffers, writes } = createFakeDevice();
+    const uniform = new TripleBufferedUniform({ device, layout });
+
+    uniform.write({ rotor4d: [0, 0, 0, 1] });
+    expect(uniform.upload()).toBe(true);
+    expect(uniform.upload()).toBe(false);
+
+    // The other slots still hold the previous contents
+    uniform.beginFrame();
+    expect(uniform.needsUpload).toBe(true);
+    expect(uniform.upload()).toBe(true);
+    uniform.beginFrame();
+    expect(uniform.upload()).toBe(true);
+
+    // Back at slot 0 with nothing changed since it was written
+    uniform.beginFrame();
+    expect(uniform.needsUpload).toBe(false);
+    expect(uniform.upload()).toBe(false);
+
+    expect(writes.map((write) => write.buffer)).toEqual([buffers[0], buffers[1], buffers[2]]);
+    expect(writes[0].data.slice(0, 4)).toEqual([0, 0, 0, 1]);
+
+    uniform.writeField('metrics', [2, 0, 0, 0]);
+    expect(uniform.upload()).toBe(true);
+    expect(writes[3].buffer).toBe(buffers[0]);
+    expect(writes[3].data.slice(4, 8)).toEqual([2, 0, 0, 0]);
+  });
+
+  it('uploads through an explicit queue and rejects invalid ones', () => {
+    const { device, writes } = createFakeDevice();
+    const other = createFakeDevice();
+    const uniform = new TripleBufferedUniform({ device, layout });
+
+    expect(uniform.upload(other.device.queue)).toBe(true);
+    expect(writes).toHaveLength(0);
+    expect(other.writes).toHaveLength(1);
+    expect(() => uniform.upload({} as GPUQueueLike)).toThrow(/valid GPU queue/);
+  });
+
+  it('builds bind group entries per slot and rejects out-of-range slots', () => {
+    const { device, buffers } = createFakeDevice();
+    const uniform = new TripleBufferedUniform({ device, layout, slotCount: 2 });
+
+    expect(uniform.bindGroupEntry()).toEqual({ binding: 0, resource: { buffer: buffers[0] } });
+    expect(uniform.bindGroupEntry(3, 1)).toEqual({ binding: 3, resource: { buffer: buffers[1] } });
+    expect(() => uniform.bindGroupEntry(0, 2)).toThrow(/out of bounds/);
+    expect(() => uniform.bindGroupEntry(0, -1)).toThrow(/out of bounds/);
+  });
+
+  it('validates its options and destroys every slot buffer', () => {
+    const { device, buffers } = createFakeDevice();
+
+    expect(() => new TripleBufferedUniform({ device, layout, slotCount: 0 })).toThrow(/slotCount/);
+    expect(() => new TripleBufferedUniform({ device: undefined as unknown as GPUDeviceLike, layout })).toThrow(/device/);
+
+    const uniform = new TripleBufferedUniform({ device, layout });
+    uniform.destroy();
+    expect(buffers.every((buffer) => buffer.destroyed)).toBe(true);
+  });
+});
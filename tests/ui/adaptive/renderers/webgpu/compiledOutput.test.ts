@@ -0,0 +1,33 @@
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import ts from 'typescript';
+import { describe, expect, it } from 'vitest';
+
+const root = resolve(__dirname, '../../../../..');
+
+function emitWebGPUSources(): Map<string, string> {
+  const configPath = resolve(root, 'tsconfig.webgpu.json');
+  const config = ts.getParsedCommandLineOfConfigFile(configPath, {}, {
+    ...ts.sys,
+    onUnRecoverableConfigFileDiagnostic: (diagnostic) => {
+      throw new Error(ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+    },
+  });
+  if (!config) throw new Error('tsconfig.webgpu.json could not be parsed');
+
+  const outputs = new Map<string, string>();
+  const program = ts.createProgram(config.fileNames, config.options);
+  program.emit(undefined, (fileName, text) => outputs.set(resolve(fileName), text));
+  return outputs;
+}
+
+describe('compiled WebGPU renderer modules', () => {
+  it('match what pnpm build:webgpu emits from the TypeScript sources', () => {
+    const outputs = emitWebGPUSources();
+
+    expect(outputs.size).toBeGreaterThan(0);
+    for (const [fileName, text] of outputs) {
+      expect(readFileSync(fileName, 'utf8'), `${fileName} is stale; run pnpm build:webgpu`).toBe(text);
+    }
+  }, 30_000);
+});
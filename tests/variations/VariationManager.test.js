@@ -0,0 +1,48 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { VariationManager } from '../../src/variations/VariationManager.js';
+import { installLocalStorage } from '../helpers/storage.js';
+
+function createEngine() {
+    return { parameterManager: { setParameters: vi.fn(), getAllParameters: () => ({ geometry: 0 }) } };
+}
+
+describe('VariationManager', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('migrates custom variations saved before the geometry catalogue', () => {
+        const slots = new Array(70).fill(null);
+        slots[0] = { name: 'OLD', parameters: { geometry: 10, hue: 120 } };
+        slots[1] = { name: 'NEW', version: '1.1.0', parameters: { geometry: 10, hue: 120 } };
+        const store = installLocalStorage({ 'vib34d-custom-variations': slots });
+
+        const engine = createEngine();
+        const manager = new VariationManager(engine);
+        manager.loadCustomVariations();
+
+        manager.applyVariation(30);
+        expect(engine.parameterManager.setParameters).toHaveBeenLastCalledWith(expect.objectContaining({ geometry: 9, hue: 120 }));
+        manager.applyVariation(31);
+        expect(engine.parameterManager.setParameters).toHaveBeenLastCalledWith(expect.objectContaining({ geometry: 10 }));
+
+        const stored = JSON.parse(store.get('vib34d-custom-variations'));
+        expect(stored[0]).toMatchObject({ version: '1.1.0', parameters: { geometry: 9 } });
+    });
+
+    it('migrates variations imported from 1.0.0 files', async () => {
+        installLocalStorage();
+        vi.stubGlobal('document', { getElementById: () => null });
+        const manager = new VariationManager(createEngine());
+        const file = {
+            text: async () => JSON.stringify({
+                type: 'vib34d-custom-variations',
+                version: '1.0.0',
+                variations: [{ name: 'OLD', parameters: { geometry: 20 } }]
+            })
+        };
+
+        expect(await manager.importCustomVariations(file)).toBe(1);
+        expect(manager.customVariations[0]).toMatchObject({ version: '1.1.0', parameters: { geometry: 18 } });
+    });
+});